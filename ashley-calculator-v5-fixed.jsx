@@ -1,23 +1,49 @@
 import { useState, useLayoutEffect, useMemo, useEffect, useRef, useCallback } from 'react';
 import CoachBubble from './src/CoachBubble.jsx';
 import Calculator from './src/Calculator.jsx';
+import ScanSheet from './src/ScanSheet.jsx';
+import ScenarioCompare from './src/ScenarioCompare.jsx';
+import SavedDeals from './src/SavedDeals.jsx';
+import DealQrSheet from './src/DealQrSheet.jsx';
 import { dealSnapshot } from './src/dialogueManager.js';
+import {
+  LANDING_CATEGORIES, loadStores, saveStores, activeProfile, copyProfile, normalizeSettings, parseNumberList,
+  TOP_ITEM_PRESETS, MORE_ITEM_PRESETS, isItemPreset, presetsInCategory,
+  landingCategoryFor, landingDivisorFor, landingRatioFor, describeLandingRatio, validDivisor,
+} from './src/storeSettings.js';
+import {
+  computeDeal, parseMoney, priceForMargin, anchorPriceOf,
+} from './src/dealEngine.js';
+import {
+  PLAN_TEMPLATES, validProtectionPlan, parseTierList, formatTierList, describePlanTiers,
+} from './src/protectionPlans.js';
+import { validPlan, financingOptions } from './src/financing.js';
+import { validFloorPromo, effectivePolicy, floorFor, marginBand, marginSteps, hashPin, pinMatches } from './src/marginPolicy.js';
+import { validTaxProfile, resolveTaxProfile, taxSettingsOf, describeTaxProfile } from './src/taxProfiles.js';
+import {
+  SERVICE_LEVELS, EMPTY_DELIVERY_PLAN, normalizeDeliveryPlan, quoteDelivery, describeDeliveryQuote, levelLabel, validDeliveryZone,
+} from './src/deliveryZones.js';
+import { TENDER_METHODS, EMPTY_PAYMENT, normalizePayment, reconcilePayment } from './src/payments.js';
+import { DISCOUNT_TYPES, validCoupon, normalizeDiscounts, resolveDiscounts } from './src/discounts.js';
+import {
+  validPromotion, activePromotion, nextPromotion, dealDefaults, promoPercentFor, salePercentChoices, describePromotion,
+} from './src/promotions.js';
+import { localDay } from './src/dates.js';
+import {
+  DEAL_STATUSES, EMPTY_CUSTOMER, normalizeCustomer, saveDeal, loadSavedDeals, getSavedDeal, putSavedDeals, recordsFromHistory,
+  pruneSavedDeals, followUpsDue,
+} from './src/savedDeals.js';
+import { requestFollowUpPermission, registerFollowUpSync, scheduleFollowUp } from './src/followUps.js';
+import {
+  exportDeal, dealFileName, parseDealFile, encodeDealLink, decodeDealLink, isDealQr, decodeDealQr, dealQrFromHash,
+} from './src/dealTransfer.js';
+import { parseCatalog, diffCatalog, replaceCatalog, loadCatalog, searchCatalog, lookupCode } from './src/catalog.js';
 
-const TAX_RATE = 9.125;
 const STORAGE_KEY = 'ashley-calculator-state';
-const DEFAULT_DELIVERY = 135;
-
-// Item type presets - top 5 always visible, rest in expandable section
-const TOP_ITEM_PRESETS = ['Sofa', 'Sectional', 'Bed', 'Mattress', 'Dresser'];
-const MORE_ITEM_PRESETS = [
-  'Loveseat', 'Chair', 'Ottoman', 'Recliner', 'Nightstand',
-  'Chest', 'Mirror', 'Dining Table', 'Dining Chair', 'Buffet',
-  'Coffee Table', 'End Table', 'Console Table', 'TV Stand', 'Bookcase',
-  'Desk', 'Bookshelf', 'Accent Chair', 'Headboard', 'Bunk Bed'
-];
 
 const createEmptyItem = (id = Date.now()) => ({
   id,
+  sku: '', // set when filled from the product catalog
   name: '',
   price: '',
   qty: 1,
@@ -27,6 +53,7 @@ const createEmptyItem = (id = Date.now()) => ({
   marginSet: false,
   selectedMargin: null,
   originalPrice: undefined,
+  packageId: null, // room package this item belongs to (see `packages` state)
 });
 
 const normalizeItem = (item, fallbackId) => {
@@ -34,6 +61,7 @@ const normalizeItem = (item, fallbackId) => {
   const qtyValue = parseInt(safeItem.qty, 10);
   return {
     id: safeItem.id ?? fallbackId,
+    sku: safeItem.sku ?? '',
     name: safeItem.name ?? '',
     price: safeItem.price ?? '',
     qty: Number.isFinite(qtyValue) && qtyValue > 0 ? qtyValue : 1,
@@ -43,9 +71,15 @@ const normalizeItem = (item, fallbackId) => {
     marginSet: Boolean(safeItem.marginSet),
     selectedMargin: safeItem.selectedMargin ?? null,
     originalPrice: safeItem.originalPrice,
+    packageId: safeItem.packageId ?? null,
   };
 };
 
+// Room package: { id, name, price } — price is a sale-space amount like an item price
+const normalizePackages = (list) => (Array.isArray(list) ? list : [])
+  .filter(pkg => pkg && typeof pkg === 'object' && pkg.id != null)
+  .map(pkg => ({ id: pkg.id, name: pkg.name ?? 'Package', price: pkg.price ?? '' }));
+
 const loadStoredState = () => {
   if (typeof window === 'undefined') return null;
   try {
@@ -83,36 +117,17 @@ const colors = {
   text: { primary: '#F5F0EB', secondary: '#A0A6B4', disabled: '#6B7280' },
 };
 
+// Which landing category (and so which protection plan) an item row falls under
+const categoryOfItem = (item) => landingCategoryFor(item.name);
+const categoryLabel = (id) => LANDING_CATEGORIES.find(c => c.id === id)?.label ?? id;
+
 function formatMoney(num) {
   return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(num || 0);
 }
 
-function parseMoney(str) {
-  return parseFloat(String(str).replace(/[$,]/g, '')) || 0;
-}
-
-// Calculate margin given sale price and landing cost
-function calculateMargin(salePrice, landingCost) {
-  if (salePrice <= 0) return 0;
-  const profit = salePrice - landingCost;
-  return (profit / salePrice) * 100;
-}
-
-// Calculate what sale price is needed to hit a target margin
-function priceForMargin(landingCost, targetMarginPercent) {
-  const margin = targetMarginPercent / 100;
-  return landingCost / (1 - margin);
-}
-
-// Protection plan tiers based on merchandise total (invoice subtotal)
-// 0-1k: $150, 1-2k: $200, 2-3k: $250, 3-4k: $300, 4-5k: $350
-// 5-6k: $500, then +$50 per additional $1k
-function calculateProtectionPlan(merchandiseTotal) {
-  if (merchandiseTotal <= 0) return 0;
-  const tier = Math.ceil(merchandiseTotal / 1000);
-  if (tier <= 5) return 100 + tier * 50;
-  if (tier === 6) return 500;
-  return 500 + (tier - 6) * 50;
+// Blended floors aren't whole numbers: 47.3%
+function fmtPct(num) {
+  return `${Math.round(num * 10) / 10}%`;
 }
 
 export default function AshleyDealCalculator() {
@@ -122,27 +137,124 @@ export default function AshleyDealCalculator() {
     : [createEmptyItem(1)];
   const initialCustomInput = {};
   initialItems.forEach((item) => {
-    if (item.name && !TOP_ITEM_PRESETS.includes(item.name) && !MORE_ITEM_PRESETS.includes(item.name)) {
+    if (item.name && !isItemPreset(item.name)) {
       initialCustomInput[item.id] = true;
     }
   });
 
   const [showHelp, setShowHelp] = useState(false);
   
+  // Store profiles (manager-editable). The active one supplies the store's name,
+  // sale %, delivery tiers, margin thresholds, tax and protection tiers.
+  const [stores, setStores] = useState(loadStores);
+  const storeSettings = activeProfile(stores);
+  const [showStoreSettings, setShowStoreSettings] = useState(false);
+
+  // Today's date, re-checked every minute so a device left open rolls its promos over at midnight
+  const [today, setToday] = useState(() => localDay());
+  useEffect(() => {
+    const timer = setInterval(() => setToday(localDay()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+  // Margin policy in force today (store floor/target, category floors, any promo floor)
+  const policy = useMemo(() => effectivePolicy(storeSettings, today), [storeSettings, today]);
+  const { floor: marginFloor, target: marginTarget } = policy;
+  const itemFloor = useCallback((item) => floorFor(policy, landingCategoryFor(item.name)), [policy]);
+
+  // Promotion on today's date
+  const activePromo = useMemo(() => activePromotion(storeSettings.promotions, today), [storeSettings.promotions, today]);
+  // A category promo prices its items at the promo percent; everything else uses the deal's
+  const itemSalePercent = useCallback(
+    (item) => promoPercentFor(activePromo, landingCategoryFor(item.name)),
+    [activePromo]
+  );
+
   // Deal settings
   const [salePercent, setSalePercent] = useState(
-    Number.isFinite(storedState?.salePercent) ? storedState.salePercent : 30
+    Number.isFinite(storedState?.salePercent) ? storedState.salePercent : dealDefaults(storeSettings, activePromo).salePercent
   );
   const [noTaxPromo, setNoTaxPromo] = useState(
-    typeof storedState?.noTaxPromo === 'boolean' ? storedState.noTaxPromo : true
+    typeof storedState?.noTaxPromo === 'boolean' ? storedState.noTaxPromo : dealDefaults(storeSettings, activePromo).noTaxPromo
+  );
+  // Which promotion the deal's sale % and No-Tax were last defaulted from (null = none)
+  const [promoId, setPromoId] = useState(
+    storedState ? (storedState.promoId ?? null) : (activePromo?.id ?? null)
   );
   const [priceType, setPriceType] = useState(storedState?.priceType ?? 'sale');
-  const [delivery, setDelivery] = useState(
-    storedState?.delivery != null ? String(storedState.delivery) : String(DEFAULT_DELIVERY)
+  // Delivery is the store's zone price for the deal's ZIP and service level, unless the
+  // rep picks a tier or types an amount (manual). A deal saved before zones is manual.
+  const [manualDelivery, setManualDelivery] = useState(
+    storedState?.delivery != null ? String(storedState.delivery) : String(storeSettings.defaultDelivery)
   );
+  const [deliveryPlan, setDeliveryPlan] = useState(
+    () => normalizeDeliveryPlan(storedState ? (storedState.deliveryPlan ?? { mode: 'manual' }) : null)
+  );
+  const setDelivery = useCallback((amount) => {
+    setManualDelivery(String(amount));
+    setDeliveryPlan(plan => (plan.mode === 'manual' ? plan : { ...plan, mode: 'manual' }));
+  }, []);
   
+  const [settingsDraft, setSettingsDraft] = useState(null);
+  const [settingsError, setSettingsError] = useState(null);
+  const [policyUnlocked, setPolicyUnlocked] = useState(false);
+
+  // Tax jurisdiction for this deal: picked by hand, else by delivery ZIP, else the store's home profile.
+  // The same delivery ZIP picks the delivery zone.
+  const [taxZip, setTaxZip] = useState(storedState?.taxZip ?? '');
+  const [taxProfileId, setTaxProfileId] = useState(storedState?.taxProfileId ?? null);
+  const { profile: taxProfile, source: taxSource } = useMemo(
+    () => resolveTaxProfile(storeSettings.taxProfiles, { zip: taxZip, profileId: taxProfileId }),
+    [storeSettings.taxProfiles, taxZip, taxProfileId]
+  );
+  const deliveryQuote = useMemo(
+    () => quoteDelivery(
+      { zones: storeSettings.deliveryZones, haulAwayFee: storeSettings.haulAwayFee, mileage: storeSettings.mileage },
+      { zip: taxZip, ...deliveryPlan }
+    ),
+    [storeSettings.deliveryZones, storeSettings.haulAwayFee, storeSettings.mileage, taxZip, deliveryPlan]
+  );
+  const zoneDelivery = deliveryPlan.mode === 'zone' ? deliveryQuote : null;
+  const delivery = zoneDelivery ? String(zoneDelivery.total) : manualDelivery;
+  const deliveryLabel = zoneDelivery ? `Delivery (${levelLabel(zoneDelivery.level)})` : 'Delivery';
+
+  // Product catalog (IndexedDB). Per-item SKU search: { [itemId]: query } / { [itemId]: products }
+  const [catalogCount, setCatalogCount] = useState(null);
+  const [skuQuery, setSkuQuery] = useState({});
+  const [skuResults, setSkuResults] = useState({});
+  // Pending import awaiting review: { fileName, products, errors, diff }
+  const [catalogPreview, setCatalogPreview] = useState(null);
+
+  // Installed PWAs show the document title; name the store the app is running for.
+  useEffect(() => {
+    document.title = `Deal Depth — ${storeSettings.storeName}`;
+  }, [storeSettings.storeName]);
+
+  useEffect(() => {
+    loadCatalog().then(products => setCatalogCount(products.length)).catch(() => setCatalogCount(0));
+  }, []);
+
   // Items
   const [items, setItems] = useState(initialItems);
+  const [packages, setPackages] = useState(() => normalizePackages(storedState?.packages));
+  // Forked setting variants for side-by-side comparison (see ScenarioCompare)
+  const [scenarios, setScenarios] = useState(Array.isArray(storedState?.scenarios) ? storedState.scenarios : []);
+  const [showScenarios, setShowScenarios] = useState(false);
+  // Deposit and split tenders for the written order (see payments.js)
+  const [payment, setPayment] = useState(() => normalizePayment(storedState?.payment));
+  // Per-item and whole-order discounts and coupons (see discounts.js)
+  const [discounts, setDiscounts] = useState(() => normalizeDiscounts(storedState?.discounts));
+  const [discountDraft, setDiscountDraft] = useState({}); // { [itemId | 'order']: { type, value } }
+  // Who the quote is for; saved with the deal (see savedDeals.js)
+  const [customer, setCustomer] = useState(() => normalizeCustomer(storedState?.customer));
+  const [showSavedDeals, setShowSavedDeals] = useState(false);
+  const [savedDealsFilter, setSavedDealsFilter] = useState('');
+  const [followUpsDueCount, setFollowUpsDueCount] = useState(0);
+  // A deal file or share link waiting for the rep to confirm it replaces the deal on screen
+  const [pendingImport, setPendingImport] = useState(null);
+  const [qrFile, setQrFile] = useState(null); // the deal file shown as a QR code
+  const importInputRef = useRef(null);
+  // Stable id for the deal in progress (keys per-deal data like the calculator scratchpad)
+  const [dealId, setDealId] = useState(storedState?.dealId ?? Date.now());
   
   // Results
   const [showResults, setShowResults] = useState(false);
@@ -152,6 +264,7 @@ export default function AshleyDealCalculator() {
 
   // Confirmation modal
   const [showConfirmReset, setShowConfirmReset] = useState(false);
+  const [confirmRemoveStore, setConfirmRemoveStore] = useState(null); // profile awaiting "Delete store?"
 
   // Item presets UI state - track which items have expanded presets
   const [expandedItemPresets, setExpandedItemPresets] = useState({});
@@ -168,7 +281,6 @@ export default function AshleyDealCalculator() {
   // Custom-margin inputs (free-entry % targets)
   const [orderCustomMargin, setOrderCustomMargin] = useState('');
   const [itemCustomMargin, setItemCustomMargin] = useState({}); // { [itemId]: string }
-  const MARGIN_PRESETS = [50, 49, 48, 47];
 
   const flashEstimateFeedback = (itemId, text, ok) => {
     setEstimateFeedback(prev => ({ ...prev, [itemId]: { text, ok } }));
@@ -192,6 +304,7 @@ export default function AshleyDealCalculator() {
 
   // Calculation history
   const HISTORY_KEY = 'ashley-calculator-history';
+  const DEALS_IMPORTED_KEY = 'ashley.deals.imported';
   const MAX_HISTORY = 10;
   const [history, setHistory] = useState(() => {
     try {
@@ -199,29 +312,115 @@ export default function AshleyDealCalculator() {
     } catch { return []; }
   });
   const [showHistory, setShowHistory] = useState(false);
+
+  // Saved deals: bring the old History list across once, drop closed deals past retention,
+  // then open on the follow-ups due (or the one a reminder was tapped for)
+  useEffect(() => {
+    (async () => {
+      if (!localStorage.getItem(DEALS_IMPORTED_KEY)) {
+        const existing = (await loadSavedDeals()).map(d => d.id);
+        await putSavedDeals(recordsFromHistory(history, existing));
+        localStorage.setItem(DEALS_IMPORTED_KEY, '1');
+      }
+      await pruneSavedDeals(storeSettings.dealRetention);
+      registerFollowUpSync().catch(() => {});
+
+      const tapped = new URLSearchParams(window.location.search).get('followup');
+      if (tapped) {
+        window.history.replaceState(null, '', window.location.pathname);
+        const record = await getSavedDeal(Number(tapped));
+        if (record) { restoreFromHistory(record); return; }
+      }
+      const due = followUpsDue(await loadSavedDeals(), localDay());
+      setFollowUpsDueCount(due.length);
+      if (due.length) {
+        setSavedDealsFilter('due');
+        setShowSavedDeals(true);
+      }
+    })().catch(() => {});
+
+    // A reminder tapped while the app is already open
+    const onMessage = (e) => {
+      if (e.data?.type !== 'open-follow-up') return;
+      getSavedDeal(e.data.dealId).then((record) => record && restoreFromHistory(record)).catch(() => {});
+    };
+    navigator.serviceWorker?.addEventListener('message', onMessage);
+    return () => navigator.serviceWorker?.removeEventListener('message', onMessage);
+  }, []);
+
+  // A share link (#deal=…), or a deal QR the camera opened (#qr=…), opens for review;
+  // the fragment is cleared so a reload doesn't ask again
+  useEffect(() => {
+    const qr = dealQrFromHash(window.location.hash);
+    if (qr) {
+      decodeDealQr(qr).then(setPendingImport).catch((e) => showToast(e.message));
+    } else {
+      try {
+        const shared = decodeDealLink(window.location.hash);
+        if (!shared) return;
+        setPendingImport(shared);
+      } catch (e) {
+        showToast(e.message);
+      }
+    }
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }, []);
+
+  // Keep the menu's due count current across saves, sheet edits and midnight
+  const refreshFollowUps = () => {
+    loadSavedDeals()
+      .then((deals) => setFollowUpsDueCount(followUpsDue(deals, localDay()).length))
+      .catch(() => {});
+  };
+  useEffect(refreshFollowUps, [today]);
+
   const [showCalculator, setShowCalculator] = useState(false);
+  const [showScanner, setShowScanner] = useState(false); // false | 'tag' | 'deal'
   const [toast, setToast] = useState(null);
   const showToast = (msg) => { setToast(msg); setTimeout(() => setToast(null), 2200); };
 
+  // When a promotion starts or ends (or the calendar changes), re-default sale % and No-Tax once;
+  // the rep can still change them after.
+  useEffect(() => {
+    const id = activePromo?.id ?? null;
+    if (id === promoId) return;
+    const next = dealDefaults(storeSettings, activePromo);
+    setSalePercent(next.salePercent);
+    setNoTaxPromo(next.noTaxPromo);
+    setPromoId(id);
+    showToast(activePromo
+      ? `${activePromo.name}: sale ${next.salePercent}%, No-Tax ${next.noTaxPromo ? 'ON' : 'OFF'}`
+      : `Promotion over: sale ${next.salePercent}%, No-Tax ${next.noTaxPromo ? 'ON' : 'OFF'}`);
+  }, [activePromo, promoId, storeSettings]);
 
   // Save state to localStorage whenever it changes
   useLayoutEffect(() => {
     try {
       const state = {
+        dealId,
         salePercent,
         noTaxPromo,
+        promoId,
         priceType,
-        delivery,
+        delivery: manualDelivery,
+        deliveryPlan,
         items,
+        packages,
+        scenarios,
+        payment,
+        discounts,
+        customer,
+        taxZip,
+        taxProfileId,
         includeProtection,
       };
       localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
     } catch (e) {
       console.error('Failed to save state:', e);
     }
-  }, [salePercent, noTaxPromo, priceType, delivery, items, includeProtection]);
+  }, [dealId, salePercent, noTaxPromo, promoId, priceType, manualDelivery, deliveryPlan, items, packages, scenarios, payment, discounts, customer, taxZip, taxProfileId, includeProtection]);
 
-  const taxRate = TAX_RATE / 100;
+  const taxRate = taxProfile.rate / 100;
 
   const addItem = () => {
     setItems([...items, createEmptyItem()]);
@@ -230,7 +429,29 @@ export default function AshleyDealCalculator() {
   const removeItem = (id) => {
     if (items.length > 1) {
       setItems(items.filter(item => item.id !== id));
+      setDiscounts(discounts.filter(d => d.itemId !== id));
+    }
+  };
+
+  // Packages: assign an item (or start a new package with it), rename/price, dissolve.
+  const assignPackage = (itemId, value) => {
+    let packageId = value === '' ? null : value;
+    if (value === 'new') {
+      packageId = Date.now();
+      setPackages([...packages, { id: packageId, name: `Package ${packages.length + 1}`, price: '' }]);
+    } else if (packageId != null) {
+      packageId = packages.find(p => String(p.id) === String(packageId))?.id ?? null;
     }
+    setItems(items.map(item => item.id === itemId ? { ...item, packageId } : item));
+  };
+
+  const updatePackage = (packageId, field, value) => {
+    setPackages(packages.map(p => p.id === packageId ? { ...p, [field]: value } : p));
+  };
+
+  const removePackage = (packageId) => {
+    setPackages(packages.filter(p => p.id !== packageId));
+    setItems(items.map(item => item.packageId === packageId ? { ...item, packageId: null } : item));
   };
 
   const updateItem = (id, field, value) => {
@@ -242,7 +463,7 @@ export default function AshleyDealCalculator() {
         // Auto-fill price only when it's empty or still auto-managed — never clobber a manual/margin-set price
         const priceIsAuto = item.priceAuto || String(item.price).trim() === '';
         if (priceIsAuto) {
-          const estimate = computeEstimatedPrice(value);
+          const estimate = computeEstimatedPrice(value, item.name);
           next.price = estimate != null ? estimate.toFixed(2) : '';
           next.priceAuto = true;
           next.marginSet = false;
@@ -251,6 +472,18 @@ export default function AshleyDealCalculator() {
         }
         return next;
       }
+      // A new item type can mean a different landing ratio: re-run whichever side is auto-estimated
+      if (field === 'name') {
+        const next = { ...item, name: value };
+        if (item.landingAuto && parseMoney(item.price) > 0) {
+          const estimate = computeEstimatedLanding(item.price, value);
+          if (estimate != null) next.landingCost = estimate.toFixed(2);
+        } else if (item.priceAuto && parseMoney(item.landingCost) > 0) {
+          const estimate = computeEstimatedPrice(item.landingCost, value);
+          if (estimate != null) next.price = estimate.toFixed(2);
+        }
+        return next;
+      }
       return { ...item, [field]: value };
     }));
     if (field === 'landingCost') { clearError('landingCost'); clearError('price'); }
@@ -279,151 +512,122 @@ export default function AshleyDealCalculator() {
     }
     setShowResults(true);
 
-    // Save to history
-    const entry = {
-      id: Date.now(),
-      ts: Date.now(),
-      label: items.filter(i => i.name).map(i => i.name).join(', ') || 'Unnamed deal',
-      itemCount: items.length,
-      delivery,
-      noTaxPromo,
-      priceType,
-      salePercent,
-      includeProtection,
-      items: items.map(i => ({ ...i })),
-    };
+    // Save to history, and to saved deals so it outlives the last-ten list
+    const entry = dealEntry();
     setHistory(prev => {
       const next = [entry, ...prev].slice(0, MAX_HISTORY);
       try { localStorage.setItem(HISTORY_KEY, JSON.stringify(next)); } catch {}
       return next;
     });
+    saveDeal(entry, customer, { total: customerTotal, margin: overallMargin })
+      .then((record) => { refreshFollowUps(); return scheduleFollowUp(record); })
+      .catch(() => {});
   };
 
-  // Calculate totals
-  const discount = salePercent / 100;
-  const deliveryAmount = parseMoney(delivery);
-  const deliveryTax = deliveryAmount * taxRate;
-
-  const calculatedItems = items.map(item => {
-    const rawPrice = parseMoney(item.price);
-    const qty = parseInt(item.qty) || 1;
-    const landingCost = parseMoney(item.landingCost);
-    const landingProvided = String(item.landingCost).trim() !== '';
-    
-    let salePrice, invoicePrice, quotePrice;
-
-    // FIX: Check if item has marginSet flag (was set via clicking margin target)
-    if (item.marginSet && rawPrice > 0) {
-      // Price was set by clicking a margin target - it's already the correct invoice price
-      invoicePrice = rawPrice;
-      salePrice = invoicePrice;
-      quotePrice = invoicePrice * (1 + taxRate);
-    } else if (rawPrice > 0 && noTaxPromo) {
-      // User manually entered a price with No-Tax ON, treat it as quote price (tax included)
-      quotePrice = priceType === 'sale' ? rawPrice : rawPrice * (1 - discount);
-      invoicePrice = quotePrice / (1 + taxRate);
-      salePrice = invoicePrice;
-    } else {
-      // No price entered, or No-Tax OFF: price is invoice/sale price
-      salePrice = priceType === 'sale' ? rawPrice : rawPrice * (1 - discount);
-      invoicePrice = salePrice;
-      quotePrice = salePrice > 0 ? salePrice * (1 + taxRate) : 0;
-    }
-    
-    const lineTotal = invoicePrice * qty; // lineTotal is always invoice price for calculations
-    const margin = (landingProvided && invoicePrice > 0) ? calculateMargin(invoicePrice, landingCost) : null;
-    const totalLandingCost = landingCost * qty;
-    
-    // Calculate profit based on invoice price (what you actually keep)
-    const profitPerUnit = (landingProvided && invoicePrice > 0) ? (invoicePrice - landingCost) : null;
-    const totalProfit = profitPerUnit !== null ? profitPerUnit * qty : null;
-    
-    // Price targets for different margins (these are INVOICE prices)
-    const priceAt50 = landingCost > 0 ? priceForMargin(landingCost, 50) : null;
-    const priceAt49 = landingCost > 0 ? priceForMargin(landingCost, 49) : null;
-    const priceAt48 = landingCost > 0 ? priceForMargin(landingCost, 48) : null;
-    const priceAt47 = landingCost > 0 ? priceForMargin(landingCost, 47) : null;
-
-    // Savings ladder (pre-tax, per unit): Regular (tag) -> Standard sale (salePercent off) -> Your deal (actual charge)
-    const dealUnit = invoicePrice; // what we're actually charging, pre-tax
-    // The standard (pre-deal) price the customer would otherwise pay. If a margin button moved
-    // the price, the original price before the deal is the anchor; otherwise the entered price.
-    const anchorEntered = (item.marginSet && parseMoney(item.originalPrice) > 0)
-      ? parseMoney(item.originalPrice)
-      : rawPrice;
-    const regularUnit = priceType === 'tag'
-      ? anchorEntered
-      : (discount < 1 ? anchorEntered / (1 - discount) : anchorEntered);
-    const standardSaleUnit = priceType === 'tag' ? anchorEntered * (1 - discount) : anchorEntered;
-    // Only call it an extra "deal" when the actual charge beats the standard sale by more than a cent
-    const hasDeal = dealUnit > 0 && (standardSaleUnit - dealUnit) > 0.005;
-
-    return {
-      ...item,
-      salePrice: invoicePrice, // salePrice now means invoice price
-      invoicePrice,
-      quotePrice,
-      lineTotal,
-      qty,
-      landingCost,
-      landingProvided,
-      totalLandingCost,
-      margin,
-      profitPerUnit,
-      totalProfit,
-      priceAt50,
-      priceAt49,
-      priceAt48,
-      priceAt47,
-      regularUnit,
-      standardSaleUnit,
-      dealUnit,
-      hasDeal,
-    };
-  }).filter(item => item.lineTotal > 0 || item.landingCost > 0);
-
-  const subtotal = calculatedItems.reduce((sum, item) => sum + item.lineTotal, 0); // invoice subtotal
-  const totalLandingCost = calculatedItems.reduce((sum, item) => sum + item.totalLandingCost, 0);
-  const totalProfit = calculatedItems.reduce((sum, item) => sum + (item.totalProfit || 0), 0);
-  const overallMargin = subtotal > 0 && totalLandingCost > 0 ? calculateMargin(subtotal, totalLandingCost) : null;
-
-  // Savings-ladder totals (pre-tax merchandise). regularTotal anchors the "what it'd normally cost".
-  const regularTotal = calculatedItems.reduce((sum, item) => sum + (item.regularUnit * item.qty), 0);
-  const standardSaleTotal = calculatedItems.reduce((sum, item) => sum + (item.standardSaleUnit * item.qty), 0);
-  const dealTotal = subtotal; // actual pre-tax charge
-  const savingsVsRegular = regularTotal - dealTotal;
-  const savingsVsStandard = standardSaleTotal - dealTotal;
-  const anyDeal = calculatedItems.some(item => item.hasDeal);
-  // Items that carry a price worth comparing in the savings table
-  const ladderItems = calculatedItems.filter(item => item.regularUnit > 0);
-  // Show prices tax-included when the No-Tax promo is on, to match the rest of the customer view
-  const taxAdj = (v) => noTaxPromo ? v * (1 + taxRate) : v;
+  // Save the deal with its customer details (the Save deal button)
+  const saveCurrentDeal = () => {
+    saveDeal(dealEntry(), customer, { total: customerTotal, margin: overallMargin })
+      .then((record) => {
+        showToast(`Saved${customer.name.trim() ? ` for ${customer.name.trim()}` : ''}`);
+        refreshFollowUps();
+        scheduleFollowUp(record).catch(() => {});
+      })
+      .catch((e) => showToast(`Couldn't save: ${e.message}`));
+  };
 
-  // Customer Quote two-card comparison: Regular (full retail, always WITH tax + delivery) vs the actual deal.
-  const regularTaxable = regularTotal + deliveryAmount;
-  const regularSalesTax = regularTaxable * taxRate;
-  const regularGrandTotal = regularTaxable + regularSalesTax + protectionPlanCost;
-  const saleSalesTax = taxOnMerchandise + deliveryTax; // tax baked into the deal
-  const quoteSavings = regularGrandTotal - customerTotal;
-  
-  const taxOnMerchandise = subtotal * taxRate;
-  const totalTax = taxOnMerchandise + deliveryTax;
+  // The deal as History and saved deals keep it
+  const dealEntry = () => ({
+    id: Date.now(),
+    ts: Date.now(),
+    dealId,
+    label: items.filter(i => i.name).map(i => i.name).join(', ') || 'Unnamed deal',
+    itemCount: items.length,
+    delivery,
+    deliveryPlan,
+    noTaxPromo,
+    priceType,
+    salePercent,
+    includeProtection,
+    items: items.map(i => ({ ...i })),
+    packages: packages.map(p => ({ ...p })),
+    payment,
+    customer,
+    discounts,
+    appliedDiscounts: resolvedDiscounts.applied,
+    promo: activePromo,
+    taxZip,
+    taxProfileId,
+    taxProfile,
+  });
 
-  const protectionPlanCost = includeProtection ? calculateProtectionPlan(subtotal) : 0;
+  // Coupons are checked against today's store list; the engine only sees what passed.
+  const resolvedDiscounts = useMemo(
+    () => resolveDiscounts(discounts, storeSettings.coupons),
+    [discounts, storeSettings.coupons]
+  );
 
-  const customerTotal = subtotal + taxOnMerchandise + deliveryAmount + deliveryTax + protectionPlanCost;
+  // All deal math lives in the pure dealEngine; this component only renders it.
+  const deal = useMemo(() => computeDeal(items, {
+    salePercent, noTaxPromo, priceType, delivery, includeProtection, packages, ...taxSettingsOf(taxProfile),
+    marginFloor, itemFloor, protectionPlans: storeSettings.protectionPlans, itemCategory: categoryOfItem,
+    discounts: resolvedDiscounts.applied, itemSalePercent,
+  }), [items, salePercent, noTaxPromo, priceType, delivery, includeProtection, packages, taxProfile, marginFloor, itemFloor, storeSettings.protectionPlans, resolvedDiscounts, itemSalePercent]);
+  const {
+    deliveryAmount, packageUnitPrices, subtotal, totalLandingCost, totalProfit, overallMargin, dealFloor, marginFloorOk,
+    regularTotal, standardSaleTotal, dealTotal, savingsVsRegular, savingsVsStandard, anyDeal, ladderItems,
+    taxOnMerchandise, deliveryTax, protectionPlanCost, protectionPlans, protectionProfit, uncoveredItemIds, protectionTax, customerTotal,
+    regularSalesTax, regularGrandTotal, saleSalesTax, quoteSavings, discountTotal, discountDetails,
+  } = deal;
+  const calculatedItems = deal.items;
+
+  // Re-run a saved, past or imported deal through the engine with this store's settings
+  const recomputeEntry = (entry) => computeDeal(entry.items || [], {
+    salePercent: entry.salePercent ?? 30,
+    noTaxPromo: entry.noTaxPromo,
+    priceType: entry.priceType ?? 'sale',
+    delivery: entry.delivery,
+    includeProtection: entry.includeProtection ?? false,
+    packages: entry.packages || [],
+    ...taxSettingsOf(entry.taxProfile),
+    marginFloor,
+    itemFloor,
+    protectionPlans: storeSettings.protectionPlans,
+    itemCategory: categoryOfItem,
+    discounts: entry.appliedDiscounts || [],
+    itemSalePercent: (item) => promoPercentFor(entry.promo ?? null, landingCategoryFor(item.name)),
+  });
+  // Whole-percent margin buttons from the target down to this deal's floor (50/49/48/47 by default)
+  const MARGIN_PRESETS = marginSteps(Math.max(marginTarget, dealFloor), dealFloor);
+  const paid = useMemo(() => reconcilePayment(customerTotal, payment), [customerTotal, payment]);
+  // The deposit doubles as the financing down payment
+  const financing = useMemo(
+    () => financingOptions(customerTotal, storeSettings.financingPlans, { downPayment: paid.deposit }),
+    [customerTotal, storeSettings.financingPlans, paid.deposit]
+  );
+  // Lowest monthly among plans the deal qualifies for (quote + coach headline)
+  const bestFinancing = financing.filter(f => f.eligible && f.monthly > 0).sort((a, b) => a.monthly - b.monthly)[0] || null;
+  // Show prices tax-included when the No-Tax promo is on, to match the rest of the customer view
+  const taxAdj = (v) => noTaxPromo ? v * (1 + taxRate) : v;
 
-  // Manager (Frank) decision summary — everything he needs to approve/reject, in textable form.
-  const marginFloorOk = overallMargin === null || overallMargin >= 47;
+  // Manager decision summary — everything they need to approve/reject, in textable form.
   const managerSummary = subtotal > 0 ? [
     'DEAL FOR APPROVAL',
+    ...(customer.name.trim() ? [`Customer: ${customer.name.trim()}${customer.phone.trim() ? ` (${customer.phone.trim()})` : ''}`] : []),
     ...calculatedItems
       .filter(i => i.landingProvided)
       .map((item, i) => `${item.name || `Item ${i + 1}`} x${item.qty}: cost ${formatMoney(item.landingCost)} -> ${item.invoicePrice > 0 ? formatMoney(item.invoicePrice) : '--'} = ${item.margin !== null ? item.margin.toFixed(0) + '%' : '--'}`),
     '',
     `Customer pays: ${formatMoney(customerTotal)}`,
+    ...(zoneDelivery ? [`Delivery: ${describeDeliveryQuote(zoneDelivery, deliveryPlan)}${taxZip ? ` (ZIP ${taxZip})` : ''}`] : []),
+    ...(taxSource !== 'default' ? [`Tax: ${describeTaxProfile(taxProfile)}${taxZip ? ` (ZIP ${taxZip})` : ''}`] : []),
+    ...(bestFinancing ? [`Financing: ${formatMoney(bestFinancing.monthly)}/mo (${bestFinancing.plan.name})`] : []),
+    ...(paid.collected > 0 ? [`Deposit: ${formatMoney(paid.collected)} | Due at delivery: ${formatMoney(paid.balanceDue)}`] : []),
     `Merch ${formatMoney(subtotal)} | Landing ${formatMoney(totalLandingCost)} | Profit ${totalProfit > 0 ? formatMoney(totalProfit) : '--'}`,
-    `Overall margin: ${overallMargin !== null ? overallMargin.toFixed(1) + '%' : '--'} ${marginFloorOk ? '(OK)' : '(BELOW 47% FLOOR - needs approval)'}`,
+    ...(discountTotal > 0 ? [`Discounts: ${discountDetails.map(d => `${d.code || d.label} -${formatMoney(d.amount)}`).join(', ')}`] : []),
+    ...(protectionPlanCost > 0 ? [`Protection ${formatMoney(protectionPlanCost)} (${protectionPlans.map(p => p.plan.name).join(' + ')}), profit ${formatMoney(protectionProfit)}`] : []),
+    `Overall margin: ${overallMargin !== null ? overallMargin.toFixed(1) + '%' : '--'} ${marginFloorOk ? '(OK)' : `(BELOW ${fmtPct(dealFloor)} FLOOR - needs approval)`}`,
+    ...(activePromo ? [`Promotion: ${describePromotion(activePromo, categoryLabel)}`] : []),
+    ...(policy.promo ? [`Promo floor ${policy.promo.floor}% through ${policy.promo.until}${policy.promo.note ? ` (${policy.promo.note})` : ''}`] : []),
     ...(anyDeal ? [`Deal: ${formatMoney(dealTotal)} vs ${formatMoney(standardSaleTotal)} standard sale (extra ${formatMoney(savingsVsStandard)} off)`] : []),
     '',
     'Approve?',
@@ -433,9 +637,12 @@ export default function AshleyDealCalculator() {
   const handleShareQuote = async () => {
     const text = [
       quoteTitle,
+      storeSettings.storeName,
       `Regular price: ${formatMoney(regularGrandTotal)}`,
       `Your price${noTaxPromo ? ' (NO TAX!)' : ''}: ${formatMoney(customerTotal)}`,
       `You save: ${formatMoney(quoteSavings)}`,
+      ...(bestFinancing ? [`Or ${formatMoney(bestFinancing.monthly)}/mo — ${bestFinancing.plan.name}`] : []),
+      ...(paid.collected > 0 ? [`Deposit: ${formatMoney(paid.collected)}`, `Balance due at delivery: ${formatMoney(paid.balanceDue)}`] : []),
     ].join('\n');
     if (typeof navigator !== 'undefined' && navigator.share) {
       try {
@@ -448,6 +655,45 @@ export default function AshleyDealCalculator() {
     }
   };
 
+  // Deal file / share link for another device (see dealTransfer.js)
+  const exportDealFile = () => {
+    const file = exportDeal(dealEntry(), deal);
+    const url = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = dealFileName(file);
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  const shareDealLink = async () => {
+    const link = encodeDealLink(exportDeal(dealEntry(), deal), window.location.origin + window.location.pathname);
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: customer.name.trim() ? `Deal for ${customer.name.trim()}` : 'Deal', url: link });
+      } catch (e) {
+        // user cancelled — no-op
+      }
+    } else {
+      copyToClipboard(link);
+    }
+  };
+
+  const importDealFile = async (file) => {
+    if (!file) return;
+    try {
+      setPendingImport(parseDealFile(await file.text()));
+    } catch (e) {
+      showToast(`Couldn't import: ${e.message}`);
+    }
+  };
+
+  const confirmImport = () => {
+    restoreFromHistory(pendingImport.deal);
+    setPendingImport(null);
+    showToast('Deal imported');
+  };
+
   const resetForm = () => setShowResults(false);
   
   // FIX: Set an item's price to hit a target margin - stores INVOICE price and marks it
@@ -488,21 +734,24 @@ export default function AshleyDealCalculator() {
     }));
   };
 
-  // Shared landing-cost estimate: full retail price ÷ 3.3
-  const computeEstimatedLanding = (priceValue) => {
+  // The standard-sale percent for an item: a category promo's, else the deal's
+  const salePercentFor = (itemName) => promoPercentFor(activePromo, landingCategoryFor(itemName)) ?? salePercent;
+
+  // Shared landing-cost estimate: full retail price ÷ the store's divisor for this item's category
+  const computeEstimatedLanding = (priceValue, itemName) => {
     const currentPrice = parseMoney(priceValue);
     if (currentPrice <= 0) return null;
-    const retailPrice = priceType === 'tag' ? currentPrice : currentPrice / (1 - salePercent / 100);
+    const retailPrice = priceType === 'tag' ? currentPrice : currentPrice / (1 - salePercentFor(itemName) / 100);
     if (retailPrice <= 0) return null;
-    return Math.round((retailPrice / 3.3) * 100) / 100;
+    return Math.round((retailPrice / landingDivisorFor(storeSettings, itemName)) * 100) / 100;
   };
 
-  // Inverse of computeEstimatedLanding: landing × 3.3 = full retail, then retail → entered-price space
-  const computeEstimatedPrice = (landingValue) => {
+  // Inverse of computeEstimatedLanding: landing × divisor = full retail, then retail → entered-price space
+  const computeEstimatedPrice = (landingValue, itemName) => {
     const landing = parseMoney(landingValue);
     if (landing <= 0) return null;
-    const retailPrice = landing * 3.3;
-    const price = priceType === 'tag' ? retailPrice : retailPrice * (1 - salePercent / 100);
+    const retailPrice = landing * landingDivisorFor(storeSettings, itemName);
+    const price = priceType === 'tag' ? retailPrice : retailPrice * (1 - salePercentFor(itemName) / 100);
     if (price <= 0) return null;
     return Math.round(price * 100) / 100;
   };
@@ -516,7 +765,7 @@ export default function AshleyDealCalculator() {
       // Auto-fill landing only when it's empty or still auto-managed — never clobber a manual entry
       const landingIsAuto = item.landingAuto || String(item.landingCost).trim() === '';
       if (landingIsAuto) {
-        const estimate = computeEstimatedLanding(value);
+        const estimate = computeEstimatedLanding(value, item.name);
         next.landingCost = estimate != null ? estimate.toFixed(2) : '';
         next.landingAuto = true;
       }
@@ -579,33 +828,519 @@ export default function AshleyDealCalculator() {
     setAllItemsToMargin(n);
   };
 
-  // Re-estimate landing cost from full retail price ÷ 3.3 (manual "Est." button).
+  // Re-estimate landing cost from full retail price ÷ divisor (manual "Est." button).
   // Re-derives even over a manual entry and shows confirmation feedback.
   const estimateLandingCost = (itemId) => {
     const item = items.find(i => i.id === itemId);
     if (!item) return;
-    const estimated = computeEstimatedLanding(item.price);
+    const estimated = computeEstimatedLanding(item.price, item.name);
     if (estimated != null) {
+      const ratio = landingRatioFor(storeSettings, item.name);
       const currentPrice = parseMoney(item.price);
-      const retailPrice = priceType === 'tag' ? currentPrice : currentPrice / (1 - salePercent / 100);
+      const retailPrice = priceType === 'tag' ? currentPrice : currentPrice / (1 - salePercentFor(item.name) / 100);
       setItems(items.map(i => i.id === itemId ? { ...i, landingCost: estimated.toFixed(2), landingAuto: true } : i));
       clearError('landingCost');
-      flashEstimateFeedback(itemId, `Estimated from ${formatMoney(retailPrice)} retail ÷ 3.3`, true);
+      flashEstimateFeedback(itemId, `Estimated from ${formatMoney(retailPrice)} retail ${describeLandingRatio(ratio)}`, true);
     } else {
       flashEstimateFeedback(itemId, 'Enter a price first to estimate', false);
     }
   };
   
+  const planDraft = (p) => ({
+    id: p.id, name: p.name, categories: p.categories, tiers: formatTierList(p.tiers),
+    stepAfter: String(p.stepAfter), stepEvery: String(p.stepEvery), costPercent: p.costPercent ? String(p.costPercent) : '',
+  });
+
+  // Store settings editor: edits a string draft of one profile, validates on Save.
+  const openStoreSettings = (profile = storeSettings) => {
+    setSettingsDraft({
+      id: profile.id,
+      storeName: profile.storeName,
+      managerName: profile.managerName,
+      managerPhone: profile.managerPhone,
+      salePercents: profile.salePercents.join(', '),
+      deliveryOptions: profile.deliveryOptions.join(', '),
+      defaultDelivery: String(profile.defaultDelivery),
+      deliveryZones: profile.deliveryZones.map((z) => ({
+        id: z.id, name: z.name, zips: z.zips.join(', '),
+        ...Object.fromEntries(SERVICE_LEVELS.map(({ id }) => [id, z.prices[id] != null ? String(z.prices[id]) : ''])),
+      })),
+      haulAwayFee: String(profile.haulAwayFee),
+      freeMiles: String(profile.mileage.freeMiles),
+      perMile: String(profile.mileage.perMile),
+      soldDays: String(profile.dealRetention.soldDays),
+      lostDays: String(profile.dealRetention.lostDays),
+      marginFloor: String(profile.marginFloor),
+      marginTarget: String(profile.marginTarget),
+      categoryFloors: Object.fromEntries(
+        Object.entries(profile.categoryFloors).map(([id, f]) => [id, String(f)])
+      ),
+      promoFloor: profile.floorPromo ? String(profile.floorPromo.floor) : '',
+      promoUntil: profile.floorPromo?.until ?? '',
+      promoNote: profile.floorPromo?.note ?? '',
+      pinEntry: '',
+      newPin: '',
+      clearPin: false,
+      protectionPlans: profile.protectionPlans.map(planDraft),
+      landingDivisor: String(profile.landingDivisor),
+      categoryDivisors: Object.fromEntries(
+        Object.entries(profile.categoryDivisors).map(([id, d]) => [id, String(d)])
+      ),
+      taxProfiles: profile.taxProfiles.map((p) => ({
+        id: p.id, name: p.name, rate: String(p.rate), zips: p.zips.join(', '),
+        taxDelivery: p.taxDelivery, taxProtection: p.taxProtection,
+      })),
+      financingPlans: profile.financingPlans.map((p) => ({
+        id: p.id, name: p.name, months: String(p.months), apr: String(p.apr),
+        minPurchase: p.minPurchase ? String(p.minPurchase) : '', downPercent: p.downPercent ? String(p.downPercent) : '',
+      })),
+      coupons: profile.coupons.map((c) => ({ ...c, id: c.code, value: String(c.value) })),
+      promotions: profile.promotions.map((p) => ({ ...p, salePercent: p.salePercent == null ? '' : String(p.salePercent) })),
+    });
+    setSettingsError(null);
+    setPolicyUnlocked(false);
+    setShowStoreSettings(true);
+  };
+
+  const unlockPolicy = () => {
+    const profile = stores.profiles.find(p => p.id === settingsDraft.id);
+    if (pinMatches(settingsDraft.pinEntry, profile?.policyPinHash)) {
+      setPolicyUnlocked(true);
+      setSettingsError(null);
+    } else {
+      setSettingsError('Wrong manager PIN.');
+    }
+    setSettingsDraft({ ...settingsDraft, pinEntry: '' });
+  };
+
+  const persistStores = (next) => {
+    setStores(next);
+    saveStores(next);
+  };
+
+  // Switching stores keeps the deal but drops choices that belong to the old store.
+  const switchStore = (id) => {
+    const next = { ...stores, activeId: id };
+    const profile = activeProfile(next);
+    persistStores(next);
+    setTaxProfileId(null);
+    if (!profile.salePercents.includes(salePercent)) setSalePercent(profile.salePercents[0]);
+    openStoreSettings(profile);
+    showToast(`Switched to ${profile.storeName}`);
+  };
+
+  const addStore = () => {
+    const profile = copyProfile(storeSettings, `${storeSettings.storeName} (copy)`);
+    persistStores({ activeId: profile.id, profiles: [...stores.profiles, profile] });
+    setTaxProfileId(null);
+    openStoreSettings(profile);
+  };
+
+  const removeStore = (id) => {
+    setConfirmRemoveStore(null);
+    const profiles = stores.profiles.filter(p => p.id !== id);
+    if (!profiles.length) return;
+    const next = { activeId: stores.activeId === id ? profiles[0].id : stores.activeId, profiles };
+    persistStores(next);
+    setTaxProfileId(null);
+    openStoreSettings(activeProfile(next));
+  };
+
+  const applyStoreSettings = () => {
+    const storeName = settingsDraft.storeName.trim();
+    if (!storeName) {
+      setSettingsError('Store name is required.');
+      return;
+    }
+    const salePercents = parseNumberList(settingsDraft.salePercents, 0, 90);
+    if (!salePercents) {
+      setSettingsError('Sale percents must be numbers from 0 to 90, e.g. "30, 35, 40".');
+      return;
+    }
+    const deliveryOptions = parseNumberList(settingsDraft.deliveryOptions, 0);
+    const defaultDelivery = parseNumberList(settingsDraft.defaultDelivery, 0)?.[0];
+    if (!deliveryOptions || defaultDelivery == null) {
+      setSettingsError('Delivery tiers and the default delivery must be dollar amounts.');
+      return;
+    }
+    const haulAwayFee = parseNumberList(settingsDraft.haulAwayFee || '0', 0)?.[0];
+    const freeMiles = parseNumberList(settingsDraft.freeMiles || '0', 0)?.[0];
+    const perMile = parseNumberList(settingsDraft.perMile || '0', 0)?.[0];
+    if (haulAwayFee == null || freeMiles == null || perMile == null) {
+      setSettingsError('Haul-away fee, free miles and $ per mile must be numbers.');
+      return;
+    }
+    const soldDays = parseNumberList(settingsDraft.soldDays || '0', 0)?.[0];
+    const lostDays = parseNumberList(settingsDraft.lostDays || '0', 0)?.[0];
+    if (soldDays == null || lostDays == null) {
+      setSettingsError('Days to keep sold and lost deals must be whole numbers (0 keeps them forever).');
+      return;
+    }
+    const deliveryZones = [];
+    for (const [i, row] of settingsDraft.deliveryZones.entries()) {
+      const prices = Object.fromEntries(SERVICE_LEVELS.map(({ id }) => [id, String(row[id]).trim()]).filter(([, v]) => v));
+      if (!row.name.trim() && !row.zips.trim() && !Object.keys(prices).length) continue;
+      const zone = Object.values(prices).every(v => parseNumberList(v, 0))
+        && validDeliveryZone({ id: row.id, name: row.name, zips: row.zips, prices });
+      if (!zone) {
+        setSettingsError(`Delivery zone ${i + 1}: needs a name and at least one service-level price.`);
+        return;
+      }
+      deliveryZones.push(zone);
+    }
+    // A locked policy is saved exactly as it was; only an unlocked one is re-read from the draft
+    const saved = stores.profiles.find(p => p.id === settingsDraft.id);
+    const policyLocked = Boolean(saved?.policyPinHash) && !policyUnlocked;
+    const marginFloor = parseNumberList(settingsDraft.marginFloor, 0, 90)?.[0];
+    const marginTarget = parseNumberList(settingsDraft.marginTarget, 0, 95)?.[0];
+    if (!policyLocked && (marginFloor == null || marginTarget == null || marginTarget < marginFloor)) {
+      setSettingsError('Margin floor must be 0–90% and the target at or above it.');
+      return;
+    }
+    const categoryFloors = {};
+    for (const { id, label } of LANDING_CATEGORIES) {
+      const raw = String(settingsDraft.categoryFloors[id] ?? '').trim();
+      if (policyLocked || !raw) continue;
+      const f = parseNumberList(raw, 0, 90)?.[0];
+      if (f == null) {
+        setSettingsError(`${label} floor must be 0–90% (or blank for the store floor).`);
+        return;
+      }
+      categoryFloors[id] = f;
+    }
+    const promoFields = [settingsDraft.promoFloor, settingsDraft.promoUntil, settingsDraft.promoNote];
+    const floorPromo = promoFields.some(v => String(v).trim())
+      ? validFloorPromo({ floor: settingsDraft.promoFloor, until: settingsDraft.promoUntil, note: settingsDraft.promoNote })
+      : null;
+    if (!policyLocked && promoFields.some(v => String(v).trim()) && !floorPromo) {
+      setSettingsError('Promo floor needs a floor from 0 to 90% and an end date.');
+      return;
+    }
+    const newPin = settingsDraft.newPin.trim();
+    if (!policyLocked && newPin && !/^\d{4,8}$/.test(newPin)) {
+      setSettingsError('Manager PIN must be 4–8 digits.');
+      return;
+    }
+    const protectionPlans = [];
+    for (const [i, row] of settingsDraft.protectionPlans.entries()) {
+      const tiers = parseTierList(row.tiers);
+      const stepAfter = parseNumberList(row.stepAfter || '0', 0)?.[0];
+      const stepEvery = parseNumberList(row.stepEvery || '1000', 1)?.[0];
+      const costPercent = parseNumberList(row.costPercent || '0', 0, 100)?.[0];
+      const plan = tiers && stepAfter != null && stepEvery != null && costPercent != null
+        && validProtectionPlan({ ...row, tiers, stepAfter, stepEvery, costPercent });
+      if (!plan) {
+        setSettingsError(`Protection plan ${i + 1}: needs a name, tiers like "1000:150, 2000:200", and a cost of 0–100%.`);
+        return;
+      }
+      protectionPlans.push(plan);
+    }
+    if (!protectionPlans.length) {
+      setSettingsError('Keep at least one protection plan.');
+      return;
+    }
+    const landingDivisor = validDivisor(settingsDraft.landingDivisor);
+    if (landingDivisor == null) {
+      setSettingsError('Landing divisor must be a number of 1 or more.');
+      return;
+    }
+    const categoryDivisors = {};
+    for (const { id, label } of LANDING_CATEGORIES) {
+      const raw = String(settingsDraft.categoryDivisors[id] ?? '').trim();
+      if (!raw) continue;
+      const d = validDivisor(raw);
+      if (d == null) {
+        setSettingsError(`${label} divisor must be a number of 1 or more (or blank for the default).`);
+        return;
+      }
+      categoryDivisors[id] = d;
+    }
+    const financingPlans = [];
+    for (const [i, row] of settingsDraft.financingPlans.entries()) {
+      if (!String(row.months).trim() && !String(row.apr).trim() && !row.name.trim()) continue;
+      const plan = validPlan(row);
+      if (!plan) {
+        setSettingsError(`Financing plan ${i + 1}: months must be 1–120, APR 0–60%, down payment under 100%.`);
+        return;
+      }
+      financingPlans.push(plan);
+    }
+    const taxProfiles = [];
+    for (const [i, row] of settingsDraft.taxProfiles.entries()) {
+      if (!row.name.trim() && !String(row.rate).trim()) continue;
+      const profile = validTaxProfile(row);
+      if (!profile) {
+        setSettingsError(`Tax jurisdiction ${i + 1}: needs a name and a rate from 0 to 20%.`);
+        return;
+      }
+      taxProfiles.push(profile);
+    }
+    if (!taxProfiles.length) {
+      setSettingsError('Keep at least one tax jurisdiction (the store\'s home county).');
+      return;
+    }
+    const coupons = [];
+    for (const [i, row] of settingsDraft.coupons.entries()) {
+      if (!row.code.trim() && !row.name.trim() && !String(row.value).trim()) continue;
+      const coupon = validCoupon(row);
+      if (!coupon) {
+        setSettingsError(`Coupon ${i + 1}: code must be 3–20 letters/digits, with an amount (percent up to 90).`);
+        return;
+      }
+      if (coupons.some(c => c.code === coupon.code)) {
+        setSettingsError(`Coupon ${i + 1}: ${coupon.code} is already on the list.`);
+        return;
+      }
+      coupons.push(coupon);
+    }
+    const promotions = [];
+    for (const [i, row] of settingsDraft.promotions.entries()) {
+      if (!row.name.trim() && !row.start && !row.end && !String(row.salePercent).trim()) continue;
+      const promo = validPromotion(row);
+      if (!promo) {
+        setSettingsError(`Promotion ${i + 1}: needs a name, a start and end date (end on or after start), and a sale % of 0–90 or blank.`);
+        return;
+      }
+      promotions.push(promo);
+    }
+    const next = normalizeSettings({
+      ...stores.profiles.find(p => p.id === settingsDraft.id),
+      storeName,
+      managerName: settingsDraft.managerName,
+      managerPhone: settingsDraft.managerPhone,
+      salePercents,
+      deliveryOptions,
+      defaultDelivery,
+      deliveryZones,
+      haulAwayFee,
+      mileage: { freeMiles, perMile },
+      dealRetention: { soldDays, lostDays },
+      ...(policyLocked ? {} : {
+        marginFloor,
+        marginTarget,
+        categoryFloors,
+        floorPromo,
+        ...(newPin ? { policyPinHash: hashPin(newPin) } : settingsDraft.clearPin ? { policyPinHash: '' } : {}),
+      }),
+      protectionPlans,
+      landingDivisor,
+      categoryDivisors,
+      financingPlans,
+      taxProfiles,
+      coupons,
+      promotions,
+    });
+    persistStores({ ...stores, profiles: stores.profiles.map(p => (p.id === next.id ? next : p)) });
+    setShowStoreSettings(false);
+    showToast('Store settings saved');
+  };
+
+  // Catalog import (Store Settings): validate and diff first; nothing is written
+  // until the manager reviews the preview and commits. A price sheet replaces the whole catalog.
+  const importCatalogFile = async (file) => {
+    if (!file) return;
+    try {
+      const { products, errors } = parseCatalog(await file.text());
+      const current = await loadCatalog().catch(() => []);
+      const diff = diffCatalog(current, products, {
+        salePercent,
+        marginFloor: (p) => floorFor(policy, landingCategoryFor(p.name)),
+      });
+      setCatalogPreview({ fileName: file.name, products, errors, diff });
+      setSettingsError(null);
+    } catch (e) {
+      setSettingsError(`Couldn't read file: ${e.message}`);
+    }
+  };
+
+  // The file replaces the catalog, so a rejected row would drop its SKU from the
+  // floor; the sheet has to import clean.
+  const commitCatalogImport = async () => {
+    const { products, errors } = catalogPreview;
+    if (errors.length) return;
+    try {
+      setCatalogCount(await replaceCatalog(products));
+      setCatalogPreview(null);
+      showToast(`Imported ${products.length} products`);
+    } catch (e) {
+      setSettingsError(`Couldn't import: ${e.message}`);
+      setCatalogPreview(null);
+    }
+  };
+
+  const toggleSkuSearch = (itemId) => {
+    if (skuQuery[itemId] !== undefined) {
+      setSkuQuery(prev => { const next = { ...prev }; delete next[itemId]; return next; });
+      setSkuResults(prev => { const next = { ...prev }; delete next[itemId]; return next; });
+    } else {
+      setSkuQuery(prev => ({ ...prev, [itemId]: '' }));
+    }
+  };
+
+  // Discounts: an open draft row per item id (or 'order'); Add turns it into a deal discount.
+  const toggleDiscountDraft = (key) => {
+    setDiscountDraft(prev => {
+      const next = { ...prev };
+      if (next[key]) delete next[key];
+      else next[key] = { type: 'percent', value: '' };
+      return next;
+    });
+  };
+
+  const addDiscount = (itemId) => {
+    const key = itemId ?? 'order';
+    const draft = discountDraft[key];
+    if (!draft || !String(draft.value).trim()) return;
+    const coupon = draft.type === 'coupon';
+    setDiscounts([...discounts, ...normalizeDiscounts([{
+      id: Date.now(), itemId, type: draft.type, value: coupon ? '' : draft.value, code: coupon ? draft.value : '',
+    }])]);
+    setDiscountDraft({ ...discountDraft, [key]: { ...draft, value: '' } });
+  };
+
+  const removeDiscount = (id) => setDiscounts(discounts.filter(d => d.id !== id));
+
+  // Chips for the discounts on an item (or the order) plus the draft row when open.
+  const renderDiscounts = (itemId) => {
+    const key = itemId ?? 'order';
+    const draft = discountDraft[key];
+    const mine = discounts.filter(d => d.itemId === itemId);
+    if (!mine.length && !draft) return null;
+    return (
+      <div className="discount-list">
+        {mine.map(d => {
+          const applied = discountDetails.find(a => a.id === d.id);
+          const rejected = resolvedDiscounts.rejected.find(r => r.discount.id === d.id);
+          return (
+            <span key={d.id} className={`discount-chip${rejected ? ' rejected' : ''}`}>
+              {applied ? `${applied.code ? `${applied.code} · ` : ''}${applied.label} −${formatMoney(applied.amount)}` : rejected?.reason}
+              <button className="discount-chip-remove" onClick={() => removeDiscount(d.id)} aria-label="Remove discount">×</button>
+            </span>
+          );
+        })}
+        {draft && (
+          <div className="discount-draft">
+            <div className="pill-group-compact">
+              {DISCOUNT_TYPES.map(t => (
+                <button
+                  key={t.id}
+                  className={`pill-compact ${draft.type === t.id ? 'selected' : ''}`}
+                  onClick={() => setDiscountDraft({ ...discountDraft, [key]: { ...draft, type: t.id } })}
+                >{t.label}</button>
+              ))}
+            </div>
+            <input
+              type="text"
+              className="input-compact"
+              placeholder={draft.type === 'coupon' ? 'Code' : draft.type === 'percent' ? '% off' : '$ off'}
+              value={draft.value}
+              onChange={(e) => setDiscountDraft({ ...discountDraft, [key]: { ...draft, value: e.target.value } })}
+              onKeyDown={(e) => { if (e.key === 'Enter') addDiscount(itemId); }}
+              inputMode={draft.type === 'coupon' ? 'text' : 'decimal'}
+              aria-label={itemId == null ? 'Order discount' : 'Item discount'}
+            />
+            <button className="calc-use-btn" onClick={() => addDiscount(itemId)}>Add</button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const runSkuSearch = (itemId, query) => {
+    setSkuQuery(prev => ({ ...prev, [itemId]: query }));
+    searchCatalog(query).then(results => setSkuResults(prev => ({ ...prev, [itemId]: results })));
+  };
+
+  // Item fields for a catalog product. Tag price → entered-price space the same
+  // way computeEstimatedPrice does; a known landing cost beats the estimate.
+  const catalogItemFields = (product) => {
+    const price = priceType === 'tag' ? product.tagPrice : product.tagPrice * (1 - salePercentFor(product.name) / 100);
+    const landing = product.landingCost != null
+      ? product.landingCost
+      : computeEstimatedLanding(price, product.name);
+    return {
+      sku: product.sku,
+      name: product.name,
+      price: price.toFixed(2),
+      priceAuto: false,
+      marginSet: false,
+      selectedMargin: null,
+      originalPrice: undefined,
+      landingCost: landing != null ? landing.toFixed(2) : '',
+      landingAuto: product.landingCost == null,
+    };
+  };
+
+  const showCatalogName = (itemId, name) => {
+    if (!isItemPreset(name)) {
+      setShowCustomInput(prev => ({ ...prev, [itemId]: true }));
+    }
+  };
+
+  // One tap fills name, price and landing.
+  const fillFromCatalog = (itemId, product) => {
+    setItems(items.map(item => item.id !== itemId ? item : { ...item, ...catalogItemFields(product) }));
+    showCatalogName(itemId, product.name);
+    toggleSkuSearch(itemId);
+    clearError('price');
+    clearError('landingCost');
+  };
+
+  // Scanned (or typed) tag → new item row; a still-blank last row is replaced.
+  // Resolves to the status line the scan sheet shows.
+  const addScannedItem = async (code) => {
+    // Another phone's deal QR: review it like a deal file, whichever scan button found it
+    if (isDealQr(code)) {
+      try {
+        const shared = await decodeDealQr(code);
+        setShowScanner(false);
+        setPendingImport(shared);
+        return { ok: true, text: 'Deal read' };
+      } catch (e) {
+        return { ok: false, text: e.message };
+      }
+    }
+    const product = await lookupCode(code);
+    if (!product) {
+      return { ok: false, text: catalogCount ? `${code} isn't in the catalog` : 'No catalog loaded — import one from ⋮ → Store Settings' };
+    }
+    const fields = catalogItemFields(product);
+    const targetId = Date.now();
+    // From the latest rows, not the ones captured before the lookup: a quick
+    // second scan (or an edit) may have landed while this one was awaiting.
+    setItems((prev) => {
+      const last = prev[prev.length - 1];
+      const lastIsBlank = last && !String(last.name).trim() && !String(last.price).trim() && !String(last.landingCost).trim();
+      return [...(lastIsBlank ? prev.slice(0, -1) : prev), { ...createEmptyItem(targetId), ...fields }];
+    });
+    showCatalogName(targetId, product.name);
+    clearError('price');
+    clearError('landingCost');
+    return { ok: true, text: `Added ${product.sku} ${product.name} — ${formatMoney(parseMoney(fields.price))}` };
+  };
+
   const startOver = () => {
     setShowConfirmReset(true);
   };
 
   const confirmStartOver = () => {
-    setSalePercent(30);
-    setNoTaxPromo(true);
+    const defaults = dealDefaults(storeSettings, activePromo);
+    setDealId(Date.now());
+    setSalePercent(defaults.salePercent);
+    setNoTaxPromo(defaults.noTaxPromo);
+    setPromoId(activePromo?.id ?? null);
     setPriceType('sale');
-    setDelivery(String(DEFAULT_DELIVERY));
+    setManualDelivery(String(storeSettings.defaultDelivery));
+    setDeliveryPlan(EMPTY_DELIVERY_PLAN);
     setItems([createEmptyItem(1)]);
+    setPackages([]);
+    setScenarios([]);
+    setPayment(EMPTY_PAYMENT);
+    setCustomer(EMPTY_CUSTOMER);
+    setDiscounts([]);
+    setDiscountDraft({});
+    setTaxZip('');
+    setTaxProfileId(null);
     setErrors({});
     setExpandedItemPresets({});
     setShowCustomInput({});
@@ -614,15 +1349,26 @@ export default function AshleyDealCalculator() {
     setShowConfirmReset(false);
   };
 
-
   const restoreFromHistory = (entry) => {
+    setDealId(entry.dealId ?? entry.id);
     setItems(entry.items.map((item, index) => normalizeItem(item, Date.now() + index)));
-    setDelivery(String(entry.delivery));
-    setNoTaxPromo(entry.noTaxPromo);
+    setPackages(normalizePackages(entry.packages));
+    setScenarios([]);
+    setPayment(normalizePayment(entry.payment));
+    setCustomer(normalizeCustomer(entry.customer));
+    setDiscounts(normalizeDiscounts(entry.discounts));
+    setDiscountDraft({});
+    setTaxZip(entry.taxZip ?? '');
+    setTaxProfileId(entry.taxProfileId ?? null);
+    setManualDelivery(String(entry.delivery ?? storeSettings.defaultDelivery));
+    setDeliveryPlan(normalizeDeliveryPlan(entry.deliveryPlan ?? { mode: 'manual' }));
+    setNoTaxPromo(Boolean(entry.noTaxPromo));
     setPriceType(entry.priceType ?? 'sale');
     setSalePercent(entry.salePercent ?? 30);
     setIncludeProtection(entry.includeProtection ?? false);
     setShowHistory(false);
+    setShowSavedDeals(false);
+    setSavedDealsFilter('');
     setShowResults(false);
     setErrors({});
   };
@@ -637,17 +1383,11 @@ export default function AshleyDealCalculator() {
     return `${Math.floor(hrs / 24)}d ago`;
   };
 
-  const getMarginColor = (margin) => {
-    if (margin >= 50) return colors.success.main;
-    if (margin >= 47) return colors.warning.main;
-    return colors.error.main;
-  };
-
-  const getMarginLabel = (margin) => {
-    if (margin >= 50) return 'Great';
-    if (margin >= 47) return 'OK';
-    return 'Too Low';
-  };
+  // Verdict colors: pass the floor that applies (an item's category floor, the deal's blended floor)
+  const BAND_COLORS = { great: colors.success, ok: colors.warning, low: colors.error };
+  const BAND_LABELS = { great: 'Great', ok: 'OK', low: 'Too Low' };
+  const getMarginColor = (margin, floor = marginFloor) => BAND_COLORS[marginBand(margin, floor, Math.max(marginTarget, floor))].main;
+  const getMarginLabel = (margin, floor = marginFloor) => BAND_LABELS[marginBand(margin, floor, Math.max(marginTarget, floor))];
 
   // Copy helper with feedback
   const copyToClipboard = (text) => {
@@ -693,12 +1433,12 @@ export default function AshleyDealCalculator() {
     </div>
   );
 
-  const MarginBadge = ({ margin }) => {
-    const config = margin >= 50
-      ? { bg: colors.success.light, color: colors.success.main, label: '✓ GREAT' }
-      : margin >= 47
-      ? { bg: colors.warning.light, color: colors.warning.main, label: '⚠ OK' }
-      : { bg: colors.error.light, color: colors.error.main, label: '✗ LOW' };
+  const MarginBadge = ({ margin, floor = marginFloor }) => {
+    const config = {
+      great: { bg: colors.success.light, color: colors.success.main, label: '✓ GREAT' },
+      ok: { bg: colors.warning.light, color: colors.warning.main, label: '⚠ OK' },
+      low: { bg: colors.error.light, color: colors.error.main, label: '✗ LOW' },
+    }[marginBand(margin, floor, Math.max(marginTarget, floor))];
 
     return (
       <span
@@ -807,18 +1547,28 @@ export default function AshleyDealCalculator() {
     return () => document.removeEventListener('keydown', handleKeyDown);
   });
 
-  const salePercentOptions = [30, 35, 40];
-  const deliveryOptions = ['0', '100', '135', '150'];
+  const salePercentOptions = salePercentChoices(storeSettings, activePromo);
+  const deliveryOptions = storeSettings.deliveryOptions.map(String);
 
   const cycleNextSalePercent = () => {
     const idx = salePercentOptions.indexOf(salePercent);
     setSalePercent(salePercentOptions[(idx + 1) % salePercentOptions.length]);
   };
 
+  const priceDeliveryByZone = () => {
+    setDeliveryPlan(plan => ({ ...plan, mode: 'zone' }));
+    setShowCustomDelivery(false);
+  };
+  const setDeliveryPlanField = (field, value) => setDeliveryPlan(plan => ({ ...plan, [field]: value }));
+
+  // Cycles the store's tiers; with zone pricing the cycle ends back on the zone price
   const cycleNextDelivery = () => {
     const idx = deliveryOptions.indexOf(delivery);
-    if (idx === -1) {
+    if (zoneDelivery || idx === -1) {
       setDelivery(deliveryOptions[0]);
+    } else if (deliveryQuote && idx === deliveryOptions.length - 1) {
+      priceDeliveryByZone();
+      return;
     } else {
       setDelivery(deliveryOptions[(idx + 1) % deliveryOptions.length]);
     }
@@ -832,11 +1582,11 @@ export default function AshleyDealCalculator() {
       'Enter the landing cost.',
       'Check the color indicator.',
     ],
-    example: 'Landing cost $500 at 50% margin means a $1,000 sale price.',
+    example: `Landing cost $500 at ${marginTarget}% margin means a ${formatMoney(priceForMargin(500, marginTarget))} sale price.`,
     mistake: noTaxPromo
       ? "No-Tax Promo is ON: enter the customer's price including tax."
       : 'Prices should be entered before tax.',
-    note: 'Below 47% margin -- stop and call a manager.',
+    note: `Below ${marginFloor}% margin -- stop and call a manager.`,
   };
 
   const calcSnapshot = useMemo(
@@ -846,11 +1596,15 @@ export default function AshleyDealCalculator() {
       priceType,
       delivery,
       includeProtection,
-      overallMargin,
-      customerTotal,
-      subtotal,
-    }),
-    [items, salePercent, noTaxPromo, priceType, delivery, includeProtection, overallMargin, customerTotal, subtotal]
+      financing: bestFinancing && { plan: bestFinancing.plan.name, monthly: bestFinancing.monthly },
+      tax: describeTaxProfile(taxProfile),
+      promo: activePromo && describePromotion(activePromo, categoryLabel),
+      deliveryQuote: zoneDelivery && describeDeliveryQuote(zoneDelivery, deliveryPlan),
+      // The policy in force today, so an active promo floor reaches the coach too,
+      // and the rate this deal is taxed at
+      store: { ...storeSettings, marginFloor, marginTarget, categoryFloors: policy.categoryFloors, floorPromo: policy.promo, taxRate: taxProfile.rate },
+    }, deal),
+    [items, salePercent, noTaxPromo, priceType, delivery, includeProtection, deal, bestFinancing, taxProfile, zoneDelivery, deliveryPlan, storeSettings, policy, activePromo]
   );
 
   const setItemFields = useCallback((index, fields) => {
@@ -893,7 +1647,8 @@ export default function AshleyDealCalculator() {
     setIncludeProtection,
     setAllItemsToMargin,
     clearItems,
-  }), [setItemFields, estimateLandingByIndex, setAllItemsToMargin, clearItems]);
+    store: { salePercents: storeSettings.salePercents, marginTargets: marginSteps(marginTarget, marginFloor, Infinity) },
+  }), [setItemFields, estimateLandingByIndex, setAllItemsToMargin, clearItems, storeSettings.salePercents, marginTarget, marginFloor]);
 
   return (
     <div className="app">
@@ -2021,6 +2776,9 @@ export default function AshleyDealCalculator() {
         }
 
         /* Settings chip bar */
+        .promo-banner { margin-bottom: 8px; padding: 6px 10px; border-radius: var(--radius-sm); border: 1px solid var(--warning); color: var(--warning); font-size: var(--text-xs); }
+        .promo-hint { font-size: 11px; color: var(--warning); margin-top: 4px; padding-left: 2px; }
+        .quote-promo { font-size: 12px; font-weight: 700; color: #8a6418; text-transform: uppercase; letter-spacing: 0.08em; margin-top: 4px; }
         .settings-bar {
           display: flex;
           gap: 8px;
@@ -2074,6 +2832,11 @@ export default function AshleyDealCalculator() {
           font-weight: 600;
           color: var(--text);
         }
+        .settings-modal-content .setting-hint {
+          font-size: 10px;
+          color: var(--muted);
+          margin-top: -4px;
+        }
 
         /* Compact pills for settings */
         .pill-group-compact {
@@ -2253,38 +3016,197 @@ export default function AshleyDealCalculator() {
           background: rgba(226,55,68,0.1);
           border-color: var(--primary);
         }
-        .estimate-feedback {
-          font-size: 12px;
-          font-weight: 600;
-          margin-top: 6px;
-          padding-left: 2px;
-          animation: fadeIn 0.15s ease-out;
-        }
-        @keyframes fadeIn {
-          from { opacity: 0; transform: translateY(-2px); }
-          to { opacity: 1; transform: translateY(0); }
+        .scenario-sheet { max-width: 720px; }
+        /* Saved deals sheet + results customer card */
+        .saved-deals-sheet { max-width: 560px; }
+        .saved-deal { border: 1px solid var(--line); border-radius: 8px; padding: 10px 12px; margin-bottom: 8px; }
+        .saved-deal.current { border-color: var(--crimson); }
+        .saved-deal-head { display: flex; justify-content: space-between; gap: 8px; font-size: 14px; }
+        .saved-deal-head span { font-size: 11px; color: var(--muted); white-space: nowrap; }
+        .saved-deal-meta { display: flex; flex-wrap: wrap; gap: 4px 10px; font-size: 12px; color: var(--muted); margin-top: 2px; }
+        .saved-deal-notes { font-size: 12px; color: var(--text); margin-top: 4px; white-space: pre-wrap; }
+        .saved-deal-actions { display: flex; align-items: center; gap: 8px; margin-top: 8px; }
+        .saved-deal-actions .pill-group-compact { flex: 1; }
+        .saved-deal-empty { font-size: 13px; color: var(--muted); text-align: center; padding: 16px 0; }
+        .customer-fields { display: grid; grid-template-columns: 3fr 2fr; gap: 6px; margin-bottom: 6px; }
+        .customer-notes { width: 100%; resize: vertical; margin-bottom: 6px; font-family: inherit; }
+        .deal-transfer { display: flex; gap: 8px; margin-top: 8px; }
+        .deal-transfer .result-btn { flex: 1; }
+        .deal-qr-sheet { max-width: 420px; }
+        .deal-qr { display: block; width: 100%; max-width: 360px; margin: 0 auto 10px; border-radius: 6px; }
+        .import-review { max-width: 380px; }
+        .import-review .error-text { margin-top: 6px; }
+        .import-actions { display: flex; gap: 8px; margin-top: 12px; }
+        .import-actions .calc-use-btn { flex: 1; }
+        .customer-followup, .saved-deal-followup { display: flex; align-items: center; gap: 8px; font-size: 12px; color: var(--muted); margin-bottom: 6px; }
+        .customer-followup input, .saved-deal-followup input { width: auto; }
+        .saved-deal-followup { margin: 6px 0 0; }
+        .saved-deal-followup.due { color: var(--crimson); font-weight: 600; }
+        .scenario-grid {
+          display: grid;
+          grid-auto-flow: column;
+          grid-auto-columns: minmax(150px, 1fr);
+          gap: 8px;
+          overflow-x: auto;
         }
-
-        /* Toggle compact */
-        .toggle-compact {
-          width: 44px;
-          height: 24px;
-          background: var(--surface-2);
+        .scenario-col {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          padding: 10px;
           border: 1px solid var(--line);
-          border-radius: 12px;
-          position: relative;
-          cursor: pointer;
-          transition: all 0.15s;
-          flex-shrink: 0;
+          border-radius: var(--radius-sm);
         }
-        .toggle-compact.on { 
-          background: var(--primary);
-          border-color: var(--primary);
+        .scenario-col.current { border-color: var(--crimson); }
+        .scenario-col .pill-compact:disabled { cursor: default; }
+        .scenario-name { font-weight: 700; font-size: var(--text-sm); color: var(--text); min-height: 36px; display: flex; align-items: center; }
+        .scenario-label { font-size: 11px; font-weight: 600; color: var(--muted); margin-top: 4px; }
+        .scenario-results { margin-top: 8px; border-top: 1px solid var(--line); padding-top: 8px; display: flex; flex-direction: column; gap: 4px; }
+        .scenario-stat { display: flex; justify-content: space-between; gap: 6px; font-size: 12px; color: var(--muted); }
+        .scenario-stat strong { color: var(--text); }
+        .scenario-stat strong.below-floor { color: var(--danger); }
+        .scenario-stat strong.best { color: var(--success); }
+        .scenario-actions { display: flex; flex-direction: column; gap: 6px; margin-top: 6px; }
+        .package-card {
+          border: 1px dashed var(--crimson);
+          border-radius: var(--radius-sm);
+          padding: 8px;
+          margin-bottom: 8px;
         }
-        .toggle-compact::after {
-          content: '';
-          position: absolute;
-          top: 2px;
+        .package-row { display: flex; gap: 6px; align-items: center; }
+        .package-hint { font-size: 11px; color: var(--muted); margin-top: 4px; padding-left: 2px; }
+        /* Financing (results card + Store Settings plan rows) */
+        .finance-card { border: 1px solid var(--line); border-radius: 8px; padding: 12px; margin-top: 12px; }
+        .finance-card-head { display: flex; justify-content: space-between; align-items: center; gap: 8px; font-size: 12px; font-weight: 600; color: var(--muted); margin-bottom: 6px; }
+        .finance-down { display: flex; align-items: center; gap: 4px; font-weight: 400; }
+        .finance-down .input-compact { width: 80px; padding: 4px 6px; }
+        .finance-row { display: flex; justify-content: space-between; align-items: baseline; gap: 8px; padding: 6px 0; border-top: 1px solid var(--line); font-size: 13px; }
+        .finance-row.ineligible { color: var(--muted); }
+        .finance-amount { display: flex; flex-direction: column; align-items: flex-end; }
+        .finance-amount small { font-size: 11px; color: var(--muted); }
+        .finance-empty { font-size: 12px; color: var(--muted); }
+        .payment-input { display: flex; align-items: center; gap: 6px; }
+        .payment-input .input-compact { width: 96px; padding: 4px 6px; }
+        .tax-profile-row { display: grid; grid-template-columns: 2fr 1fr 2fr auto auto auto; gap: 4px; align-items: center; }
+        .promotion-fields { display: grid; grid-template-columns: 2fr 1.4fr 1.4fr 0.8fr auto auto; gap: 4px; align-items: center; }
+        .coupon-row { display: grid; grid-template-columns: 1.2fr 1.5fr 0.9fr 0.8fr 0.9fr 1.3fr auto auto; gap: 4px; align-items: center; margin-bottom: 4px; }
+        .tax-profile-flag { display: flex; align-items: center; gap: 2px; font-size: 10px; font-weight: 400 !important; white-space: nowrap; }
+        .finance-plan-row { display: grid; grid-template-columns: 2fr 1fr 1fr 1fr 1fr auto; gap: 4px; align-items: center; }
+        .delivery-zone { display: flex; flex-direction: column; gap: 6px; margin-top: 8px; }
+        .delivery-zone-extras { display: flex; gap: 10px; }
+        .delivery-zone-extras label { display: flex; flex-direction: column; gap: 2px; font-size: 10px; font-weight: 400; }
+        .delivery-zone-extras .input-compact { width: 80px; }
+        /* Discounts (item rows + Deal Settings) */
+        .discount-list { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 6px; align-items: center; }
+        .discount-chip { display: inline-flex; align-items: center; gap: 4px; padding: 2px 4px 2px 8px; border-radius: 12px; border: 1px solid var(--success); color: var(--success); font-size: 11px; font-weight: 600; }
+        .discount-chip.rejected { border-color: var(--warning); color: var(--warning); }
+        .discount-chip-remove { border: none; background: none; color: inherit; font-size: 13px; cursor: pointer; padding: 0 2px; }
+        .discount-draft { display: flex; gap: 6px; align-items: center; width: 100%; }
+        .discount-draft .input-compact { width: 90px; flex: none; }
+        .delivery-zone-row { display: grid; grid-template-columns: 2fr 2fr 1fr 1fr 1fr auto; gap: 4px; align-items: center; }
+        .protection-plan-row { display: flex; flex-direction: column; gap: 4px; padding: 6px 0; border-top: 1px solid var(--line); }
+        .protection-plan-fields { display: grid; grid-template-columns: 2fr 3fr 1fr 1fr 1fr auto; gap: 4px; align-items: center; }
+        .policy-grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 6px; margin-top: 6px; }
+        .policy-field { display: flex; flex-direction: column; gap: 2px; font-size: 10px; font-weight: 400 !important; }
+        .policy-field.wide { grid-column: span 2; }
+        .policy-unlock { display: flex; align-items: center; gap: 6px; margin-top: 6px; }
+        .package-select { width: auto; flex: none; max-width: 110px; padding: 6px; }
+        .scan-viewport {
+          position: relative;
+          border-radius: var(--radius-md);
+          overflow: hidden;
+          background: #000;
+          aspect-ratio: 4 / 3;
+        }
+        .scan-viewport video { width: 100%; height: 100%; object-fit: cover; display: block; }
+        .scan-frame {
+          position: absolute;
+          inset: 30% 12%;
+          border: 2px solid var(--crimson);
+          border-radius: var(--radius-sm);
+          box-shadow: 0 0 0 999px rgba(0,0,0,0.35);
+        }
+        .scan-fallback { font-size: var(--text-sm); color: var(--muted); padding: 8px 2px; }
+        .scan-status { font-size: 12px; font-weight: 600; margin-top: 8px; }
+        .scan-manual { display: flex; gap: 8px; margin-top: 10px; }
+        .scan-manual .input-compact { flex: 1; }
+        .catalog-search {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          margin-top: 6px;
+        }
+        .catalog-result {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 8px;
+          border: 1px solid var(--line);
+          border-radius: var(--radius-sm);
+          background: var(--surface);
+          font-size: var(--text-xs);
+          color: var(--text);
+          cursor: pointer;
+          text-align: left;
+        }
+        .catalog-result:hover { border-color: var(--primary); }
+        .catalog-sku { font-weight: 700; color: var(--muted); flex-shrink: 0; }
+        .catalog-name { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .catalog-price { font-weight: 700; flex-shrink: 0; }
+        .catalog-empty { font-size: 12px; color: var(--muted); padding-left: 2px; }
+        .catalog-diff {
+          max-height: 55vh;
+          overflow-y: auto;
+          display: flex;
+          flex-direction: column;
+          gap: 12px;
+          font-size: var(--text-xs);
+          margin-bottom: 12px;
+        }
+        .catalog-diff-summary { font-weight: 600; color: var(--text); }
+        .catalog-diff-section {
+          display: flex;
+          flex-direction: column;
+          gap: 2px;
+          padding: 8px;
+          border: 1px solid var(--line);
+          border-radius: var(--radius-sm);
+          color: var(--text);
+        }
+        .catalog-diff-section.warn { border-color: var(--warning); }
+        .catalog-diff-section.error { border-color: var(--primary); }
+        .estimate-feedback {
+          font-size: 12px;
+          font-weight: 600;
+          margin-top: 6px;
+          padding-left: 2px;
+          animation: fadeIn 0.15s ease-out;
+        }
+        @keyframes fadeIn {
+          from { opacity: 0; transform: translateY(-2px); }
+          to { opacity: 1; transform: translateY(0); }
+        }
+
+        /* Toggle compact */
+        .toggle-compact {
+          width: 44px;
+          height: 24px;
+          background: var(--surface-2);
+          border: 1px solid var(--line);
+          border-radius: 12px;
+          position: relative;
+          cursor: pointer;
+          transition: all 0.15s;
+          flex-shrink: 0;
+        }
+        .toggle-compact.on { 
+          background: var(--primary);
+          border-color: var(--primary);
+        }
+        .toggle-compact::after {
+          content: '';
+          position: absolute;
+          top: 2px;
           left: 2px;
           width: 20px;
           height: 20px;
@@ -2402,6 +3324,7 @@ export default function AshleyDealCalculator() {
           padding: 12px 14px; border: 1px solid var(--line);
           border-radius: var(--radius-sm); background: var(--bg); color: var(--text);
           font-size: var(--text-md); min-height: 44px;
+          font-family: inherit; line-height: 1.35; resize: none;
         }
         .calc-nl-input:focus { outline: none; border-color: var(--crimson); box-shadow: 0 0 0 2px var(--crimson-glow); }
         .calc-nl-go, .calc-mic {
@@ -2452,6 +3375,38 @@ export default function AshleyDealCalculator() {
         .calc-key.wide { grid-column: span 2; }
         .calc-key.equals { grid-column: span 2; background: linear-gradient(135deg, var(--crimson) 0%, var(--primary-strong) 100%); color: white; border: none; }
         .calc-hint { color: var(--muted); font-size: 11px; text-align: center; margin-top: 10px; }
+        .calc-tabs { display: flex; gap: 6px; margin-bottom: 10px; }
+        .calc-tab {
+          flex: 1; padding: 8px 10px; border-radius: var(--radius-sm); font-size: 13px; font-weight: 700;
+          background: var(--surface-2); border: 1px solid var(--line); color: var(--muted); cursor: pointer;
+        }
+        .calc-tab.active { background: var(--crimson); border-color: var(--crimson); color: white; }
+        .calc-pad {
+          display: grid; grid-template-columns: 1fr auto; max-height: 45vh; overflow-y: auto; margin-bottom: 10px;
+          border: 1px solid var(--line); border-radius: var(--radius-sm); background: var(--bg);
+        }
+        .calc-pad-input {
+          min-width: 0; padding: 10px 12px; border: none; background: transparent; color: var(--text);
+          font-family: inherit; font-size: 15px; line-height: 24px; resize: none; overflow: hidden; white-space: pre;
+        }
+        .calc-pad-input:focus { outline: none; }
+        .calc-pad-gutter { padding: 10px 12px; border-left: 1px solid var(--line); min-width: 96px; }
+        .calc-pad-line {
+          height: 24px; line-height: 24px; font-size: 14px; font-weight: 600; text-align: right;
+          color: var(--text); font-variant-numeric: tabular-nums; white-space: nowrap;
+        }
+        .calc-pad-line.used { color: var(--muted); font-weight: 400; }
+        .calc-pad-line.error { color: var(--warning); }
+        .calc-pad-total-label { color: var(--muted); font-size: 14px; font-weight: 600; }
+        .calc-pad-clear {
+          margin-left: 8px; padding: 4px 10px; border-radius: 999px; font-size: 12px; font-weight: 600;
+          background: var(--surface-2); border: 1px solid var(--line); color: var(--muted); cursor: pointer;
+        }
+        .calc-mode-btn {
+          display: block; margin: 6px auto 0; padding: 4px 10px; border-radius: 999px; font-size: 11px; font-weight: 600;
+          background: var(--surface-2); border: 1px solid var(--line); color: var(--text); cursor: pointer;
+        }
+        .calc-mode-btn.active { background: var(--crimson); border-color: var(--crimson); color: white; }
 
         @media (prefers-reduced-motion: reduce) {
           * { animation: none !important; transition: none !important; }
@@ -2498,6 +3453,8 @@ export default function AshleyDealCalculator() {
         .quote-savings { text-align: center; margin-top: 22px; }
         .quote-savings-label { font-size: 12px; text-transform: uppercase; letter-spacing: 0.1em; color: #777; }
         .quote-savings-amount { font-size: 34px; font-weight: 800; color: #b3261e; line-height: 1.1; margin-top: 2px; }
+        .quote-financing { margin-top: 18px; border-top: 1px dashed #d8d3c8; padding-top: 12px; }
+        .quote-financing .quote-savings-label { text-align: center; margin-bottom: 6px; }
         .quote-prepared { text-align: center; font-style: italic; color: #999; font-size: 12px; margin-top: 18px; }
         @media (max-width: 480px) {
           .quote-cards { flex-direction: column; }
@@ -2540,7 +3497,7 @@ export default function AshleyDealCalculator() {
           </button>
           <div className="header-content">
             <h1>Deal Depth</h1>
-            <p>Ashley HomeStore • Gilroy</p>
+            <p>{storeSettings.storeName}</p>
           </div>
           <div style={{ display: 'flex', gap: 8 }}>
             <button
@@ -2566,6 +3523,36 @@ export default function AshleyDealCalculator() {
               >
                 History {history.length > 0 && `(${history.length})`}
               </button>
+              <button
+                className="header-menu-item"
+                onClick={() => { setShowSavedDeals(true); setMenuOpen(false); }}
+              >
+                Saved Deals {followUpsDueCount > 0 && `(${followUpsDueCount} due)`}
+              </button>
+              <button
+                className="header-menu-item"
+                onClick={() => { setShowScenarios(true); setMenuOpen(false); }}
+              >
+                Compare Scenarios {scenarios.length > 0 && `(${scenarios.length})`}
+              </button>
+              <button
+                className="header-menu-item"
+                onClick={() => { importInputRef.current?.click(); setMenuOpen(false); }}
+              >
+                Import Deal…
+              </button>
+              <button
+                className="header-menu-item"
+                onClick={() => { setShowScanner('deal'); setMenuOpen(false); }}
+              >
+                Scan Deal QR
+              </button>
+              <button
+                className="header-menu-item"
+                onClick={() => { openStoreSettings(); setMenuOpen(false); }}
+              >
+                Store Settings
+              </button>
               <button
                 className="header-menu-item"
                 onClick={() => { setShowHelp(true); setMenuOpen(false); }}
@@ -2576,6 +3563,12 @@ export default function AshleyDealCalculator() {
           )}
         </div>
 
+        {activePromo && (
+          <div className="promo-banner" role="status">
+            {describePromotion(activePromo, categoryLabel)}
+          </div>
+        )}
+
         {/* Settings Chip Bar */}
         <div className="settings-bar">
           <button className="setting-chip" onClick={cycleNextSalePercent}>Sale {salePercent}%</button>
@@ -2594,7 +3587,14 @@ export default function AshleyDealCalculator() {
             No-Tax
           </button>
           <button className="setting-chip" onClick={cycleNextDelivery}>
-            Del ${delivery}
+            Del ${delivery}{zoneDelivery ? ' · zone' : ''}
+          </button>
+          <button
+            className={`setting-chip ${taxSource !== 'default' ? 'active' : ''}`}
+            title={describeTaxProfile(taxProfile)}
+            onClick={() => setShowSettingsModal(true)}
+          >
+            Tax {taxProfile.rate}%
           </button>
           <button
             className={`setting-chip ${includeProtection ? 'active' : ''}`}
@@ -2634,11 +3634,14 @@ export default function AshleyDealCalculator() {
                     <span style={{ fontSize: 11, color: noTaxPromo ? colors.success.main : colors.text.secondary }}>{noTaxPromo ? 'ON' : 'OFF'}</span>
                   </div>
                 </div>
-                <div className="setting-group">
+                <div className={`setting-group ${deliveryQuote ? 'full-width' : ''}`}>
                   <label>Delivery</label>
                   <div className="pill-group-compact">
+                    {deliveryQuote && (
+                      <div className={`pill-compact ${zoneDelivery ? 'selected' : ''}`} onClick={priceDeliveryByZone}>By zone</div>
+                    )}
                     {deliveryOptions.map(amt => (
-                      <div key={amt} className={`pill-compact ${delivery === amt && !showCustomDelivery ? 'selected' : ''}`} onClick={() => { setDelivery(amt); setShowCustomDelivery(false); }}>${amt}</div>
+                      <div key={amt} className={`pill-compact ${!zoneDelivery && delivery === amt && !showCustomDelivery ? 'selected' : ''}`} onClick={() => { setDelivery(amt); setShowCustomDelivery(false); }}>${amt}</div>
                     ))}
                     <div className={`pill-compact ${showCustomDelivery ? 'selected' : ''}`} onClick={() => setShowCustomDelivery(true)}>Custom</div>
                   </div>
@@ -2654,33 +3657,736 @@ export default function AshleyDealCalculator() {
                       autoFocus
                     />
                   )}
+                  {zoneDelivery && (
+                    <div className="delivery-zone">
+                      <div className="pill-group-compact">
+                        {zoneDelivery.levels.map(level => (
+                          <div
+                            key={level.id}
+                            className={`pill-compact ${zoneDelivery.level === level.id ? 'selected' : ''}`}
+                            onClick={() => setDeliveryPlanField('level', level.id)}
+                          >
+                            {level.label} ${zoneDelivery.zone.prices[level.id]}
+                          </div>
+                        ))}
+                      </div>
+                      <div className="delivery-zone-extras">
+                        <label>
+                          Haul-away pieces
+                          <input
+                            type="number"
+                            className="input-compact"
+                            min={0}
+                            max={20}
+                            value={deliveryPlan.haulAway || ''}
+                            placeholder="0"
+                            onChange={(e) => setDeliveryPlanField('haulAway', Math.max(0, Math.min(20, parseInt(e.target.value, 10) || 0)))}
+                          />
+                        </label>
+                        {zoneDelivery.source === 'outOfZone' && (
+                          <label>
+                            Miles from store
+                            <input
+                              type="text"
+                              className="input-compact"
+                              inputMode="decimal"
+                              value={deliveryPlan.miles}
+                              placeholder="mi"
+                              onChange={(e) => setDeliveryPlanField('miles', e.target.value)}
+                            />
+                          </label>
+                        )}
+                      </div>
+                      <div className="setting-hint" style={{ marginTop: 0 }}>
+                        {describeDeliveryQuote(zoneDelivery, deliveryPlan)} = <strong>{formatMoney(zoneDelivery.total)}</strong>
+                        {zoneDelivery.source === 'noZip' && ' — enter the delivery ZIP below'}
+                        {zoneDelivery.needsMiles && ' — out of zone: enter the miles'}
+                      </div>
+                    </div>
+                  )}
+                </div>
+                <div className="setting-group full-width">
+                  <label htmlFor="deal-tax-zip">Delivery ZIP (tax{deliveryQuote ? ' + zone' : ''})</label>
+                  <div style={{ display: 'flex', gap: 6 }}>
+                    <input
+                      id="deal-tax-zip"
+                      type="text"
+                      className="input-compact"
+                      inputMode="numeric"
+                      placeholder="ZIP"
+                      maxLength={10}
+                      value={taxZip}
+                      onChange={(e) => setTaxZip(e.target.value)}
+                      style={{ width: 90, flex: 'none' }}
+                    />
+                    <select
+                      className="input-compact"
+                      aria-label="Tax jurisdiction"
+                      value={taxProfileId ?? ''}
+                      onChange={(e) => setTaxProfileId(e.target.value || null)}
+                    >
+                      <option value="">Auto (by ZIP)</option>
+                      {storeSettings.taxProfiles.map(p => <option key={p.id} value={p.id}>{p.name} — {p.rate}%</option>)}
+                    </select>
+                  </div>
+                  <div className="setting-hint" style={{ marginTop: 0 }}>
+                    {describeTaxProfile(taxProfile)}
+                    {taxSource === 'zip' && ' (from ZIP)'}
+                    {taxSource === 'default' && taxZip.trim() && ' (ZIP not in table — store default)'}
+                  </div>
                 </div>
                 <div className="setting-group full-width">
                   <label>Protection Plan</label>
                   <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
                     <div className={`toggle-compact ${includeProtection ? 'on' : ''}`} role="switch" aria-checked={includeProtection} aria-label="Protection Plan" tabIndex={0} onClick={() => setIncludeProtection(!includeProtection)} onKeyDown={(e) => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); setIncludeProtection(!includeProtection); }}} />
                     <span style={{ fontSize: 11, color: includeProtection ? colors.success.main : colors.text.secondary }}>
-                      {includeProtection ? `ON — ${formatMoney(calculateProtectionPlan(subtotal || 0))} added` : 'OFF'}
+                      {includeProtection ? `ON — ${formatMoney(protectionPlanCost)} added` : 'OFF'}
                     </span>
                   </div>
-                  {includeProtection && (
-                    <div style={{ fontSize: 10, color: 'var(--muted)', marginTop: 4 }}>
-                      $150 (0–1k) · $200 (1–2k) · $250 (2–3k) · $300 (3–4k) · $350 (4–5k) · $500 (5–6k) · +$50/1k after
+                  {includeProtection && storeSettings.protectionPlans.map(plan => (
+                    <div key={plan.id} style={{ fontSize: 10, color: 'var(--muted)', marginTop: 4 }}>
+                      <strong>{plan.name}:</strong> {describePlanTiers(plan)}
+                    </div>
+                  ))}
+                  {includeProtection && uncoveredItemIds.length > 0 && (
+                    <div className="setting-hint">
+                      Not covered by any plan: {calculatedItems.filter(i => uncoveredItemIds.includes(i.id)).map(i => i.name || 'Unnamed item').join(', ')}
                     </div>
                   )}
                 </div>
+                <div className="setting-group full-width">
+                  <label>Order discounts</label>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                    <button className="calc-use-btn ghost" onClick={() => toggleDiscountDraft('order')} aria-expanded={Boolean(discountDraft.order)}>
+                      {discountDraft.order ? 'Close' : '+ Discount or coupon'}
+                    </button>
+                    {discountTotal > 0 && (
+                      <span style={{ fontSize: 11, color: colors.success.main }}>{formatMoney(discountTotal)} off this deal</span>
+                    )}
+                  </div>
+                  {renderDiscounts(null)}
+                  <div className="setting-hint">Per-item discounts: the Disc. button on each item. Discounts come off the pre-tax price, so margin drops with them.</div>
+                </div>
               </div>
               <button className="help-close" onClick={() => setShowSettingsModal(false)}>Done</button>
             </div>
           </div>
         )}
 
+        {/* Store Settings Modal (manager) */}
+        {showStoreSettings && settingsDraft && (
+          <div className="help-overlay" onClick={() => setShowStoreSettings(false)}>
+            <div className="help-modal" onClick={e => e.stopPropagation()}>
+              <h2>Store Settings</h2>
+              <div className="settings-modal-content">
+                <div className="setting-group full-width">
+                  <label htmlFor="store-profile">Active store</label>
+                  <div style={{ display: 'flex', gap: 6 }}>
+                    <select
+                      id="store-profile"
+                      className="input-compact"
+                      value={stores.activeId}
+                      onChange={(e) => switchStore(e.target.value)}
+                    >
+                      {stores.profiles.map(p => <option key={p.id} value={p.id}>{p.storeName}</option>)}
+                    </select>
+                    <button className="calc-use-btn ghost" onClick={addStore}>+ Copy as new</button>
+                    {stores.profiles.length > 1 && (
+                      <button className="calc-use-btn ghost" onClick={() => setConfirmRemoveStore(storeSettings)}>Delete</button>
+                    )}
+                  </div>
+                </div>
+                {[
+                  ['storeName', 'Store name', 'text'],
+                  ['managerName', 'Manager (approvals)', 'text'],
+                  ['managerPhone', 'Manager mobile', 'tel'],
+                  ['salePercents', 'Sale percents', 'decimal'],
+                  ['deliveryOptions', 'Delivery tiers ($)', 'decimal'],
+                  ['defaultDelivery', 'Default delivery ($)', 'decimal'],
+                  ['haulAwayFee', 'Haul-away per piece ($)', 'decimal'],
+                  ['freeMiles', 'Out-of-zone free miles', 'decimal'],
+                  ['perMile', 'Out-of-zone $ per mile', 'decimal'],
+                  ['soldDays', 'Keep sold deals (days, 0 = forever)', 'numeric'],
+                  ['lostDays', 'Keep lost deals (days, 0 = forever)', 'numeric'],
+                ].map(([field, label, mode]) => (
+                  <div className="setting-group" key={field}>
+                    <label htmlFor={`store-${field}`}>{label}</label>
+                    <input
+                      id={`store-${field}`}
+                      type={mode === 'tel' ? 'tel' : 'text'}
+                      className="input-compact"
+                      inputMode={mode === 'text' ? undefined : mode}
+                      value={settingsDraft[field]}
+                      onChange={(e) => setSettingsDraft({ ...settingsDraft, [field]: e.target.value })}
+                    />
+                  </div>
+                ))}
+                <div className="setting-group full-width">
+                  <label htmlFor="store-landing-divisor">Landing divisor (retail ÷ this = landing)</label>
+                  <input
+                    id="store-landing-divisor"
+                    type="text"
+                    className="input-compact"
+                    inputMode="decimal"
+                    value={settingsDraft.landingDivisor}
+                    onChange={(e) => setSettingsDraft({ ...settingsDraft, landingDivisor: e.target.value })}
+                  />
+                </div>
+                {LANDING_CATEGORIES.map(({ id, label }) => (
+                  <div className="setting-group" key={id}>
+                    <label htmlFor={`store-divisor-${id}`}>{label}</label>
+                    <div className="setting-hint">
+                      {presetsInCategory(id).join(', ')}
+                    </div>
+                    <input
+                      id={`store-divisor-${id}`}
+                      type="text"
+                      className="input-compact"
+                      inputMode="decimal"
+                      placeholder={`Default (${validDivisor(settingsDraft.landingDivisor) ?? storeSettings.landingDivisor})`}
+                      value={settingsDraft.categoryDivisors[id] ?? ''}
+                      onChange={(e) => setSettingsDraft({
+                        ...settingsDraft,
+                        categoryDivisors: { ...settingsDraft.categoryDivisors, [id]: e.target.value },
+                      })}
+                    />
+                  </div>
+                ))}
+              </div>
+              {(() => {
+                const pinHash = stores.profiles.find(p => p.id === settingsDraft.id)?.policyPinHash;
+                const locked = Boolean(pinHash) && !policyUnlocked;
+                const setField = (field, value) => setSettingsDraft({ ...settingsDraft, [field]: value });
+                return (
+                  <div className="setting-group full-width policy-group" style={{ marginTop: 16 }}>
+                    <label>Margin policy{pinHash ? (locked ? ' 🔒' : ' 🔓') : ''}</label>
+                    <div className="setting-hint">
+                      Verdict colors, margin buttons, approvals and the coach all read these.
+                      A category floor overrides the store floor for that category; a promo floor lowers every floor until its end date.
+                    </div>
+                    {locked && (
+                      <div className="policy-unlock">
+                        <input
+                          type="password"
+                          className="input-compact"
+                          inputMode="numeric"
+                          placeholder="Manager PIN"
+                          aria-label="Manager PIN"
+                          value={settingsDraft.pinEntry}
+                          onChange={(e) => setField('pinEntry', e.target.value)}
+                          onKeyDown={(e) => { if (e.key === 'Enter') unlockPolicy(); }}
+                        />
+                        <button className="calc-use-btn" onClick={unlockPolicy}>Unlock</button>
+                      </div>
+                    )}
+                    <div className="policy-grid">
+                      {[
+                        ['marginFloor', 'Store floor %'],
+                        ['marginTarget', 'Target % (green)'],
+                        ['promoFloor', 'Promo floor %'],
+                      ].map(([field, label]) => (
+                        <label key={field} className="policy-field">
+                          <span>{label}</span>
+                          <input
+                            type="text"
+                            className="input-compact"
+                            inputMode="decimal"
+                            disabled={locked}
+                            placeholder={field === 'promoFloor' ? 'None' : undefined}
+                            value={settingsDraft[field]}
+                            onChange={(e) => setField(field, e.target.value)}
+                          />
+                        </label>
+                      ))}
+                      <label className="policy-field">
+                        <span>Promo ends</span>
+                        <input
+                          type="date"
+                          className="input-compact"
+                          disabled={locked}
+                          value={settingsDraft.promoUntil}
+                          onChange={(e) => setField('promoUntil', e.target.value)}
+                        />
+                      </label>
+                      <label className="policy-field wide">
+                        <span>Promo note</span>
+                        <input
+                          type="text"
+                          className="input-compact"
+                          disabled={locked}
+                          placeholder="e.g. Labor Day event"
+                          value={settingsDraft.promoNote}
+                          onChange={(e) => setField('promoNote', e.target.value)}
+                        />
+                      </label>
+                      {LANDING_CATEGORIES.map(({ id, label }) => (
+                        <label key={id} className="policy-field">
+                          <span>{label} floor %</span>
+                          <input
+                            type="text"
+                            className="input-compact"
+                            inputMode="decimal"
+                            disabled={locked}
+                            placeholder={`Store (${settingsDraft.marginFloor})`}
+                            value={settingsDraft.categoryFloors[id] ?? ''}
+                            onChange={(e) => setField('categoryFloors', { ...settingsDraft.categoryFloors, [id]: e.target.value })}
+                          />
+                        </label>
+                      ))}
+                    </div>
+                    {!locked && (
+                      <div className="policy-unlock">
+                        <input
+                          type="password"
+                          className="input-compact"
+                          inputMode="numeric"
+                          placeholder={pinHash ? 'New PIN' : 'Set a manager PIN (optional)'}
+                          aria-label="New manager PIN"
+                          value={settingsDraft.newPin}
+                          onChange={(e) => setField('newPin', e.target.value)}
+                        />
+                        {pinHash && (
+                          <label className="tax-profile-flag">
+                            <input type="checkbox" checked={settingsDraft.clearPin} onChange={(e) => setField('clearPin', e.target.checked)} /> Remove PIN
+                          </label>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                );
+              })()}
+              <div className="setting-group full-width" style={{ marginTop: 16 }}>
+                <label>Delivery zones</label>
+                <div className="setting-hint">
+                  Nearest first. Prices per service level; leave one blank if the zone doesn't offer it.
+                  A ZIP in no zone is priced as the last zone plus mileage. With no zones, the delivery tiers above are used.
+                </div>
+                {settingsDraft.deliveryZones.map((row, i) => {
+                  const setRow = (field, value) => setSettingsDraft({
+                    ...settingsDraft,
+                    deliveryZones: settingsDraft.deliveryZones.map((r, j) => (j === i ? { ...r, [field]: value } : r)),
+                  });
+                  return (
+                    <div className="delivery-zone-row" key={row.id}>
+                      <input className="input-compact" placeholder="Zone name" aria-label="Zone name" value={row.name} onChange={(e) => setRow('name', e.target.value)} />
+                      <input className="input-compact" placeholder="ZIPs" aria-label="Zone ZIP codes" inputMode="numeric" value={row.zips} onChange={(e) => setRow('zips', e.target.value)} />
+                      {SERVICE_LEVELS.map(({ id, label }) => (
+                        <input key={id} className="input-compact" placeholder={label} aria-label={`${label} price`} inputMode="decimal" value={row[id]} onChange={(e) => setRow(id, e.target.value)} />
+                      ))}
+                      <button
+                        className="item-remove-btn"
+                        aria-label="Remove zone"
+                        onClick={() => setSettingsDraft({ ...settingsDraft, deliveryZones: settingsDraft.deliveryZones.filter((_, j) => j !== i) })}
+                      >
+                        ×
+                      </button>
+                    </div>
+                  );
+                })}
+                <button
+                  className="calc-use-btn ghost"
+                  onClick={() => setSettingsDraft({
+                    ...settingsDraft,
+                    deliveryZones: [...settingsDraft.deliveryZones, { id: String(Date.now()), name: '', zips: '', threshold: '', whiteGlove: '', roomOfChoice: '' }],
+                  })}
+                >
+                  + Add zone
+                </button>
+              </div>
+              <div className="setting-group full-width" style={{ marginTop: 16 }}>
+                <label>Tax jurisdictions</label>
+                <div className="setting-hint">The first is the store's home rate. ZIPs can be full or prefixes (936 covers 936xx).</div>
+                {settingsDraft.taxProfiles.map((row, i) => {
+                  const setRow = (field, value) => setSettingsDraft({
+                    ...settingsDraft,
+                    taxProfiles: settingsDraft.taxProfiles.map((r, j) => (j === i ? { ...r, [field]: value } : r)),
+                  });
+                  return (
+                    <div className="tax-profile-row" key={row.id}>
+                      <input className="input-compact" placeholder="Name" aria-label="Jurisdiction name" value={row.name} onChange={(e) => setRow('name', e.target.value)} />
+                      <input className="input-compact" placeholder="Rate %" aria-label="Tax rate percent" inputMode="decimal" value={row.rate} onChange={(e) => setRow('rate', e.target.value)} />
+                      <input className="input-compact" placeholder="ZIPs" aria-label="ZIP codes" inputMode="numeric" value={row.zips} onChange={(e) => setRow('zips', e.target.value)} />
+                      <label className="tax-profile-flag">
+                        <input type="checkbox" checked={row.taxDelivery} onChange={(e) => setRow('taxDelivery', e.target.checked)} /> Delivery
+                      </label>
+                      <label className="tax-profile-flag">
+                        <input type="checkbox" checked={row.taxProtection} onChange={(e) => setRow('taxProtection', e.target.checked)} /> Protection
+                      </label>
+                      <button
+                        className="item-remove-btn"
+                        aria-label="Remove jurisdiction"
+                        disabled={settingsDraft.taxProfiles.length === 1}
+                        onClick={() => setSettingsDraft({ ...settingsDraft, taxProfiles: settingsDraft.taxProfiles.filter((_, j) => j !== i) })}
+                      >
+                        ×
+                      </button>
+                    </div>
+                  );
+                })}
+                <button
+                  className="calc-use-btn ghost"
+                  onClick={() => setSettingsDraft({
+                    ...settingsDraft,
+                    taxProfiles: [...settingsDraft.taxProfiles, { id: String(Date.now()), name: '', rate: '', zips: '', taxDelivery: true, taxProtection: false }],
+                  })}
+                >
+                  + Add jurisdiction
+                </button>
+              </div>
+              <div className="setting-group full-width" style={{ marginTop: 16 }}>
+                <label>Financing plans</label>
+                <div className="setting-hint">APR 0 for same-as-cash promos. Min purchase and down % are optional.</div>
+                {settingsDraft.financingPlans.map((row, i) => {
+                  const setRow = (field, value) => setSettingsDraft({
+                    ...settingsDraft,
+                    financingPlans: settingsDraft.financingPlans.map((r, j) => (j === i ? { ...r, [field]: value } : r)),
+                  });
+                  return (
+                    <div className="finance-plan-row" key={row.id}>
+                      <input className="input-compact" placeholder="Name" aria-label="Plan name" value={row.name} onChange={(e) => setRow('name', e.target.value)} />
+                      <input className="input-compact" placeholder="Months" aria-label="Months" inputMode="numeric" value={row.months} onChange={(e) => setRow('months', e.target.value)} />
+                      <input className="input-compact" placeholder="APR %" aria-label="APR percent" inputMode="decimal" value={row.apr} onChange={(e) => setRow('apr', e.target.value)} />
+                      <input className="input-compact" placeholder="Min $" aria-label="Minimum purchase" inputMode="decimal" value={row.minPurchase} onChange={(e) => setRow('minPurchase', e.target.value)} />
+                      <input className="input-compact" placeholder="Down %" aria-label="Down payment percent" inputMode="decimal" value={row.downPercent} onChange={(e) => setRow('downPercent', e.target.value)} />
+                      <button
+                        className="item-remove-btn"
+                        aria-label="Remove plan"
+                        onClick={() => setSettingsDraft({ ...settingsDraft, financingPlans: settingsDraft.financingPlans.filter((_, j) => j !== i) })}
+                      >
+                        ×
+                      </button>
+                    </div>
+                  );
+                })}
+                <button
+                  className="calc-use-btn ghost"
+                  onClick={() => setSettingsDraft({
+                    ...settingsDraft,
+                    financingPlans: [...settingsDraft.financingPlans, { id: Date.now(), name: '', months: '', apr: '0', minPurchase: '', downPercent: '' }],
+                  })}
+                >
+                  + Add plan
+                </button>
+              </div>
+              <div className="setting-group full-width" style={{ marginTop: 16 }}>
+                <label>Coupons</label>
+                <div className="setting-hint">
+                  Reps enter the code on an item or the whole order. Leave the end date blank for no expiry.
+                  A coupon that doesn't stack must be the only coupon on the deal.
+                </div>
+                {settingsDraft.coupons.map((row, i) => {
+                  const setRow = (field, value) => setSettingsDraft({
+                    ...settingsDraft,
+                    coupons: settingsDraft.coupons.map((r, j) => (j === i ? { ...r, [field]: value } : r)),
+                  });
+                  return (
+                    <div className="coupon-row" key={row.id}>
+                      <input className="input-compact" placeholder="CODE" aria-label="Coupon code" value={row.code} onChange={(e) => setRow('code', e.target.value.toUpperCase())} />
+                      <input className="input-compact" placeholder="Name" aria-label="Coupon name" value={row.name} onChange={(e) => setRow('name', e.target.value)} />
+                      <select className="input-compact" aria-label="Coupon kind" value={row.kind} onChange={(e) => setRow('kind', e.target.value)}>
+                        <option value="percent">% off</option>
+                        <option value="amount">$ off</option>
+                      </select>
+                      <input className="input-compact" placeholder="Value" aria-label="Coupon value" inputMode="decimal" value={row.value} onChange={(e) => setRow('value', e.target.value)} />
+                      <select className="input-compact" aria-label="Coupon applies to" value={row.scope} onChange={(e) => setRow('scope', e.target.value)}>
+                        <option value="order">Order</option>
+                        <option value="item">Item</option>
+                      </select>
+                      <input className="input-compact" type="date" aria-label="Last day" value={row.until} onChange={(e) => setRow('until', e.target.value)} />
+                      <label className="tax-profile-flag">
+                        <input type="checkbox" checked={row.stackable} onChange={(e) => setRow('stackable', e.target.checked)} /> Stacks
+                      </label>
+                      <button
+                        className="item-remove-btn"
+                        aria-label="Remove coupon"
+                        onClick={() => setSettingsDraft({ ...settingsDraft, coupons: settingsDraft.coupons.filter((_, j) => j !== i) })}
+                      >
+                        ×
+                      </button>
+                    </div>
+                  );
+                })}
+                <button
+                  className="calc-use-btn ghost"
+                  onClick={() => setSettingsDraft({
+                    ...settingsDraft,
+                    coupons: [...settingsDraft.coupons, { id: String(Date.now()), code: '', name: '', kind: 'amount', value: '', scope: 'order', until: '', stackable: true }],
+                  })}
+                >
+                  + Add coupon
+                </button>
+              </div>
+              <div className="setting-group full-width" style={{ marginTop: 16 }}>
+                <label>Promotions calendar</label>
+                <div className="setting-hint">
+                  On these dates new deals default to the promo's sale % and No-Tax setting, and open deals switch over.
+                  Pick categories to limit the promo % to them; blank sale % keeps the store's regular one.
+                  {(() => {
+                    const upcoming = nextPromotion(storeSettings.promotions, today);
+                    return upcoming ? ` Next: ${describePromotion(upcoming, categoryLabel)}.` : '';
+                  })()}
+                </div>
+                {settingsDraft.promotions.map((row, i) => {
+                  const setRow = (field, value) => setSettingsDraft({
+                    ...settingsDraft,
+                    promotions: settingsDraft.promotions.map((r, j) => (j === i ? { ...r, [field]: value } : r)),
+                  });
+                  return (
+                    <div className="protection-plan-row" key={row.id}>
+                      <div className="promotion-fields">
+                        <input className="input-compact" placeholder="Name" aria-label="Promotion name" value={row.name} onChange={(e) => setRow('name', e.target.value)} />
+                        <input className="input-compact" type="date" aria-label="First day" value={row.start} onChange={(e) => setRow('start', e.target.value)} />
+                        <input className="input-compact" type="date" aria-label="Last day" value={row.end} onChange={(e) => setRow('end', e.target.value)} />
+                        <input className="input-compact" placeholder="Sale %" aria-label="Promotion sale percent" inputMode="decimal" value={row.salePercent} onChange={(e) => setRow('salePercent', e.target.value)} />
+                        <label className="tax-profile-flag">
+                          <input type="checkbox" checked={row.noTaxPromo} onChange={(e) => setRow('noTaxPromo', e.target.checked)} /> No-Tax
+                        </label>
+                        <button
+                          className="item-remove-btn"
+                          aria-label="Remove promotion"
+                          onClick={() => setSettingsDraft({ ...settingsDraft, promotions: settingsDraft.promotions.filter((_, j) => j !== i) })}
+                        >
+                          ×
+                        </button>
+                      </div>
+                      <div className="pill-group-compact">
+                        {LANDING_CATEGORIES.map(({ id, label }) => (
+                          <button
+                            key={id}
+                            className={`pill-compact ${row.categories.includes(id) ? 'selected' : ''}`}
+                            aria-pressed={row.categories.includes(id)}
+                            onClick={() => setRow('categories', row.categories.includes(id) ? row.categories.filter(c => c !== id) : [...row.categories, id])}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  );
+                })}
+                <button
+                  className="calc-use-btn ghost"
+                  onClick={() => setSettingsDraft({
+                    ...settingsDraft,
+                    promotions: [...settingsDraft.promotions, { id: String(Date.now()), name: '', start: '', end: '', salePercent: '', noTaxPromo: true, categories: [] }],
+                  })}
+                >
+                  + Add promotion
+                </button>
+              </div>
+              <div className="setting-group full-width" style={{ marginTop: 16 }}>
+                <label>Protection plans</label>
+                <div className="setting-hint">
+                  Tiers are "up to $:price" pairs from the vendor sheet. Each category belongs to one plan;
+                  unclassified items use the first plan. Cost % is the vendor's share (plan profit = price − cost).
+                </div>
+                {settingsDraft.protectionPlans.map((row, i) => {
+                  const setRow = (field, value) => setSettingsDraft({
+                    ...settingsDraft,
+                    protectionPlans: settingsDraft.protectionPlans.map((r, j) => (j === i ? { ...r, [field]: value } : r)),
+                  });
+                  // A category moves to this plan and out of any other
+                  const toggleCategory = (id) => setSettingsDraft({
+                    ...settingsDraft,
+                    protectionPlans: settingsDraft.protectionPlans.map((r, j) => {
+                      if (j === i) {
+                        return { ...r, categories: r.categories.includes(id) ? r.categories.filter(c => c !== id) : [...r.categories, id] };
+                      }
+                      return row.categories.includes(id) ? r : { ...r, categories: r.categories.filter(c => c !== id) };
+                    }),
+                  });
+                  return (
+                    <div className="protection-plan-row" key={row.id}>
+                      <div className="protection-plan-fields">
+                        <input className="input-compact" placeholder="Name" aria-label="Protection plan name" value={row.name} onChange={(e) => setRow('name', e.target.value)} />
+                        <input className="input-compact" placeholder="1000:150, 2000:200" aria-label="Price tiers" value={row.tiers} onChange={(e) => setRow('tiers', e.target.value)} />
+                        <input className="input-compact" placeholder="+$ after" aria-label="Price added past the last tier" inputMode="decimal" value={row.stepAfter} onChange={(e) => setRow('stepAfter', e.target.value)} />
+                        <input className="input-compact" placeholder="per $" aria-label="Dollars per step past the last tier" inputMode="decimal" value={row.stepEvery} onChange={(e) => setRow('stepEvery', e.target.value)} />
+                        <input className="input-compact" placeholder="Cost %" aria-label="Landed cost percent" inputMode="decimal" value={row.costPercent} onChange={(e) => setRow('costPercent', e.target.value)} />
+                        <button
+                          className="item-remove-btn"
+                          aria-label="Remove protection plan"
+                          onClick={() => setSettingsDraft({ ...settingsDraft, protectionPlans: settingsDraft.protectionPlans.filter((_, j) => j !== i) })}
+                        >
+                          ×
+                        </button>
+                      </div>
+                      <div className="pill-group-compact">
+                        {LANDING_CATEGORIES.map(({ id, label }) => (
+                          <button
+                            key={id}
+                            className={`pill-compact ${row.categories.includes(id) ? 'selected' : ''}`}
+                            aria-pressed={row.categories.includes(id)}
+                            onClick={() => toggleCategory(id)}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  );
+                })}
+                <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+                  {PLAN_TEMPLATES.filter(tpl => !settingsDraft.protectionPlans.some(r => r.id === tpl.id)).map(tpl => (
+                    <button
+                      key={tpl.id}
+                      className="calc-use-btn ghost"
+                      onClick={() => setSettingsDraft({
+                        ...settingsDraft,
+                        // The new plan takes its categories over from whichever plan had them
+                        protectionPlans: [
+                          ...settingsDraft.protectionPlans.map(r => ({ ...r, categories: r.categories.filter(c => !tpl.categories.includes(c)) })),
+                          planDraft(tpl),
+                        ],
+                      })}
+                    >
+                      + {tpl.name} plan
+                    </button>
+                  ))}
+                  <button
+                    className="calc-use-btn ghost"
+                    onClick={() => setSettingsDraft({
+                      ...settingsDraft,
+                      protectionPlans: [...settingsDraft.protectionPlans, { id: String(Date.now()), name: '', categories: [], tiers: '', stepAfter: '', stepEvery: '1000', costPercent: '' }],
+                    })}
+                  >
+                    + Other plan
+                  </button>
+                </div>
+              </div>
+              <div className="setting-group full-width" style={{ marginTop: 16 }}>
+                <label htmlFor="store-catalog-file">
+                  Product catalog {catalogCount != null && `(${catalogCount} products)`}
+                </label>
+                <div className="setting-hint">CSV or JSON with SKU, name, tag price, landing cost, category</div>
+                <input
+                  id="store-catalog-file"
+                  type="file"
+                  accept=".csv,.json,text/csv,application/json"
+                  onChange={(e) => { importCatalogFile(e.target.files?.[0]); e.target.value = ''; }}
+                />
+              </div>
+              {settingsError && <div className="error-text" style={{ marginTop: 8 }}>{settingsError}</div>}
+              <button className="help-close" onClick={applyStoreSettings}>Save</button>
+            </div>
+          </div>
+        )}
+
+        {/* Catalog import review (diff preview before commit) */}
+        {catalogPreview && (
+          <div className="help-overlay" onClick={() => setCatalogPreview(null)}>
+            <div className="help-modal" onClick={e => e.stopPropagation()}>
+              <h2>Review Price List</h2>
+              <div className="catalog-diff">
+                <div className="catalog-diff-summary">
+                  {catalogPreview.fileName}: {catalogPreview.products.length} valid rows
+                  {catalogPreview.errors.length > 0 && `, ${catalogPreview.errors.length} rejected`}
+                </div>
+                {catalogPreview.errors.length > 0 && (
+                  <div className="catalog-diff-section error">
+                    <strong>Rejected rows</strong>
+                    {catalogPreview.errors.map((e, i) => (
+                      <div key={i}>{e.where ? `${e.where}: ` : ''}{e.message}</div>
+                    ))}
+                    <div>Fix these rows and import the file again. Importing now would drop them from the catalog.</div>
+                  </div>
+                )}
+                {catalogPreview.diff.belowFloor.length > 0 && (
+                  <div className="catalog-diff-section warn">
+                    <strong>Below the margin floor at {salePercent}% off</strong>
+                    {catalogPreview.diff.belowFloor.map(d => (
+                      <div key={d.sku}>
+                        {d.sku} {d.name}: {d.from != null ? `${d.from.toFixed(1)}% → ` : ''}{d.to.toFixed(1)}% (floor {d.floor}%)
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {catalogPreview.diff.priceChanged.length > 0 && (
+                  <div className="catalog-diff-section">
+                    <strong>Tag price changes ({catalogPreview.diff.priceChanged.length})</strong>
+                    {catalogPreview.diff.priceChanged.map(d => (
+                      <div key={d.sku}>{d.sku} {d.name}: {formatMoney(d.from)} → {formatMoney(d.to)}</div>
+                    ))}
+                  </div>
+                )}
+                {catalogPreview.diff.landingChanged.length > 0 && (
+                  <div className="catalog-diff-section">
+                    <strong>Landing changes ({catalogPreview.diff.landingChanged.length})</strong>
+                    {catalogPreview.diff.landingChanged.map(d => (
+                      <div key={d.sku}>
+                        {d.sku} {d.name}: {d.from != null ? formatMoney(d.from) : '—'} → {d.to != null ? formatMoney(d.to) : '—'}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                {catalogPreview.diff.added.length > 0 && (
+                  <div className="catalog-diff-section">
+                    <strong>New SKUs ({catalogPreview.diff.added.length})</strong>
+                    {catalogPreview.diff.added.map(p => <div key={p.sku}>{p.sku} {p.name} {formatMoney(p.tagPrice)}</div>)}
+                  </div>
+                )}
+                {catalogPreview.diff.removed.length > 0 && (
+                  <div className="catalog-diff-section warn">
+                    <strong>Removed SKUs ({catalogPreview.diff.removed.length})</strong>
+                    {catalogPreview.diff.removed.map(p => <div key={p.sku}>{p.sku} {p.name}</div>)}
+                  </div>
+                )}
+              </div>
+              <div style={{ display: 'flex', gap: 8 }}>
+                <button
+                  className="help-close"
+                  style={{ background: colors.primary[50], color: colors.text.secondary, border: `1px solid ${colors.primary[200]}`, boxShadow: 'none' }}
+                  onClick={() => setCatalogPreview(null)}
+                >
+                  Cancel
+                </button>
+                <button className="help-close" onClick={commitCatalogImport} disabled={catalogPreview.products.length === 0 || catalogPreview.errors.length > 0}>
+                  Import {catalogPreview.products.length} products
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
 
         {/* Items */}
         <div className="card" style={{ padding: 8 }}>
           {errors.price && <div className="error-text" style={{ paddingLeft: 4 }}>{errors.price}</div>}
           {errors.landingCost && <div className="error-text" style={{ paddingLeft: 4 }}>{errors.landingCost}</div>}
 
+          {packages.map(pkg => {
+            const members = items.filter(item => item.packageId === pkg.id);
+            const listTotal = members.reduce((sum, item) => sum + anchorPriceOf(item) * (parseInt(item.qty) || 1), 0);
+            return (
+              <div key={pkg.id} className="package-card">
+                <div className="package-row">
+                  <input
+                    type="text"
+                    className="input-compact"
+                    value={pkg.name}
+                    onChange={(e) => updatePackage(pkg.id, 'name', e.target.value)}
+                    aria-label="Package name"
+                    style={{ flex: 1 }}
+                  />
+                  <input
+                    type="text"
+                    className="input-compact"
+                    placeholder={noTaxPromo ? 'Pkg price+tax' : 'Pkg price'}
+                    value={pkg.price}
+                    onChange={(e) => updatePackage(pkg.id, 'price', e.target.value)}
+                    inputMode="decimal"
+                    aria-label="Package price"
+                    style={{ width: 110, flex: 'none' }}
+                  />
+                  <button className="item-remove-btn" onClick={() => removePackage(pkg.id)} title="Remove package (items stay)">×</button>
+                </div>
+                <div className="package-hint">
+                  {members.length} item{members.length === 1 ? '' : 's'} · items add up to {formatMoney(listTotal)}
+                  {parseMoney(pkg.price) > 0 && listTotal > 0 && ` · package is ${formatMoney(listTotal - parseMoney(pkg.price))} less`}
+                </div>
+              </div>
+            );
+          })}
+
           {items.map((item) => (
             <div key={item.id} className="item-card-compact" data-item>
               {/* Row 1: Type pills + Price + Qty */}
@@ -2762,7 +4468,20 @@ export default function AshleyDealCalculator() {
                     <span className="auto-tag" title="Auto-estimated from price — edit to override">auto</span>
                   )}
                 </div>
-                <button className="item-estimate-btn" onClick={() => estimateLandingCost(item.id)} title="Estimate landing cost (price ÷ 3.3)">Est.</button>
+                <select
+                  className="input-compact package-select"
+                  value={item.packageId ?? ''}
+                  onChange={(e) => assignPackage(item.id, e.target.value)}
+                  aria-label="Room package"
+                  title="Room package"
+                >
+                  <option value="">No pkg</option>
+                  {packages.map(pkg => <option key={pkg.id} value={pkg.id}>{pkg.name}</option>)}
+                  <option value="new">+ New package</option>
+                </select>
+                <button className="item-estimate-btn" onClick={() => toggleSkuSearch(item.id)} title="Look up by SKU or name" aria-expanded={skuQuery[item.id] !== undefined}>SKU</button>
+                <button className="item-estimate-btn" onClick={() => toggleDiscountDraft(item.id)} title="Discount or coupon on this item" aria-expanded={Boolean(discountDraft[item.id])}>Disc.</button>
+                <button className="item-estimate-btn" onClick={() => estimateLandingCost(item.id)} title={`Estimate landing cost (retail ${describeLandingRatio(landingRatioFor(storeSettings, item.name))})`}>Est.</button>
                 {items.length > 1 && (
                   <button className="item-remove-btn" onClick={() => removeItem(item.id)} title="Remove item">×</button>
                 )}
@@ -2770,6 +4489,41 @@ export default function AshleyDealCalculator() {
                   <button className="item-remove-btn" onClick={() => { setShowCustomInput({ ...showCustomInput, [item.id]: false }); if (!item.name) updateItem(item.id, 'name', ''); }} title="Back to presets" style={{ fontSize: 12 }}>↩</button>
                 )}
               </div>
+              {packageUnitPrices[item.id] !== undefined && (
+                <div className="package-hint">
+                  {packages.find(p => p.id === item.packageId)?.name}: {formatMoney(packageUnitPrices[item.id])}
+                  {(parseInt(item.qty) || 1) > 1 ? ' each' : ''} of the package price
+                </div>
+              )}
+              {itemSalePercent(item) != null && (
+                <div className="promo-hint">{activePromo.name}: {itemSalePercent(item)}% off this item</div>
+              )}
+              {renderDiscounts(item.id)}
+              {skuQuery[item.id] !== undefined && (
+                <div className="catalog-search">
+                  <input
+                    type="search"
+                    className="input-compact"
+                    placeholder="SKU or name…"
+                    value={skuQuery[item.id]}
+                    onChange={(e) => runSkuSearch(item.id, e.target.value)}
+                    autoFocus
+                  />
+                  {catalogCount === 0 && (
+                    <div className="catalog-empty">No catalog loaded — import one from ⋮ → Store Settings.</div>
+                  )}
+                  {(skuResults[item.id] || []).map(p => (
+                    <button key={p.sku} className="catalog-result" onClick={() => fillFromCatalog(item.id, p)}>
+                      <span className="catalog-sku">{p.sku}</span>
+                      <span className="catalog-name">{p.name}</span>
+                      <span className="catalog-price">{formatMoney(p.tagPrice)}</span>
+                    </button>
+                  ))}
+                  {skuQuery[item.id].trim() && catalogCount > 0 && (skuResults[item.id] || []).length === 0 && (
+                    <div className="catalog-empty">No match.</div>
+                  )}
+                </div>
+              )}
               {estimateFeedback[item.id] && (
                 <div
                   className="estimate-feedback"
@@ -2783,7 +4537,12 @@ export default function AshleyDealCalculator() {
             </div>
           ))}
           
-          <button className="add-item-btn" onClick={addItem}>+ Add Item</button>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button className="add-item-btn" onClick={addItem}>+ Add Item</button>
+            <button className="add-item-btn" onClick={() => setShowScanner('tag')} style={{ width: 'auto', flex: 'none', padding: '10px 14px' }} aria-label="Scan a floor tag">
+              📷 Scan Tag
+            </button>
+          </div>
         </div>
 
       </div>
@@ -2813,7 +4572,7 @@ export default function AshleyDealCalculator() {
                   <div className="sheet-summary-sub">
                     Customer pays
                     {overallMargin !== null && (
-                      <> • <span style={{ color: getMarginColor(overallMargin), fontWeight: 700 }}>{overallMargin.toFixed(1)}% margin</span></>
+                      <> • <span style={{ color: getMarginColor(overallMargin, dealFloor), fontWeight: 700 }}>{overallMargin.toFixed(1)}% margin</span></>
                     )}
                   </div>
                 </div>
@@ -2828,8 +4587,8 @@ export default function AshleyDealCalculator() {
                   <div className="big-total">
                     <div className="big-total-label">Overall Margin</div>
                     <div className="big-total-amount">{overallMargin.toFixed(1)}%</div>
-                    <div className={`badge ${overallMargin >= 50 ? 'green' : overallMargin >= 47 ? 'orange' : 'red'}`}>
-                      {getMarginLabel(overallMargin)}
+                    <div className={`badge ${{ great: 'green', ok: 'orange', low: 'red' }[marginBand(overallMargin, dealFloor, Math.max(marginTarget, dealFloor))]}`}>
+                      {getMarginLabel(overallMargin, dealFloor)}
                     </div>
                     {subtotal > 0 && (
                       <div className="big-total-sub">
@@ -2891,18 +4650,18 @@ export default function AshleyDealCalculator() {
                   </div>
                 )}
 
-                {overallMargin !== null && overallMargin < 47 && totalLandingCost > 0 && (
+                {overallMargin !== null && !marginFloorOk && totalLandingCost > 0 && (
                   <div style={{ background: colors.error.light, border: `1px solid ${colors.error.main}50`, borderRadius: '10px', padding: '12px 14px', marginBottom: '12px' }}>
-                    <div style={{ fontSize: '12px', fontWeight: 700, color: colors.error.main, marginBottom: '6px' }}>Counter needed — below 47% floor</div>
+                    <div style={{ fontSize: '12px', fontWeight: 700, color: colors.error.main, marginBottom: '6px' }}>Counter needed — below {fmtPct(dealFloor)} floor</div>
                     <div style={{ fontSize: '14px', color: colors.text.primary }}>
-                      Min invoice: <strong>{formatMoney(priceForMargin(totalLandingCost, 47))}</strong> for 47%
+                      Min invoice: <strong>{formatMoney(priceForMargin(totalLandingCost, dealFloor))}</strong> for {fmtPct(dealFloor)}
                     </div>
                     <div style={{ fontSize: '14px', color: colors.text.primary, marginTop: '2px' }}>
-                      Target invoice: <strong>{formatMoney(priceForMargin(totalLandingCost, 50))}</strong> for 50%
+                      Target invoice: <strong>{formatMoney(priceForMargin(totalLandingCost, marginTarget))}</strong> for {marginTarget}%
                     </div>
                     {noTaxPromo && (
                       <div style={{ fontSize: '13px', color: colors.text.secondary, marginTop: '4px' }}>
-                        Customer quote: <strong>{formatMoney(priceForMargin(totalLandingCost, 47) * (1 + taxRate))}</strong> min • <strong>{formatMoney(priceForMargin(totalLandingCost, 50) * (1 + taxRate))}</strong> target
+                        Customer quote: <strong>{formatMoney(priceForMargin(totalLandingCost, dealFloor) * (1 + taxRate))}</strong> min • <strong>{formatMoney(priceForMargin(totalLandingCost, marginTarget) * (1 + taxRate))}</strong> target
                       </div>
                     )}
                   </div>
@@ -2922,9 +4681,9 @@ export default function AshleyDealCalculator() {
                             <span 
                               className="margin-badge"
                               style={{ 
-                                background: item.margin >= 50 ? colors.success.light : item.margin >= 47 ? colors.warning.light : colors.error.light,
-                                color: getMarginColor(item.margin),
-                                border: `1px solid ${getMarginColor(item.margin)}50`
+                                background: BAND_COLORS[marginBand(item.margin, item.floor, Math.max(marginTarget, item.floor))].light,
+                                color: getMarginColor(item.margin, item.floor),
+                                border: `1px solid ${getMarginColor(item.margin, item.floor)}50`
                               }}
                             >
                               {item.margin.toFixed(1)}% margin
@@ -2959,38 +4718,17 @@ export default function AshleyDealCalculator() {
                             : (noTaxPromo ? 'Tap to set price (shows quote w/ tax):' : 'Tap to set sale price:')}
                         </div>
                         <div className="margin-prices">
-                          <div 
-                            className={`margin-price-box ${item.selectedMargin === 50 ? 'current' : ''}`}
-                            onClick={() => setItemToMargin(item.id, 50)}
-                            style={{ cursor: 'pointer' }}
-                          >
-                            <div className="margin-price-label">50%</div>
-                            <div className="margin-price-value">{formatMoney(noTaxPromo ? item.priceAt50 * (1 + taxRate) : item.priceAt50)}</div>
-                          </div>
-                          <div 
-                            className={`margin-price-box ${item.selectedMargin === 49 ? 'current' : ''}`}
-                            onClick={() => setItemToMargin(item.id, 49)}
-                            style={{ cursor: 'pointer' }}
-                          >
-                            <div className="margin-price-label">49%</div>
-                            <div className="margin-price-value">{formatMoney(noTaxPromo ? item.priceAt49 * (1 + taxRate) : item.priceAt49)}</div>
-                          </div>
-                          <div 
-                            className={`margin-price-box ${item.selectedMargin === 48 ? 'current' : ''}`}
-                            onClick={() => setItemToMargin(item.id, 48)}
-                            style={{ cursor: 'pointer' }}
-                          >
-                            <div className="margin-price-label">48%</div>
-                            <div className="margin-price-value">{formatMoney(noTaxPromo ? item.priceAt48 * (1 + taxRate) : item.priceAt48)}</div>
-                          </div>
-                          <div 
-                            className={`margin-price-box ${item.selectedMargin === 47 ? 'current' : ''}`}
-                            onClick={() => setItemToMargin(item.id, 47)}
-                            style={{ cursor: 'pointer' }}
-                          >
-                            <div className="margin-price-label">47%</div>
-                            <div className="margin-price-value">{formatMoney(noTaxPromo ? item.priceAt47 * (1 + taxRate) : item.priceAt47)}</div>
-                          </div>
+                          {marginSteps(Math.max(marginTarget, item.floor), item.floor).map(target => (
+                            <div
+                              key={target}
+                              className={`margin-price-box ${item.selectedMargin === target ? 'current' : ''}`}
+                              onClick={() => setItemToMargin(item.id, target)}
+                              style={{ cursor: 'pointer' }}
+                            >
+                              <div className="margin-price-label">{target}%</div>
+                              <div className="margin-price-value">{formatMoney(noTaxPromo ? priceForMargin(item.landingCost, target) * (1 + taxRate) : priceForMargin(item.landingCost, target))}</div>
+                            </div>
+                          ))}
                         </div>
                         <div className="custom-margin-row">
                           <span className="custom-margin-label">Custom</span>
@@ -3036,7 +4774,7 @@ export default function AshleyDealCalculator() {
                           <tr>
                             <th style={{ padding: '6px 6px', textAlign: 'left', fontWeight: 600, color: colors.text.secondary, borderBottom: `1px solid ${colors.primary[200]}` }}>Item</th>
                             <th style={{ padding: '6px 6px', textAlign: 'right', fontWeight: 600, color: colors.text.secondary, borderBottom: `1px solid ${colors.primary[200]}` }}>Regular</th>
-                            <th style={{ padding: '6px 6px', textAlign: 'right', fontWeight: 600, color: colors.text.secondary, borderBottom: `1px solid ${colors.primary[200]}` }}>Sale {salePercent}% off</th>
+                            <th style={{ padding: '6px 6px', textAlign: 'right', fontWeight: 600, color: colors.text.secondary, borderBottom: `1px solid ${colors.primary[200]}` }}>{ladderItems.every(i => i.salePercent === salePercent) ? `Sale ${salePercent}% off` : 'Standard sale'}</th>
                             {anyDeal && <th style={{ padding: '6px 6px', textAlign: 'right', fontWeight: 700, color: colors.primary[400], borderBottom: `1px solid ${colors.primary[200]}` }}>Your Deal</th>}
                           </tr>
                         </thead>
@@ -3087,22 +4825,36 @@ export default function AshleyDealCalculator() {
                         <span className="breakdown-label">Merchandise Subtotal</span>
                         <span className="breakdown-value">{noTaxPromo ? formatMoney(calculatedItems.reduce((sum, item) => sum + (item.quotePrice * item.qty), 0)) : formatMoney(subtotal)}</span>
                       </div>
+                      {discountDetails.map(d => (
+                        <div key={d.id} className="breakdown-row" style={{ color: 'var(--success)' }}>
+                          <span className="breakdown-label">↳ {d.code ? `${d.code} · ` : ''}{d.label} (included)</span>
+                          <span className="breakdown-value">−{formatMoney(taxAdj(d.amount))}</span>
+                        </div>
+                      ))}
                       {!noTaxPromo && (
                         <div className="breakdown-row">
-                          <span className="breakdown-label">Tax ({TAX_RATE}%)</span>
+                          <span className="breakdown-label">Tax ({taxProfile.rate}%)</span>
                           <span className="breakdown-value">{formatMoney(taxOnMerchandise)}</span>
                         </div>
                       )}
                       {deliveryAmount > 0 && (
                         <div className="breakdown-row">
-                          <span className="breakdown-label">Delivery{!noTaxPromo ? ' + Tax' : ''}</span>
+                          <span className="breakdown-label">{deliveryLabel}{!noTaxPromo && deliveryTax > 0 ? ' + Tax' : ''}</span>
                           <span className="breakdown-value">{formatMoney(deliveryAmount + deliveryTax)}</span>
                         </div>
                       )}
                       {protectionPlanCost > 0 && (
                         <div className="breakdown-row">
-                          <span className="breakdown-label">Protection Plan</span>
-                          <span className="breakdown-value">{formatMoney(protectionPlanCost)}</span>
+                          <span className="breakdown-label">
+                            {protectionPlans.length > 1 ? `Protection (${protectionPlans.map(p => p.plan.name).join(' + ')})` : 'Protection Plan'}
+                            {!noTaxPromo && protectionTax > 0 ? ' + Tax' : ''}
+                          </span>
+                          <span className="breakdown-value">{formatMoney(protectionPlanCost + protectionTax)}</span>
+                        </div>
+                      )}
+                      {includeProtection && uncoveredItemIds.length > 0 && (
+                        <div className="setting-hint" style={{ padding: '2px 0 6px' }}>
+                          No plan covers: {calculatedItems.filter(i => uncoveredItemIds.includes(i.id)).map(i => i.name || 'Unnamed item').join(', ')}
                         </div>
                       )}
                       <div className="breakdown-row" style={{ background: colors.primary[50], margin: '4px -12px 0', padding: '10px 12px', borderRadius: '6px', borderBottom: 'none' }}>
@@ -3130,20 +4882,194 @@ export default function AshleyDealCalculator() {
                   </div>
                 )}
 
-                {/* Send to Frank (Manager) — decision-ready summary, copy or text */}
+                {subtotal > 0 && (
+                  <div className="finance-card">
+                    <div className="finance-card-head">
+                      <span>Financing</span>
+                      {financing.length > 0 && (
+                        // Same number as the Payment deposit: typing here sets it in dollars
+                        <label className="finance-down">
+                          Down $
+                          <input
+                            className="input-compact"
+                            inputMode="decimal"
+                            placeholder="0"
+                            value={payment.depositMode === 'amount' ? payment.depositValue : (paid.deposit > 0 ? paid.deposit.toFixed(2) : '')}
+                            onChange={(e) => setPayment({ ...payment, depositMode: 'amount', depositValue: e.target.value })}
+                            aria-label="Down payment"
+                          />
+                        </label>
+                      )}
+                    </div>
+                    {financing.length === 0 ? (
+                      <div className="finance-empty">No financing plans set up — add them in Store Settings.</div>
+                    ) : financing.map(({ plan, eligible, shortBy, down, monthly, totalPaid }) => (
+                      <div key={plan.id} className={`finance-row${eligible ? '' : ' ineligible'}`}>
+                        <span className="finance-name">{plan.name}</span>
+                        {eligible ? (
+                          <span className="finance-amount">
+                            <strong>{formatMoney(monthly)}/mo</strong>
+                            <small>
+                              {down > 0 ? `${formatMoney(down)} down · ` : ''}
+                              {plan.apr > 0 ? `${formatMoney(totalPaid)} total` : 'no interest'}
+                            </small>
+                          </span>
+                        ) : (
+                          <span className="finance-amount"><small>{formatMoney(shortBy)} short of {formatMoney(plan.minPurchase)} minimum</small></span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {subtotal > 0 && (
+                  <div className="finance-card payment-card">
+                    <div className="finance-card-head">
+                      <span>Payment</span>
+                      <div className="pill-group-compact">
+                        {[['percent', '%'], ['amount', '$']].map(([mode, label]) => (
+                          <button
+                            key={mode}
+                            className={`pill-compact ${payment.depositMode === mode ? 'selected' : ''}`}
+                            onClick={() => setPayment({ ...payment, depositMode: mode })}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="finance-row">
+                      <label className="finance-name" htmlFor="deposit-value">Deposit</label>
+                      <span className="payment-input">
+                        <input
+                          id="deposit-value"
+                          className="input-compact"
+                          inputMode="decimal"
+                          placeholder={payment.depositMode === 'percent' ? '% of total' : '$ amount'}
+                          value={payment.depositValue}
+                          onChange={(e) => setPayment({ ...payment, depositValue: e.target.value })}
+                        />
+                        <strong>{formatMoney(paid.deposit)}</strong>
+                      </span>
+                    </div>
+                    {payment.tenders.map((tender) => (
+                      <div className="finance-row" key={tender.id}>
+                        <select
+                          className="input-compact package-select"
+                          aria-label="Tender"
+                          value={tender.method}
+                          onChange={(e) => setPayment({ ...payment, tenders: payment.tenders.map(t => (t.id === tender.id ? { ...t, method: e.target.value } : t)) })}
+                        >
+                          {TENDER_METHODS.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+                        </select>
+                        <span className="payment-input">
+                          <input
+                            className="input-compact"
+                            inputMode="decimal"
+                            placeholder="$ amount"
+                            aria-label="Tender amount"
+                            value={tender.amount}
+                            onChange={(e) => setPayment({ ...payment, tenders: payment.tenders.map(t => (t.id === tender.id ? { ...t, amount: e.target.value } : t)) })}
+                          />
+                          <button
+                            className="item-remove-btn"
+                            aria-label="Remove tender"
+                            onClick={() => setPayment({ ...payment, tenders: payment.tenders.filter(t => t.id !== tender.id) })}
+                          >
+                            ×
+                          </button>
+                        </span>
+                      </div>
+                    ))}
+                    <button
+                      className="calc-use-btn ghost"
+                      onClick={() => setPayment({
+                        ...payment,
+                        tenders: [...payment.tenders, {
+                          id: Date.now(),
+                          method: 'card',
+                          amount: payment.tenders.length === 0 && paid.deposit > 0 ? paid.deposit.toFixed(2) : '',
+                        }],
+                      })}
+                    >
+                      + Split tender
+                    </button>
+                    {paid.depositShort > 0 && <div className="error-text">Tenders are {formatMoney(paid.depositShort)} short of the deposit.</div>}
+                    {paid.overpaid > 0 && <div className="error-text">Tenders exceed the total by {formatMoney(paid.overpaid)}.</div>}
+                    <div className="finance-row">
+                      <span className="finance-name">Balance due at delivery</span>
+                      <strong>{formatMoney(paid.balanceDue)}</strong>
+                    </div>
+                  </div>
+                )}
+
+                {subtotal > 0 && (
+                  <div className="finance-card customer-card">
+                    <div className="finance-card-head">
+                      <span>Customer</span>
+                      <div className="pill-group-compact">
+                        {DEAL_STATUSES.map(s => (
+                          <button
+                            key={s.id}
+                            className={`pill-compact ${customer.status === s.id ? 'selected' : ''}`}
+                            aria-pressed={customer.status === s.id}
+                            onClick={() => setCustomer({ ...customer, status: s.id })}
+                          >
+                            {s.label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="customer-fields">
+                      <input className="input-compact" placeholder="Customer name" aria-label="Customer name" value={customer.name} onChange={(e) => setCustomer({ ...customer, name: e.target.value })} />
+                      <input className="input-compact" type="tel" placeholder="Phone" aria-label="Customer phone" value={customer.phone} onChange={(e) => setCustomer({ ...customer, phone: e.target.value })} />
+                    </div>
+                    <textarea
+                      className="input-compact customer-notes"
+                      placeholder="Notes (colors, delivery window, what they're deciding between)"
+                      aria-label="Customer notes"
+                      rows={2}
+                      value={customer.notes}
+                      onChange={(e) => setCustomer({ ...customer, notes: e.target.value })}
+                    />
+                    {customer.status === 'open' && (
+                      <label className="customer-followup">
+                        Follow up
+                        <input
+                          type="date"
+                          className="input-compact"
+                          min={today}
+                          value={customer.followUp}
+                          onChange={(e) => {
+                            setCustomer({ ...customer, followUp: e.target.value });
+                            if (e.target.value) requestFollowUpPermission().catch(() => {});
+                          }}
+                        />
+                      </label>
+                    )}
+                    <button className="calc-use-btn" onClick={saveCurrentDeal}>💾 Save deal</button>
+                  </div>
+                )}
+
+                {/* Send to manager — decision-ready summary, copy or text */}
                 {subtotal > 0 && (
                   <>
                     <CopyBlock
-                      title="Send to Frank (Manager)"
+                      title={`Send to ${storeSettings.managerName} (Manager)`}
                       content={managerSummary}
                     />
                     <a
                       className="result-btn secondary"
                       style={{ width: '100%', marginTop: '8px', display: 'flex', alignItems: 'center', justifyContent: 'center', textDecoration: 'none' }}
-                      href={`sms:?&body=${encodeURIComponent(managerSummary)}`}
+                      href={`sms:${storeSettings.managerPhone}?&body=${encodeURIComponent(managerSummary)}`}
                     >
-                      💬 Text Frank
+                      💬 Text {storeSettings.managerName}
                     </a>
+                    <div className="deal-transfer">
+                      <button className="result-btn secondary" onClick={exportDealFile}>⬇ Export deal</button>
+                      <button className="result-btn secondary" onClick={shareDealLink}>🔗 Share link</button>
+                      <button className="result-btn secondary" onClick={() => setQrFile(exportDeal(dealEntry(), deal))}>▦ QR</button>
+                    </div>
                   </>
                 )}
 
@@ -3180,6 +5106,8 @@ export default function AshleyDealCalculator() {
                 title="Tap to edit"
               />
               <div className="quote-tagline">Comfort · Quality · Value</div>
+              {activePromo && <div className="quote-promo">{activePromo.name}</div>}
+              {customer.name.trim() && <div className="quote-tagline">Prepared for {customer.name.trim()}</div>}
             </div>
 
             <div className="quote-cards">
@@ -3188,9 +5116,11 @@ export default function AshleyDealCalculator() {
                   <span className="quote-card-title">Regular Price</span>
                 </div>
                 <div className="quote-line"><span>Furniture Subtotal</span><span>{formatMoney(regularTotal)}</span></div>
-                {deliveryAmount > 0 && <div className="quote-line"><span>Delivery</span><span>{formatMoney(deliveryAmount)}</span></div>}
-                <div className="quote-line"><span>Sales Tax ({TAX_RATE}%)</span><span>{formatMoney(regularSalesTax)}</span></div>
-                {protectionPlanCost > 0 && <div className="quote-line"><span>Protection Plan</span><span>{formatMoney(protectionPlanCost)}</span></div>}
+                {deliveryAmount > 0 && <div className="quote-line"><span>{deliveryLabel}</span><span>{formatMoney(deliveryAmount)}</span></div>}
+                <div className="quote-line"><span>Sales Tax ({taxProfile.rate}%)</span><span>{formatMoney(regularSalesTax)}</span></div>
+                {protectionPlans.map(p => (
+                  <div className="quote-line" key={p.plan.id}><span>{protectionPlans.length > 1 ? `${p.plan.name} Protection` : 'Protection Plan'}</span><span>{formatMoney(p.price)}</span></div>
+                ))}
                 <div className="quote-card-total"><span>Total</span><span>{formatMoney(regularGrandTotal)}</span></div>
               </div>
 
@@ -3200,13 +5130,42 @@ export default function AshleyDealCalculator() {
                   {noTaxPromo && <span className="no-tax-badge">NO TAX</span>}
                 </div>
                 <div className="quote-line"><span>Furniture Subtotal</span><span>{formatMoney(subtotal)}</span></div>
-                {deliveryAmount > 0 && <div className="quote-line"><span>Delivery</span><span>{formatMoney(deliveryAmount)}</span></div>}
-                <div className="quote-line"><span>Sales Tax{noTaxPromo ? '' : ` (${TAX_RATE}%)`}</span><span>{noTaxPromo ? 'Included' : formatMoney(saleSalesTax)}</span></div>
-                {protectionPlanCost > 0 && <div className="quote-line"><span>Protection Plan</span><span>{formatMoney(protectionPlanCost)}</span></div>}
+                {discountDetails.map(d => (
+                  <div className="quote-line" key={d.id}><span>Includes {d.label}</span><span>−{formatMoney(d.amount)}</span></div>
+                ))}
+                {deliveryAmount > 0 && <div className="quote-line"><span>{deliveryLabel}</span><span>{formatMoney(deliveryAmount)}</span></div>}
+                <div className="quote-line"><span>Sales Tax{noTaxPromo ? '' : ` (${taxProfile.rate}%)`}</span><span>{noTaxPromo ? 'Included' : formatMoney(saleSalesTax)}</span></div>
+                {protectionPlans.map(p => (
+                  <div className="quote-line" key={p.plan.id}><span>{protectionPlans.length > 1 ? `${p.plan.name} Protection` : 'Protection Plan'}</span><span>{formatMoney(p.price)}</span></div>
+                ))}
                 <div className="quote-card-total"><span>Total</span><span>{formatMoney(customerTotal)}</span></div>
               </div>
             </div>
 
+            {financing.some(f => f.eligible) && (
+              <div className="quote-financing">
+                <div className="quote-savings-label">Or pay monthly</div>
+                {financing.filter(f => f.eligible).map(({ plan, down, monthly }) => (
+                  <div key={plan.id} className="quote-line">
+                    <span>{plan.name}{down > 0 ? ` (${formatMoney(down)} down)` : ''}</span>
+                    <span>{formatMoney(monthly)}/mo</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {paid.collected > 0 && (
+              <div className="quote-financing">
+                <div className="quote-savings-label">Payment</div>
+                {paid.tendered > 0 ? TENDER_METHODS.filter(m => paid.byMethod[m.id]).map(m => (
+                  <div key={m.id} className="quote-line"><span>{m.label}</span><span>{formatMoney(paid.byMethod[m.id])}</span></div>
+                )) : (
+                  <div className="quote-line"><span>Deposit</span><span>{formatMoney(paid.deposit)}</span></div>
+                )}
+                <div className="quote-line"><strong>Balance due at delivery</strong><strong>{formatMoney(paid.balanceDue)}</strong></div>
+              </div>
+            )}
+
             {quoteSavings > 0.005 && (
               <div className="quote-savings">
                 <div className="quote-savings-label">Customer Savings</div>
@@ -3256,14 +5215,16 @@ export default function AshleyDealCalculator() {
                 <li>Enter landing cost</li>
                 <li>Green = ok. Orange = maybe. Red = no.</li>
               </ul>
-              <p style={{ marginTop: '6px' }}><strong>Rule:</strong> Below 47% = call manager</p>
+              <p style={{ marginTop: '6px' }}><strong>Rule:</strong> Below {marginFloor}% = call manager</p>
             </div>
 
             <div className="help-section">
               <h3>Delivery</h3>
               <ul>
-                <li>Pick $100 / $135 / $150</li>
-                <li>Delivery is always taxed</li>
+                {deliveryQuote
+                  ? <li>Enter the delivery ZIP and pick a service level — the zone sets the price, out-of-zone adds mileage</li>
+                  : <li>Pick {deliveryOptions.filter(d => d !== '0').map(d => `$${d}`).join(' / ')}</li>}
+                <li>Delivery is taxed {taxProfile.taxDelivery ? 'here' : `except in ${taxProfile.name}`}</li>
               </ul>
             </div>
 
@@ -3301,11 +5262,11 @@ export default function AshleyDealCalculator() {
               </div>
               <div className="faq-item">
                 <div className="faq-q">Q: Do I tax delivery?</div>
-                <div className="faq-a">A: Yes. Always.</div>
+                <div className="faq-a">A: {taxProfile.taxDelivery ? 'Yes — the calculator adds it.' : `Not in ${taxProfile.name}. The calculator handles it.`}</div>
               </div>
               <div className="faq-item">
                 <div className="faq-q">Q: Why is my margin red?</div>
-                <div className="faq-a">A: The deal is below 47%.</div>
+                <div className="faq-a">A: The deal is below {marginFloor}%.</div>
               </div>
               <div className="faq-item">
                 <div className="faq-q">Q: Can I use this without landing cost?</div>
@@ -3326,7 +5287,7 @@ export default function AshleyDealCalculator() {
 
             <div className="help-section">
               <h3>Manager Rule</h3>
-              <p>Below 47% margin = stop and call manager.</p>
+              <p>Below {marginFloor}% margin = stop and call {storeSettings.managerName}.</p>
             </div>
 
             <button className="help-close" onClick={() => setShowHelp(false)}>
@@ -3336,6 +5297,51 @@ export default function AshleyDealCalculator() {
         </div>
       )}
 
+      {/* Import a deal file or share link — review before it replaces the deal on screen */}
+      <input
+        ref={importInputRef}
+        type="file"
+        accept=".json,application/json"
+        style={{ display: 'none' }}
+        onChange={(e) => { importDealFile(e.target.files?.[0]); e.target.value = ''; }}
+      />
+      {pendingImport && (() => {
+        const { deal: incoming, totals, exportedAt, warnings } = pendingImport;
+        const here = recomputeEntry(incoming);
+        const differs = totals.customerTotal != null && Math.abs(here.customerTotal - totals.customerTotal) >= 0.01;
+        return (
+          <div className="help-overlay" onClick={() => setPendingImport(null)}>
+            <div className="help-modal import-review" onClick={e => e.stopPropagation()}>
+              <h2>Open Shared Deal?</h2>
+              <div className="breakdown-row">
+                <span>{incoming.customer?.name || incoming.label || 'Unnamed deal'}</span>
+                <span>{incoming.items.length} item{incoming.items.length !== 1 ? 's' : ''}</span>
+              </div>
+              {exportedAt && <div className="setting-hint">Exported {new Date(exportedAt).toLocaleString()}</div>}
+              {totals.customerTotal != null && (
+                <div className="breakdown-row">
+                  <span>Total when exported</span>
+                  <span>{formatMoney(totals.customerTotal)}</span>
+                </div>
+              )}
+              <div className="breakdown-row">
+                <span>Total on this device</span>
+                <strong>{formatMoney(here.customerTotal)}</strong>
+              </div>
+              {differs && <div className="error-text">Totals differ: this store's tax, plans or coupons don't match the exporting device.</div>}
+              {warnings.map(w => <div key={w} className="error-text">{w}</div>)}
+              <p className="setting-hint">This replaces the deal on screen.</p>
+              <div className="import-actions">
+                <button className="calc-use-btn ghost" onClick={() => setPendingImport(null)}>Cancel</button>
+                <button className="calc-use-btn" onClick={confirmImport}>Open deal</button>
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
+      {qrFile && <DealQrSheet file={qrFile} onClose={() => setQrFile(null)} />}
+
       {/* Confirm Reset Modal */}
       {showConfirmReset && (
         <div className="help-overlay" onClick={() => setShowConfirmReset(false)}>
@@ -3382,6 +5388,52 @@ export default function AshleyDealCalculator() {
         </div>
       )}
 
+      {/* Confirm Delete Store Modal */}
+      {confirmRemoveStore && (
+        <div className="help-overlay" onClick={() => setConfirmRemoveStore(null)}>
+          <div className="help-modal" onClick={e => e.stopPropagation()} style={{ maxWidth: '360px', textAlign: 'center' }}>
+            <h2 style={{ marginBottom: '12px' }}>⚠️ Delete Store?</h2>
+            <p style={{ fontSize: '14px', color: colors.text.secondary, marginBottom: '20px' }}>
+              Delete {confirmRemoveStore.storeName} from this device? Its settings, plans and coupons can't be recovered.
+            </p>
+            <div style={{ display: 'flex', gap: '12px' }}>
+              <button
+                onClick={() => setConfirmRemoveStore(null)}
+                style={{
+                  flex: 1,
+                  padding: '14px',
+                  background: colors.primary[50],
+                  color: colors.text.secondary,
+                  border: `1px solid ${colors.primary[200]}`,
+                  borderRadius: '10px',
+                  fontSize: '15px',
+                  fontWeight: 600,
+                  cursor: 'pointer',
+                }}
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => removeStore(confirmRemoveStore.id)}
+                style={{
+                  flex: 1,
+                  padding: '14px',
+                  background: colors.error.main,
+                  color: 'white',
+                  border: 'none',
+                  borderRadius: '10px',
+                  fontSize: '15px',
+                  fontWeight: 600,
+                  cursor: 'pointer',
+                }}
+              >
+                Yes, Delete
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
 
       {/* History Modal */}
       {showHistory && (
@@ -3419,14 +5471,15 @@ export default function AshleyDealCalculator() {
                     {entry.noTaxPromo ? ' • No-Tax' : ''}{Number(entry.delivery) > 0 ? ` • $${entry.delivery} delivery` : ''}
                   </div>
                   {(() => {
-                    const entryItems = (entry.items || []);
-                    const totalLanding = entryItems.reduce((s, i) => s + parseMoney(i.landingCost) * (parseInt(i.qty) || 1), 0);
-                    const totalInvoice = entryItems.reduce((s, i) => s + parseMoney(i.price) * (parseInt(i.qty) || 1), 0);
-                    const margin = totalInvoice > 0 && totalLanding > 0 ? calculateMargin(totalInvoice, totalLanding) : null;
+                    // Re-run the saved deal through the engine so history matches the quote it produced
+                    const saved = recomputeEntry(entry);
+                    const margin = saved.overallMargin;
+                    // "Total" is the prices as entered (qty included), as it always has been
+                    const totalInvoice = (entry.items || []).reduce((s, i) => s + parseMoney(i.price) * (parseInt(i.qty) || 1), 0);
                     return (totalInvoice > 0 || margin !== null) ? (
                       <div style={{ fontSize: '11px', color: colors.text.secondary, marginTop: 4, display: 'flex', gap: 8 }}>
                         {totalInvoice > 0 && <span>Total: {formatMoney(totalInvoice)}</span>}
-                        {margin !== null && <span style={{ color: getMarginColor(margin), fontWeight: 600 }}>Margin: {margin.toFixed(1)}%</span>}
+                        {margin !== null && <span style={{ color: getMarginColor(margin, saved.dealFloor), fontWeight: 600 }}>Margin: {margin.toFixed(1)}%</span>}
                       </div>
                     ) : null;
                   })()}
@@ -3460,7 +5513,10 @@ export default function AshleyDealCalculator() {
 
       {showCalculator && (
         <Calculator
-          taxRate={TAX_RATE}
+          taxRate={taxProfile.rate}
+          taxDelivery={taxProfile.taxDelivery}
+          landingDivisor={storeSettings.landingDivisor}
+          dealId={dealId}
           onClose={() => setShowCalculator(false)}
           onUsePrice={(value) => {
             const id = items[0]?.id;
@@ -3481,6 +5537,50 @@ export default function AshleyDealCalculator() {
         />
       )}
 
+      {showSavedDeals && (
+        <SavedDeals
+          currentDealId={dealId}
+          today={today}
+          initialFilter={savedDealsFilter}
+          onOpen={restoreFromHistory}
+          onCustomerChange={(record) => { if (record.id === dealId) setCustomer(normalizeCustomer(record.customer)); }}
+          onClose={() => { setShowSavedDeals(false); setSavedDealsFilter(''); refreshFollowUps(); }}
+        />
+      )}
+
+      {showScenarios && (
+        <ScenarioCompare
+          items={items}
+          packages={packages}
+          current={{ salePercent, noTaxPromo, priceType, delivery, includeProtection }}
+          scenarios={scenarios}
+          tax={taxSettingsOf(taxProfile)}
+          marginFloor={marginFloor}
+          itemFloor={itemFloor}
+          protection={{ protectionPlans: storeSettings.protectionPlans, itemCategory: categoryOfItem }}
+          discounts={resolvedDiscounts.applied}
+          itemSalePercent={itemSalePercent}
+          salePercentOptions={salePercentOptions}
+          deliveryOptions={deliveryOptions}
+          onChange={setScenarios}
+          onPromote={(next, repriced) => {
+            setItems(repriced);
+            setSalePercent(next.salePercent);
+            setNoTaxPromo(next.noTaxPromo);
+            setPriceType(next.priceType);
+            setDelivery(String(next.delivery));
+            setIncludeProtection(next.includeProtection);
+            setShowScenarios(false);
+            showToast('Scenario promoted to current deal');
+          }}
+          onClose={() => setShowScenarios(false)}
+        />
+      )}
+
+      {showScanner && (
+        <ScanSheet kind={showScanner} onClose={() => setShowScanner(false)} onCode={addScannedItem} />
+      )}
+
       <CoachBubble calcSnapshot={calcSnapshot} calcRefs={calcRefs} />
     </div>
   );
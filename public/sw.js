@@ -3,7 +3,9 @@
    - Navigations: network-first, fall back to cached app shell (SPA offline).
    - Same-origin static assets (hash-named JS/CSS/images/fonts): stale-while-revalidate.
    - Cross-origin (Google Fonts): cache-first runtime cache.
-   - Never cache the coach API or any non-GET request. */
+   - Never cache the coach API or any non-GET request.
+   Follow-up reminders (see src/followUps.js): a tap opens the deal; a periodic
+   sync shows one summary of the saved deals that are due. */
 const VERSION = 'v1';
 const SHELL_CACHE = `dd-shell-${VERSION}`;
 const ASSET_CACHE = `dd-assets-${VERSION}`;
@@ -39,6 +41,58 @@ self.addEventListener('message', (event) => {
   if (event.data === 'SKIP_WAITING') self.skipWaiting();
 });
 
+// Tapping a reminder opens its deal: in the running app if there is one, else a new window.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const dealId = event.notification.data?.dealId;
+  const url = dealId != null ? `/?followup=${encodeURIComponent(dealId)}` : '/';
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const client = clients[0];
+      if (!client) return self.clients.openWindow(url);
+      if (dealId != null) client.postMessage({ type: 'open-follow-up', dealId });
+      return client.focus();
+    })
+  );
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'follow-ups') event.waitUntil(notifyFollowUpsDue());
+});
+
+// Open saved deals (IndexedDB 'ashley-deals', written by the app) with a follow-up
+// date today or earlier, as one summary notification.
+function notifyFollowUpsDue() {
+  if (self.Notification?.permission !== 'granted') return Promise.resolve();
+  // Same local day as localDay() in src/dates.js (a classic worker can't import it)
+  const pad = (n) => String(n).padStart(2, '0');
+  const now = new Date();
+  const today = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  return new Promise((resolve) => {
+    const req = indexedDB.open('ashley-deals');
+    // No database yet means nothing is saved. Abort rather than create an empty
+    // version-1 DB here, which would skip the app's own upgrade (and its stores).
+    req.onupgradeneeded = () => req.transaction.abort();
+    req.onerror = () => resolve([]);
+    req.onsuccess = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('deals')) { db.close(); resolve([]); return; }
+      const all = db.transaction('deals', 'readonly').objectStore('deals').getAll();
+      all.onsuccess = () => { db.close(); resolve(all.result || []); };
+      all.onerror = () => { db.close(); resolve([]); };
+    };
+  }).then((deals) => {
+    const due = deals.filter((d) => d.customer?.status === 'open' && d.customer.followUp && d.customer.followUp <= today);
+    if (!due.length) return undefined;
+    const names = due.map((d) => d.customer.name || d.label || 'Saved quote');
+    const body = names.length > 3 ? `${names.slice(0, 3).join(', ')} and ${names.length - 3} more` : names.join(', ');
+    return self.registration.showNotification(
+      due.length === 1 ? '1 follow-up due' : `${due.length} follow-ups due`,
+      { body, tag: 'follow-ups-due', icon: '/icons/pwa-192.png', data: due.length === 1 ? { dealId: due[0].id } : {} }
+    );
+  });
+}
+
 self.addEventListener('fetch', (event) => {
   const { request } = event;
   if (request.method !== 'GET') return;
@@ -1,9 +1,14 @@
 import { useState, useMemo, useRef, useEffect } from 'react';
-import { evaluate, parse } from './calcEngine.js';
+import { evaluate, interpret } from './calcEngine.js';
 import { sttSupported, createRecognizer } from './voiceIO.js';
+import { loadScratchpad, saveScratchpad } from './scratchpad.js';
+import { DEFAULT_TAX_RATE } from './taxProfiles.js';
+import { DEFAULT_LANDING_DIVISOR } from './storeSettings.js';
 
 const formatMoney = (n) =>
   new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(n || 0);
+// Goal-seek discount answers are percents (unit:'pct'); everything else is money.
+const formatValue = (n, unit) => (unit === 'pct' ? `${Math.round((n || 0) * 100) / 100}%` : formatMoney(n));
 
 // Build the action that a pending operator + operand represents.
 const OP_ACTION = {
@@ -14,6 +19,17 @@ const OP_ACTION = {
   '-%': (v) => ({ kind: 'subPct', pct: v }),
   'margin': (v) => ({ kind: 'marginPrice', pct: v }),
 };
+const PRECEDENCE_KEY = 'ashley.calc.precedence';
+
+function loadPrecedence() {
+  if (typeof window === 'undefined') return false;
+  try {
+    return window.localStorage.getItem(PRECEDENCE_KEY) === '1';
+  } catch {
+    return false;
+  }
+}
+
 const OP_LABEL = { '+': '+', '-': '−', '*': '×', '/': '÷', '-%': '− %', 'margin': 'margin %' };
 
 // Fold an in-progress entry onto the committed actions (display + commit helper).
@@ -25,7 +41,7 @@ function withEntry(actions, op, entry) {
   return [...actions, (OP_ACTION[op] || OP_ACTION['+'])(v)];
 }
 
-export default function Calculator({ taxRate = 9.125, onClose, onUsePrice, onUseLanding }) {
+export default function Calculator({ taxRate = DEFAULT_TAX_RATE, taxDelivery = true, landingDivisor = DEFAULT_LANDING_DIVISOR, dealId, onClose, onUsePrice, onUseLanding }) {
   const [actions, setActions] = useState([]);
   const [entry, setEntry] = useState('');
   const [op, setOp] = useState(null);
@@ -34,16 +50,33 @@ export default function Calculator({ taxRate = 9.125, onClose, onUsePrice, onUse
   const [nlError, setNlError] = useState(null);
   const [copied, setCopied] = useState(false);
   const [listening, setListening] = useState(false);
+  const [precedence, setPrecedence] = useState(loadPrecedence);
+  const [pad, setPad] = useState(() => loadScratchpad(dealId));
+  const [mode, setMode] = useState(() => (pad.trim() ? 'pad' : 'tape'));
   const recRef = useRef(null);
 
-  const cfg = { taxRate };
+  const cfg = { taxRate, taxDelivery, precedence, landingDivisor };
+
+  useEffect(() => {
+    try { window.localStorage.setItem(PRECEDENCE_KEY, precedence ? '1' : '0'); } catch { /* noop */ }
+  }, [precedence]);
+
+  // Scratchpad is saved per deal so a room package survives a walk around the floor.
+  useEffect(() => { saveScratchpad(dealId, pad); }, [dealId, pad]);
 
   // Live evaluation reflects what's currently typed.
   const live = useMemo(() => withEntry(actions, op, entry), [actions, op, entry]);
-  const ev = useMemo(() => (live.length ? evaluate(live, cfg) : { ok: true, steps: [], result: 0 }), [live, taxRate]);
+  const ev = useMemo(() => (live.length ? evaluate(live, cfg) : { ok: true, steps: [], result: 0 }), [live, taxRate, taxDelivery, landingDivisor]);
   const result = ev.result;
   const hasContent = live.length > 0;
 
+  // Scratchpad: every line evaluated, results in the gutter, grand total below.
+  const doc = useMemo(() => interpret(pad, cfg), [pad, taxRate, taxDelivery, precedence, landingDivisor]);
+  const padLines = pad.split('\n');
+  const padHasTotal = doc.lines.some((l) => l.ok);
+  const useValue = mode === 'pad' ? doc.total : result;
+  const canUse = mode === 'pad' ? padHasTotal : hasContent && ev.ok && !ev.unit;
+
   const pressDigit = (d) => { setNlError(null); setNlEcho(null); setEntry((e) => (e === '0' ? d : e + d)); };
   const pressDot = () => setEntry((e) => (e.includes('.') ? e : (e === '' ? '0.' : e + '.')));
 
@@ -76,18 +109,24 @@ export default function Calculator({ taxRate = 9.125, onClose, onUsePrice, onUse
 
   const clearAll = () => { setActions([]); setEntry(''); setOp(null); setNlError(null); setNlEcho(null); setNl(''); };
 
+  // Every line is interpreted (names and "line 2" refs carry across lines);
+  // the tape shows the last line's work.
   const runText = (text) => {
     const t = (text || '').trim();
     if (!t) return;
-    const p = parse(t, cfg);
-    if (!p.ok) { setNlError(p.error); setNlEcho(null); return; }
-    const check = evaluate(p.actions, cfg);
-    if (!check.ok) { setNlError(check.error); setNlEcho(null); return; }
-    setActions(p.actions);
+    const r = interpret(t, cfg);
+    const filled = r.lines.filter((l) => !l.blank);
+    const failed = filled.find((l) => !l.ok);
+    if (failed) {
+      setNlError(filled.length > 1 ? `Line ${failed.line}: ${failed.error}` : failed.error);
+      setNlEcho(null);
+      return;
+    }
+    setActions(r.actions);
     setEntry('');
     setOp(null);
     setNlError(null);
-    setNlEcho(p.normalized);
+    setNlEcho(filled.map((l) => l.normalized).join('; '));
   };
   const runNL = () => runText(nl);
 
@@ -99,7 +138,9 @@ export default function Calculator({ taxRate = 9.125, onClose, onUsePrice, onUse
       onResult: ({ final, interim }) => setNl([final, interim].filter(Boolean).join(' ').trim()),
       onEnd: (finalText) => {
         setListening(false);
-        if (finalText) { setNl(finalText); runText(finalText); }
+        if (!finalText) return;
+        if (mode === 'pad') setPad((p) => (p.trim() ? `${p.replace(/\n+$/, '')}\n${finalText}` : finalText));
+        else { setNl(finalText); runText(finalText); }
       },
       onError: (err) => {
         setListening(false);
@@ -113,13 +154,31 @@ export default function Calculator({ taxRate = 9.125, onClose, onUsePrice, onUse
     try { rec.start(); setListening(true); } catch { setListening(false); }
   };
 
+  const micButton = sttSupported && (
+    <button
+      className={`calc-mic ${listening ? 'listening' : ''}`}
+      onClick={toggleMic}
+      aria-label={listening ? 'Stop listening' : 'Speak the math'}
+      title={listening ? 'Stop' : 'Speak the math'}
+    >
+      {listening ? '■' : '🎤'}
+    </button>
+  );
+
   // Stop the mic if the calculator unmounts mid-listen.
   useEffect(() => () => { try { recRef.current?.abort?.(); } catch { /* noop */ } }, []);
 
   const copyTape = () => {
-    if (!ev.steps.length) return;
-    const lines = ev.steps.map((s) => `${s.label}  =  ${formatMoney(s.total)}`);
-    lines.push(`TOTAL  ${formatMoney(result)}`);
+    let lines;
+    if (mode === 'pad') {
+      if (!padHasTotal) return;
+      lines = doc.lines.filter((l) => !l.blank).map((l) => `${l.text.trim()}  =  ${l.ok ? formatValue(l.result, l.unit) : '?'}`);
+      lines.push(`TOTAL  ${formatMoney(doc.total)}`);
+    } else {
+      if (!ev.steps.length) return;
+      lines = ev.steps.map((s) => `${s.label}  =  ${formatValue(s.total, s.unit)}`);
+      lines.push(`TOTAL  ${formatValue(result, ev.unit)}`);
+    }
     navigator.clipboard?.writeText(lines.join('\n'));
     setCopied(true);
     setTimeout(() => setCopied(false), 1500);
@@ -138,94 +197,146 @@ export default function Calculator({ taxRate = 9.125, onClose, onUsePrice, onUse
         </div>
 
         <div className="calc-body">
-          {/* Type-or-speak natural math */}
-          <div className="calc-nl">
-            <input
-              className="calc-nl-input"
-              type="text"
-              placeholder="Type or say: couch 1001, loveseat 500, +tax"
-              value={nl}
-              onChange={(e) => { setNl(e.target.value); setNlError(null); }}
-              onKeyDown={(e) => { if (e.key === 'Enter') runNL(); }}
-              aria-label="Type a math expression"
-            />
-            {sttSupported && (
-              <button
-                className={`calc-mic ${listening ? 'listening' : ''}`}
-                onClick={toggleMic}
-                aria-label={listening ? 'Stop listening' : 'Speak the math'}
-                title={listening ? 'Stop' : 'Speak the math'}
-              >
-                {listening ? '■' : '🎤'}
-              </button>
-            )}
-            <button className="calc-nl-go" onClick={runNL} disabled={!nl.trim()}>Go</button>
+          <div className="calc-tabs" role="tablist">
+            <button role="tab" aria-selected={mode === 'tape'} className={`calc-tab ${mode === 'tape' ? 'active' : ''}`} onClick={() => setMode('tape')}>Tape</button>
+            <button role="tab" aria-selected={mode === 'pad'} className={`calc-tab ${mode === 'pad' ? 'active' : ''}`} onClick={() => setMode('pad')}>Scratchpad</button>
           </div>
-          {listening && (
-            <div className="calc-listening">🎙️ Listening… e.g. “couch ten ninety nine, loveseat five hundred, plus tax”</div>
-          )}
-          {nlError && <div className="calc-nl-error">⚠ {nlError}</div>}
-          {nlEcho && !nlError && <div className="calc-nl-echo">Read as: {nlEcho}</div>}
-
-          {/* Work tape */}
-          <div className="calc-tape" role="log" aria-live="polite">
-            {ev.steps.length === 0 ? (
-              <div className="calc-tape-empty">Enter a number, or type/say the math above.</div>
-            ) : (
-              ev.steps.map((s, i) => (
-                <div key={i} className="calc-step">
-                  <span className="calc-step-label">{s.label}</span>
-                  <span className="calc-step-total">{formatMoney(s.total)}</span>
+
+          {mode === 'pad' ? (
+            <>
+              {/* Scratchpad: one line per item, results in the right-hand gutter */}
+              <div className="calc-pad">
+                <textarea
+                  className="calc-pad-input"
+                  rows={Math.max(6, padLines.length + 1)}
+                  wrap="off"
+                  spellCheck={false}
+                  placeholder={'sofa = 1200\nloveseat = 800\n2 end tables 150\nsofa + loveseat plus tax'}
+                  value={pad}
+                  onChange={(e) => setPad(e.target.value)}
+                  aria-label="Scratchpad, one calculation per line"
+                />
+                <div className="calc-pad-gutter" aria-hidden>
+                  {padLines.map((_, i) => {
+                    const l = doc.lines[i];
+                    if (!l || l.blank) return <div key={i} className="calc-pad-line" />;
+                    return (
+                      <div key={i} className={`calc-pad-line ${l.ok ? '' : 'error'} ${l.used ? 'used' : ''}`} title={l.error || l.normalized}>
+                        {l.ok ? formatValue(l.result, l.unit) : '⚠'}
+                      </div>
+                    );
+                  })}
                 </div>
-              ))
-            )}
-          </div>
+              </div>
+              {listening && <div className="calc-listening">🎙️ Listening… each phrase becomes a new line</div>}
+              {nlError && <div className="calc-nl-error">⚠ {nlError}</div>}
+              <div className="calc-result-row">
+                <div className="calc-pending">
+                  {micButton}
+                  {pad.trim() && <button className="calc-pad-clear" onClick={() => setPad('')}>Clear</button>}
+                </div>
+                <div className="calc-result"><span className="calc-pad-total-label">Total</span> {formatMoney(doc.total)}</div>
+              </div>
+            </>
+          ) : (
+            <>
+              {/* Type-or-speak natural math */}
+              <div className="calc-nl">
+                <textarea
+                  className="calc-nl-input"
+                  rows={Math.min(4, nl.split('\n').length)}
+                  placeholder="Type or say: couch 1001, loveseat 500, +tax — or: what price gives 1800 out the door?"
+                  value={nl}
+                  onChange={(e) => { setNl(e.target.value); setNlError(null); }}
+                  onKeyDown={(e) => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); runNL(); } }}
+                  aria-label="Type a math expression"
+                  title="Shift+Enter for a new line. Name a line (sofa = 1200) or use line 2 in later lines."
+                />
+                {micButton}
+                <button className="calc-nl-go" onClick={runNL} disabled={!nl.trim()}>Go</button>
+              </div>
+              {listening && (
+                <div className="calc-listening">🎙️ Listening… e.g. “couch ten ninety nine, loveseat five hundred, plus tax”</div>
+              )}
+              {nlError && <div className="calc-nl-error">⚠ {nlError}</div>}
+              {nlEcho && !nlError && <div className="calc-nl-echo">Read as: {nlEcho}</div>}
 
-          {/* Result + pending op */}
-          <div className="calc-result-row">
-            <div className="calc-pending">{op ? OP_LABEL[op] : ''} {entry}</div>
-            <div className="calc-result">{ev.ok ? formatMoney(result) : '—'}</div>
-          </div>
+              {/* Work tape */}
+              <div className="calc-tape" role="log" aria-live="polite">
+                {ev.steps.length === 0 ? (
+                  <div className="calc-tape-empty">Enter a number, or type/say the math above.</div>
+                ) : (
+                  ev.steps.map((s, i) => (
+                    <div key={i} className="calc-step">
+                      <span className="calc-step-label">{s.label}</span>
+                      <span className="calc-step-total">{formatValue(s.total, s.unit)}</span>
+                    </div>
+                  ))
+                )}
+              </div>
+
+              {/* Result + pending op */}
+              <div className="calc-result-row">
+                <div className="calc-pending">{op ? OP_LABEL[op] : ''} {entry}</div>
+                <div className="calc-result">{ev.ok ? formatValue(result, ev.unit) : '—'}</div>
+              </div>
+            </>
+          )}
 
           {/* Push into the deal / copy */}
           <div className="calc-use">
-            <button className="calc-use-btn" onClick={() => onUsePrice && onUsePrice(result)} disabled={!hasContent || !ev.ok}>Use as price</button>
-            <button className="calc-use-btn" onClick={() => onUseLanding && onUseLanding(result)} disabled={!hasContent || !ev.ok}>Use as landing</button>
-            <button className="calc-use-btn ghost" onClick={copyTape} disabled={!ev.steps.length}>{copied ? '✓ Copied' : 'Copy'}</button>
+            <button className="calc-use-btn" onClick={() => onUsePrice && onUsePrice(useValue)} disabled={!canUse}>Use as price</button>
+            <button className="calc-use-btn" onClick={() => onUseLanding && onUseLanding(useValue)} disabled={!canUse}>Use as landing</button>
+            <button className="calc-use-btn ghost" onClick={copyTape} disabled={mode === 'pad' ? !padHasTotal : !ev.steps.length}>{copied ? '✓ Copied' : 'Copy'}</button>
           </div>
 
-          {/* Domain shortcuts */}
-          <div className="calc-domain">
-            <button className="calc-domain-btn" onClick={() => applyUnary({ kind: 'addTax', rate: taxRate })}>+ Tax</button>
-            <button className={`calc-domain-btn ${op === '-%' ? 'active' : ''}`} onClick={() => pressOp('-%')}>− %</button>
-            <button className="calc-domain-btn" onClick={() => applyUnary({ kind: 'landing' })}>÷ 3.3</button>
-            <button className="calc-domain-btn" onClick={() => applyUnary({ kind: 'backTax', rate: taxRate })}>OTD</button>
-            <button className={`calc-domain-btn ${op === 'margin' ? 'active' : ''}`} onClick={() => pressOp('margin')}>Margin %</button>
-          </div>
+          {mode === 'tape' && (
+            <>
+              {/* Domain shortcuts */}
+              <div className="calc-domain">
+                <button className="calc-domain-btn" onClick={() => applyUnary({ kind: 'addTax', rate: taxRate })}>+ Tax</button>
+                <button className={`calc-domain-btn ${op === '-%' ? 'active' : ''}`} onClick={() => pressOp('-%')}>− %</button>
+                <button className="calc-domain-btn" onClick={() => applyUnary({ kind: 'landing', divisor: landingDivisor })}>÷ {landingDivisor}</button>
+                <button className="calc-domain-btn" onClick={() => applyUnary({ kind: 'backTax', rate: taxRate })}>OTD</button>
+                <button className={`calc-domain-btn ${op === 'margin' ? 'active' : ''}`} onClick={() => pressOp('margin')}>Margin %</button>
+              </div>
 
-          {/* Keypad */}
-          <div className="calc-keys">
-            <Key label="7" onClick={() => pressDigit('7')} />
-            <Key label="8" onClick={() => pressDigit('8')} />
-            <Key label="9" onClick={() => pressDigit('9')} />
-            <Key label="÷" cls={`op ${op === '/' ? 'active' : ''}`} onClick={() => pressOp('/')} />
-            <Key label="4" onClick={() => pressDigit('4')} />
-            <Key label="5" onClick={() => pressDigit('5')} />
-            <Key label="6" onClick={() => pressDigit('6')} />
-            <Key label="×" cls={`op ${op === '*' ? 'active' : ''}`} onClick={() => pressOp('*')} />
-            <Key label="1" onClick={() => pressDigit('1')} />
-            <Key label="2" onClick={() => pressDigit('2')} />
-            <Key label="3" onClick={() => pressDigit('3')} />
-            <Key label="−" cls={`op ${op === '-' ? 'active' : ''}`} onClick={() => pressOp('-')} />
-            <Key label="." onClick={pressDot} />
-            <Key label="0" onClick={() => pressDigit('0')} />
-            <Key label="⌫" onClick={backspace} />
-            <Key label="+" cls={`op ${op === '+' ? 'active' : ''}`} onClick={() => pressOp('+')} />
-            <Key label="C" cls="wide" onClick={clearAll} />
-            <Key label="=" cls="equals" onClick={pressEquals} />
-          </div>
+              {/* Keypad */}
+              <div className="calc-keys">
+                <Key label="7" onClick={() => pressDigit('7')} />
+                <Key label="8" onClick={() => pressDigit('8')} />
+                <Key label="9" onClick={() => pressDigit('9')} />
+                <Key label="÷" cls={`op ${op === '/' ? 'active' : ''}`} onClick={() => pressOp('/')} />
+                <Key label="4" onClick={() => pressDigit('4')} />
+                <Key label="5" onClick={() => pressDigit('5')} />
+                <Key label="6" onClick={() => pressDigit('6')} />
+                <Key label="×" cls={`op ${op === '*' ? 'active' : ''}`} onClick={() => pressOp('*')} />
+                <Key label="1" onClick={() => pressDigit('1')} />
+                <Key label="2" onClick={() => pressDigit('2')} />
+                <Key label="3" onClick={() => pressDigit('3')} />
+                <Key label="−" cls={`op ${op === '-' ? 'active' : ''}`} onClick={() => pressOp('-')} />
+                <Key label="." onClick={pressDot} />
+                <Key label="0" onClick={() => pressDigit('0')} />
+                <Key label="⌫" onClick={backspace} />
+                <Key label="+" cls={`op ${op === '+' ? 'active' : ''}`} onClick={() => pressOp('+')} />
+                <Key label="C" cls="wide" onClick={clearAll} />
+                <Key label="=" cls="equals" onClick={pressEquals} />
+              </div>
+            </>
+          )}
 
-          <div className="calc-hint">Adding-machine style: each line applies to the running total, left to right.</div>
+          <div className="calc-hint">
+            {precedence
+              ? 'Math order: × and ÷ before + and −, parentheses group. Typed/spoken math only.'
+              : 'Adding-machine style: each line applies to the running total, left to right.'}
+            <button
+              className={`calc-mode-btn ${precedence ? 'active' : ''}`}
+              onClick={() => setPrecedence((v) => !v)}
+              aria-pressed={precedence}
+            >
+              {precedence ? 'Math order' : 'Left to right'}
+            </button>
+          </div>
         </div>
       </div>
     </div>
@@ -7,17 +7,18 @@ import { isOnboarded, markOnboarded } from './onboarding.js';
 const KB_KEY = 'ashley.kb';
 const TTS_KEY = 'ashley.tts.enabled';
 
-const DEFAULT_KB = `Ashley HomeStore Gilroy - default knowledge
+const DEFAULT_KB = `Ashley HomeStore - default knowledge
 
-Tax: 9.125% (CA local rate).
-Margin floor: 47% (hard - call manager). Target: 50%+.
-Delivery: $0 / $100 / $135 (default) / $150.
-Sale percent: 30 / 35 / 40.
+Store numbers come from the active store profile (Store Settings) and are
+sent with every turn: store name, manager, margin floor and target, sale
+percents, delivery tiers, tax jurisdiction and protection plans.
 No-Tax Promo: ON by default. Customer is quoted a tax-included price; the
-invoice is written pre-tax (rawPrice / 1.09125).
-Protection plan: tiered $150-$500 (see calculator help).
+invoice is written pre-tax (price / (1 + tax rate)).
 
-Add SOPs, current promos, financing terms, manager scripts, etc. below
+Financing: plans are set in Store Settings; the deal state includes the
+lowest monthly payment the customer qualifies for.
+
+Add SOPs, current promos, manager scripts, etc. below
 and the AI will use them when answering reps.
 
 `;
@@ -0,0 +1,64 @@
+import { useEffect, useState } from 'react';
+import { encodeDealQr, dealQrLinkParts } from './dealTransfer.js';
+import { encodeQr, qrPath } from './qrCode.js';
+
+// Shows the deal as a QR code for another phone to scan. The code is a link into
+// the app, so the other phone's camera opens it (and ⋮ → Scan Deal QR reads it
+// too). The deal is in the link itself, so with the app already on that phone
+// it works with no Wi-Fi at all.
+// Level L: a phone screen is clean, and the lower level keeps the code coarser.
+
+const QUIET = 4;
+
+export default function DealQrSheet({ file, onClose }) {
+  const [qr, setQr] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    encodeDealQr(file)
+      .then((payload) => {
+        if (cancelled) return;
+        const base = window.location.origin + window.location.pathname;
+        setQr(encodeQr(dealQrLinkParts(payload, base), { level: 'L' }));
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        setError(/Too much data/.test(e.message)
+          ? 'This deal is too big for one QR code. Use Export deal instead.'
+          : `Couldn't make the QR code: ${e.message}`);
+      });
+    return () => { cancelled = true; };
+  }, [file]);
+
+  const span = qr ? qr.size + QUIET * 2 : 0;
+  return (
+    <div className="calc-overlay" onClick={onClose}>
+      <div className="calc-sheet deal-qr-sheet" onClick={(e) => e.stopPropagation()}>
+        <div className="sheet-header">
+          <div className="sheet-title">Deal QR</div>
+          <button className="sheet-close" onClick={onClose}>Done</button>
+        </div>
+        <div className="calc-body">
+          {error && <div className="error-text">{error}</div>}
+          {!qr && !error && <div className="saved-deal-empty">Making the code…</div>}
+          {qr && (
+            <svg
+              className="deal-qr"
+              viewBox={`${-QUIET} ${-QUIET} ${span} ${span}`}
+              shapeRendering="crispEdges"
+              role="img"
+              aria-label="Deal QR code"
+            >
+              <rect x={-QUIET} y={-QUIET} width={span} height={span} fill="#fff" />
+              <path d={qrPath(qr)} fill="#000" />
+            </svg>
+          )}
+          <div className="setting-hint">
+            Point the other phone's camera at the code, or use ⋮ → Scan Deal QR in the app. Turn this screen's brightness up if it won't read.
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+import { useEffect, useMemo, useState } from 'react';
+import { DEAL_STATUSES, closedAtFor, loadSavedDeals, putSavedDeals, deleteSavedDeals, searchDeals, followUpsDue } from './savedDeals.js';
+import { scheduleFollowUp, cancelFollowUp } from './followUps.js';
+
+// Every saved customer quote on this device: search by name, phone, notes or
+// item, filter by status or follow-ups due, reopen one as the current deal.
+// Opens on the Due filter at launch when follow-ups have come due.
+
+const SHOW_LIMIT = 50;
+
+const formatMoney = (n) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(n || 0);
+
+const formatDate = (ts) =>
+  new Date(ts).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+export default function SavedDeals({ currentDealId, today, initialFilter = '', onOpen, onCustomerChange, onClose }) {
+  const [deals, setDeals] = useState(null); // null while loading
+  const [error, setError] = useState('');
+  const [query, setQuery] = useState('');
+  const [status, setStatus] = useState(initialFilter); // '', 'due' or a status id
+  const [confirmDelete, setConfirmDelete] = useState(null);
+
+  useEffect(() => {
+    loadSavedDeals()
+      .then(setDeals)
+      .catch((e) => { setDeals([]); setError(`Saved deals aren't available: ${e.message}`); });
+  }, []);
+
+  const due = useMemo(() => followUpsDue(deals || [], today), [deals, today]);
+  const matches = useMemo(() => {
+    if (status !== 'due') return searchDeals(deals || [], query, { status });
+    const ids = new Set(searchDeals(due, query).map((d) => d.id));
+    return due.filter((d) => ids.has(d.id));
+  }, [deals, due, query, status]);
+
+  const updateCustomer = async (deal, changes) => {
+    const customer = { ...deal.customer, ...changes };
+    const record = { ...deal, customer, closedAt: closedAtFor(customer.status, deal) };
+    setDeals((list) => list.map((d) => (d.id === deal.id ? record : d)));
+    try {
+      await putSavedDeals([record]);
+      onCustomerChange?.(record);
+      scheduleFollowUp(record).catch(() => {});
+    } catch (e) {
+      setError(`Couldn't save: ${e.message}`);
+    }
+  };
+
+  const remove = async (id) => {
+    setConfirmDelete(null);
+    setDeals((list) => list.filter((d) => d.id !== id));
+    try {
+      await deleteSavedDeals([id]);
+      cancelFollowUp(id).catch(() => {});
+    } catch (e) {
+      setError(`Couldn't delete: ${e.message}`);
+    }
+  };
+
+  return (
+    <div className="calc-overlay" onClick={onClose}>
+      <div className="calc-sheet saved-deals-sheet" onClick={(e) => e.stopPropagation()}>
+        <div className="sheet-header">
+          <div className="sheet-title">Saved Deals</div>
+          <button className="sheet-close" onClick={onClose}>Close</button>
+        </div>
+        <div className="calc-body">
+          <input
+            type="search"
+            className="input-compact"
+            placeholder="Name, phone, item, SKU, notes…"
+            aria-label="Search saved deals"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <div className="pill-group-compact" style={{ margin: '8px 0' }}>
+            {[{ id: '', label: 'All' }, { id: 'due', label: `Due${due.length ? ` (${due.length})` : ''}` }, ...DEAL_STATUSES].map((s) => (
+              <button key={s.id} className={`pill-compact ${status === s.id ? 'selected' : ''}`} onClick={() => setStatus(s.id)}>
+                {s.label}
+              </button>
+            ))}
+          </div>
+          {error && <div className="error-text">{error}</div>}
+          {deals === null && <div className="saved-deal-empty">Loading…</div>}
+          {deals !== null && matches.length === 0 && (
+            <div className="saved-deal-empty">
+              {status === 'due' && !query
+                ? 'No follow-ups due.'
+                : deals.length ? 'No saved deal matches.' : 'No saved deals yet. Calculate a deal or tap Save deal.'}
+            </div>
+          )}
+          {matches.slice(0, SHOW_LIMIT).map((deal) => (
+            <div key={deal.id} className={`saved-deal${deal.id === currentDealId ? ' current' : ''}`}>
+              <div className="saved-deal-head">
+                <strong>{deal.customer.name || deal.label || 'Unnamed deal'}</strong>
+                <span>{formatDate(deal.ts)}</span>
+              </div>
+              <div className="saved-deal-meta">
+                {deal.customer.phone && <span>{deal.customer.phone}</span>}
+                {deal.customer.name && deal.label && <span>{deal.label}</span>}
+                {deal.total != null && <span>{formatMoney(deal.total)}</span>}
+                {deal.margin != null && <span>{deal.margin.toFixed(1)}%</span>}
+              </div>
+              {deal.customer.notes && <div className="saved-deal-notes">{deal.customer.notes}</div>}
+              {deal.customer.status === 'open' && (
+                <label className={`saved-deal-followup${deal.customer.followUp && deal.customer.followUp <= today ? ' due' : ''}`}>
+                  Follow up
+                  <input
+                    type="date"
+                    className="input-compact"
+                    value={deal.customer.followUp}
+                    onChange={(e) => updateCustomer(deal, { followUp: e.target.value })}
+                  />
+                </label>
+              )}
+              <div className="saved-deal-actions">
+                <div className="pill-group-compact">
+                  {DEAL_STATUSES.map((s) => (
+                    <button
+                      key={s.id}
+                      className={`pill-compact ${deal.customer.status === s.id ? 'selected' : ''}`}
+                      aria-pressed={deal.customer.status === s.id}
+                      onClick={() => updateCustomer(deal, { status: s.id })}
+                    >
+                      {s.label}
+                    </button>
+                  ))}
+                </div>
+                <button className="calc-use-btn" onClick={() => onOpen(deal)}>
+                  {deal.id === currentDealId ? 'Current' : 'Open'}
+                </button>
+                {confirmDelete === deal.id ? (
+                  <button className="calc-use-btn ghost" onClick={() => remove(deal.id)}>Delete?</button>
+                ) : (
+                  <button className="item-remove-btn" aria-label="Delete saved deal" onClick={() => setConfirmDelete(deal.id)}>×</button>
+                )}
+              </div>
+            </div>
+          ))}
+          {matches.length > SHOW_LIMIT && (
+            <div className="saved-deal-empty">Showing {SHOW_LIMIT} of {matches.length}. Search to narrow it down.</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
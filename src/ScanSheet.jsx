@@ -0,0 +1,85 @@
+import { useState, useRef, useEffect } from 'react';
+import { scanSupported, startScanner } from './barcodeScanner.js';
+
+// Bottom sheet for scanning floor tags (or, with kind="deal", another phone's
+// deal QR). Stays open so a rep can scan a whole room; each code goes to
+// onCode(code), which resolves to a status line.
+const TEXT = {
+  tag: { title: 'Scan Tag', fallback: 'type the SKU instead', placeholder: 'Type SKU or barcode…' },
+  deal: { title: 'Scan Deal QR', fallback: 'point the Camera app at the code instead (it opens the deal here)', placeholder: 'Or paste the deal code…' },
+};
+
+export default function ScanSheet({ kind = 'tag', onClose, onCode }) {
+  const text = TEXT[kind];
+  const videoRef = useRef(null);
+  const [cameraError, setCameraError] = useState(scanSupported ? null : `Camera scanning isn't available here — ${text.fallback}.`);
+  const [manual, setManual] = useState('');
+  const [status, setStatus] = useState(null); // { text, ok }
+
+  const handle = async (code) => {
+    const r = await onCode(code);
+    if (r) setStatus(r);
+  };
+  const handleRef = useRef(handle);
+  handleRef.current = handle;
+
+  useEffect(() => {
+    if (!scanSupported || !videoRef.current) return undefined;
+    let stop = null;
+    let cancelled = false;
+    startScanner(videoRef.current, { onCode: (c) => handleRef.current(c) })
+      .then((s) => { if (cancelled) s(); else stop = s; })
+      .catch((e) => {
+        if (!cancelled) setCameraError(e?.name === 'NotAllowedError'
+          ? `Camera permission was denied — ${text.fallback}.`
+          : `Couldn't start the camera — ${text.fallback}.`);
+      });
+    return () => { cancelled = true; stop?.(); };
+  }, []);
+
+  const submitManual = (e) => {
+    e.preventDefault();
+    const code = manual.trim();
+    if (!code) return;
+    handle(code);
+    setManual('');
+  };
+
+  return (
+    <div className="calc-overlay" onClick={onClose}>
+      <div className="calc-sheet" onClick={(e) => e.stopPropagation()}>
+        <div className="sheet-header">
+          <div className="sheet-title">{text.title}</div>
+          <button className="sheet-close" onClick={onClose}>Done</button>
+        </div>
+        <div className="calc-body">
+          {cameraError ? (
+            <div className="scan-fallback">{cameraError}</div>
+          ) : (
+            <div className="scan-viewport">
+              <video ref={videoRef} muted playsInline />
+              <div className="scan-frame" />
+            </div>
+          )}
+          {status && (
+            <div className="scan-status" role="status" aria-live="polite" style={{ color: status.ok ? 'var(--success)' : 'var(--warning)' }}>
+              {status.ok ? '✓ ' : '⚠ '}{status.text}
+            </div>
+          )}
+          <form className="scan-manual" onSubmit={submitManual}>
+            <input
+              type="text"
+              className="input-compact"
+              placeholder={text.placeholder}
+              value={manual}
+              onChange={(e) => setManual(e.target.value)}
+              autoCapitalize={kind === 'tag' ? 'characters' : 'off'}
+              autoFocus={Boolean(cameraError)}
+            />
+            <button type="submit" className="item-estimate-btn">Add</button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
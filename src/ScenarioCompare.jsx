@@ -0,0 +1,129 @@
+import { useMemo } from 'react';
+import { computeDeal } from './dealEngine.js';
+import { MAX_SCENARIOS, forkScenario, scenarioSettings, scenarioItems } from './scenarios.js';
+
+// Side-by-side deal variants (the math lives in scenarios.js). "Promote" copies
+// a scenario's settings onto the current deal, re-pricing the items the same
+// way its column did.
+
+const formatMoney = (n) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(n || 0);
+
+export default function ScenarioCompare({
+  items, packages, current, scenarios, tax, protection, discounts, marginFloor = 47, itemFloor, itemSalePercent,
+  salePercentOptions, deliveryOptions, onChange, onPromote, onClose,
+}) {
+  const columns = useMemo(() => [
+    { id: 'current', name: 'Current', ...current, isCurrent: true },
+    ...scenarios,
+  ].map((col) => ({
+    ...col,
+    deal: computeDeal(scenarioItems(items, current, col, itemSalePercent), {
+      ...scenarioSettings(col), ...tax, ...protection, packages, discounts, marginFloor, itemFloor, itemSalePercent,
+    }),
+  })), [items, packages, current, scenarios, tax, protection, discounts, marginFloor, itemFloor, itemSalePercent]);
+
+  const update = (id, field, value) => onChange(scenarios.map((s) => (s.id === id ? { ...s, [field]: value } : s)));
+  const remove = (id) => onChange(scenarios.filter((s) => s.id !== id));
+  const fork = () => { if (scenarios.length < MAX_SCENARIOS) onChange([...scenarios, forkScenario(current, scenarios)]); };
+
+  const bestProfit = Math.max(...columns.map((c) => c.deal.totalProfit));
+
+  return (
+    <div className="calc-overlay" onClick={onClose}>
+      <div className="calc-sheet scenario-sheet" onClick={(e) => e.stopPropagation()}>
+        <div className="sheet-header">
+          <div className="sheet-title">Compare Scenarios</div>
+          <button className="sheet-close" onClick={onClose}>Close</button>
+        </div>
+        <div className="calc-body">
+          <div className="scenario-grid">
+            {columns.map((col) => (
+              <div key={col.id} className={`scenario-col${col.isCurrent ? ' current' : ''}`}>
+                {col.isCurrent ? (
+                  <div className="scenario-name">Current deal</div>
+                ) : (
+                  <input
+                    className="input-compact scenario-name-input"
+                    value={col.name}
+                    onChange={(e) => update(col.id, 'name', e.target.value)}
+                    aria-label="Scenario name"
+                  />
+                )}
+
+                <div className="scenario-label">Sale</div>
+                <div className="pill-group-compact">
+                  {salePercentOptions.map((pct) => (
+                    <button
+                      key={pct}
+                      className={`pill-compact ${col.salePercent === pct ? 'selected' : ''}`}
+                      disabled={col.isCurrent}
+                      onClick={() => update(col.id, 'salePercent', pct)}
+                    >
+                      {pct}%
+                    </button>
+                  ))}
+                </div>
+
+                <div className="scenario-label">Delivery</div>
+                <div className="pill-group-compact">
+                  {deliveryOptions.map((amt) => (
+                    <button
+                      key={amt}
+                      className={`pill-compact ${String(col.delivery) === amt ? 'selected' : ''}`}
+                      disabled={col.isCurrent}
+                      onClick={() => update(col.id, 'delivery', amt)}
+                    >
+                      {amt === '0' ? 'Pickup' : `$${amt}`}
+                    </button>
+                  ))}
+                </div>
+
+                <div className="scenario-label">Protection</div>
+                <button
+                  className={`pill-compact ${col.includeProtection ? 'selected' : ''}`}
+                  disabled={col.isCurrent}
+                  aria-pressed={col.includeProtection}
+                  onClick={() => update(col.id, 'includeProtection', !col.includeProtection)}
+                >
+                  {col.includeProtection ? 'ON' : 'OFF'}
+                </button>
+
+                <div className="scenario-results">
+                  <div className="scenario-stat">
+                    <span>Customer pays</span>
+                    <strong>{formatMoney(col.deal.customerTotal)}</strong>
+                  </div>
+                  <div className="scenario-stat">
+                    <span>Margin</span>
+                    <strong className={col.deal.marginFloorOk ? '' : 'below-floor'}>
+                      {col.deal.overallMargin !== null ? `${col.deal.overallMargin.toFixed(1)}%` : '--'}
+                    </strong>
+                  </div>
+                  <div className="scenario-stat">
+                    <span>Profit</span>
+                    <strong className={col.deal.totalProfit === bestProfit && bestProfit > 0 ? 'best' : ''}>
+                      {col.deal.totalProfit > 0 ? formatMoney(col.deal.totalProfit) : '--'}
+                    </strong>
+                  </div>
+                </div>
+
+                {!col.isCurrent && (
+                  <div className="scenario-actions">
+                    <button className="calc-use-btn" onClick={() => onPromote(scenarioSettings(col), scenarioItems(items, current, col, itemSalePercent))}>Promote to current</button>
+                    <button className="calc-use-btn ghost" onClick={() => remove(col.id)}>Remove</button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+          {scenarios.length < MAX_SCENARIOS && (
+            <button className="add-item-btn" onClick={fork} style={{ marginTop: 12 }}>
+              + Fork current deal ({scenarios.length}/{MAX_SCENARIOS})
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+// Thin wrapper around the camera + BarcodeDetector (Chrome/Android, Safari 17+).
+// Degrades gracefully: when either is missing, callers fall back to typed SKUs.
+
+const FORMATS = ['code_128', 'code_39', 'ean_13', 'ean_8', 'upc_a', 'upc_e', 'qr_code'];
+const SCAN_INTERVAL_MS = 250;
+
+export const scanSupported =
+  typeof window !== 'undefined' &&
+  'BarcodeDetector' in window &&
+  Boolean(navigator.mediaDevices?.getUserMedia);
+
+// Start the rear camera into `video` and call onCode(rawValue) for each new code.
+// Returns a Promise of stop(); rejects if the camera can't be opened.
+export async function startScanner(video, { onCode } = {}) {
+  if (!scanSupported) throw new Error('Barcode scanning is not supported on this device.');
+  const supported = await window.BarcodeDetector.getSupportedFormats?.().catch(() => null);
+  const formats = supported ? FORMATS.filter((f) => supported.includes(f)) : FORMATS;
+  const detector = new window.BarcodeDetector({ formats });
+  const stream = await navigator.mediaDevices.getUserMedia({
+    video: { facingMode: { ideal: 'environment' } },
+    audio: false,
+  });
+  video.srcObject = stream;
+  video.setAttribute('playsinline', '');
+  try {
+    await video.play();
+  } catch (e) {
+    // e.g. AbortError when the sheet closes mid-start: the caller never gets stop()
+    stream.getTracks().forEach((t) => t.stop());
+    video.srcObject = null;
+    throw e;
+  }
+
+  let stopped = false;
+  let last = null; // don't re-fire while the same tag stays in frame
+  const timer = setInterval(async () => {
+    if (stopped || video.readyState < 2) return;
+    try {
+      const codes = await detector.detect(video);
+      const value = codes[0]?.rawValue;
+      if (value && value !== last) { last = value; onCode?.(value); }
+      if (!value) last = null;
+    } catch {
+      // a dropped frame is not worth surfacing
+    }
+  }, SCAN_INTERVAL_MS);
+
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+    stream.getTracks().forEach((t) => t.stop());
+    video.srcObject = null;
+  };
+}
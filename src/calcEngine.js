@@ -12,13 +12,15 @@
  *   2. interpret(text, config)    — parses spoken/typed natural math into
  *      actions, then evaluates. Always returns a `normalized` echo string the
  *      user can review and edit (the safety net for speech mis-hears).
+ *      Opt-in precedence mode ({ precedence: true }) builds an expression tree
+ *      instead, so "sofa 1200 plus 2 times 300" = 1800, not (1200+2)×300.
  *
  * The UI tap buttons build `actions` directly (no parsing), so the core
  * calculator is exact regardless of speech/typing accuracy.
  */
 
-const DEFAULT_TAX_RATE = 9.125;
-const LANDING_DIVISOR = 3.3;
+import { DEFAULT_TAX_RATE } from './taxProfiles.js';
+import { DEFAULT_LANDING_DIVISOR } from './storeSettings.js'; // stores override via config.landingDivisor
 
 const fmtMoney = (n) =>
   new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(n || 0);
@@ -30,21 +32,237 @@ const cap = (s) => (s ? s.charAt(0).toUpperCase() + s.slice(1) : s);
 // Evaluator
 // ---------------------------------------------------------------------------
 
+// Apply one action to a running total. Returns { total, delta, label } or { error }.
+function applyOp(prev, a, taxRate) {
+  let total = prev;
+  let delta = null;
+  let label = '';
+
+  switch (a.kind) {
+    case 'add':
+      total = prev + a.value; delta = a.value;
+      label = a.label ? `+ ${cap(a.label)} (${fmtMoney(a.value)})` : `+ ${fmtMoney(a.value)}`; break;
+    case 'sub':
+      total = prev - a.value; delta = -a.value;
+      label = a.label ? `− ${cap(a.label)} (${fmtMoney(a.value)})` : `− ${fmtMoney(a.value)}`; break;
+    case 'mul':
+      total = prev * a.value; label = `× ${fmtNum(a.value)}`; break;
+    case 'div':
+      if (a.value === 0) return { error: "Can't divide by zero." };
+      total = prev / a.value; label = `÷ ${fmtNum(a.value)}`; break;
+    case 'addPct': {
+      const amt = prev * (a.pct / 100); total = prev + amt; delta = amt;
+      label = `+ ${fmtNum(a.pct)}% (${fmtMoney(amt)})`; break;
+    }
+    case 'subPct': {
+      const amt = prev * (a.pct / 100); total = prev - amt; delta = -amt;
+      label = `− ${fmtNum(a.pct)}% (${fmtMoney(amt)})`; break;
+    }
+    case 'mulPct':
+      total = prev * (a.pct / 100); label = `× ${fmtNum(a.pct)}%`; break;
+    case 'divPct':
+      if (a.pct === 0) return { error: "Can't divide by zero." };
+      total = prev / (a.pct / 100); label = `÷ ${fmtNum(a.pct)}%`; break;
+    case 'addTax': {
+      const rate = Number.isFinite(a.rate) ? a.rate : taxRate;
+      const amt = prev * (rate / 100); total = prev + amt; delta = amt;
+      label = `+ tax ${fmtNum(rate)}% (${fmtMoney(amt)})`; break;
+    }
+    case 'backTax': {
+      const rate = Number.isFinite(a.rate) ? a.rate : taxRate;
+      total = prev / (1 + rate / 100); delta = total - prev;
+      label = `back out tax ${fmtNum(rate)}% (${fmtMoney(delta)})`; break;
+    }
+    case 'landing': {
+      const divisor = Number.isFinite(a.divisor) && a.divisor > 0 ? a.divisor : DEFAULT_LANDING_DIVISOR;
+      total = prev / divisor; label = `÷ ${fmtNum(divisor)} (landing est.)`; break;
+    }
+    case 'marginPrice': {
+      if (a.pct >= 100) return { error: 'Margin must be under 100%.' };
+      total = prev / (1 - a.pct / 100); delta = total - prev;
+      label = `price for ${fmtNum(a.pct)}% margin`; break;
+    }
+    default:
+      return { error: `Unknown operation: ${a.kind}` };
+  }
+  return { total, delta, label };
+}
+
+// Goal seek: solve for the unknown that lands on a target, shown as the
+// inverse steps (so the rep can see where the number came from).
+//   solvePrice:    price p where (p + delivery) x (1 + tax) = target   (taxed: false drops the tax;
+//                  taxDelivery: false taxes p alone, p x (1 + tax) + delivery; qty > 1 splits p into a price each)
+//   solveDiscount: percent off that takes `from` down to `to` (taxed: `to` is out the door)
+function goalSteps(a, taxRate, steps, taxDelivery = true) {
+  const rate = Number.isFinite(a.rate) ? a.rate : taxRate;
+  const push = (s) => { if (s.error) return false; steps.push({ label: s.label, delta: s.delta, total: s.total }); return true; };
+
+  if (a.kind === 'solvePrice') {
+    const delivery = a.delivery || 0;
+    steps.push({ label: a.taxed ? 'Target out the door' : 'Target', total: a.target });
+    let total = a.target;
+    const backTax = () => {
+      const s = applyOp(total, { kind: 'backTax', rate }, taxRate);
+      push(s); total = s.total;
+    };
+    if (a.taxed && taxDelivery) backTax();
+    if (delivery) {
+      const s = applyOp(total, { kind: 'sub', value: delivery, label: 'delivery' }, taxRate);
+      push(s); total = s.total;
+    }
+    if (a.taxed && !taxDelivery && total > 0) backTax();
+    if (total <= 0) return { ok: false, error: `Target is too low to cover delivery${a.taxed ? ' and tax' : ''}.` };
+    steps.push({ label: 'Price needed', total });
+    if (a.qty > 1) {
+      const s = applyOp(total, { kind: 'div', value: a.qty }, taxRate);
+      push(s); total = s.total;
+      steps.push({ label: `Price each (${fmtNum(a.qty)})`, total });
+    }
+    return { ok: true, total };
+  }
+
+  // solveDiscount
+  if (!(a.from > 0)) return { ok: false, error: 'Need a starting price above zero.' };
+  steps.push({ label: 'From', total: a.from });
+  let to = a.to;
+  steps.push({ label: a.taxed ? 'Target out the door' : 'Target', total: to });
+  if (a.taxed) {
+    const s = applyOp(to, { kind: 'backTax', rate }, taxRate);
+    push(s); to = s.total;
+  }
+  if (to > a.from) return { ok: false, error: 'Target is above the starting price.' };
+  const pct = (1 - to / a.from) * 100;
+  steps.push({ label: `Discount needed (${fmtMoney(a.from - to)} off)`, total: pct, unit: 'pct' });
+  return { ok: true, total: pct };
+}
+
+// ---------------------------------------------------------------------------
+// Expression trees (precedence mode)
+//
+// Nodes: { type:'num', value, label }  { type:'pct', pct }
+//        { type:'bin', op, left, right, paren? }  { type:'pctOf', pct, of, paren? }
+//        { type:'post', action, echo, of }  — a trailing keyword (tax, OTD, ...)
+// A tree renders as a running total down its left spine, so the tape reads the
+// same as adding-machine mode; compound right operands are computed first and
+// shown inline, e.g. "+ (2 × 300) ($600.00)".
+// ---------------------------------------------------------------------------
+
+const BIN_KIND = { '+': 'add', '-': 'sub', '*': 'mul', '/': 'div' };
+const PCT_KIND = { '+': 'addPct', '-': 'subPct', '*': 'mulPct', '/': 'divPct' };
+const opSymbol = (op) => (op === '+' ? '+' : op === '-' ? '−' : op === '*' ? '×' : '÷');
+
+function describeExpr(node) {
+  let s;
+  switch (node.type) {
+    case 'num': s = node.label ? `${node.label} ${fmtNum(node.value)}` : fmtNum(node.value); break;
+    case 'pct': s = `${fmtNum(node.pct)}%`; break;
+    case 'pctOf': s = `${fmtNum(node.pct)}% of ${describeExpr(node.of)}`; break;
+    case 'post': s = `${describeExpr(node.of)} ${node.echo}`; break;
+    default: s = `${describeExpr(node.left)} ${opSymbol(node.op)} ${describeExpr(node.right)}`;
+  }
+  return node.paren ? `(${s})` : s;
+}
+
+const isLeaf = (node) => node.type === 'num';
+
+// The running-total action one tree link represents: `left <op> right`.
+function linkAction(op, right, taxRate) {
+  if (right.type === 'pct') return { ok: true, action: { kind: PCT_KIND[op], pct: right.pct } };
+  const r = valueOf(right, taxRate);
+  if (!r.ok) return r;
+  return { ok: true, action: { kind: BIN_KIND[op], value: r.value, label: isLeaf(right) ? right.label : '' } };
+}
+
+function valueOf(node, taxRate) {
+  switch (node.type) {
+    case 'num': return { ok: true, value: node.value };
+    case 'pct': return { ok: true, value: node.pct / 100 };
+    case 'pctOf': {
+      const of = valueOf(node.of, taxRate);
+      return of.ok ? { ok: true, value: of.value * (node.pct / 100) } : of;
+    }
+    case 'post': {
+      const of = valueOf(node.of, taxRate);
+      if (!of.ok) return of;
+      const s = applyOp(of.value, node.action, taxRate);
+      return s.error ? { ok: false, error: s.error } : { ok: true, value: s.total };
+    }
+    default: {
+      const l = valueOf(node.left, taxRate);
+      if (!l.ok) return l;
+      const link = linkAction(node.op, node.right, taxRate);
+      if (!link.ok) return link;
+      const s = applyOp(l.value, link.action, taxRate);
+      return s.error ? { ok: false, error: s.error } : { ok: true, value: s.total };
+    }
+  }
+}
+
+// Push labeled steps for a tree, walking its left spine as the running total.
+function spineSteps(node, taxRate, steps) {
+  if (node.type === 'num' || node.type === 'pct' || node.type === 'pctOf' || (node.type === 'bin' && node.paren)) {
+    const v = valueOf(node, taxRate);
+    if (!v.ok) return v;
+    const label = isLeaf(node) ? (node.label ? cap(node.label) : 'Start') : describeExpr(node);
+    steps.push({ label, total: v.value });
+    return { ok: true, total: v.value };
+  }
+
+  const left = spineSteps(node.type === 'post' ? node.of : node.left, taxRate, steps);
+  if (!left.ok) return left;
+
+  let action = node.action;
+  if (node.type === 'bin') {
+    const link = linkAction(node.op, node.right, taxRate);
+    if (!link.ok) return link;
+    action = link.action;
+  }
+  const s = applyOp(left.total, action, taxRate);
+  if (s.error) return { ok: false, error: s.error };
+
+  let label = s.label;
+  if (node.type === 'bin' && !isLeaf(node.right) && node.right.type !== 'pct') {
+    const inner = node.right.paren ? describeExpr(node.right) : `(${describeExpr(node.right)})`;
+    const shown = (node.op === '+' || node.op === '-') ? fmtMoney(action.value) : fmtNum(action.value);
+    label = `${opSymbol(node.op)} ${inner} (${shown})`;
+  }
+  steps.push({ label, delta: s.delta, total: s.total });
+  return { ok: true, total: s.total };
+}
+
 /** Run structured actions on a running total. Returns { ok, steps, result, error }.
  * Action kinds:
- *   { kind:'start', value, label? }
+ *   { kind:'start', value, label? }   { kind:'expr', tree }  (precedence-mode parse; must come first)
+ *   { kind:'solvePrice', target, delivery?, qty?, taxed?, rate? }   { kind:'solveDiscount', from, to, taxed?, rate? }
+ *      (goal seek; must come first. A discount result is a percent: steps and
+ *      the return carry unit:'pct'.)
  *   { kind:'add'|'sub'|'mul'|'div', value, label? }
  *   { kind:'addPct'|'subPct'|'mulPct'|'divPct', pct }
- *   { kind:'addTax'|'backTax', rate? }   { kind:'landing' }   { kind:'marginPrice', pct }
+ *   { kind:'addTax'|'backTax', rate? }   { kind:'landing', divisor? }   { kind:'marginPrice', pct }
  */
 export function evaluate(actions, config = {}) {
   const taxRate = Number.isFinite(config.taxRate) ? config.taxRate : DEFAULT_TAX_RATE;
+  const taxDelivery = config.taxDelivery !== false; // the deal's jurisdiction; most tax delivery
   const steps = [];
   let total = 0;
   let started = false;
 
   for (const a of actions) {
     if (!started) {
+      if (a.kind === 'expr') {
+        const r = spineSteps(a.tree, taxRate, steps);
+        if (!r.ok) return { ok: false, error: r.error, steps, result: 0 };
+        total = r.total;
+        started = true;
+        continue;
+      }
+      if (a.kind === 'solvePrice' || a.kind === 'solveDiscount') {
+        const r = goalSteps(a, taxRate, steps, taxDelivery);
+        if (!r.ok) return { ok: false, error: r.error, steps, result: 0 };
+        total = r.total;
+        started = true;
+        continue;
+      }
       if (a.kind !== 'start') return { ok: false, error: 'Start with a number.', steps, result: 0 };
       total = a.value;
       started = true;
@@ -52,62 +270,18 @@ export function evaluate(actions, config = {}) {
       continue;
     }
 
-    const prev = total;
-    let delta = null;
-    let label = '';
-
-    switch (a.kind) {
-      case 'start':
-        return { ok: false, error: 'Two starts — internal error.', steps, result: total };
-      case 'add':
-        total = prev + a.value; delta = a.value;
-        label = a.label ? `+ ${cap(a.label)} (${fmtMoney(a.value)})` : `+ ${fmtMoney(a.value)}`; break;
-      case 'sub':
-        total = prev - a.value; delta = -a.value;
-        label = a.label ? `− ${cap(a.label)} (${fmtMoney(a.value)})` : `− ${fmtMoney(a.value)}`; break;
-      case 'mul':
-        total = prev * a.value; label = `× ${fmtNum(a.value)}`; break;
-      case 'div':
-        if (a.value === 0) return { ok: false, error: "Can't divide by zero.", steps, result: prev };
-        total = prev / a.value; label = `÷ ${fmtNum(a.value)}`; break;
-      case 'addPct': {
-        const amt = prev * (a.pct / 100); total = prev + amt; delta = amt;
-        label = `+ ${fmtNum(a.pct)}% (${fmtMoney(amt)})`; break;
-      }
-      case 'subPct': {
-        const amt = prev * (a.pct / 100); total = prev - amt; delta = -amt;
-        label = `− ${fmtNum(a.pct)}% (${fmtMoney(amt)})`; break;
-      }
-      case 'mulPct':
-        total = prev * (a.pct / 100); label = `× ${fmtNum(a.pct)}%`; break;
-      case 'divPct':
-        if (a.pct === 0) return { ok: false, error: "Can't divide by zero.", steps, result: prev };
-        total = prev / (a.pct / 100); label = `÷ ${fmtNum(a.pct)}%`; break;
-      case 'addTax': {
-        const rate = Number.isFinite(a.rate) ? a.rate : taxRate;
-        const amt = prev * (rate / 100); total = prev + amt; delta = amt;
-        label = `+ tax ${fmtNum(rate)}% (${fmtMoney(amt)})`; break;
-      }
-      case 'backTax': {
-        const rate = Number.isFinite(a.rate) ? a.rate : taxRate;
-        total = prev / (1 + rate / 100); delta = total - prev;
-        label = `back out tax ${fmtNum(rate)}% (${fmtMoney(delta)})`; break;
-      }
-      case 'landing':
-        total = prev / LANDING_DIVISOR; label = `÷ ${LANDING_DIVISOR} (landing est.)`; break;
-      case 'marginPrice': {
-        if (a.pct >= 100) return { ok: false, error: 'Margin must be under 100%.', steps, result: prev };
-        total = prev / (1 - a.pct / 100); delta = total - prev;
-        label = `price for ${fmtNum(a.pct)}% margin`; break;
-      }
-      default:
-        return { ok: false, error: `Unknown operation: ${a.kind}`, steps, result: prev };
+    if (a.kind === 'start' || a.kind === 'expr' || a.kind === 'solvePrice' || a.kind === 'solveDiscount') {
+      return { ok: false, error: 'Two starts — internal error.', steps, result: total };
     }
-    steps.push({ label, delta, total });
+    const s = applyOp(total, a, taxRate);
+    if (s.error) return { ok: false, error: s.error, steps, result: total };
+    total = s.total;
+    steps.push({ label: s.label, delta: s.delta, total });
   }
 
   if (!started) return { ok: false, error: 'Enter a number or some math.', steps, result: 0 };
-  return { ok: true, steps, result: total };
+  const last = steps[steps.length - 1];
+  return last && last.unit ? { ok: true, steps, result: total, unit: last.unit } : { ok: true, steps, result: total };
 }
 
 // ---------------------------------------------------------------------------
@@ -172,11 +346,16 @@ function normalizeText(text) {
   t = t.replace(/\//g, ' divided by ');
   t = t.replace(/\+/g, ' plus ');
   t = t.replace(/-/g, ' minus ');
+  t = t.replace(/\(/g, ' lparen ');
+  t = t.replace(/\)/g, ' rparen ');
   // multi-word phrases -> single tokens (before single-word ops)
   t = t.replace(/out the door/g, ' otd ');
   t = t.replace(/multiplied by/g, ' times ');
   t = t.replace(/divided by/g, ' divided ');
   t = t.replace(/\bx\b/g, ' times ');
+  t = t.replace(/\b(open|left) (paren|parens|parenthesis|bracket)\b/g, ' lparen ');
+  t = t.replace(/\b(close|closed|right) (paren|parens|parenthesis|bracket)\b/g, ' rparen ');
+  t = t.replace(/\bquantity of\b/g, ' qtyof ');
   t = t.replace(/\b(plus|with|add|including|include|and)\s+tax\b/g, ' addtax ');
   // remove anything left that isn't a letter, digit, dot or space
   t = t.replace(/[^a-z0-9.\s]/g, ' ');
@@ -192,17 +371,25 @@ const OP_WORDS = {
 // Words that are math keywords (so they're never treated as labels).
 const RESERVED = new Set([
   ...Object.keys(OP_WORDS), 'percent', 'percentage', 'addtax', 'tax', 'otd',
-  'landing', 'margin', 'of', 'point',
+  'landing', 'margin', 'of', 'point', 'lparen', 'rparen', 'qtyof',
 ]);
 
-const opSymbol = (op) => (op === '+' ? '+' : op === '-' ? '−' : op === '*' ? '×' : '÷');
-
-/** Parse natural math into actions. Forgiving: unknown words become labels. */
+/** Parse natural math into actions. Forgiving: unknown words become labels.
+ * Default is adding-machine order (left to right). With config.precedence,
+ * × and ÷ bind tighter than + and −, parentheses group ("open paren" /
+ * "close paren" when spoken), and the result is a single { kind:'expr', tree }
+ * action that evaluate() still renders as a running-total tape.
+ */
 export function parse(text, config = {}) {
   const taxRate = Number.isFinite(config.taxRate) ? config.taxRate : DEFAULT_TAX_RATE;
+  const divisor = Number.isFinite(config.landingDivisor) && config.landingDivisor > 0
+    ? config.landingDivisor : DEFAULT_LANDING_DIVISOR;
   const words = normalizeText(text).split(' ').filter(Boolean);
   if (!words.length) return { ok: false, error: 'Enter a number or some math.', actions: [], normalized: '' };
 
+  const goal = parseGoalSeek(words, taxRate);
+  if (goal) return goal;
+
   // Pass 1: tokens. Number words accumulate; unknown words become the pending label
   // that attaches to the next number (Soulver-style "couch 1001").
   const tokens = [];
@@ -217,7 +404,36 @@ export function parse(text, config = {}) {
     label = [];
   };
 
-  for (const w of words) {
+  // Named values ("sofa = 1200" on an earlier line) and "line 2" references
+  // resolve to labeled numbers. A name directly followed by a number stays a
+  // label, so "sofa 1500" still reads as a price, not sofa + 1500.
+  const vars = config.vars || {};
+  const lines = Array.isArray(config.lines) && config.lines.length ? config.lines : null; // first line: 'line' is just a word
+  const refs = { names: [], lines: [] };
+  const isNumberish = (w) => w != null && (/^\d/.test(w) || w in ONES || w in TENS || w in SCALES);
+  let refError = null;
+
+  for (let wi = 0; wi < words.length; wi++) {
+    const w = words[wi];
+    const next = words[wi + 1];
+    if (lines && w === 'line' && next != null && (/^\d+$/.test(next) || next in ONES || next in TENS)) {
+      const n = /^\d+$/.test(next) ? parseInt(next, 10) : (ONES[next] ?? TENS[next]);
+      const ref = lines[n - 1];
+      flushNum();
+      if (!ref || !ref.ok) { refError = refError || `Line ${n} has no value.`; wi++; continue; }
+      tokens.push({ t: 'num', v: ref.result, label: `line ${n}` });
+      refs.lines.push(n);
+      label = [];
+      wi++;
+      continue;
+    }
+    if (Object.prototype.hasOwnProperty.call(vars, w) && !isNumberish(next)) {
+      flushNum();
+      tokens.push({ t: 'num', v: vars[w], label: w });
+      refs.names.push(w);
+      label = [];
+      continue;
+    }
     if (/^\d+(\.\d+)?$/.test(w)) {
       flushNum();
       tokens.push({ t: 'num', v: parseFloat(w), label: label.join(' ').trim() });
@@ -232,10 +448,14 @@ export function parse(text, config = {}) {
     else if (w === 'landing') tokens.push({ t: 'kw', v: 'landing' });
     else if (w === 'margin') tokens.push({ t: 'kw', v: 'margin' });
     else if (w === 'of') tokens.push({ t: 'of' });
-    else if (w in OP_WORDS) tokens.push({ t: 'op', v: OP_WORDS[w] });
+    else if (w === 'lparen') tokens.push({ t: 'lparen' });
+    else if (w === 'rparen') tokens.push({ t: 'rparen' });
+    else if (w === 'qtyof') tokens.push({ t: 'qty' });
+    else if (w in OP_WORDS) tokens.push({ t: 'op', v: OP_WORDS[w], w });
     else if (!RESERVED.has(w)) label.push(w); // unknown word -> label, never an error
   }
   flushNum();
+  if (refError) return { ok: false, error: refError, actions: [], normalized: '' };
 
   // Pass 2: fold "<num> percent" into a single percent token (carry the label).
   const folded = [];
@@ -252,11 +472,16 @@ export function parse(text, config = {}) {
   // Pass 2b: quantity detection. A bare small integer immediately before a
   // *labeled* number (no operator between) is a quantity: "one couch 1001",
   // "two chairs 200" => qty x price. A leading label ("couch 5") is NOT a qty.
+  // "quantity of" makes it explicit for any two numbers: "quantity of 3 300".
   const merged = [];
   for (let i = 0; i < folded.length; i++) {
     const a = folded[i];
     const b = folded[i + 1];
-    if (
+    const c = folded[i + 2];
+    if (a.t === 'qty' && b && b.t === 'num' && c && c.t === 'num') {
+      merged.push({ t: 'num', v: b.v * c.v, label: c.label || b.label });
+      i += 2;
+    } else if (
       a && a.t === 'num' && !a.label &&
       Number.isInteger(a.v) && a.v > 0 && a.v < 100 &&
       b && b.t === 'num' && b.label
@@ -267,7 +492,19 @@ export function parse(text, config = {}) {
       merged.push(a);
     }
   }
-  const reduced = merged;
+  // Pass 2c: "15 percent off 1000" reads as 1000 − 15% (the price comes second when spoken).
+  const reduced = [];
+  for (let i = 0; i < merged.length; i++) {
+    const [a, b, c] = [merged[i], merged[i + 1], merged[i + 2]];
+    if (a.t === 'pct' && b && b.t === 'op' && b.w === 'off' && c && c.t === 'num') {
+      reduced.push(c, { t: 'op', v: '-' }, a);
+      i += 2;
+    } else {
+      reduced.push(a);
+    }
+  }
+
+  if (config.precedence) return { ...parseTree(reduced, taxRate, divisor), refs };
 
   // Pass 3: reduce to actions (sequential adding-machine; missing operator => add).
   const firstNumIdx = reduced.findIndex((t) => t.t === 'num');
@@ -285,6 +522,7 @@ export function parse(text, config = {}) {
     const tok = reduced[i];
     if (tok.t === 'op') { pendingOp = tok.v; continue; }
     if (tok.t === 'of') { continue; } // "% of" handled implicitly; just a connector
+    if (tok.t === 'lparen' || tok.t === 'rparen' || tok.t === 'qty') { continue; } // grouping needs precedence mode
 
     if (tok.t === 'num') {
       const op = pendingOp || '+'; // no operator between numbers => sum (receipt)
@@ -305,7 +543,7 @@ export function parse(text, config = {}) {
     if (tok.t === 'kw') {
       if (tok.v === 'tax') { actions.push({ kind: 'addTax', rate: taxRate }); norm.push('+ tax'); }
       else if (tok.v === 'otd') { actions.push({ kind: 'backTax', rate: taxRate }); norm.push('out-the-door'); }
-      else if (tok.v === 'landing') { actions.push({ kind: 'landing' }); norm.push('landing ÷3.3'); }
+      else if (tok.v === 'landing') { actions.push({ kind: 'landing', divisor }); norm.push(`landing ÷${fmtNum(divisor)}`); }
       else if (tok.v === 'margin') {
         const nxt = reduced[i + 1];
         if (nxt && (nxt.t === 'pct' || nxt.t === 'num')) {
@@ -319,16 +557,252 @@ export function parse(text, config = {}) {
     }
   }
 
-  return { ok: true, actions, normalized: norm.join(' ') };
+  return { ok: true, actions, normalized: norm.join(' '), refs };
+}
+
+// Goal-seek questions: "what price gives 1800 out the door with 135 delivery",
+// "what price for 2 recliners gets 1800 otd", "what discount percent gets 2400
+// down to 1999". Recognized only when the question word and "price"/"discount"
+// come before the first number AND the sentence names a target: a verb like
+// gives/gets, or "for … out the door/total". Forward questions ("what is the
+// price of 1200 plus tax") fall through to the normal parser.
+const TARGET_VERBS = ['gives', 'give', 'gets', 'get', 'getting', 'lands', 'makes', 'brings'];
+
+function parseGoalSeek(words, taxRate) {
+  const firstNum = words.findIndex((w) => /^\d/.test(w) || (isNumberWord(w) && w !== 'a' && w !== 'and'));
+  if (firstNum <= 0) return null;
+  const lead = words.slice(0, firstNum);
+  if (!lead.includes('what') && !(lead.includes('how') && lead.includes('much'))) return null;
+  const wantsPrice = lead.includes('price');
+  const wantsDiscount = lead.includes('discount') || (lead.includes('percent') && lead.includes('off'));
+  if (!wantsPrice && !wantsDiscount) return null;
+  const totalWord = words.includes('otd') || words.includes('total');
+  let verb = words.findIndex((w) => TARGET_VERBS.includes(w));
+  if (verb < 0 && totalWord) verb = words.indexOf('for');
+  if (verb < 0) return null;
+
+  // Numbers with the index of their last word (for "135 delivery" / "delivery 135").
+  const nums = [];
+  let buf = [];
+  let bufEnd = -1;
+  const flush = () => {
+    const v = buf.length ? wordsToNumber(buf) : null;
+    if (v != null) nums.push({ v, start: bufEnd - buf.length + 1, end: bufEnd });
+    buf = [];
+  };
+  words.forEach((w, i) => {
+    if (/^\d+(\.\d+)?$/.test(w)) { flush(); buf = [w]; bufEnd = i; flush(); return; }
+    if (isNumberWord(w) && i >= firstNum) { buf.push(w); bufEnd = i; return; }
+    flush();
+  });
+  flush();
+
+  const taxed = words.includes('otd') || words.includes('addtax') || words.includes('tax');
+  const doorEcho = taxed ? ' out the door' : '';
+
+  if (wantsDiscount) {
+    const after = nums.filter((n) => n.start > verb);
+    if (after.length < 2) return { ok: false, error: 'Say the starting price and the target.', actions: [], normalized: '' };
+    const [from, to] = after;
+    return {
+      ok: true,
+      actions: [{ kind: 'solveDiscount', from: from.v, to: to.v, taxed, rate: taxRate }],
+      normalized: `discount from ${fmtNum(from.v)} to ${fmtNum(to.v)}${doorEcho}`,
+      refs: { names: [], lines: [] },
+    };
+  }
+
+  // A number is delivery only when "delivery" is right next to it; a whole number
+  // before the target verb is a quantity ("for 2 recliners").
+  const isDelivery = (n) => words[n.end + 1] === 'delivery' || words[n.start - 1] === 'delivery';
+  const deliveryNum = nums.find(isDelivery);
+  const qtyNum = nums.find((n) => n !== deliveryNum && n.end < verb && Number.isInteger(n.v) && n.v > 0);
+  const target = nums.find((n) => n !== deliveryNum && n.start > verb);
+  if (!target) return { ok: false, error: 'Say the target price.', actions: [], normalized: '' };
+  const stray = nums.find((n) => n !== deliveryNum && n !== qtyNum && n !== target);
+  if (stray) return { ok: false, error: `Not sure what ${fmtNum(stray.v)} is for. Say "${fmtNum(stray.v)} delivery".`, actions: [], normalized: '' };
+  const delivery = deliveryNum ? deliveryNum.v : 0;
+  const qty = qtyNum ? qtyNum.v : 1;
+  return {
+    ok: true,
+    actions: [{ kind: 'solvePrice', target: target.v, delivery, qty, taxed, rate: taxRate }],
+    normalized: `price${qty > 1 ? ` each for ${fmtNum(qty)}` : ''} for ${fmtNum(target.v)}${doorEcho}${delivery ? ` with ${fmtNum(delivery)} delivery` : ''}`,
+    refs: { names: [], lines: [] },
+  };
+}
+
+// Keyword tokens as trailing (postfix) actions, with their echo text.
+function keywordAction(v, taxRate, divisor) {
+  if (v === 'tax') return { action: { kind: 'addTax', rate: taxRate }, echo: '+ tax' };
+  if (v === 'otd') return { action: { kind: 'backTax', rate: taxRate }, echo: 'out-the-door' };
+  if (v === 'landing') return { action: { kind: 'landing', divisor }, echo: `landing ÷${fmtNum(divisor)}` };
+  return null;
+}
+
+// Precedence-mode pass 3: recursive descent over the folded tokens.
+//   expr   := term ( ['+'|'-'] term | keyword )*     (missing operator => + ; bare % => −)
+//   term   := factor ( ('*'|'/') factor )*
+//   factor := num | pct 'of' factor | '(' expr ')' | 'quantity of' num factor
+function parseTree(tokens, taxRate, divisor) {
+  let pos = 0;
+  let error = null;
+  const peek = () => tokens[pos];
+  const startsOperand = (tok) => tok && (tok.t === 'num' || tok.t === 'pct' || tok.t === 'lparen' || tok.t === 'qty');
+  const skipOf = () => { while (peek() && peek().t === 'of') pos++; };
+
+  function factor() {
+    skipOf();
+    const tok = peek();
+    if (!tok) return null;
+    if (tok.t === 'num') { pos++; return { type: 'num', value: tok.v, label: tok.label }; }
+    if (tok.t === 'lparen') {
+      pos++;
+      const inner = expr();
+      if (!inner) return null;
+      if (peek() && peek().t === 'rparen') pos++; // a missing close paren is forgiven at the end
+      return { ...inner, paren: true };
+    }
+    if (tok.t === 'qty') {
+      pos++;
+      const n = factor();
+      const of = n && factor();
+      if (!of) return n;
+      return { type: 'bin', op: '*', left: n, right: of };
+    }
+    if (tok.t === 'pct') {
+      pos++;
+      if (peek() && peek().t === 'of') {
+        const of = factor();
+        if (of) return { type: 'pctOf', pct: tok.v, of };
+      }
+      return { type: 'pct', pct: tok.v };
+    }
+    return null;
+  }
+
+  function term() {
+    let left = factor();
+    if (!left) return null;
+    for (;;) {
+      const tok = peek();
+      if (!tok || tok.t !== 'op' || (tok.v !== '*' && tok.v !== '/')) return left;
+      pos++;
+      const right = factor();
+      if (!right) return left; // trailing operator is forgiven
+      left = { type: 'bin', op: tok.v, left, right };
+    }
+  }
+
+  function expr() {
+    let left = term();
+    if (!left) return null;
+    for (;;) {
+      skipOf();
+      const tok = peek();
+      if (!tok || tok.t === 'rparen') return left;
+      if (tok.t === 'kw') {
+        pos++;
+        if (tok.v === 'margin') {
+          const nxt = peek();
+          if (nxt && (nxt.t === 'pct' || nxt.t === 'num')) {
+            pos++;
+            left = { type: 'post', action: { kind: 'marginPrice', pct: nxt.v }, echo: `at ${fmtNum(nxt.v)}% margin`, of: left };
+          }
+          continue; // a lone "margin" with no number is ignored, not an error
+        }
+        const kw = keywordAction(tok.v, taxRate, divisor);
+        if (kw) left = { type: 'post', ...kw, of: left };
+        continue;
+      }
+      let op = null;
+      if (tok.t === 'op') { op = tok.v; pos++; }
+      else if (!startsOperand(tok)) { pos++; continue; }
+      skipOf();
+      if (op === '*' || op === '/') {
+        // only reachable after a keyword ("500 plus tax times 2"): apply to everything so far
+        const right = factor();
+        if (!right) return left;
+        left = { type: 'bin', op, left, right };
+        continue;
+      }
+      const right = term();
+      if (!right) return left; // trailing operator is forgiven
+      left = { type: 'bin', op: op || (right.type === 'pct' ? '-' : '+'), left, right };
+    }
+  }
+
+  const firstOperand = tokens.findIndex(startsOperand);
+  if (firstOperand === -1) return { ok: false, error: 'No number found.', actions: [], normalized: '' };
+  pos = firstOperand;
+  const tree = expr();
+  if (!tree || tree.type === 'pct') error = 'Start with a number.';
+  else if (peek() && peek().t === 'rparen') error = 'Unmatched close paren.';
+  if (error) return { ok: false, error, actions: [], normalized: '' };
+  return { ok: true, actions: [{ kind: 'expr', tree }], tree, normalized: describeExpr(tree) };
 }
 
 /** Top-level: parse + evaluate. */
-export function interpret(text, config = {}) {
+function interpretLine(text, config) {
   const p = parse(text, config);
-  if (!p.ok) return { ok: false, normalized: p.normalized || '', steps: [], result: 0, error: p.error };
+  if (!p.ok) return { ok: false, normalized: p.normalized || '', steps: [], actions: [], result: 0, error: p.error, refs: p.refs };
   const e = evaluate(p.actions, config);
-  if (!e.ok) return { ok: false, normalized: p.normalized, steps: e.steps, result: e.result, error: e.error };
-  return { ok: true, normalized: p.normalized, steps: e.steps, result: e.result, error: null };
+  if (!e.ok) return { ok: false, normalized: p.normalized, steps: e.steps, actions: p.actions, result: e.result, error: e.error, refs: p.refs };
+  return { ok: true, normalized: p.normalized, steps: e.steps, actions: p.actions, result: e.result, unit: e.unit, error: null, refs: p.refs };
+}
+
+// "sofa = 1200" / "sofa equals 1200". Names are one word so they survive normalizeText.
+const ASSIGN_RE = /^\s*([a-z][a-z0-9]*)\s*(?:=|\bequals\b)\s*(.+)$/i;
+const isValidName = (name) =>
+  !RESERVED.has(name) && !isNumberWord(name) && name !== 'line' && name !== 'x' && !(name in OP_WORDS);
+
+/** Top-level: parse + evaluate, one line at a time.
+ * Multi-line input is a small Soulver-style document: a line can assign a
+ * name ("sofa = 1200") and later lines can use it ("sofa + table + tax") or
+ * refer to an earlier result by number ("line 2"). The top-level fields echo
+ * the last non-blank line; `lines` has every line and `vars` the final names.
+ * `total` is the document's grand total: every line's result, except lines a
+ * later line already uses (by name or number), so nothing is counted twice,
+ * and percent answers (unit:'pct', e.g. a discount goal seek).
+ * config.vars seeds names from outside the text.
+ */
+export function interpret(text, config = {}) {
+  const vars = { ...(config.vars || {}) };
+  const lines = [];
+  const nameLine = {}; // name -> line number of its latest assignment
+  const used = new Set();
+
+  String(text ?? '').split('\n').forEach((raw, i) => {
+    const src = raw.trim();
+    if (!src) { lines.push({ line: i + 1, text: raw, blank: true, ok: false, result: 0, steps: [], actions: [], normalized: '', error: null }); return; }
+
+    const m = src.match(ASSIGN_RE);
+    const name = m && isValidName(m[1].toLowerCase()) ? m[1].toLowerCase() : null;
+    const r = interpretLine(name ? m[2] : src, { ...config, vars, lines });
+    if (r.refs) {
+      r.refs.lines.forEach((n) => used.add(n));
+      r.refs.names.forEach((n) => { if (nameLine[n]) used.add(nameLine[n]); });
+    }
+    if (name && r.ok) {
+      const first = r.actions[0];
+      if (first && first.kind === 'start' && !first.label) {
+        first.label = name;
+        r.steps[0] = { ...r.steps[0], label: cap(name) };
+      }
+      vars[name] = r.result;
+      if (nameLine[name]) used.add(nameLine[name]); // a reassignment replaces the earlier line
+      nameLine[name] = i + 1;
+      r.normalized = `${name} = ${r.normalized}`;
+    }
+    lines.push({ line: i + 1, text: raw, name, ...r });
+  });
+
+  const total = lines.reduce((sum, l) => (l.ok && !l.unit && !used.has(l.line) ? sum + l.result : sum), 0);
+  lines.forEach((l) => { l.used = used.has(l.line); });
+
+  const last = [...lines].reverse().find((l) => !l.blank);
+  if (!last) return { ok: false, normalized: '', steps: [], actions: [], result: 0, error: 'Enter a number or some math.', lines, vars, total };
+  const { ok, normalized, steps, actions, result, unit, error } = last;
+  return { ok, normalized, steps, actions, result, unit, error, lines, vars, total };
 }
 
-export const _internals = { wordsToNumber, normalizeText, parse };
+export const _internals = { wordsToNumber, normalizeText, parse, describeExpr };
@@ -0,0 +1,274 @@
+// Local product catalog: SKU, name, tag price, landing cost, category (and an
+// optional barcode, for floor tags whose barcode isn't the SKU).
+// Managers import a CSV or JSON price list; it lives in IndexedDB so lookups
+// work offline on the floor. Parsing, validation and the import diff are pure
+// (no DOM) so they can be unit-tested.
+
+const DB_NAME = 'ashley-catalog';
+const DB_VERSION = 1;
+const STORE = 'products';
+
+// Header aliases -> field. Price sheets from different tools name columns differently.
+const COLUMN_ALIASES = {
+  sku: ['sku', 'item', 'item #', 'item number', 'model', 'model #'],
+  name: ['name', 'description', 'desc', 'product'],
+  tagPrice: ['tag', 'tag price', 'tagprice', 'retail', 'price', 'msrp'],
+  landingCost: ['landing', 'landing cost', 'landingcost', 'cost', 'landed'],
+  category: ['category', 'cat', 'type', 'department'],
+  barcode: ['barcode', 'upc', 'ean', 'gtin'],
+};
+
+const money = (v) => {
+  if (typeof v === 'number') return v;
+  return parseFloat(String(v ?? '').replace(/[$,\s]/g, ''));
+};
+
+// Split CSV text into rows of cells. Handles quoted cells, "" escapes and CRLF.
+export function splitCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(cell); cell = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += c;
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return rows;
+}
+
+function fieldFor(header) {
+  const h = String(header || '').trim().toLowerCase();
+  return Object.keys(COLUMN_ALIASES).find((f) => COLUMN_ALIASES[f].includes(h)) || null;
+}
+
+// Raw records with their source position: [{ line, where, sku, name, tagPrice, landingCost, category }].
+// `where` labels it for the manager: "Line 5" in a CSV, "Item 3" in a JSON array.
+// Values are left as strings/numbers as found; toProduct() cleans them.
+export function readRecords(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const trimmed = src.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    const list = Array.isArray(data) ? data : (Array.isArray(data.products) ? data.products : []);
+    return list.map((obj, i) => {
+      const rec = { line: i + 1, where: `Item ${i + 1}` };
+      Object.entries(obj && typeof obj === 'object' ? obj : {}).forEach(([k, v]) => {
+        const f = fieldFor(k) || (k in COLUMN_ALIASES ? k : null);
+        if (f && rec[f] === undefined) rec[f] = v;
+      });
+      return rec;
+    });
+  }
+  const rows = splitCsv(src);
+  if (!rows.length) return [];
+  const fields = rows[0].map(fieldFor);
+  const missing = ['sku', 'tagPrice'].filter((f) => !fields.includes(f));
+  if (missing.length) {
+    throw new Error(`Line 1: header is missing ${missing.map((f) => (f === 'sku' ? 'SKU' : 'tag price')).join(' and ')} column.`);
+  }
+  const records = [];
+  rows.slice(1).forEach((cells, i) => {
+    if (cells.every((c) => !c.trim())) return; // blank line
+    const rec = { line: i + 2, where: `Line ${i + 2}` };
+    fields.forEach((f, col) => { if (f && rec[f] === undefined) rec[f] = cells[col]; });
+    records.push(rec);
+  });
+  return records;
+}
+
+const blank = (v) => v == null || String(v).trim() === '';
+
+// Clean a record into a product, or { error } explaining why the row is rejected.
+export function toProduct(rec) {
+  const sku = String(rec.sku ?? '').trim().toUpperCase();
+  if (!sku) return { error: 'missing SKU' };
+  if (blank(rec.tagPrice)) return { error: `${sku}: missing tag price` };
+  const tagPrice = money(rec.tagPrice);
+  if (!Number.isFinite(tagPrice) || tagPrice <= 0) return { error: `${sku}: tag price "${rec.tagPrice}" is not a positive number` };
+  let landingCost = null;
+  if (!blank(rec.landingCost)) {
+    const landing = money(rec.landingCost);
+    if (!Number.isFinite(landing) || landing <= 0) return { error: `${sku}: landing cost "${rec.landingCost}" is not a positive number` };
+    if (landing >= tagPrice) return { error: `${sku}: landing cost ${landing} is not below tag price ${tagPrice}` };
+    landingCost = Math.round(landing * 100) / 100;
+  }
+  return {
+    product: {
+      sku,
+      name: String(rec.name ?? '').trim() || sku,
+      tagPrice: Math.round(tagPrice * 100) / 100,
+      landingCost,
+      category: String(rec.category ?? '').trim(),
+      barcode: String(rec.barcode ?? '').replace(/\s/g, ''),
+    },
+  };
+}
+
+// Parse and validate a price list. Malformed rows are rejected with their position:
+// { products, errors: [{ line, where, message }] }. An unreadable file is one error (line 0, no `where`).
+export function parseCatalog(text) {
+  let records;
+  try {
+    records = readRecords(text);
+  } catch (e) {
+    const message = e instanceof SyntaxError ? `Not valid JSON (${e.message})` : e.message;
+    return { products: [], errors: [{ line: 0, message }] };
+  }
+  const products = [];
+  const errors = [];
+  const seen = new Map(); // sku -> where it first appeared
+  records.forEach((rec) => {
+    const r = toProduct(rec);
+    if (r.error) { errors.push({ line: rec.line, where: rec.where, message: r.error }); return; }
+    if (seen.has(r.product.sku)) {
+      errors.push({ line: rec.line, where: rec.where, message: `${r.product.sku}: duplicate SKU (first on ${seen.get(r.product.sku).toLowerCase()})` });
+      return;
+    }
+    seen.set(r.product.sku, rec.where);
+    products.push(r.product);
+  });
+  if (!records.length) errors.push({ line: 0, message: 'The file has no product rows.' });
+  return { products, errors };
+}
+
+// Margin at the store's standard sale price (tag less the sale %), pre-tax.
+export function catalogMargin(product, salePercent = 0) {
+  if (!product || product.landingCost == null) return null;
+  const price = product.tagPrice * (1 - salePercent / 100);
+  return price > 0 ? ((price - product.landingCost) / price) * 100 : null;
+}
+
+// What an import would change: { added, removed, priceChanged, landingChanged, belowFloor }.
+// belowFloor lists products whose new margin is under the floor when the old one
+// wasn't (or that are new) — the changes that silently poison quotes.
+// marginFloor may be a number or product => floor (category floors).
+export function diffCatalog(current, next, { salePercent = 0, marginFloor = 47 } = {}) {
+  const floorOf = typeof marginFloor === 'function' ? marginFloor : () => marginFloor;
+  const before = new Map((current || []).map((p) => [p.sku, p]));
+  const after = new Map((next || []).map((p) => [p.sku, p]));
+  const diff = { added: [], removed: [], priceChanged: [], landingChanged: [], belowFloor: [] };
+  after.forEach((p, sku) => {
+    const old = before.get(sku);
+    if (!old) diff.added.push(p);
+    else {
+      if (old.tagPrice !== p.tagPrice) diff.priceChanged.push({ sku, name: p.name, from: old.tagPrice, to: p.tagPrice });
+      if (old.landingCost !== p.landingCost) diff.landingChanged.push({ sku, name: p.name, from: old.landingCost, to: p.landingCost });
+    }
+    const m = catalogMargin(p, salePercent);
+    const oldM = catalogMargin(old, salePercent);
+    const changed = !old || old.tagPrice !== p.tagPrice || old.landingCost !== p.landingCost;
+    const floor = floorOf(p);
+    if (changed && m != null && m < floor && (oldM == null || oldM >= floor)) {
+      diff.belowFloor.push({ sku, name: p.name, from: oldM, to: m, floor });
+    }
+  });
+  before.forEach((p, sku) => { if (!after.has(sku)) diff.removed.push(p); });
+  return diff;
+}
+
+// Search by SKU prefix first, then by words in the name. Pure; used on the cached list.
+export function searchProducts(products, query, limit = 8) {
+  const q = String(query || '').trim().toLowerCase();
+  if (!q) return [];
+  const terms = q.split(/\s+/);
+  const scored = [];
+  for (const p of products) {
+    const sku = p.sku.toLowerCase();
+    const name = p.name.toLowerCase();
+    let score = 0;
+    if (sku === q) score = 3;
+    else if (sku.startsWith(q)) score = 2;
+    else if (terms.every((t) => name.includes(t) || sku.includes(t))) score = 1;
+    if (score) scored.push({ p, score });
+  }
+  scored.sort((a, b) => b.score - a.score || a.p.name.localeCompare(b.p.name));
+  return scored.slice(0, limit).map((s) => s.p);
+}
+
+// Exact match for a scanned or typed code: SKU (any case, spaces ignored) or barcode.
+export function findProduct(products, code) {
+  const c = String(code || '').replace(/\s/g, '').toUpperCase();
+  if (!c) return null;
+  return products.find((p) => p.sku.replace(/\s/g, '') === c || (p.barcode && p.barcode.toUpperCase() === c)) || null;
+}
+
+// --- IndexedDB -------------------------------------------------------------
+
+let dbPromise = null;
+let cache = null; // products in memory after the first read
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available.'));
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: 'sku' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+  }
+  return dbPromise;
+}
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export async function loadCatalog() {
+  if (cache) return cache;
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readonly');
+  const req = tx.objectStore(STORE).getAll();
+  await done(tx);
+  cache = req.result || [];
+  return cache;
+}
+
+// Replace the whole catalog (a price sheet is the full list, not a patch).
+export async function replaceCatalog(products) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  store.clear();
+  products.forEach((p) => store.put(p));
+  await done(tx);
+  cache = products.slice();
+  return cache.length;
+}
+
+export async function clearCatalog() {
+  return replaceCatalog([]);
+}
+
+export async function lookupCode(code) {
+  try {
+    return findProduct(await loadCatalog(), code);
+  } catch {
+    return null;
+  }
+}
+
+export async function searchCatalog(query, limit) {
+  try {
+    return searchProducts(await loadCatalog(), query, limit);
+  } catch {
+    return [];
+  }
+}
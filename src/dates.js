@@ -0,0 +1,14 @@
+// Store-local calendar days ('YYYY-MM-DD'). A promo or coupon ending 9/8 runs
+// until midnight at the store, not in UTC, so every dated rule (promo floors,
+// coupon expiry, follow-ups, file names) compares against localDay().
+
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+// A Date, timestamp or ISO string as the local day it falls on. A bare
+// 'YYYY-MM-DD' is already a local day and comes back as is (new Date() would read it as UTC).
+export function localDay(d = new Date()) {
+  if (typeof d === 'string' && ISO_DAY.test(d)) return d;
+  const date = d instanceof Date ? d : new Date(d);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
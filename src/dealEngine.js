@@ -0,0 +1,261 @@
+// dealEngine.js — the deal math, pure and React-free.
+//
+// computeDeal(items, settings) takes the raw item rows (strings as typed) and
+// the deal settings and returns one fully computed deal object: per-item
+// invoice/quote prices, margins and savings ladder, plus every total the UI
+// shows. The calculator screen, the coach snapshot and exports all read this
+// one object, so a quote can be reproduced (or a "what if" run) without
+// touching live UI state.
+
+import { allocatePackages } from './packages.js';
+import { DEFAULT_TAX_RATE } from './taxProfiles.js';
+import { DEFAULT_PROTECTION_PLANS, priceProtection } from './protectionPlans.js';
+import { allocateDiscounts } from './discounts.js';
+
+export { DEFAULT_TAX_RATE };
+
+// Bump when a change here can move a total for the same inputs, so an exported
+// deal (see dealTransfer.js) can tell it was priced by different math.
+export const ENGINE_VERSION = 1;
+
+export function parseMoney(str) {
+  return parseFloat(String(str).replace(/[$,]/g, '')) || 0;
+}
+
+// Calculate margin given sale price and landing cost
+export function calculateMargin(salePrice, landingCost) {
+  if (salePrice <= 0) return 0;
+  const profit = salePrice - landingCost;
+  return (profit / salePrice) * 100;
+}
+
+// Calculate what sale price is needed to hit a target margin
+export function priceForMargin(landingCost, targetMarginPercent) {
+  const margin = targetMarginPercent / 100;
+  return landingCost / (1 - margin);
+}
+
+// The price an item is anchored to before any deal: the original price when a
+// margin button moved it, otherwise what was entered. Package weights use it too.
+export function anchorPriceOf(item) {
+  return (item.marginSet && parseMoney(item.originalPrice) > 0)
+    ? parseMoney(item.originalPrice)
+    : parseMoney(item.price);
+}
+
+/**
+ * settings: {
+ *   salePercent = 30, noTaxPromo = true, priceType = 'sale' | 'tag',
+ *   delivery = 0, includeProtection = false, taxRate = DEFAULT_TAX_RATE (percent),
+ *   taxDelivery = true, taxProtection = false,
+ *   protectionPlans = [plan], // see protectionPlans.js
+ *   itemCategory = (item) => category, // which plan covers an item; null = the first plan
+ *   packages = [{ id, name, price }], marginFloor = 47,
+ *   discounts = [applied discount], // resolved by discounts.resolveDiscounts
+ *   itemFloor = (item) => floor, // per-item floor (category floors); defaults to marginFloor
+ *   itemSalePercent = (item) => percent | null, // a category promo's percent; null = salePercent
+ * }
+ */
+export function computeDeal(items, settings = {}) {
+  const {
+    salePercent = 30,
+    noTaxPromo = true,
+    priceType = 'sale',
+    includeProtection = false,
+    taxDelivery = true,
+    taxProtection = false,
+    protectionPlans = DEFAULT_PROTECTION_PLANS,
+    itemCategory = () => null,
+    packages = [],
+    discounts = [],
+    marginFloor = 47,
+    itemFloor = () => marginFloor,
+    itemSalePercent = () => null,
+  } = settings;
+  const taxRate = (Number.isFinite(settings.taxRate) ? settings.taxRate : DEFAULT_TAX_RATE) / 100;
+  const rows = Array.isArray(items) ? items : [];
+
+  const discount = salePercent / 100;
+  const deliveryAmount = parseMoney(settings.delivery ?? 0);
+  const deliveryTax = taxDelivery ? deliveryAmount * taxRate : 0;
+
+  // Package members are weighted by their own (tag-proportional) line price;
+  // the allocated unit price then stands in for the entered price below.
+  const packageUnitPrices = allocatePackages(packages, rows, item => anchorPriceOf(item) * (parseInt(item.qty) || 1));
+
+  const pricedRows = rows.map(item => {
+    const packageUnit = packageUnitPrices[item.id];
+    const inPricedPackage = packageUnit !== undefined;
+    const rawPrice = inPricedPackage ? anchorPriceOf(item) : parseMoney(item.price);
+    const qty = parseInt(item.qty) || 1;
+    const landingCost = parseMoney(item.landingCost);
+    const landingProvided = String(item.landingCost ?? '').trim() !== '';
+    const itemDiscount = (itemSalePercent(item) ?? salePercent) / 100;
+
+    let salePrice, invoicePrice, quotePrice;
+
+    if (inPricedPackage) {
+      // Share of a package price: a sale-space amount, tax-included when No-Tax is on
+      if (noTaxPromo) {
+        quotePrice = packageUnit;
+        invoicePrice = quotePrice / (1 + taxRate);
+      } else {
+        invoicePrice = packageUnit;
+        quotePrice = invoicePrice * (1 + taxRate);
+      }
+      salePrice = invoicePrice;
+    } else if (item.marginSet && rawPrice > 0) {
+      // Price was set by clicking a margin target - it's already the correct invoice price
+      invoicePrice = rawPrice;
+      salePrice = invoicePrice;
+      quotePrice = invoicePrice * (1 + taxRate);
+    } else if (rawPrice > 0 && noTaxPromo) {
+      // Manually entered price with No-Tax ON: treat it as quote price (tax included)
+      quotePrice = priceType === 'sale' ? rawPrice : rawPrice * (1 - itemDiscount);
+      invoicePrice = quotePrice / (1 + taxRate);
+      salePrice = invoicePrice;
+    } else {
+      // No price entered, or No-Tax OFF: price is invoice/sale price
+      salePrice = priceType === 'sale' ? rawPrice : rawPrice * (1 - itemDiscount);
+      invoicePrice = salePrice;
+      quotePrice = salePrice > 0 ? salePrice * (1 + taxRate) : 0;
+    }
+    return { item, packageUnit, inPricedPackage, qty, landingCost, landingProvided, itemDiscount, invoicePrice, quotePrice };
+  });
+
+  // Discounts come off the invoice line totals; the discounted invoice price is
+  // what margin, profit and the savings ladder see.
+  const discountSplit = allocateDiscounts(
+    pricedRows.map(({ item, invoicePrice, qty }) => ({ id: item.id, total: invoicePrice * qty })),
+    discounts
+  );
+
+  const calculatedItems = pricedRows.map(row => {
+    const { item, packageUnit, inPricedPackage, qty, landingCost, landingProvided, itemDiscount } = row;
+    const lineDiscount = discountSplit.byItem[item.id] || 0;
+    const invoicePrice = lineDiscount > 0 ? row.invoicePrice - lineDiscount / qty : row.invoicePrice;
+    const quotePrice = lineDiscount > 0 ? invoicePrice * (1 + taxRate) : row.quotePrice;
+
+    const lineTotal = invoicePrice * qty; // lineTotal is always invoice price for calculations
+    const margin = (landingProvided && invoicePrice > 0) ? calculateMargin(invoicePrice, landingCost) : null;
+    const totalLandingCost = landingCost * qty;
+
+    // Profit is based on invoice price (what you actually keep)
+    const profitPerUnit = (landingProvided && invoicePrice > 0) ? (invoicePrice - landingCost) : null;
+    const totalProfit = profitPerUnit !== null ? profitPerUnit * qty : null;
+
+    // Price targets for different margins (these are INVOICE prices)
+    const priceAt50 = landingCost > 0 ? priceForMargin(landingCost, 50) : null;
+    const priceAt49 = landingCost > 0 ? priceForMargin(landingCost, 49) : null;
+    const priceAt48 = landingCost > 0 ? priceForMargin(landingCost, 48) : null;
+    const priceAt47 = landingCost > 0 ? priceForMargin(landingCost, 47) : null;
+
+    // Savings ladder (pre-tax, per unit): Regular (tag) -> Standard sale (salePercent off) -> Your deal (actual charge)
+    const dealUnit = invoicePrice; // what we're actually charging, pre-tax
+    const anchorEntered = anchorPriceOf(item);
+    const regularUnit = priceType === 'tag'
+      ? anchorEntered
+      : (itemDiscount < 1 ? anchorEntered / (1 - itemDiscount) : anchorEntered);
+    const standardSaleUnit = priceType === 'tag' ? anchorEntered * (1 - itemDiscount) : anchorEntered;
+    // Only call it an extra "deal" when the actual charge beats the standard sale by more than a cent
+    const hasDeal = dealUnit > 0 && (standardSaleUnit - dealUnit) > 0.005;
+    const floor = itemFloor(item) ?? marginFloor;
+
+    return {
+      ...item,
+      salePrice: invoicePrice, // salePrice now means invoice price
+      invoicePrice,
+      quotePrice,
+      lineTotal,
+      qty,
+      landingCost,
+      landingProvided,
+      totalLandingCost,
+      margin,
+      profitPerUnit,
+      totalProfit,
+      priceAt50,
+      priceAt49,
+      priceAt48,
+      priceAt47,
+      regularUnit,
+      standardSaleUnit,
+      dealUnit,
+      hasDeal,
+      lineDiscount,
+      salePercent: itemDiscount * 100, // this item's standard-sale percent (a category promo can differ)
+      floor,
+      belowFloor: margin !== null && margin < floor,
+      packageUnit: inPricedPackage ? packageUnit : null,
+    };
+  }).filter(item => item.lineTotal > 0 || item.landingCost > 0);
+
+  const subtotal = calculatedItems.reduce((sum, item) => sum + item.lineTotal, 0); // invoice subtotal
+  const totalLandingCost = calculatedItems.reduce((sum, item) => sum + item.totalLandingCost, 0);
+  const merchandiseProfit = calculatedItems.reduce((sum, item) => sum + (item.totalProfit || 0), 0);
+  const overallMargin = subtotal > 0 && totalLandingCost > 0 ? calculateMargin(subtotal, totalLandingCost) : null;
+  // The deal's floor blends the item floors by landing cost: the margin of the
+  // smallest total that would keep every item at its own floor.
+  const floorPriced = calculatedItems.reduce((sum, item) => sum + priceForMargin(item.totalLandingCost, item.floor), 0);
+  const dealFloor = totalLandingCost > 0 && floorPriced > 0 ? calculateMargin(floorPriced, totalLandingCost) : marginFloor;
+
+  // Savings-ladder totals (pre-tax merchandise). regularTotal anchors the "what it'd normally cost".
+  const regularTotal = calculatedItems.reduce((sum, item) => sum + (item.regularUnit * item.qty), 0);
+  const standardSaleTotal = calculatedItems.reduce((sum, item) => sum + (item.standardSaleUnit * item.qty), 0);
+  const dealTotal = subtotal; // actual pre-tax charge
+
+  const taxOnMerchandise = subtotal * taxRate;
+  // Each plan is priced on the items it covers; the plan's landed cost comes out of its price
+  const protection = includeProtection
+    ? priceProtection(calculatedItems.map(item => ({ id: item.id, category: itemCategory(item), total: item.lineTotal })), protectionPlans)
+    : { plans: [], price: 0, cost: 0, profit: 0, uncovered: [] };
+  const protectionPlanCost = protection.price; // what the customer pays for protection
+  const totalProfit = merchandiseProfit + protection.profit;
+  const protectionTax = taxProtection ? protectionPlanCost * taxRate : 0;
+  const totalTax = taxOnMerchandise + deliveryTax + protectionTax;
+  const customerTotal = subtotal + deliveryAmount + protectionPlanCost + totalTax;
+
+  // Customer Quote two-card comparison: Regular (full retail, always WITH tax + delivery) vs the actual deal.
+  const regularTaxable = regularTotal + deliveryAmount;
+  const regularSalesTax = (regularTotal + (taxDelivery ? deliveryAmount : 0)) * taxRate + protectionTax;
+  const regularGrandTotal = regularTaxable + regularSalesTax + protectionPlanCost;
+
+  return {
+    items: calculatedItems,
+    packageUnitPrices,
+    discount,
+    deliveryAmount,
+    deliveryTax,
+    subtotal,
+    totalLandingCost,
+    merchandiseProfit,
+    totalProfit, // merchandise + protection plan profit
+    overallMargin, // merchandise only; the floor policy is about furniture margin
+    dealFloor,
+    marginFloorOk: overallMargin === null || overallMargin >= dealFloor - 1e-9,
+    regularTotal,
+    standardSaleTotal,
+    dealTotal,
+    savingsVsRegular: regularTotal - dealTotal,
+    savingsVsStandard: standardSaleTotal - dealTotal,
+    anyDeal: calculatedItems.some(item => item.hasDeal),
+    // Items that carry a price worth comparing in the savings table
+    ladderItems: calculatedItems.filter(item => item.regularUnit > 0),
+    discountTotal: discountSplit.total,
+    discountDetails: discountSplit.details, // [{ id, itemId, kind, value, label, code, amount }]
+    taxOnMerchandise,
+    totalTax,
+    protectionPlanCost,
+    protectionPlans: protection.plans, // [{ plan, itemIds, merchandise, price, cost }]
+    protectionLanded: protection.cost,
+    protectionProfit: protection.profit,
+    uncoveredItemIds: protection.uncovered,
+    protectionTax,
+    customerTotal,
+    regularTaxable,
+    regularSalesTax,
+    regularGrandTotal,
+    saleSalesTax: totalTax, // tax baked into the deal
+    quoteSavings: regularGrandTotal - customerTotal,
+  };
+}
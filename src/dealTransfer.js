@@ -0,0 +1,279 @@
+// Deal files and share links: one deal, portable between devices, so a rep can
+// hand a customer to the next shift or a manager can open the exact deal.
+//
+// File: { format: 'ashley-deal', version: 1, engineVersion, exportedAt, deal, totals }
+//   deal     the deal as History saves it (see the calculator's dealEntry)
+//   totals   what the exporting device computed, so the importer can check it
+//            gets the same numbers (store settings or engine math may differ)
+// A share link carries the same object base64url-encoded in the fragment
+// (#deal=…), which browsers never send to a server.
+// A deal QR carries it deflated and base32-encoded, which fits QR's compact
+// alphanumeric mode and is safe in a URL: 'DD2:<CRC-32 of the JSON, hex>:<data>'.
+// The number is the QR payload version and the checksum catches a misread
+// before anything loads. The code itself is a link into the app (#qr=DD2:…),
+// so any phone's camera opens it, and the app's own scanner reads the same code.
+// Items are only shape-checked here; the calculator runs each through normalizeItem.
+// Every other field goes through the validator its own module uses for saved
+// state, so a hand-edited or damaged file can't reach the engine malformed.
+
+import { ENGINE_VERSION, parseMoney } from './dealEngine.js';
+import { localDay } from './dates.js';
+import { validPromotion } from './promotions.js';
+import { normalizeDiscounts, resolveDiscounts } from './discounts.js';
+import { validTaxProfile } from './taxProfiles.js';
+import { normalizePayment } from './payments.js';
+import { normalizeDeliveryPlan } from './deliveryZones.js';
+import { normalizeCustomer } from './savedDeals.js';
+
+export const DEAL_FILE_FORMAT = 'ashley-deal';
+const FILE_VERSION = 1;
+const MAX_ITEMS = 50;
+const LINK_KEY = 'deal=';
+const QR_LINK_KEY = 'qr=';
+const QR_VERSION = 2;
+const QR_PAYLOAD = /^DD(\d+):([0-9A-F]{8}):(.+)$/;
+
+const TOTAL_FIELDS = ['subtotal', 'discountTotal', 'deliveryAmount', 'protectionPlanCost', 'customerTotal', 'overallMargin'];
+
+// `totals` is the computed deal (computeDeal's result); only the headline numbers are kept.
+export function exportDeal(entry, totals, now = new Date()) {
+  return {
+    format: DEAL_FILE_FORMAT,
+    version: FILE_VERSION,
+    engineVersion: ENGINE_VERSION,
+    exportedAt: now.toISOString(),
+    deal: entry,
+    totals: Object.fromEntries(TOTAL_FIELDS.map((f) => [f, totals?.[f] ?? null])),
+  };
+}
+
+// "deal-dana-ruiz-2026-10-19.json"
+export function dealFileName(file) {
+  const who = file.deal.customer?.name || file.deal.label || 'quote';
+  const slug = who.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 30) || 'quote';
+  return `deal-${slug}-${localDay(file.exportedAt)}.json`;
+}
+
+// The exporting device's resolved discounts ({ kind, value, label, code }), re-checked
+// as manual discounts; coupon names and codes ride along as labels only.
+function validAppliedDiscounts(list) {
+  return (Array.isArray(list) ? list : []).flatMap((a) => {
+    const [discount] = normalizeDiscounts([{ ...a, type: a?.kind }]);
+    const applied = discount && resolveDiscounts([discount], []).applied[0];
+    if (!applied) return [];
+    return [{
+      ...applied,
+      label: typeof a.label === 'string' && a.label.trim() ? a.label.slice(0, 40) : applied.label,
+      code: typeof a.code === 'string' ? a.code.slice(0, 20) : '',
+    }];
+  });
+}
+
+/**
+ * Check a deal file (text or parsed object). Returns { deal, totals, engineVersion,
+ * exportedAt, warnings }; throws an Error with a message for the rep when the
+ * file can't be used.
+ */
+export function parseDealFile(raw) {
+  let data = raw;
+  if (typeof raw === 'string') {
+    try {
+      data = JSON.parse(raw.replace(/^\uFEFF/, ''));
+    } catch {
+      throw new Error('Not a deal file (not valid JSON).');
+    }
+  }
+  if (!data || typeof data !== 'object' || data.format !== DEAL_FILE_FORMAT) throw new Error('Not a deal file.');
+  if (!(data.version <= FILE_VERSION)) throw new Error('This deal was exported by a newer version of the app. Update and try again.');
+  const deal = data.deal;
+  if (!deal || typeof deal !== 'object' || !Array.isArray(deal.items)) throw new Error('The deal file has no items.');
+  const items = deal.items.filter((i) => i && typeof i === 'object' && !Array.isArray(i));
+  if (!items.length) throw new Error('The deal file has no items.');
+  if (items.length > MAX_ITEMS) throw new Error(`The deal file has ${items.length} items; the most a deal holds is ${MAX_ITEMS}.`);
+
+  const engineVersion = Number.isFinite(data.engineVersion) ? data.engineVersion : null;
+  const warnings = [];
+  if (engineVersion !== ENGINE_VERSION) {
+    warnings.push(engineVersion > ENGINE_VERSION
+      ? 'Priced by a newer version of the app; totals here may differ.'
+      : 'Priced by an older version of the app; totals here may differ.');
+  }
+  const dealId = Number.isFinite(deal.dealId) ? deal.dealId : Date.now();
+  return {
+    deal: {
+      ...deal,
+      dealId,
+      items,
+      packages: Array.isArray(deal.packages) ? deal.packages : [],
+      label: typeof deal.label === 'string' ? deal.label : '',
+      priceType: deal.priceType === 'tag' ? 'tag' : 'sale',
+      salePercent: Number.isFinite(deal.salePercent) && deal.salePercent >= 0 && deal.salePercent <= 90 ? deal.salePercent : 30,
+      noTaxPromo: deal.noTaxPromo === true,
+      includeProtection: deal.includeProtection === true,
+      delivery: deal.delivery == null ? null : String(parseMoney(deal.delivery)), // null: the store's default
+      customer: normalizeCustomer(deal.customer),
+      payment: normalizePayment(deal.payment),
+      deliveryPlan: normalizeDeliveryPlan(deal.deliveryPlan ?? { mode: 'manual' }),
+      discounts: normalizeDiscounts(deal.discounts),
+      appliedDiscounts: validAppliedDiscounts(deal.appliedDiscounts),
+      promo: validPromotion(deal.promo),
+      taxProfile: validTaxProfile(deal.taxProfile),
+      taxZip: typeof deal.taxZip === 'string' ? deal.taxZip.slice(0, 10) : '',
+      taxProfileId: typeof deal.taxProfileId === 'string' ? deal.taxProfileId : null,
+    },
+    totals: data.totals && typeof data.totals === 'object' ? data.totals : {},
+    engineVersion,
+    exportedAt: typeof data.exportedAt === 'string' ? data.exportedAt : null,
+    warnings,
+  };
+}
+
+// UTF-8 safe base64url, so names like "José" survive the trip.
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = '';
+  bytes.forEach((b) => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(code) {
+  const bin = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0)));
+}
+
+// `base` is the app's URL without a fragment (location.origin + location.pathname).
+export function encodeDealLink(file, base) {
+  return `${base}#${LINK_KEY}${toBase64Url(JSON.stringify(file))}`;
+}
+
+// The deal in a URL fragment, or null when the fragment isn't a deal link.
+// Throws like parseDealFile when it is one but can't be used.
+export function decodeDealLink(hash) {
+  const fragment = String(hash ?? '').replace(/^#/, '');
+  if (!fragment.startsWith(LINK_KEY)) return null;
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(decodeURIComponent(fragment.slice(LINK_KEY.length))));
+  } catch {
+    throw new Error('This deal link is damaged or cut off.');
+  }
+  return parseDealFile(data);
+}
+
+// --- QR payload --------------------------------------------------------------
+
+// RFC 4648 base32, upper case and unpadded: every character is both QR
+// alphanumeric and URL-safe.
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export function toBase32(bytes) {
+  let out = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const b of bytes) {
+    buffer = (buffer << 8) | b;
+    bits += 8;
+    while (bits >= 5) { bits -= 5; out += BASE32[(buffer >> bits) & 31]; }
+    buffer &= (1 << bits) - 1;
+  }
+  return bits ? out + BASE32[(buffer << (5 - bits)) & 31] : out;
+}
+
+export function fromBase32(text) {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const c of text) {
+    const d = BASE32.indexOf(c);
+    if (d < 0) throw new Error('not base32');
+    buffer = (buffer << 5) | d;
+    bits += 5;
+    if (bits >= 8) { bits -= 8; bytes.push((buffer >> bits) & 0xff); }
+    buffer &= (1 << bits) - 1;
+  }
+  return Uint8Array.from(bytes);
+}
+
+let crcTable = null;
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = Array.from({ length: 256 }, (_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      return c >>> 0;
+    });
+  }
+  let crc = 0xffffffff;
+  for (const b of bytes) crc = crcTable[(crc ^ b) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+const pipe = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+// Leave out what the importer refills anyway (item fields at their normalizeItem
+// defaults; null, false and empty-list deal fields) so the code stays easy to scan.
+const ITEM_DEFAULTS = { sku: '', qty: 1, landingAuto: false, priceAuto: false, marginSet: false, selectedMargin: null, packageId: null };
+const empty = (v) => v == null || v === false || (Array.isArray(v) && !v.length);
+
+function compactFile(file) {
+  const deal = Object.fromEntries(Object.entries(file.deal).filter(([, v]) => !empty(v)));
+  deal.items = file.deal.items.map((item) =>
+    Object.fromEntries(Object.entries(item).filter(([k, v]) => v !== undefined && !(k in ITEM_DEFAULTS && v === ITEM_DEFAULTS[k]))));
+  return { ...file, deal };
+}
+
+// The payload from a scanned code: the fragment of a deal QR link, or the text itself.
+function qrPayloadOf(text) {
+  const raw = String(text ?? '').trim();
+  const at = raw.indexOf('#');
+  return (at >= 0 && dealQrFromHash(raw.slice(at))) || raw;
+}
+
+export const isDealQr = (text) => /^DD\d+:/.test(qrPayloadOf(text));
+
+// The QR payload for a deal file (see exportDeal). Compression needs CompressionStream
+// (every current browser), so no network is involved at either end.
+export async function encodeDealQr(file) {
+  const json = new TextEncoder().encode(JSON.stringify(compactFile(file)));
+  const checksum = crc32(json).toString(16).toUpperCase().padStart(8, '0');
+  return `DD${QR_VERSION}:${checksum}:${toBase32(await pipe(json, new CompressionStream('deflate')))}`;
+}
+
+// What the QR shows: a link into the app at `base` (as for encodeDealLink), in
+// two parts so encodeQr keeps the long payload in its compact mode.
+export function dealQrLinkParts(payload, base) {
+  return [`${base}#${QR_LINK_KEY}`, payload];
+}
+
+// The payload in a URL fragment (#qr=…), or null when the fragment isn't a deal QR link.
+export function dealQrFromHash(hash) {
+  const fragment = String(hash ?? '').replace(/^#/, '');
+  if (!fragment.startsWith(QR_LINK_KEY)) return null;
+  try {
+    return decodeURIComponent(fragment.slice(QR_LINK_KEY.length));
+  } catch {
+    return fragment.slice(QR_LINK_KEY.length);
+  }
+}
+
+// Read a scanned deal QR (payload or link) back into what parseDealFile returns;
+// throws with a message for the rep when the code is from a newer app or didn't
+// scan cleanly.
+export async function decodeDealQr(text) {
+  const match = QR_PAYLOAD.exec(qrPayloadOf(text));
+  if (!match) throw new Error('Not a deal QR code.');
+  const version = Number(match[1]);
+  if (version > QR_VERSION) throw new Error('This deal QR is from a newer version of the app. Update and try again.');
+  if (version !== QR_VERSION) throw new Error('Not a deal QR code.');
+  let json;
+  try {
+    json = await pipe(fromBase32(match[3]), new DecompressionStream('deflate'));
+  } catch {
+    throw new Error('The deal QR didn\'t scan cleanly. Try again.');
+  }
+  if (crc32(json).toString(16).toUpperCase().padStart(8, '0') !== match[2]) {
+    throw new Error('The deal QR didn\'t scan cleanly (checksum mismatch). Try again.');
+  }
+  return parseDealFile(new TextDecoder().decode(json));
+}
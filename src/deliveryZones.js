@@ -0,0 +1,104 @@
+// Delivery pricing by zone and service level. The store lists its zones
+// nearest first, each with a ZIP table and a price per service level; a deal
+// picks its zone from the customer's delivery ZIP (the same ZIP that picks the
+// tax jurisdiction). The quoted total becomes the deal's delivery amount, so
+// it is taxed (or not) by the jurisdiction like any other delivery.
+//
+// Zone: { id, name, zips: ['95020', '950'], prices: { threshold, whiteGlove, roomOfChoice } }
+//   a level with no price isn't offered in that zone
+// A ZIP in no zone is out of zone: priced as the farthest (last) zone plus the
+// mileage surcharge past `freeMiles`.
+
+import { parseZipList, profileForZip } from './taxProfiles.js';
+
+export const SERVICE_LEVELS = [
+  { id: 'threshold', label: 'Threshold' },
+  { id: 'whiteGlove', label: 'White glove' },
+  { id: 'roomOfChoice', label: 'Room of choice + assembly' },
+];
+
+export const DEFAULT_MILEAGE = { freeMiles: 30, perMile: 2 };
+
+// What the rep chose for this deal. mode 'manual' uses the typed/tapped amount instead.
+export const EMPTY_DELIVERY_PLAN = { mode: 'zone', level: 'threshold', haulAway: 0, miles: '' };
+
+const cents = (n) => Math.round(n * 100) / 100;
+const money = (v) => (typeof v === 'number' ? v : parseFloat(String(v ?? '').replace(/[$,]/g, '')));
+
+export function validDeliveryZone(raw) {
+  const name = String(raw?.name ?? '').trim();
+  if (!name) return null;
+  const prices = {};
+  for (const { id } of SERVICE_LEVELS) {
+    const p = money(raw.prices?.[id]);
+    if (Number.isFinite(p) && p >= 0) prices[id] = p;
+  }
+  if (!Object.keys(prices).length) return null;
+  return {
+    id: raw.id != null ? String(raw.id) : name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+    name,
+    zips: parseZipList(raw.zips),
+    prices,
+  };
+}
+
+export function normalizeDeliveryPlan(raw) {
+  const safe = raw && typeof raw === 'object' ? raw : {};
+  const haulAway = parseInt(safe.haulAway, 10);
+  return {
+    mode: safe.mode === 'manual' ? 'manual' : 'zone',
+    level: SERVICE_LEVELS.some((l) => l.id === safe.level) ? safe.level : 'threshold',
+    haulAway: Number.isFinite(haulAway) && haulAway > 0 ? Math.min(haulAway, 20) : 0,
+    miles: String(safe.miles ?? ''),
+  };
+}
+
+/**
+ * Price a delivery from the store's tables. `model` is { zones, haulAwayFee, mileage };
+ * returns null when the store has no zones (delivery is then the manual amount).
+ * Returns { zone, source: 'zip' | 'outOfZone' | 'noZip', level, levels, base,
+ *   haulAwayAmount, mileageAmount, needsMiles, total }.
+ */
+export function quoteDelivery(model, { zip, level, haulAway = 0, miles } = {}) {
+  const zones = model?.zones || [];
+  if (!zones.length) return null;
+  const hasZip = /^\d{5}$/.test(String(zip ?? '').trim());
+  const matched = hasZip ? profileForZip(zones, zip) : null;
+  const source = matched ? 'zip' : hasZip ? 'outOfZone' : 'noZip';
+  const zone = matched || (source === 'outOfZone' ? zones[zones.length - 1] : zones[0]);
+
+  // Levels the zone offers; an unoffered choice falls back to the first offered one
+  const levels = SERVICE_LEVELS.filter((l) => zone.prices[l.id] != null);
+  const used = levels.some((l) => l.id === level) ? level : levels[0].id;
+  const base = zone.prices[used];
+
+  const haulAwayAmount = cents(Math.max(0, haulAway || 0) * (model.haulAwayFee || 0));
+  const { freeMiles, perMile } = { ...DEFAULT_MILEAGE, ...model.mileage };
+  const distance = money(miles);
+  const mileageAmount = source === 'outOfZone' && distance > freeMiles ? cents((distance - freeMiles) * perMile) : 0;
+
+  return {
+    zone,
+    source,
+    level: used,
+    levels,
+    base,
+    haulAwayAmount,
+    mileageAmount,
+    needsMiles: source === 'outOfZone' && !(distance > 0),
+    total: cents(base + haulAwayAmount + mileageAmount),
+  };
+}
+
+export function levelLabel(id) {
+  return SERVICE_LEVELS.find((l) => l.id === id)?.label ?? id;
+}
+
+// "Zone B · White glove $175 + haul-away $100 + 12 mi $24"
+export function describeDeliveryQuote(quote, { haulAway = 0, miles } = {}) {
+  const parts = [`${levelLabel(quote.level)} $${quote.base}`];
+  if (quote.haulAwayAmount) parts.push(`haul-away ×${haulAway} $${quote.haulAwayAmount}`);
+  if (quote.mileageAmount) parts.push(`${money(miles)} mi $${quote.mileageAmount}`);
+  const where = quote.source === 'outOfZone' ? `Out of zone (priced as ${quote.zone.name})` : quote.zone.name;
+  return `${where} · ${parts.join(' + ')}`;
+}
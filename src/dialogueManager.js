@@ -5,31 +5,61 @@
 //   action the LLM emitted. Math is whatever the calculator already does;
 //   we don't reinvent any of it here.
 
-const VALID_DELIVERY = ['0', '100', '135', '150'];
-
-export function dealSnapshot(items, settings) {
+// `deal` is the computed object from dealEngine.computeDeal (optional; totals
+// fall back to settings for older callers).
+export function dealSnapshot(items, settings, deal) {
   const first = items?.[0] || {};
+  const computed = new Map((deal?.items || []).map((it) => [it.id, it]));
   return {
     items: (items || []).map((it) => ({
       name: it.name || '',
       price: String(it.price || ''),
       qty: it.qty || 1,
       landingCost: String(it.landingCost || ''),
+      margin: computed.get(it.id)?.margin ?? null,
+      floor: computed.get(it.id)?.floor ?? null, // this item's category floor
     })),
     salePercent: settings?.salePercent ?? 30,
     noTaxPromo: settings?.noTaxPromo ?? true,
     priceType: settings?.priceType ?? 'sale',
     delivery: String(settings?.delivery ?? '135'),
+    deliveryQuote: settings?.deliveryQuote ?? null, // zone pricing, e.g. "Zone B · White glove $175"; null = manual amount
     includeProtection: settings?.includeProtection ?? false,
-    overallMargin: settings?.overallMargin ?? null,
-    customerTotal: settings?.customerTotal ?? null,
-    subtotal: settings?.subtotal ?? null,
+    protectionPlanCost: deal?.protectionPlanCost ?? null, // every plan the deal's items fall under
+    // applied discounts/coupons, e.g. "SPRING200 $200 off: -$200"; already inside items' prices
+    discounts: (deal?.discountDetails || []).map((d) => `${d.code ? `${d.code} ` : ''}${d.label}: -$${d.amount.toFixed(2)}`),
+    overallMargin: deal ? deal.overallMargin : (settings?.overallMargin ?? null),
+    dealFloor: deal?.dealFloor ?? null, // blended floor the overall margin is judged against
+    customerTotal: deal ? deal.customerTotal : (settings?.customerTotal ?? null),
+    subtotal: deal ? deal.subtotal : (settings?.subtotal ?? null),
+    financing: settings?.financing ?? null, // best eligible plan: { plan, monthly }
+    tax: settings?.tax ?? null, // jurisdiction label, e.g. "Kings County 7.25%"
+    promo: settings?.promo ?? null, // today's promotion, e.g. "Labor Day · 35% off upholstery · No-Tax · 9/1–9/8"
+    store: storeContext(settings?.store),
     firstItemHasName: Boolean(first.name),
     firstItemHasPrice: Boolean(String(first.price || '').trim()),
     firstItemHasLanding: Boolean(String(first.landingCost || '').trim()),
   };
 }
 
+// The slice of the active store profile the coach prompt is built from.
+function storeContext(store) {
+  if (!store) return null;
+  return {
+    name: store.storeName,
+    managerName: store.managerName,
+    marginFloor: store.marginFloor,
+    marginTarget: store.marginTarget,
+    categoryFloors: store.categoryFloors ?? {},
+    promo: store.floorPromo ?? null,
+    salePercents: store.salePercents,
+    deliveryOptions: store.deliveryOptions,
+    defaultDelivery: store.defaultDelivery,
+    deliveryZones: store.deliveryZones?.length ?? 0,
+    taxRate: store.taxRate, // the deal's jurisdiction, not the store's home one
+  };
+}
+
 export function nextMissingSlot(snapshot) {
   if (!snapshot.firstItemHasName) return 'item';
   if (!snapshot.firstItemHasPrice) return 'price';
@@ -48,6 +78,9 @@ export function inferGoal(snapshot) {
 export function applyActions(actions, calcRefs) {
   if (!Array.isArray(actions) || actions.length === 0) return false;
   let didAnything = false;
+  // calcRefs.store limits choices to the active store's options
+  const salePercents = calcRefs.store?.salePercents || [30, 35, 40];
+  const marginTargets = calcRefs.store?.marginTargets || [47, 48, 49, 50];
 
   for (const a of actions) {
     if (!a || !a.type) continue;
@@ -72,8 +105,8 @@ export function applyActions(actions, calcRefs) {
           break;
 
         case 'set_delivery': {
-          const v = String(a.value ?? '135');
-          if (VALID_DELIVERY.includes(v) || /^\d+(\.\d+)?$/.test(v)) {
+          const v = String(a.value ?? '');
+          if (/^\d+(\.\d+)?$/.test(v)) {
             calcRefs.setDelivery(v);
             didAnything = true;
           }
@@ -87,7 +120,7 @@ export function applyActions(actions, calcRefs) {
 
         case 'set_sale_percent': {
           const n = Number(a.value);
-          if ([30, 35, 40].includes(n)) {
+          if (salePercents.includes(n)) {
             calcRefs.setSalePercent(n);
             didAnything = true;
           }
@@ -108,7 +141,7 @@ export function applyActions(actions, calcRefs) {
 
         case 'set_all_to_margin': {
           const n = Number(a.value);
-          if ([47, 48, 49, 50].includes(n)) {
+          if (marginTargets.includes(n)) {
             calcRefs.setAllItemsToMargin(n);
             didAnything = true;
           }
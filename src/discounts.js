@@ -0,0 +1,123 @@
+// Discounts: per-item and whole-order, as a percentage, a fixed amount or a
+// named coupon from the store's list. Amounts are pre-tax invoice dollars; a
+// discount lowers the invoice price, so margin and the savings ladder follow.
+//
+// On the deal:  discounts: [{ id, itemId (null = whole order), type: 'percent' | 'amount' | 'coupon', value, code }]
+// Store coupon: { code, name, kind: 'percent' | 'amount', value, scope: 'order' | 'item', until: 'YYYY-MM-DD' | '', stackable }
+//   until      last day the code works; blank = no expiry
+//   stackable  false = the only coupon on the deal (manual discounts still apply)
+
+import { allocatePackage } from './packages.js';
+import { localDay } from './dates.js';
+
+export const DISCOUNT_TYPES = [
+  { id: 'percent', label: '%' },
+  { id: 'amount', label: '$' },
+  { id: 'coupon', label: 'Coupon' },
+];
+
+const cents = (n) => Math.round(n * 100) / 100;
+const money = (v) => parseFloat(String(v ?? '').replace(/[$,%]/g, ''));
+const normalizeCode = (code) => String(code ?? '').trim().toUpperCase();
+
+export function validCoupon(raw) {
+  const code = normalizeCode(raw?.code);
+  const value = money(raw?.value);
+  const kind = raw?.kind === 'amount' ? 'amount' : 'percent';
+  if (!/^[A-Z0-9_-]{3,20}$/.test(code)) return null;
+  if (!(value > 0) || (kind === 'percent' && value > 90)) return null;
+  const until = /^\d{4}-\d{2}-\d{2}$/.test(String(raw.until ?? '')) ? raw.until : '';
+  return {
+    code,
+    name: String(raw.name ?? '').trim().slice(0, 40) || code,
+    kind,
+    value,
+    scope: raw.scope === 'item' ? 'item' : 'order',
+    until,
+    stackable: raw.stackable !== false,
+  };
+}
+
+export function normalizeDiscounts(list) {
+  return (Array.isArray(list) ? list : [])
+    .filter((d) => d && DISCOUNT_TYPES.some((t) => t.id === d.type))
+    .map((d, i) => ({
+      id: d.id ?? Date.now() + i,
+      itemId: d.itemId ?? null,
+      type: d.type,
+      value: String(d.value ?? ''),
+      code: d.type === 'coupon' ? normalizeCode(d.code) : '',
+    }));
+}
+
+/**
+ * Check the deal's discounts against the coupon list, expiry and stacking.
+ * Returns { applied: [{ id, itemId, kind, value, label, code }], rejected: [{ discount, reason }] }.
+ * Entry order decides stacking conflicts: the coupon entered first stays.
+ */
+export function resolveDiscounts(discounts, coupons, now = new Date()) {
+  const applied = [];
+  const rejected = [];
+  const today = localDay(now);
+  const usedCoupons = [];
+  for (const d of discounts || []) {
+    const reject = (reason) => rejected.push({ discount: d, reason });
+    if (d.type !== 'coupon') {
+      const value = money(d.value);
+      if (!(value > 0) || (d.type === 'percent' && value > 100)) {
+        reject(d.type === 'percent' ? 'Enter a percent from 1 to 100' : 'Enter a dollar amount');
+        continue;
+      }
+      applied.push({ id: d.id, itemId: d.itemId, kind: d.type, value, label: d.type === 'percent' ? `${value}% off` : `$${value} off`, code: '' });
+      continue;
+    }
+    const code = normalizeCode(d.code);
+    const coupon = (coupons || []).find((c) => c.code === code);
+    if (!coupon) { reject(`Unknown code ${code || '(blank)'}`); continue; }
+    if (coupon.until && today > coupon.until) { reject(`${code} expired ${coupon.until}`); continue; }
+    if ((coupon.scope === 'item') !== (d.itemId != null)) {
+      reject(coupon.scope === 'item' ? `${code} is for a single item` : `${code} is for the whole order`);
+      continue;
+    }
+    if (usedCoupons.some((c) => c.code === code)) { reject(`${code} is already applied`); continue; }
+    const conflict = coupon.stackable ? usedCoupons.find((c) => !c.stackable) : usedCoupons[0];
+    if (conflict) { reject(`${code} doesn't stack with ${conflict.code}`); continue; }
+    usedCoupons.push(coupon);
+    applied.push({ id: d.id, itemId: d.itemId, kind: coupon.kind, value: coupon.value, label: coupon.name, code });
+  }
+  return { applied, rejected };
+}
+
+/**
+ * Work out how much each applied discount takes off. `lines` are the deal's
+ * [{ id, total }] invoice line totals before discounts. Item discounts come
+ * off their line first; order discounts then come off what's left, split
+ * across lines by value (to the cent). Nothing goes below zero.
+ * Returns { byItem: { [id]: amount }, total, details: [{ ...discount, amount }] }.
+ */
+export function allocateDiscounts(lines, applied) {
+  const remaining = Object.fromEntries(lines.map((l) => [l.id, Math.max(0, l.total)]));
+  const byItem = Object.fromEntries(lines.map((l) => [l.id, 0]));
+  const details = [];
+  const take = (id, amount) => {
+    remaining[id] -= amount;
+    byItem[id] += amount;
+  };
+  const ordered = [...(applied || []).filter((d) => d.itemId != null), ...(applied || []).filter((d) => d.itemId == null)];
+  for (const d of ordered) {
+    if (d.itemId != null) {
+      if (!(d.itemId in remaining)) continue;
+      const left = remaining[d.itemId];
+      const amount = Math.min(left, cents(d.kind === 'percent' ? left * (d.value / 100) : d.value));
+      take(d.itemId, amount);
+      details.push({ ...d, amount });
+      continue;
+    }
+    const base = Object.values(remaining).reduce((s, v) => s + v, 0);
+    const amount = Math.min(base, cents(d.kind === 'percent' ? base * (d.value / 100) : d.value));
+    const shares = allocatePackage(amount, lines.map((l) => ({ id: l.id, qty: 1, weight: remaining[l.id] })));
+    lines.forEach((l) => { if (shares[l.id]) take(l.id, Math.min(shares[l.id], remaining[l.id])); });
+    details.push({ ...d, amount });
+  }
+  return { byItem, total: details.reduce((s, d) => s + d.amount, 0), details };
+}
@@ -0,0 +1,62 @@
+// Financing: monthly payments for a customer total under the store's plans.
+// Plans are configured by a manager in Store Settings; the math here is pure.
+//
+// Plan: { id, name, months, apr, minPurchase, downPercent }
+//   apr          annual rate in percent (0 = same-as-cash / 0% promo)
+//   minPurchase  smallest customer total the plan applies to
+//   downPercent  required down payment, percent of the total
+
+// A plan saved without an id gets a fresh one, like a row added in Store
+// Settings: two plans on the same terms (say, a store plan and a promo) must
+// still be told apart.
+let nextPlanId = 0;
+const newPlanId = () => `plan-${Date.now()}-${nextPlanId++}`;
+
+export function validPlan(raw) {
+  const months = parseInt(raw?.months, 10);
+  const apr = parseFloat(raw?.apr);
+  const minPurchase = parseFloat(String(raw?.minPurchase ?? '0').replace(/[$,]/g, '')) || 0;
+  const downPercent = parseFloat(raw?.downPercent) || 0;
+  if (!Number.isFinite(months) || months < 1 || months > 120) return null;
+  if (!Number.isFinite(apr) || apr < 0 || apr > 60) return null;
+  if (minPurchase < 0 || downPercent < 0 || downPercent >= 100) return null;
+  return {
+    id: raw.id ?? newPlanId(),
+    name: String(raw.name ?? '').trim() || (apr === 0 ? `0% for ${months} months` : `${apr}% APR, ${months} months`),
+    months,
+    apr,
+    minPurchase,
+    downPercent,
+  };
+}
+
+// Standard amortized payment; 0% APR is a straight split.
+export function monthlyPayment(principal, aprPercent, months) {
+  if (!(principal > 0) || !(months > 0)) return 0;
+  const r = aprPercent / 100 / 12;
+  if (r === 0) return principal / months;
+  return (principal * r) / (1 - Math.pow(1 + r, -months));
+}
+
+const cents = (n) => Math.round(n * 100) / 100;
+
+// Payments for every plan: [{ plan, eligible, shortBy?, down, financed, monthly, totalPaid }].
+// shortBy is how far the total is under the plan's minimum purchase.
+// `downPayment` is what the customer offers; the plan's minimum down still applies.
+export function financingOptions(total, plans, { downPayment = 0 } = {}) {
+  return (plans || []).map((plan) => {
+    if (!(total > 0)) return { plan, eligible: false, shortBy: plan.minPurchase };
+    if (total < plan.minPurchase) return { plan, eligible: false, shortBy: cents(plan.minPurchase - total) };
+    const down = cents(Math.min(total, Math.max(downPayment || 0, total * (plan.downPercent / 100))));
+    const financed = cents(total - down);
+    const monthly = cents(monthlyPayment(financed, plan.apr, plan.months));
+    return {
+      plan,
+      eligible: true,
+      down,
+      financed,
+      monthly,
+      totalPaid: cents(down + monthly * plan.months),
+    };
+  });
+}
@@ -0,0 +1,74 @@
+// Thin wrapper around service-worker notifications for follow-up reminders.
+// Two paths, both optional:
+//   - Notification Triggers (Chrome with the flag/origin trial): one notification
+//     per deal, scheduled for FOLLOW_UP_HOUR on its follow-up day.
+//   - Periodic Background Sync (installed Chrome/Android PWA): the service worker
+//     wakes a few times a day and shows one "follow-ups due" summary.
+// Without either, the due list on launch is the reminder.
+
+import { followUpMessage } from './savedDeals.js';
+
+const FOLLOW_UP_HOUR = 9;
+const SYNC_TAG = 'follow-ups';
+const SYNC_INTERVAL_MS = 12 * 60 * 60 * 1000;
+
+export const notificationsSupported =
+  typeof window !== 'undefined' &&
+  'Notification' in window &&
+  'serviceWorker' in navigator;
+
+const triggersSupported = notificationsSupported && 'showTrigger' in Notification.prototype && 'TimestampTrigger' in window;
+
+const tagFor = (dealId) => `follow-up-${dealId}`;
+
+async function registration() {
+  if (!notificationsSupported || Notification.permission !== 'granted') return null;
+  return (await navigator.serviceWorker.getRegistration()) ?? null;
+}
+
+// Ask once, from a tap (browsers ignore prompts that aren't). Resolves to true when allowed.
+export async function requestFollowUpPermission() {
+  if (!notificationsSupported) return false;
+  if (Notification.permission === 'default') await Notification.requestPermission();
+  if (Notification.permission !== 'granted') return false;
+  await registerFollowUpSync();
+  return true;
+}
+
+export async function registerFollowUpSync() {
+  const reg = await registration();
+  if (!reg?.periodicSync) return;
+  await reg.periodicSync.register(SYNC_TAG, { minInterval: SYNC_INTERVAL_MS }).catch(() => {});
+}
+
+// Schedule (or reschedule) the reminder for a saved deal; a closed deal or a
+// cleared date just cancels it. Resolves to true when a notification is scheduled.
+export async function scheduleFollowUp(deal) {
+  const reg = await registration();
+  if (!reg) return false;
+  const tag = tagFor(deal.id);
+  const pending = await reg.getNotifications({ tag, includeTriggered: true }).catch(() => []);
+  pending.forEach((n) => n.close());
+
+  const { status, followUp } = deal.customer || {};
+  if (!triggersSupported || status !== 'open' || !followUp) return false;
+  const [y, m, d] = followUp.split('-').map(Number);
+  const at = new Date(y, m - 1, d, FOLLOW_UP_HOUR).getTime();
+  if (at <= Date.now()) return false; // already due: the launch list covers it
+  const { title, body } = followUpMessage(deal);
+  await reg.showNotification(title, {
+    body,
+    tag,
+    icon: '/icons/pwa-192.png',
+    data: { dealId: deal.id },
+    showTrigger: new window.TimestampTrigger(at),
+  });
+  return true;
+}
+
+export async function cancelFollowUp(dealId) {
+  const reg = await registration();
+  if (!reg) return;
+  const pending = await reg.getNotifications({ tag: tagFor(dealId), includeTriggered: true }).catch(() => []);
+  pending.forEach((n) => n.close());
+}
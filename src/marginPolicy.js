@@ -0,0 +1,78 @@
+// Margin policy: the floor and target every verdict, margin button, manager
+// summary and coach action is checked against. It lives on the store profile:
+//   marginFloor, marginTarget        store-wide (percent)
+//   categoryFloors { [categoryId] }  e.g. mattresses can run a lower floor
+//   floorPromo { floor, until, note } a temporary floor for a promotion; lapses after `until`
+//   policyPinHash                    optional manager PIN guarding the above
+//
+// The PIN keeps a shared floor device from having its floor edited casually;
+// it is a lock on the settings screen, not security.
+
+import { localDay } from './dates.js';
+
+export const DEFAULT_MARGIN_FLOOR = 47;
+export const DEFAULT_MARGIN_TARGET = 50;
+
+export function validFloorPromo(raw) {
+  const floor = parseFloat(raw?.floor);
+  const until = /^\d{4}-\d{2}-\d{2}$/.test(String(raw?.until ?? '')) ? raw.until : null;
+  if (!Number.isFinite(floor) || floor < 0 || floor > 90 || !until) return null;
+  return { floor, until, note: String(raw.note ?? '').trim().slice(0, 60) };
+}
+
+// `now` is a Date or the app's ticking 'YYYY-MM-DD' `today`.
+export function promoActive(promo, now = new Date()) {
+  return Boolean(promo && localDay(now) <= promo.until);
+}
+
+/**
+ * The policy in force today: { floor, target, categoryFloors, promo }.
+ * An active promo lowers every floor to at most its own; it never raises one.
+ */
+export function effectivePolicy(settings, now = new Date()) {
+  const s = settings || {};
+  const promo = promoActive(s.floorPromo, now) ? s.floorPromo : null;
+  const cap = (f) => (promo ? Math.min(f, promo.floor) : f);
+  const floor = cap(Number.isFinite(s.marginFloor) ? s.marginFloor : DEFAULT_MARGIN_FLOOR);
+  const categoryFloors = Object.fromEntries(
+    Object.entries(s.categoryFloors || {}).map(([id, f]) => [id, cap(f)])
+  );
+  const target = Math.max(floor, Number.isFinite(s.marginTarget) ? s.marginTarget : DEFAULT_MARGIN_TARGET);
+  return { floor, target, categoryFloors, promo };
+}
+
+export function floorFor(policy, category) {
+  return policy.categoryFloors?.[category] ?? policy.floor;
+}
+
+// 'great' at or above target, 'ok' at or above the floor, else 'low'.
+export function marginBand(margin, floor, target) {
+  if (margin >= target) return 'great';
+  if (margin >= floor) return 'ok';
+  return 'low';
+}
+
+// Whole-percent buttons from the target down to the floor: 50/49/48/47.
+// A wide band (a 40% mattress floor) is thinned to `max` evenly spaced stops, ends kept.
+export function marginSteps(target, floor, max = 4) {
+  const top = Math.floor(target);
+  const bottom = Math.ceil(floor);
+  if (bottom > top) return [bottom]; // no whole percent fits the band: the first one clearing the floor
+  if (top - bottom < max) return Array.from({ length: top - bottom + 1 }, (_, i) => top - i);
+  const gap = (top - bottom) / (max - 1);
+  return [...new Set(Array.from({ length: max }, (_, i) => Math.round(top - i * gap)))];
+}
+
+// Small non-cryptographic hash (FNV-1a) so the PIN isn't stored as typed.
+export function hashPin(pin) {
+  let h = 0x811c9dc5;
+  for (const ch of `ashley-policy:${String(pin)}`) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, '0');
+}
+
+export function pinMatches(pin, pinHash) {
+  return !pinHash || hashPin(String(pin ?? '').trim()) === pinHash;
+}
@@ -0,0 +1,44 @@
+// Room packages: one package price spread back over its member items, pro-rata
+// by each member's tag price, so per-item invoice price and margin still work.
+// Pure (no React) so the allocation can be unit-tested.
+
+// Split `total` across members [{ id, weight, qty }] by weight (line tag value).
+// Works in cents and hands leftover cents to the largest remainders, so the
+// line totals always add back to exactly the package price.
+// Returns { [id]: unitPrice }. Zero total weight splits by quantity instead.
+export function allocatePackage(total, members) {
+  const totalCents = Math.round((Number(total) || 0) * 100);
+  const list = (members || []).filter((m) => (m.qty || 0) > 0);
+  if (totalCents <= 0 || !list.length) return {};
+  const weightSum = list.reduce((s, m) => s + Math.max(0, m.weight || 0), 0);
+  const weightOf = weightSum > 0 ? (m) => Math.max(0, m.weight || 0) : (m) => m.qty;
+  const sum = weightSum > 0 ? weightSum : list.reduce((s, m) => s + m.qty, 0);
+
+  const shares = list.map((m, i) => {
+    const exact = (totalCents * weightOf(m)) / sum;
+    return { m, i, cents: Math.floor(exact), rem: exact - Math.floor(exact) };
+  });
+  let left = totalCents - shares.reduce((s, x) => s + x.cents, 0);
+  [...shares].sort((a, b) => b.rem - a.rem || a.i - b.i).forEach((x) => {
+    if (left > 0) { x.cents += 1; left -= 1; }
+  });
+
+  const out = {};
+  shares.forEach(({ m, cents }) => { out[m.id] = cents / 100 / m.qty; });
+  return out;
+}
+
+// Allocate every priced package. `weight(item)` is the item's line tag value.
+// Returns { [itemId]: unitPrice } for members of packages that have a price.
+export function allocatePackages(packages, items, weight) {
+  const out = {};
+  (packages || []).forEach((pkg) => {
+    const price = parseFloat(String(pkg.price ?? '').replace(/[$,]/g, ''));
+    if (!(price > 0)) return;
+    const members = items
+      .filter((item) => item.packageId === pkg.id)
+      .map((item) => ({ id: item.id, qty: parseInt(item.qty, 10) || 1, weight: weight(item) }));
+    Object.assign(out, allocatePackage(price, members));
+  });
+  return out;
+}
@@ -0,0 +1,65 @@
+// Payments: deposit, split tenders and the balance due at delivery.
+// Everything reconciles against the deal's customerTotal; the math is pure so
+// the written order, the quote and the manager text all agree to the cent.
+//
+// payment: { depositMode: 'percent' | 'amount', depositValue, tenders: [{ id, method, amount }] }
+
+export const TENDER_METHODS = [
+  { id: 'card', label: 'Card' },
+  { id: 'cash', label: 'Cash' },
+  { id: 'check', label: 'Check' },
+  { id: 'finance', label: 'Finance' },
+];
+
+export const EMPTY_PAYMENT = { depositMode: 'percent', depositValue: '', tenders: [] };
+
+const cents = (n) => Math.round(n * 100) / 100;
+const money = (v) => parseFloat(String(v ?? '').replace(/[$,%]/g, '')) || 0;
+
+export function normalizePayment(raw) {
+  const safe = raw && typeof raw === 'object' ? raw : {};
+  return {
+    depositMode: safe.depositMode === 'amount' ? 'amount' : 'percent',
+    depositValue: String(safe.depositValue ?? ''),
+    tenders: (Array.isArray(safe.tenders) ? safe.tenders : [])
+      .filter((t) => t && TENDER_METHODS.some((m) => m.id === t.method))
+      .map((t, i) => ({ id: t.id ?? Date.now() + i, method: t.method, amount: String(t.amount ?? '') })),
+  };
+}
+
+// Required deposit in dollars, capped at the total.
+export function depositAmount(total, { depositMode, depositValue } = {}) {
+  if (!(total > 0)) return 0;
+  const value = Math.max(0, money(depositValue));
+  const amount = depositMode === 'amount' ? value : total * (Math.min(value, 100) / 100);
+  return cents(Math.min(total, amount));
+}
+
+/**
+ * Reconcile a payment against the customer total.
+ * With no tenders entered the deposit is assumed collected; once tenders are
+ * entered they are what was collected today, and anything left is due at delivery.
+ * Returns { deposit, tendered, byMethod, collected, balanceDue, depositShort, overpaid }.
+ */
+export function reconcilePayment(total, payment = EMPTY_PAYMENT) {
+  const deposit = depositAmount(total, payment);
+  const byMethod = {};
+  let tendered = 0;
+  for (const t of payment.tenders || []) {
+    const amount = cents(money(t.amount));
+    if (amount <= 0) continue;
+    byMethod[t.method] = cents((byMethod[t.method] || 0) + amount);
+    tendered = cents(tendered + amount);
+  }
+  const safeTotal = total > 0 ? cents(total) : 0;
+  const collected = tendered > 0 ? tendered : deposit;
+  return {
+    deposit,
+    tendered,
+    byMethod,
+    collected,
+    balanceDue: cents(Math.max(0, safeTotal - collected)),
+    depositShort: tendered > 0 ? cents(Math.max(0, deposit - tendered)) : 0,
+    overpaid: cents(Math.max(0, collected - safeTotal)),
+  };
+}
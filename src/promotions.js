@@ -0,0 +1,87 @@
+// Promotions calendar: the store's dated sale events. On any day the active
+// promotion decides the deal defaults, the sale percent and the No-Tax promo,
+// so a fresh deal (or one left open across a start or end date) is set right
+// without the rep remembering to flip anything.
+//
+// Promotion: { id, name, start: 'YYYY-MM-DD', end: 'YYYY-MM-DD', salePercent, noTaxPromo, categories: ['upholstery'] }
+//   start/end    first and last day, inclusive, in the store's local time
+//   salePercent  null = the store's regular sale percent
+//   categories   empty = the whole store; otherwise only those items get the
+//                promo percent and the rest stay at the deal's sale percent
+// When promotions overlap, the one that started most recently wins.
+
+import { localDay } from './dates.js';
+
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+export function validPromotion(raw) {
+  const name = String(raw?.name ?? '').trim().slice(0, 40);
+  const start = ISO_DAY.test(String(raw?.start ?? '')) ? raw.start : null;
+  const end = ISO_DAY.test(String(raw?.end ?? '')) ? raw.end : null;
+  if (!name || !start || !end || end < start) return null;
+  const pct = raw.salePercent === '' || raw.salePercent == null ? null : parseFloat(String(raw.salePercent).replace('%', ''));
+  if (pct !== null && !(pct >= 0 && pct <= 90)) return null;
+  return {
+    id: raw.id != null ? String(raw.id) : `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${start}`,
+    name,
+    start,
+    end,
+    salePercent: pct,
+    noTaxPromo: raw.noTaxPromo === true,
+    categories: [...new Set((Array.isArray(raw.categories) ? raw.categories : []).map(String))],
+  };
+}
+
+export function activePromotion(promotions, now = new Date()) {
+  const day = localDay(now);
+  return (promotions || [])
+    .filter((p) => p.start <= day && day <= p.end)
+    .reduce((best, p) => (!best || p.start > best.start ? p : best), null);
+}
+
+// The next promotion to start after today, for the Store Settings hint.
+export function nextPromotion(promotions, now = new Date()) {
+  const day = localDay(now);
+  return (promotions || [])
+    .filter((p) => p.start > day)
+    .reduce((best, p) => (!best || p.start < best.start ? p : best), null);
+}
+
+/**
+ * The deal's sale percent and No-Tax default for today. `store` is the active
+ * profile ({ salePercents, promotions }). A store with no calendar keeps the
+ * long-standing default of No-Tax ON; with a calendar, No-Tax is off between promos.
+ */
+export function dealDefaults(store, promo) {
+  const regular = store.salePercents[0];
+  if (!promo) return { salePercent: regular, noTaxPromo: !(store.promotions || []).length };
+  const wholeStore = !promo.categories.length;
+  return {
+    salePercent: wholeStore && promo.salePercent != null ? promo.salePercent : regular,
+    noTaxPromo: promo.noTaxPromo,
+  };
+}
+
+// The promo percent for an item's category, or null when the deal's own percent applies.
+export function promoPercentFor(promo, category) {
+  if (!promo || promo.salePercent == null || !promo.categories.length) return null;
+  return promo.categories.includes(category) ? promo.salePercent : null;
+}
+
+// Sale % buttons: the store's list plus a whole-store promo percent that isn't on it.
+export function salePercentChoices(store, promo) {
+  const extra = promo && !promo.categories.length && promo.salePercent != null ? [promo.salePercent] : [];
+  return [...new Set([...store.salePercents, ...extra])];
+}
+
+// "Labor Day · 35% off upholstery · No-Tax · 9/1–9/8"
+export function describePromotion(promo, categoryLabel = (id) => id) {
+  const md = (iso) => `${Number(iso.slice(5, 7))}/${Number(iso.slice(8, 10))}`;
+  const where = promo.categories.length ? ` ${promo.categories.map(categoryLabel).join(', ').toLowerCase()}` : '';
+  return [
+    promo.name,
+    ...(promo.salePercent != null ? [`${promo.salePercent}% off${where}`] : []),
+    ...(promo.noTaxPromo ? ['No-Tax'] : []),
+    `${md(promo.start)}–${md(promo.end)}`,
+  ].join(' · ');
+}
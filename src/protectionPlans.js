@@ -0,0 +1,138 @@
+// Protection plans: vendor price tables by plan type (furniture, mattress,
+// outdoor, …). Each plan covers some landing categories and is priced on the
+// merchandise total of the items it covers; what the store pays the vendor is
+// the plan's landed cost, so plan profit shows up next to merchandise profit.
+//
+// Plan: { id, name, categories: ['upholstery', …], tiers: [{ upTo, price }], stepEvery, stepAfter, costPercent }
+//   tiers       price for a covered total up to `upTo` dollars, ascending
+//   stepAfter   past the last tier, +stepAfter per `stepEvery` dollars (or part)
+//   costPercent the vendor's share of the plan price (the store's landed cost)
+// An item whose category no plan lists isn't covered; an unclassified item
+// goes under the first plan.
+
+export const DEFAULT_PROTECTION_PLAN = {
+  id: 'furniture',
+  name: 'Furniture',
+  categories: ['upholstery', 'caseGoods', 'mattress', 'dining', 'occasional', 'outdoor'],
+  // 0-1k $150, 1-2k $200, 2-3k $250, 3-4k $300, 4-5k $350, 5-6k $500, then +$50/1k
+  tiers: [
+    { upTo: 1000, price: 150 },
+    { upTo: 2000, price: 200 },
+    { upTo: 3000, price: 250 },
+    { upTo: 4000, price: 300 },
+    { upTo: 5000, price: 350 },
+    { upTo: 6000, price: 500 },
+  ],
+  stepEvery: 1000,
+  stepAfter: 50,
+  costPercent: 0,
+};
+
+export const DEFAULT_PROTECTION_PLANS = [DEFAULT_PROTECTION_PLAN];
+
+// Starting points for "Add plan" in Store Settings; the vendor's numbers go in after.
+export const PLAN_TEMPLATES = [
+  { id: 'mattress', name: 'Mattress', categories: ['mattress'], tiers: [{ upTo: 1000, price: 100 }, { upTo: 2000, price: 150 }, { upTo: 3000, price: 200 }], stepEvery: 1000, stepAfter: 50, costPercent: 0 },
+  { id: 'outdoor', name: 'Outdoor', categories: ['outdoor'], tiers: [{ upTo: 1000, price: 120 }, { upTo: 2500, price: 180 }], stepEvery: 1000, stepAfter: 60, costPercent: 0 },
+];
+
+const cents = (n) => Math.round(n * 100) / 100;
+const num = (v) => (typeof v === 'number' ? v : parseFloat(String(v ?? '').replace(/[$,]/g, '')));
+
+// "1000:150, 2000:200" -> [{ upTo: 1000, price: 150 }, …]; null if any pair is malformed.
+export function parseTierList(text) {
+  const pairs = String(text ?? '').split(/[\s,;]+/).filter(Boolean);
+  if (!pairs.length) return null;
+  const tiers = pairs.map((pair) => {
+    const [upTo, price] = pair.split(':').map(num);
+    return Number.isFinite(upTo) && upTo > 0 && Number.isFinite(price) && price >= 0 ? { upTo, price } : null;
+  });
+  return tiers.every(Boolean) ? tiers : null;
+}
+
+export function formatTierList(tiers) {
+  return tiers.map((t) => `${t.upTo}:${t.price}`).join(', ');
+}
+
+export function validProtectionPlan(raw) {
+  const tiers = Array.isArray(raw?.tiers) ? raw.tiers.map((t) => ({ upTo: num(t?.upTo), price: num(t?.price) })) : [];
+  if (!tiers.length || tiers.some((t) => !(t.upTo > 0) || !(t.price >= 0))) return null;
+  tiers.sort((a, b) => a.upTo - b.upTo);
+  const name = String(raw.name ?? '').trim();
+  if (!name) return null;
+  const stepEvery = num(raw.stepEvery);
+  const stepAfter = num(raw.stepAfter);
+  const costPercent = num(raw.costPercent);
+  return {
+    id: raw.id != null ? String(raw.id) : name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+    name,
+    categories: [...new Set((Array.isArray(raw.categories) ? raw.categories : []).map(String))],
+    tiers,
+    stepEvery: stepEvery > 0 ? stepEvery : 1000,
+    stepAfter: stepAfter >= 0 ? stepAfter : 0,
+    costPercent: costPercent >= 0 && costPercent <= 100 ? costPercent : 0,
+  };
+}
+
+// The pre-plans setting ({ bands: [price per $1k], stepAfter }) as one plan covering everything.
+export function planFromBands({ bands, stepAfter }) {
+  return validProtectionPlan({
+    ...DEFAULT_PROTECTION_PLAN,
+    tiers: bands.map((price, i) => ({ upTo: (i + 1) * 1000, price })),
+    stepAfter,
+  });
+}
+
+// Plan price for a covered merchandise total.
+export function planPrice(plan, merchandiseTotal) {
+  if (!(merchandiseTotal > 0)) return 0;
+  const { tiers, stepEvery, stepAfter } = plan;
+  const tier = tiers.find((t) => merchandiseTotal <= t.upTo);
+  if (tier) return tier.price;
+  const last = tiers[tiers.length - 1];
+  return last.price + Math.ceil((merchandiseTotal - last.upTo) / stepEvery) * stepAfter;
+}
+
+// "$150 (to $1,000) · $200 (to $2,000) · … · +$50/$1,000 after"
+export function describePlanTiers(plan) {
+  const dollars = (n) => `$${n.toLocaleString('en-US')}`;
+  const tiers = plan.tiers.map((t) => `${dollars(t.price)} (to ${dollars(t.upTo)})`);
+  return [...tiers, ...(plan.stepAfter ? [`+${dollars(plan.stepAfter)}/${dollars(plan.stepEvery)} after`] : [])].join(' · ');
+}
+
+// The plan covering a category, or null when it isn't eligible for any.
+export function planForCategory(plans, category) {
+  if (!plans?.length) return null;
+  if (category == null) return plans[0];
+  return plans.find((p) => p.categories.includes(category)) || null;
+}
+
+/**
+ * Price protection for a deal. `lines` are [{ id, category, total }] (invoice
+ * line totals). Returns { plans: [{ plan, itemIds, merchandise, price, cost }],
+ * price, cost, profit, uncovered: [itemId] }.
+ */
+export function priceProtection(lines, plans) {
+  const byPlan = new Map();
+  const uncovered = [];
+  for (const line of lines) {
+    const plan = planForCategory(plans, line.category);
+    if (!plan) {
+      uncovered.push(line.id);
+      continue;
+    }
+    const entry = byPlan.get(plan.id) || { plan, itemIds: [], merchandise: 0 };
+    entry.itemIds.push(line.id);
+    entry.merchandise += line.total;
+    byPlan.set(plan.id, entry);
+  }
+  const priced = [...byPlan.values()]
+    .map((entry) => {
+      const price = planPrice(entry.plan, entry.merchandise);
+      return { ...entry, price, cost: cents(price * (entry.plan.costPercent / 100)) };
+    })
+    .filter((entry) => entry.price > 0);
+  const price = priced.reduce((sum, p) => sum + p.price, 0);
+  const cost = priced.reduce((sum, p) => sum + p.cost, 0);
+  return { plans: priced, price, cost, profit: price - cost, uncovered };
+}
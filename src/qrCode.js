@@ -0,0 +1,308 @@
+// Dependency-free QR Code generator (ISO/IEC 18004) for showing a deal on
+// screen so another phone can scan it with no network. Each part of the text
+// is one segment, in alphanumeric mode when the part allows it (0-9 A-Z space
+// $%*+-./:) and byte mode (UTF-8) otherwise; the smallest version 1–40 that
+// fits at the chosen error-correction level, and the mask with the lowest
+// penalty score.
+//
+// encodeQr(text | [part, …], { level: 'L' | 'M' }) -> { version, level, size, modules }
+//   parts let a lower-case link prefix ride in byte mode while a long
+//   upper-case payload after it keeps the compact mode; a reader sees one text.
+//   modules[y][x] is true for a dark module; callers add the 4-module quiet zone.
+// Throws when the text doesn't fit in version 40.
+
+const ALNUM = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// Per level, indexed by version: error-correction codewords per block, and block count.
+const ECC_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+};
+const BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+};
+const FORMAT_BITS = { L: 1, M: 0 };
+
+const bit = (x, i) => ((x >>> i) & 1) !== 0;
+
+// Modules left for data and error correction once the function patterns are drawn.
+function rawDataModules(ver) {
+  let result = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const numAlign = Math.floor(ver / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (ver >= 7) result -= 36;
+  }
+  return result;
+}
+
+export function dataCodewords(ver, level) {
+  return Math.floor(rawDataModules(ver) / 8) - ECC_PER_BLOCK[level][ver] * BLOCKS[level][ver];
+}
+
+// --- Reed–Solomon over GF(256), polynomial 0x11D --------------------------
+
+function gfMul(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMul(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMul(root, 0x02);
+  }
+  return result;
+}
+
+export function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMul(coef, factor); });
+  }
+  return result;
+}
+
+export const rsEcc = (data, degree) => rsRemainder(data, rsDivisor(degree));
+
+// --- Data bits -------------------------------------------------------------
+
+function segmentFor(text) {
+  if ([...text].every((c) => ALNUM.includes(c))) {
+    const bits = [];
+    for (let i = 0; i + 1 < text.length; i += 2) bits.push([ALNUM.indexOf(text[i]) * 45 + ALNUM.indexOf(text[i + 1]), 11]);
+    if (text.length % 2) bits.push([ALNUM.indexOf(text[text.length - 1]), 6]);
+    return { mode: 0b0010, count: text.length, countBits: (v) => (v <= 9 ? 9 : v <= 26 ? 11 : 13), bits };
+  }
+  const bytes = new TextEncoder().encode(text);
+  return { mode: 0b0100, count: bytes.length, countBits: (v) => (v <= 9 ? 8 : 16), bits: [...bytes].map((b) => [b, 8]) };
+}
+
+function dataCodewordsFor(segments, ver, level) {
+  const out = [];
+  const push = (value, len) => { for (let i = len - 1; i >= 0; i--) out.push(bit(value, i) ? 1 : 0); };
+  segments.forEach((segment) => {
+    push(segment.mode, 4);
+    push(segment.count, segment.countBits(ver));
+    segment.bits.forEach(([value, len]) => push(value, len));
+  });
+  const capacity = dataCodewords(ver, level) * 8;
+  push(0, Math.min(4, capacity - out.length)); // terminator
+  push(0, (8 - (out.length % 8)) % 8);
+  const bytes = [];
+  for (let i = 0; i < out.length; i += 8) bytes.push(parseInt(out.slice(i, i + 8).join(''), 2));
+  for (let pad = 0xec; bytes.length < capacity / 8; pad ^= 0xec ^ 0x11) bytes.push(pad);
+  return bytes;
+}
+
+// Split into blocks, add error correction to each, interleave.
+function withEcc(data, ver, level) {
+  const numBlocks = BLOCKS[level][ver];
+  const eccLen = ECC_PER_BLOCK[level][ver];
+  const rawCodewords = Math.floor(rawDataModules(ver) / 8);
+  const numShort = numBlocks - (rawCodewords % numBlocks);
+  const shortLen = Math.floor(rawCodewords / numBlocks);
+  const divisor = rsDivisor(eccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const block = data.slice(k, k + shortLen - eccLen + (i < numShort ? 0 : 1));
+    k += block.length;
+    const ecc = rsRemainder(block, divisor);
+    if (i < numShort) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortLen - eccLen || j >= numShort) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+// --- Matrix ----------------------------------------------------------------
+
+function alignmentPositions(ver) {
+  if (ver === 1) return [];
+  const numAlign = Math.floor(ver / 7) + 2;
+  const step = Math.floor((ver * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = ver * 4 + 10; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+export function formatBits(level, mask) {
+  const data = (FORMAT_BITS[level] << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x5412;
+}
+
+export function versionBits(ver) {
+  let rem = ver;
+  for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+  return (ver << 12) | rem;
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function functionPatterns(ver) {
+  const size = ver * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => { modules[y][x] = dark; reserved[y][x] = true; };
+
+  for (let i = 0; i < size; i++) { set(6, i, i % 2 === 0); set(i, 6, i % 2 === 0); }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+  const align = alignmentPositions(ver);
+  const last = align.length - 1;
+  align.forEach((cy, i) => align.forEach((cx, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+  drawFormat(set, size, 0); // reserve; redrawn once the mask is chosen
+  if (ver >= 7) {
+    const bits = versionBits(ver);
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, bit(bits, i));
+      set(b, a, bit(bits, i));
+    }
+  }
+  return { size, modules, reserved };
+}
+
+function drawFormat(set, size, bits) {
+  for (let i = 0; i <= 5; i++) set(8, i, bit(bits, i));
+  set(8, 7, bit(bits, 6));
+  set(8, 8, bit(bits, 7));
+  set(7, 8, bit(bits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(bits, i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(bits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(bits, i));
+  set(8, size - 8, true); // the dark module
+}
+
+// Codewords in the two-column zigzag, right to left, skipping the timing column.
+function drawCodewords(modules, reserved, codewords) {
+  const size = modules.length;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const y = upward ? size - 1 - vert : vert;
+        if (reserved[y][x] || i >= codewords.length * 8) continue;
+        modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+        i++;
+      }
+    }
+  }
+}
+
+function penalty(modules) {
+  const size = modules.length;
+  let score = 0;
+  const lines = [
+    ...modules,
+    ...modules.map((_, x) => modules.map((row) => row[x])),
+  ];
+  const finderLike = [true, false, true, true, true, false, true];
+  for (const line of lines) {
+    for (let i = 0, run = 1; i < size; i++) {
+      if (i + 1 < size && line[i + 1] === line[i]) { run++; continue; }
+      if (run >= 5) score += 3 + (run - 5);
+      run = 1;
+    }
+    for (let i = 0; i + 7 <= size; i++) {
+      if (!finderLike.every((v, k) => line[i + k] === v)) continue;
+      const lightBefore = i >= 4 && [1, 2, 3, 4].every((k) => !line[i - k]);
+      const lightAfter = i + 11 <= size && [0, 1, 2, 3].every((k) => !line[i + 7 + k]);
+      if (lightBefore || lightAfter) score += 40;
+    }
+  }
+  for (let y = 0; y + 1 < size; y++) {
+    for (let x = 0; x + 1 < size; x++) {
+      const c = modules[y][x];
+      if (modules[y][x + 1] === c && modules[y + 1][x] === c && modules[y + 1][x + 1] === c) score += 3;
+    }
+  }
+  const dark = modules.reduce((n, row) => n + row.filter(Boolean).length, 0);
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+export function encodeQr(text, { level = 'M' } = {}) {
+  if (!ECC_PER_BLOCK[level]) throw new Error(`Unsupported error-correction level ${level}.`);
+  const segments = (Array.isArray(text) ? text : [text]).map(String).filter(Boolean).map(segmentFor);
+  let ver = 1;
+  const bitsFor = (v) => segments.reduce((sum, seg) => sum + 4 + seg.countBits(v) + seg.bits.reduce((n, [, len]) => n + len, 0), 0);
+  const fits = (v) => bitsFor(v) <= dataCodewords(v, level) * 8 && segments.every((seg) => seg.count < 2 ** seg.countBits(v));
+  while (ver <= 40 && !fits(ver)) ver++;
+  if (ver > 40) throw new Error('Too much data for one QR code.');
+
+  const codewords = withEcc(dataCodewordsFor(segments, ver, level), ver, level);
+  const { size, modules: base, reserved } = functionPatterns(ver);
+  drawCodewords(base, reserved, codewords);
+
+  let best = null;
+  MASKS.forEach((mask, m) => {
+    const modules = base.map((row, y) => row.map((dark, x) => (reserved[y][x] ? dark : dark !== mask(x, y))));
+    drawFormat((x, y, dark) => { modules[y][x] = dark; }, size, formatBits(level, m));
+    const score = penalty(modules);
+    if (!best || score < best.score) best = { modules, score };
+  });
+  return { version: ver, level, size, modules: best.modules };
+}
+
+// SVG path for the dark modules, one rectangle per horizontal run: <path d={qrPath(qr)} />
+export function qrPath(qr) {
+  const parts = [];
+  qr.modules.forEach((row, y) => {
+    for (let x = 0; x < qr.size; x++) {
+      if (!row[x]) continue;
+      let run = 1;
+      while (x + run < qr.size && row[x + run]) run++;
+      parts.push(`M${x} ${y}h${run}v1h-${run}z`);
+      x += run - 1;
+    }
+  });
+  return parts.join('');
+}
@@ -0,0 +1,225 @@
+// Saved deals: every quote a rep gives, kept on the device with the customer's
+// name, phone and notes, so yesterday's quote can be found and reopened.
+// Records live in IndexedDB (no count cap); old sold and lost deals are pruned
+// by the store's retention rules, open ones are kept until closed.
+//
+// Record: the deal as History saves it ({ dealId, items, packages, payment, … })
+// plus { id (= dealId), customer: { name, phone, notes, status, followUp }, createdAt,
+// ts, closedAt, total, margin }. ts is the last save.
+//   status    'open' | 'sold' | 'lost'
+//   closedAt  when it went from open to sold or lost (null while open); retention counts from here
+//   followUp  'YYYY-MM-DD' to call the customer back, '' = none; only open deals come due
+
+const DB_NAME = 'ashley-deals';
+const DB_VERSION = 1;
+const STORE = 'deals';
+
+export const DEAL_STATUSES = [
+  { id: 'open', label: 'Open' },
+  { id: 'sold', label: 'Sold' },
+  { id: 'lost', label: 'Lost' },
+];
+
+export const EMPTY_CUSTOMER = { name: '', phone: '', notes: '', status: 'open', followUp: '' };
+
+// Days to keep a closed deal after it closed; 0 = forever. Open deals are never pruned.
+export const DEFAULT_RETENTION = { soldDays: 730, lostDays: 90 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const digits = (s) => String(s ?? '').replace(/\D/g, '');
+
+export function normalizeCustomer(raw) {
+  const safe = raw && typeof raw === 'object' ? raw : {};
+  return {
+    name: String(safe.name ?? '').slice(0, 60),
+    phone: String(safe.phone ?? '').slice(0, 20),
+    notes: String(safe.notes ?? '').slice(0, 500),
+    status: DEAL_STATUSES.some((s) => s.id === safe.status) ? safe.status : 'open',
+    followUp: /^\d{4}-\d{2}-\d{2}$/.test(String(safe.followUp ?? '')) ? safe.followUp : '',
+  };
+}
+
+export function validRetention(raw) {
+  const days = (v, fallback) => {
+    const n = parseInt(v, 10);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+  };
+  return {
+    soldDays: days(raw?.soldDays, DEFAULT_RETENTION.soldDays),
+    lostDays: days(raw?.lostDays, DEFAULT_RETENTION.lostDays),
+  };
+}
+
+// When a deal with `status` closed, given its stored record: the moment it left
+// 'open', kept while it stays sold or lost (a record from before closedAt counts
+// from its last save), null once it reopens.
+export function closedAtFor(status, previous, now = Date.now()) {
+  if (status === 'open') return null;
+  const wasClosed = previous && (previous.customer?.status ?? 'open') !== 'open';
+  return wasClosed ? previous.closedAt ?? previous.ts : now;
+}
+
+/**
+ * A saved-deal record from a History entry (see the calculator's dealEntry) and
+ * the customer. `previous` is the stored record for the same deal, if any, so
+ * the first-saved date carries over.
+ */
+export function savedDealRecord(entry, customer, previous = null, { total = null, margin = null } = {}) {
+  const c = normalizeCustomer(customer);
+  return {
+    ...entry,
+    id: entry.dealId,
+    customer: c,
+    createdAt: previous?.createdAt ?? entry.ts,
+    closedAt: closedAtFor(c.status, previous, entry.ts),
+    total,
+    margin,
+  };
+}
+
+// One-time import of the old localStorage History: the newest entry per deal,
+// skipping deals already saved.
+export function recordsFromHistory(history, existingIds = []) {
+  const seen = new Set(existingIds);
+  const records = [];
+  for (const entry of history || []) {
+    const dealId = entry?.dealId ?? entry?.id;
+    if (dealId == null || seen.has(dealId) || !Array.isArray(entry.items)) continue;
+    seen.add(dealId);
+    records.push(savedDealRecord({ ...entry, dealId }, entry.customer));
+  }
+  return records;
+}
+
+// Everything a search can hit, lower-cased: customer, phone digits, notes, items, SKUs, ZIP.
+function haystack(deal) {
+  const c = deal.customer || {};
+  return [
+    c.name, c.notes, deal.label, deal.taxZip,
+    ...(deal.items || []).flatMap((i) => [i.name, i.sku]),
+  ].filter(Boolean).join(' ').toLowerCase();
+}
+
+/**
+ * Full-text search, newest first. Every word must match; an all-digit word also
+ * matches inside the phone number, so "5550123" finds "(408) 555-0123".
+ * `status` limits to one status ('' = all).
+ */
+export function searchDeals(deals, query, { status = '' } = {}) {
+  const terms = String(query ?? '').toLowerCase().split(/\s+/).filter(Boolean);
+  return (deals || [])
+    .filter((d) => !status || (d.customer?.status ?? 'open') === status)
+    .filter((d) => {
+      if (!terms.length) return true;
+      const text = haystack(d);
+      const phone = digits(d.customer?.phone);
+      return terms.every((t) => text.includes(t) || (/^\d+$/.test(t) && phone.includes(t)));
+    })
+    .sort((a, b) => b.ts - a.ts);
+}
+
+// Open deals whose follow-up date is today or past (`today` is a local 'YYYY-MM-DD'),
+// most overdue first.
+export function followUpsDue(deals, today) {
+  return (deals || [])
+    .filter((d) => (d.customer?.status ?? 'open') === 'open' && d.customer?.followUp && d.customer.followUp <= today)
+    .sort((a, b) => a.customer.followUp.localeCompare(b.customer.followUp) || b.ts - a.ts);
+}
+
+// Notification text for one follow-up: "Follow up: Dana Ruiz" / "Sofa, Chair · $1,299.00 · (408) 555-0123"
+export function followUpMessage(deal) {
+  const c = deal.customer || {};
+  const items = (deal.items || []).map((i) => i.name).filter(Boolean);
+  const total = deal.total != null
+    ? new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(deal.total)
+    : null;
+  return {
+    title: `Follow up: ${c.name || deal.label || 'saved quote'}`,
+    body: [items.join(', '), total, c.phone].filter(Boolean).join(' · '),
+  };
+}
+
+// Ids of deals past the retention rules.
+export function dealsToPrune(deals, retention = DEFAULT_RETENTION, now = Date.now()) {
+  const limitFor = { sold: retention.soldDays, lost: retention.lostDays };
+  return (deals || [])
+    .filter((d) => {
+      const days = limitFor[d.customer?.status];
+      return days > 0 && now - (d.closedAt ?? d.ts) > days * DAY_MS;
+    })
+    .map((d) => d.id);
+}
+
+// --- IndexedDB -------------------------------------------------------------
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available.'));
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+  }
+  return dbPromise;
+}
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export async function loadSavedDeals() {
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readonly');
+  const req = tx.objectStore(STORE).getAll();
+  await done(tx);
+  return req.result || [];
+}
+
+export async function getSavedDeal(id) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readonly');
+  const req = tx.objectStore(STORE).get(id);
+  await done(tx);
+  return req.result ?? null;
+}
+
+export async function putSavedDeals(records) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  records.forEach((r) => store.put(r));
+  await done(tx);
+}
+
+export async function deleteSavedDeals(ids) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  ids.forEach((id) => store.delete(id));
+  await done(tx);
+}
+
+// Save (or update) one deal, keeping its first-saved date.
+export async function saveDeal(entry, customer, totals) {
+  const record = savedDealRecord(entry, customer, await getSavedDeal(entry.dealId), totals);
+  await putSavedDeals([record]);
+  return record;
+}
+
+// Drop deals past the retention rules; returns how many went.
+export async function pruneSavedDeals(retention, now = Date.now()) {
+  const ids = dealsToPrune(await loadSavedDeals(), retention, now);
+  if (ids.length) await deleteSavedDeals(ids);
+  return ids.length;
+}
@@ -0,0 +1,41 @@
+// Side-by-side deal variants (see ScenarioCompare.jsx). A scenario forks the
+// deal *settings* (sale %, protection, delivery, …); items stay live, so edits
+// to the deal show up in every column. Pure (no React) so the columns can be
+// unit-tested.
+
+import { parseMoney } from './dealEngine.js';
+
+export const MAX_SCENARIOS = 3;
+const SCENARIO_FIELDS = ['salePercent', 'noTaxPromo', 'priceType', 'delivery', 'includeProtection'];
+
+export function forkScenario(current, scenarios) {
+  const used = new Set(scenarios.map((s) => s.name));
+  const name = ['Option A', 'Option B', 'Option C'].find((n) => !used.has(n)) || `Option ${scenarios.length + 1}`;
+  const settings = Object.fromEntries(SCENARIO_FIELDS.map((f) => [f, current[f]]));
+  return { id: Date.now(), name, ...settings };
+}
+
+export function scenarioSettings(scenario) {
+  return Object.fromEntries(SCENARIO_FIELDS.map((f) => [f, scenario[f]]));
+}
+
+// Sale prices entered at `fromPercent` off, re-priced to `toPercent` off the
+// tag price they imply. A category promo's percent applies in every column and
+// a margin button's price was set on purpose, so those rows stay put.
+export function repriceItems(items, fromPercent, toPercent, itemSalePercent = () => null) {
+  if (fromPercent === toPercent || fromPercent >= 100) return items;
+  return items.map((item) => {
+    const price = parseMoney(item.price);
+    if (item.marginSet || price <= 0 || itemSalePercent(item) != null) return item;
+    const tag = price / (1 - fromPercent / 100);
+    return { ...item, price: (tag * (1 - toPercent / 100)).toFixed(2) };
+  });
+}
+
+// The items as a column prices them. In sale-price mode the entered prices
+// already carry the current deal's sale %, so a column at another % would
+// otherwise come out identical; tag prices take the column's % as they are.
+export function scenarioItems(items, current, scenario, itemSalePercent) {
+  if (current.priceType !== 'sale' || scenario.priceType !== 'sale') return items;
+  return repriceItems(items, current.salePercent, scenario.salePercent, itemSalePercent);
+}
@@ -0,0 +1,50 @@
+// Per-deal scratchpad text for the calculator's document mode.
+// Each deal gets its own localStorage key; an index keeps only the most
+// recently touched pads so old deals don't fill up storage.
+
+export const SCRATCHPAD_PREFIX = 'ashley.scratchpad.';
+const INDEX_KEY = 'ashley.scratchpad.index';
+const MAX_PADS = 20;
+
+function readIndex() {
+  try {
+    const ids = JSON.parse(window.localStorage.getItem(INDEX_KEY) || '[]');
+    return Array.isArray(ids) ? ids : [];
+  } catch {
+    return [];
+  }
+}
+
+export function loadScratchpad(dealId) {
+  if (typeof window === 'undefined' || dealId == null) return '';
+  try {
+    return window.localStorage.getItem(SCRATCHPAD_PREFIX + dealId) ?? '';
+  } catch {
+    return '';
+  }
+}
+
+export function saveScratchpad(dealId, text) {
+  if (dealId == null) return;
+  if (!String(text || '').trim()) {
+    clearScratchpad(dealId);
+    return;
+  }
+  try {
+    window.localStorage.setItem(SCRATCHPAD_PREFIX + dealId, text);
+    const ids = [String(dealId), ...readIndex().filter((id) => id !== String(dealId))];
+    ids.slice(MAX_PADS).forEach((id) => window.localStorage.removeItem(SCRATCHPAD_PREFIX + id));
+    window.localStorage.setItem(INDEX_KEY, JSON.stringify(ids.slice(0, MAX_PADS)));
+  } catch {
+    // ignore (quota / private mode)
+  }
+}
+
+export function clearScratchpad(dealId) {
+  try {
+    window.localStorage.removeItem(SCRATCHPAD_PREFIX + dealId);
+    window.localStorage.setItem(INDEX_KEY, JSON.stringify(readIndex().filter((id) => id !== String(dealId))));
+  } catch {
+    // ignore
+  }
+}
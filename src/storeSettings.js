@@ -0,0 +1,276 @@
+// Manager-editable store settings (one source for numbers that vary by store).
+// Landing estimates use retail ÷ divisor; case goods and mattresses carry a
+// different markup than upholstery, so each category can override the default.
+// Financing plans (see financing.js), tax jurisdictions (taxProfiles.js),
+// protection plans (protectionPlans.js), delivery zones (deliveryZones.js),
+// coupons (discounts.js), the promotions calendar (promotions.js) and how long
+// closed saved deals are kept (savedDeals.js) live here too.
+//
+// Each settings object is a store *profile* (name, manager, sale %, delivery
+// tiers, margin thresholds, protection plans, …). A device keeps several and
+// one is active, so sister stores can run the same app:
+//   localStorage[SETTINGS_KEY] = { activeId, profiles: [settings, …] }
+
+import { validPlan } from './financing.js';
+import { DEFAULT_TAX_PROFILE, validTaxProfile } from './taxProfiles.js';
+import { DEFAULT_PROTECTION_PLANS, validProtectionPlan, planFromBands } from './protectionPlans.js';
+import { DEFAULT_MILEAGE, validDeliveryZone } from './deliveryZones.js';
+import { validCoupon } from './discounts.js';
+import { validPromotion } from './promotions.js';
+import { DEFAULT_RETENTION, validRetention } from './savedDeals.js';
+import { DEFAULT_MARGIN_FLOOR, DEFAULT_MARGIN_TARGET, validFloorPromo } from './marginPolicy.js';
+
+export const SETTINGS_KEY = 'ashley.store.settings';
+export const DEFAULT_LANDING_DIVISOR = 3.3;
+
+export const LANDING_CATEGORIES = [
+  { id: 'upholstery', label: 'Upholstery' },
+  { id: 'caseGoods', label: 'Case goods' },
+  { id: 'mattress', label: 'Mattresses' },
+  { id: 'dining', label: 'Dining' },
+  { id: 'occasional', label: 'Occasional & accents' },
+  { id: 'outdoor', label: 'Outdoor' },
+];
+
+export const DEFAULT_SETTINGS = {
+  id: 'gilroy',
+  storeName: 'Ashley HomeStore Gilroy',
+  managerName: 'Frank',
+  managerPhone: '', // texted by "Text manager"; blank opens the share sheet with no recipient
+  salePercents: [30, 35, 40],
+  deliveryOptions: [0, 100, 135, 150],
+  defaultDelivery: 135,
+  // Zone pricing (see deliveryZones.js); with no zones the tiers above are the delivery price
+  deliveryZones: [], // [{ id, name, zips, prices: { threshold, whiteGlove, roomOfChoice } }], nearest first
+  haulAwayFee: 50, // per piece hauled away
+  mileage: DEFAULT_MILEAGE, // out-of-zone surcharge: { freeMiles, perMile }
+  // Margin policy (see marginPolicy.js)
+  marginFloor: DEFAULT_MARGIN_FLOOR, // hard floor: below this the deal needs a manager
+  marginTarget: DEFAULT_MARGIN_TARGET, // "great" from here up
+  categoryFloors: {}, // { [categoryId]: percent } — missing means "use marginFloor"
+  floorPromo: null, // { floor, until: 'YYYY-MM-DD', note }
+  policyPinHash: '', // blank = policy not locked
+  protectionPlans: DEFAULT_PROTECTION_PLANS, // first one covers unclassified items
+  landingDivisor: DEFAULT_LANDING_DIVISOR,
+  categoryDivisors: {}, // { [categoryId]: number } — missing means "use landingDivisor"
+  financingPlans: [], // [{ id, name, months, apr, minPurchase, downPercent }]
+  taxProfiles: [DEFAULT_TAX_PROFILE], // first one is the store's home jurisdiction
+  coupons: [], // [{ code, name, kind, value, scope, until, stackable }]
+  promotions: [], // [{ id, name, start, end, salePercent, noTaxPromo, categories }]
+  dealRetention: DEFAULT_RETENTION, // days to keep sold / lost saved deals; 0 = forever
+};
+
+// Item type presets, in picker order: the `top` ones are always visible, the
+// rest sit behind "More". Each carries its landing category (and so that
+// category's ratio).
+export const ITEM_PRESETS = [
+  { name: 'Sofa', category: 'upholstery', top: true },
+  { name: 'Sectional', category: 'upholstery', top: true },
+  { name: 'Bed', category: 'caseGoods', top: true },
+  { name: 'Mattress', category: 'mattress', top: true },
+  { name: 'Dresser', category: 'caseGoods', top: true },
+  { name: 'Loveseat', category: 'upholstery' },
+  { name: 'Chair', category: 'upholstery' },
+  { name: 'Ottoman', category: 'upholstery' },
+  { name: 'Recliner', category: 'upholstery' },
+  { name: 'Nightstand', category: 'caseGoods' },
+  { name: 'Chest', category: 'caseGoods' },
+  { name: 'Mirror', category: 'occasional' },
+  { name: 'Dining Table', category: 'dining' },
+  { name: 'Dining Chair', category: 'dining' },
+  { name: 'Buffet', category: 'dining' },
+  { name: 'Coffee Table', category: 'occasional' },
+  { name: 'End Table', category: 'occasional' },
+  { name: 'Console Table', category: 'occasional' },
+  { name: 'TV Stand', category: 'occasional' },
+  { name: 'Bookcase', category: 'occasional' },
+  { name: 'Desk', category: 'occasional' },
+  { name: 'Bookshelf', category: 'occasional' },
+  { name: 'Accent Chair', category: 'occasional' },
+  { name: 'Headboard', category: 'caseGoods' },
+  { name: 'Bunk Bed', category: 'caseGoods' },
+];
+
+export const TOP_ITEM_PRESETS = ITEM_PRESETS.filter((p) => p.top).map((p) => p.name);
+export const MORE_ITEM_PRESETS = ITEM_PRESETS.filter((p) => !p.top).map((p) => p.name);
+
+export function isItemPreset(name) {
+  return ITEM_PRESETS.some((p) => p.name === name);
+}
+
+// Preset names in a landing category, for the settings editor's hints.
+export function presetsInCategory(categoryId) {
+  return ITEM_PRESETS.filter((p) => p.category === categoryId).map((p) => p.name);
+}
+
+// Keyword match so typed names ("Queen mattress", "Power recliner") classify too.
+const CATEGORY_PATTERNS = [
+  ['outdoor', /outdoor|patio|adirondack|fire pit/i],
+  ['mattress', /mattress|foundation|box spring/i],
+  ['dining', /dining|buffet|server|bar stool|counter stool/i],
+  ['occasional', /coffee|end table|console|tv stand|bookcase|bookshelf|mirror|accent|desk/i],
+  ['upholstery', /sofa|sectional|loveseat|recliner|ottoman|chair|couch|sleeper/i],
+  ['caseGoods', /bed|dresser|chest|nightstand|headboard|armoire/i],
+];
+
+export function landingCategoryFor(itemName) {
+  const name = String(itemName || '').trim();
+  const preset = ITEM_PRESETS.find((p) => p.name === name);
+  if (preset) return preset.category;
+  const hit = CATEGORY_PATTERNS.find(([, re]) => re.test(name));
+  return hit ? hit[0] : null;
+}
+
+// A usable divisor is a finite number ≥ 1 (landing can't exceed retail).
+export function validDivisor(v) {
+  const n = typeof v === 'number' ? v : parseFloat(v);
+  return Number.isFinite(n) && n >= 1 ? Math.round(n * 1000) / 1000 : null;
+}
+
+// "30, 35 40" -> [30, 35, 40] for the settings editor; null if any entry isn't a number in range.
+export function parseNumberList(text, min = 0, max = Infinity) {
+  const parts = String(text ?? '').split(/[\s,;/]+/).map((p) => p.replace(/[$%]/g, '')).filter(Boolean);
+  const nums = parts.map(Number);
+  if (!nums.length || nums.some((n) => !Number.isFinite(n) || n < min || n > max)) return null;
+  return nums;
+}
+
+// Sorted, de-duplicated numbers within [min, max]; null when nothing valid is left.
+function numberList(list, min, max) {
+  if (!Array.isArray(list)) return null;
+  const nums = [...new Set(list.map(Number).filter((n) => Number.isFinite(n) && n >= min && n <= max))];
+  return nums.length ? nums.sort((a, b) => a - b) : null;
+}
+
+function inRange(v, min, max) {
+  const n = typeof v === 'number' ? v : parseFloat(v);
+  return Number.isFinite(n) && n >= min && n <= max ? n : null;
+}
+
+// Protection plans, or a pre-plans save's single band table ({ bands, stepAfter }) as one plan.
+function protectionPlansOf(safe) {
+  const plans = (Array.isArray(safe.protectionPlans) ? safe.protectionPlans : []).map(validProtectionPlan).filter(Boolean);
+  if (plans.length) return plans;
+  const bands = Array.isArray(safe.protectionTiers?.bands) ? safe.protectionTiers.bands.map(Number) : [];
+  if (!bands.length || bands.some((b) => !Number.isFinite(b) || b < 0)) return DEFAULT_PROTECTION_PLANS;
+  return [planFromBands({ bands, stepAfter: inRange(safe.protectionTiers.stepAfter, 0, 10000) ?? 0 })];
+}
+
+export function normalizeSettings(raw) {
+  const safe = raw && typeof raw === 'object' ? raw : {};
+  const marginFloor = inRange(safe.marginFloor, 0, 90) ?? DEFAULT_SETTINGS.marginFloor;
+  const deliveryOptions = numberList(safe.deliveryOptions, 0, 10000) ?? DEFAULT_SETTINGS.deliveryOptions;
+  const categoryDivisors = {};
+  LANDING_CATEGORIES.forEach(({ id }) => {
+    const d = validDivisor(safe.categoryDivisors?.[id]);
+    if (d != null) categoryDivisors[id] = d;
+  });
+  const categoryFloors = {};
+  LANDING_CATEGORIES.forEach(({ id }) => {
+    const f = inRange(safe.categoryFloors?.[id], 0, 90);
+    if (f != null) categoryFloors[id] = f;
+  });
+  const taxProfiles = (Array.isArray(safe.taxProfiles) ? safe.taxProfiles : []).map(validTaxProfile).filter(Boolean);
+  return {
+    ...DEFAULT_SETTINGS,
+    id: safe.id != null ? String(safe.id) : DEFAULT_SETTINGS.id,
+    storeName: String(safe.storeName ?? '').trim() || DEFAULT_SETTINGS.storeName,
+    managerName: safe.managerName == null ? DEFAULT_SETTINGS.managerName : (String(safe.managerName).trim() || 'Manager'),
+    managerPhone: String(safe.managerPhone ?? '').replace(/[^\d+]/g, ''),
+    salePercents: numberList(safe.salePercents, 0, 90) ?? DEFAULT_SETTINGS.salePercents,
+    deliveryOptions,
+    defaultDelivery: inRange(safe.defaultDelivery, 0, 10000) ?? (deliveryOptions.includes(135) ? 135 : deliveryOptions[0]),
+    deliveryZones: (Array.isArray(safe.deliveryZones) ? safe.deliveryZones : []).map(validDeliveryZone).filter(Boolean),
+    haulAwayFee: inRange(safe.haulAwayFee, 0, 1000) ?? DEFAULT_SETTINGS.haulAwayFee,
+    mileage: {
+      freeMiles: inRange(safe.mileage?.freeMiles, 0, 1000) ?? DEFAULT_MILEAGE.freeMiles,
+      perMile: inRange(safe.mileage?.perMile, 0, 100) ?? DEFAULT_MILEAGE.perMile,
+    },
+    marginFloor,
+    marginTarget: Math.max(marginFloor, inRange(safe.marginTarget, 0, 95) ?? DEFAULT_SETTINGS.marginTarget),
+    categoryFloors,
+    floorPromo: validFloorPromo(safe.floorPromo),
+    policyPinHash: typeof safe.policyPinHash === 'string' ? safe.policyPinHash : '',
+    protectionPlans: protectionPlansOf(safe),
+    landingDivisor: validDivisor(safe.landingDivisor) ?? DEFAULT_LANDING_DIVISOR,
+    categoryDivisors,
+    financingPlans: (Array.isArray(safe.financingPlans) ? safe.financingPlans : []).map(validPlan).filter(Boolean),
+    taxProfiles: taxProfiles.length ? taxProfiles : [DEFAULT_TAX_PROFILE],
+    coupons: (Array.isArray(safe.coupons) ? safe.coupons : [])
+      .map(validCoupon)
+      .filter((c, i, list) => c && list.findIndex((o) => o?.code === c.code) === i),
+    promotions: (Array.isArray(safe.promotions) ? safe.promotions : []).map(validPromotion).filter(Boolean),
+    dealRetention: validRetention(safe.dealRetention),
+  };
+}
+
+// The saved profiles. A pre-profiles save (one bare settings object) becomes the only profile.
+export function normalizeStores(raw) {
+  const list = Array.isArray(raw?.profiles) ? raw.profiles : (raw && typeof raw === 'object' ? [raw] : []);
+  const seen = new Set();
+  const profiles = list.map(normalizeSettings).filter((p) => !seen.has(p.id) && seen.add(p.id));
+  if (!profiles.length) profiles.push(normalizeSettings(null));
+  const activeId = profiles.some((p) => p.id === raw?.activeId) ? raw.activeId : profiles[0].id;
+  return { activeId, profiles };
+}
+
+export function activeProfile(stores) {
+  return stores.profiles.find((p) => p.id === stores.activeId) || stores.profiles[0];
+}
+
+// A new profile for a sister store, copied from `base` so only what differs needs editing.
+export function copyProfile(base, storeName) {
+  return normalizeSettings({ ...base, id: `store-${Date.now()}`, storeName });
+}
+
+export function loadStores() {
+  if (typeof window === 'undefined') return normalizeStores(null);
+  try {
+    return normalizeStores(JSON.parse(window.localStorage.getItem(SETTINGS_KEY) || 'null'));
+  } catch {
+    return normalizeStores(null);
+  }
+}
+
+export function saveStores(stores) {
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(normalizeStores(stores)));
+  } catch {
+    // ignore (quota / private mode)
+  }
+}
+
+export function loadSettings() {
+  return activeProfile(loadStores());
+}
+
+// Saves `settings` over the profile with the same id (adding it if new).
+export function saveSettings(settings) {
+  const stores = loadStores();
+  const next = normalizeSettings(settings);
+  const exists = stores.profiles.some((p) => p.id === next.id);
+  saveStores({
+    ...stores,
+    profiles: exists ? stores.profiles.map((p) => (p.id === next.id ? next : p)) : [...stores.profiles, next],
+  });
+}
+
+// Ratio for an item plus where it came from, so the UI can say which was used:
+// { divisor, category, source: 'category' | 'default' }.
+export function landingRatioFor(settings, itemName) {
+  const s = settings || DEFAULT_SETTINGS;
+  const category = landingCategoryFor(itemName);
+  const override = category ? s.categoryDivisors?.[category] : null;
+  if (override) return { divisor: override, category, source: 'category' };
+  return { divisor: s.landingDivisor || DEFAULT_LANDING_DIVISOR, category, source: 'default' };
+}
+
+export function landingDivisorFor(settings, itemName) {
+  return landingRatioFor(settings, itemName).divisor;
+}
+
+// Short human label for a ratio: "÷ 2.8 (Mattresses)" / "÷ 3.3 (store default)".
+export function describeLandingRatio(ratio) {
+  const cat = LANDING_CATEGORIES.find((c) => c.id === ratio.category);
+  return `÷ ${ratio.divisor} (${ratio.source === 'category' && cat ? cat.label : 'store default'})`;
+}
@@ -0,0 +1,81 @@
+// Tax jurisdictions. A profile is a named rate plus what it taxes; a deal picks
+// one by the customer's delivery ZIP (from the store's local table) or by hand.
+// This is the one home for the default rate — the engines, the calculator and
+// the coach function import it.
+//
+// Profile: { id, name, rate (percent), taxDelivery, taxProtection, zips: ['93650', '936'] }
+//   zips  5-digit ZIPs or shorter prefixes; the longest match wins
+
+export const DEFAULT_TAX_RATE = 9.125; // percent
+
+export const DEFAULT_TAX_PROFILE = {
+  id: 'store',
+  name: 'Store county',
+  rate: DEFAULT_TAX_RATE,
+  taxDelivery: true,
+  taxProtection: false,
+  zips: [],
+};
+
+// "93650, 93651 936" -> ['93650', '93651', '936']; anything that isn't 3-5 digits is dropped.
+export function parseZipList(text) {
+  const list = Array.isArray(text) ? text : String(text ?? '').split(/[\s,;]+/);
+  return [...new Set(list.map((z) => String(z).trim()).filter((z) => /^\d{3,5}$/.test(z)))];
+}
+
+export function validTaxProfile(raw) {
+  const rate = typeof raw?.rate === 'number' ? raw.rate : parseFloat(String(raw?.rate ?? '').replace('%', ''));
+  if (!Number.isFinite(rate) || rate < 0 || rate > 20) return null;
+  const name = String(raw.name ?? '').trim();
+  if (!name) return null;
+  return {
+    id: raw.id ?? name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+    name,
+    rate: Math.round(rate * 1000) / 1000,
+    taxDelivery: raw.taxDelivery !== false,
+    taxProtection: raw.taxProtection === true,
+    zips: parseZipList(raw.zips),
+  };
+}
+
+// Longest-prefix ZIP match across profiles, or null when the ZIP isn't in the table.
+export function profileForZip(profiles, zip) {
+  const z = String(zip ?? '').trim().slice(0, 5);
+  if (!/^\d{3,5}$/.test(z)) return null;
+  let best = null;
+  let bestLen = 0;
+  for (const profile of profiles || []) {
+    for (const prefix of profile.zips || []) {
+      if (z.startsWith(prefix) && prefix.length > bestLen) {
+        best = profile;
+        bestLen = prefix.length;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Pick the deal's profile: a hand-picked one wins, then the ZIP table, then the
+ * store's first profile. Returns { profile, source: 'manual' | 'zip' | 'default' }.
+ */
+export function resolveTaxProfile(profiles, { zip, profileId } = {}) {
+  const list = profiles?.length ? profiles : [DEFAULT_TAX_PROFILE];
+  const manual = profileId != null && list.find((p) => p.id === profileId);
+  if (manual) return { profile: manual, source: 'manual' };
+  const byZip = profileForZip(list, zip);
+  if (byZip) return { profile: byZip, source: 'zip' };
+  return { profile: list[0], source: 'default' };
+}
+
+// The computeDeal settings a profile contributes.
+export function taxSettingsOf(profile) {
+  const p = profile || DEFAULT_TAX_PROFILE;
+  return { taxRate: p.rate, taxDelivery: p.taxDelivery, taxProtection: p.taxProtection };
+}
+
+// "Kings County 7.25% · delivery taxed"
+export function describeTaxProfile(profile) {
+  const taxed = [profile.taxDelivery && 'delivery', profile.taxProtection && 'protection'].filter(Boolean);
+  return `${profile.name} ${profile.rate}%${taxed.length ? ` · ${taxed.join(' + ')} taxed` : ''}`;
+}
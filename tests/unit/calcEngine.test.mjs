@@ -32,6 +32,10 @@ t('100 plus 50 plus 25', res('100 plus 50 plus 25').result, 175);
 t('sequential 5 + 3 * 2 = 16 (adding machine)', res('5 + 3 * 2').result, 16);
 t('out the door back-tax', res('1091.25 out the door').result, 1000);
 t('landing 990 / 3.3', res('990 landing').result, 300);
+t('landing uses store divisor', interpret('1000 landing', { ...cfg, landingDivisor: 2.5 }).result, 400);
+t('landing echo shows divisor', interpret('1000 landing', { ...cfg, landingDivisor: 2.5 }).normalized, '1000 landing ÷2.5');
+t('landing precedence uses divisor', interpret('1000 landing', { ...cfg, precedence: true, landingDivisor: 2.5 }).result, 400);
+t('landing action divisor', evaluate([{ kind: 'start', value: 500 }, { kind: 'landing', divisor: 2 }], cfg).result, 250);
 t('margin keyword 600 margin 50 percent', res('600 margin 50 percent').result, 1200);
 t('margin 500 at 50% (num form)', res('500 margin 50').result, 1000);
 t('percent multiply: 200 times 50 percent', res('200 times 50 percent').result, 100);
@@ -64,6 +68,81 @@ t('step1 label start', work.steps[0].label, 'Start');
 t('step2 is discount', work.steps[1].label.startsWith('− 15%'), true);
 t('step3 is tax', work.steps[2].label.startsWith('+ tax'), true);
 
+// --- precedence mode (x and / before + and -, parentheses) ---
+const pcfg = { taxRate: 9.125, precedence: true };
+function pres(s) { const r = interpret(s, pcfg); if (!r.ok) { console.log(`  (precedence not ok for "${s}": ${r.error})`); } return r; }
+t('precedence: 1200 plus 2 times 300', pres('sofa 1200 plus 2 times 300').result, 1800);
+t('precedence: 5 + 3 * 2 = 11', pres('5 + 3 * 2').result, 11);
+t('precedence: typed parens', pres('(1200 + 2) * 300').result, 360600);
+t('precedence: spoken parens', pres('open paren 100 plus 50 close paren times 2').result, 300);
+t('precedence: quantity of a group', pres('quantity of 2 open paren 300 plus 50 close paren').result, 700);
+t('precedence: quantity of two bare numbers', pres('quantity of 3 300').result, 900);
+t('precedence: tax applies to everything before it', pres('100 plus 50 times 2 plus tax').result, 200 * 1.09125);
+t('precedence: percent of', pres('15 percent of 200').result, 30);
+t('precedence: discount still applies to running total', pres('1200 - 15% + tax').result, 1020 * 1.09125);
+t('precedence: receipt sums still work', pres('couch 1001 loveseat 500').result, 1501);
+t('precedence: missing close paren forgiven', pres('(1 + 2').result, 3);
+t('precedence: stray close paren fails', interpret('1 + 2)', pcfg).ok, false);
+t('precedence: divide by zero inside parens', interpret('100 / (5 - 5)', pcfg).ok, false);
+t('precedence: single expr action', parse('1 + 2 * 3', pcfg).actions[0].kind, 'expr');
+t('precedence: normalized echo', pres('sofa 1200 plus 2 times 300').normalized, 'sofa 1200 + 2 × 300');
+t('precedence: tape keeps labels', pres('sofa 1200 plus 2 times 300').steps[0].label, 'Sofa');
+t('precedence: product shown inline', pres('sofa 1200 plus 2 times 300').steps[1].label.startsWith('+ (2 × 300)'), true);
+t('adding machine ignores parens', res('(5 + 3) * 2').result, 16);
+
+// --- named values and line references (multi-line input) ---
+const doc = res('sofa = 1200\ntable = 800\nsofa + table + tax');
+t('names: sofa + table + tax', doc.result, 2000 * 1.09125);
+t('names: vars returned', doc.vars.table, 800);
+t('names: assignment line labeled', doc.lines[0].steps[0].label, 'Sofa');
+t('names: assignment echo', doc.lines[0].normalized, 'sofa = 1200');
+t('names: spoken equals', res('sofa equals 1200\nsofa minus 10%').result, 1080);
+t('names: name before a number stays a label', res('sofa = 1200\nsofa 1500').result, 1500);
+t('names: quantity times a name', res('sofa = 1200\n2 sofa').result, 2400);
+t('names: seeded from config', interpret('sofa plus 100', { ...cfg, vars: { sofa: 900 } }).result, 1000);
+t('lines: line refs', res('couch 1001\nloveseat 500\nline 1 + line 2').result, 1501);
+t('lines: blank lines still count', res('100\n\nline 1 times 2').result, 200);
+t('lines: forward ref fails', interpret('100\nline 3\n5', cfg).lines[1].ok, false);
+t('lines: ref to a failed line fails', interpret('10 / 0\nline 1 plus 5', cfg).ok, false);
+t('lines: "line" without refs is a label', res('line 5').result, 5);
+t('lines: every line reported', res('1\n2\n3').lines.length, 3);
+t('total: used lines not double counted', res('sofa = 1200\ntable = 800\nsofa + table').total, 2000);
+t('total: unreferenced lines sum', res('couch 1001\nloveseat 500\n\nchair 250').total, 1751);
+t('total: line refs consume the line', res('100\n200\nline 1 times 2').total, 400);
+t('total: failed lines skipped', res('100\n10 / 0\n50').total, 150);
+t('total: reassigned name replaces the old line', res('sofa = 1000\nsofa = 1200\nsofa plus 0').total, 1200);
+t('total: reassignment alone', res('sofa = 1000\nsofa = 1200').total, 1200);
+t('total: reassignment from itself', res('sofa = 1000\nsofa = sofa + 100').total, 1100);
+t('total: replaced line shown as used', res('sofa = 1000\nsofa = 1200').lines[0].used, true);
+
+// --- goal seek (solve for the unknown) ---
+t('goal: forward price question is not a solve', res('what is the price of 1200 plus tax').result, 1309.50);
+t('goal: price for a quantity is each', res('what price for 2 recliners gives 1800 out the door').result, 1800 / 1.09125 / 2);
+t('goal: quantity is not delivery', res('what price for 2 recliners gives 1800 out the door').normalized, 'price each for 2 for 1800 out the door');
+t('goal: percent off is forward math', res('what price is 15 percent off 1000').result, 850);
+t('goal: "for … out the door" is a target', res('what price for 1800 out the door').result, 1800 / 1.09125);
+t('goal: a number without "delivery" is not delivery', interpret('what price gives 1800 out the door with 135', cfg).ok, false);
+t('percent off: spoken order', res('fifteen percent off one thousand').result, 850);
+t('percent off: precedence mode', interpret('15 percent off 1000', { ...cfg, precedence: true }).result, 850);
+t('goal: price for 1800 OTD with 135 delivery', res('what price gives 1800 out the door with 135 delivery').result, 1800 / 1.09125 - 135);
+const noDeliveryTax = { ...cfg, taxDelivery: false };
+t('goal: untaxed delivery comes off before tax', interpret('what price gives 1800 out the door with 135 delivery', noDeliveryTax).result, (1800 - 135) / 1.09125);
+t('goal: untaxed delivery comes off first', interpret('what price gives 1800 out the door with 135 delivery', noDeliveryTax).steps[1].label, '− Delivery ($135.00)');
+t('goal: untaxed delivery still too low', interpret('what price gives 100 out the door with 200 delivery', noDeliveryTax).ok, false);
+t('goal: price echo', res('what price gives 1800 out the door with 135 delivery').normalized, 'price for 1800 out the door with 135 delivery');
+t('goal: price last step', res('what price gives 1800 out the door').steps.slice(-1)[0].label, 'Price needed');
+t('goal: spoken target', res('what price gets me eighteen hundred out the door').result, 1800 / 1.09125);
+t('goal: untaxed target just drops delivery', res('what price gives 1800 with 135 delivery').result, 1665);
+t('goal: discount percent', res('what discount percent gets 2400 down to 1999').result, (1 - 1999 / 2400) * 100);
+t('goal: discount unit is pct', res('what discount percent gets 2400 down to 1999').unit, 'pct');
+t('goal: OTD discount target backs out tax', res('what discount gets 2400 to 1999 out the door').result, (1 - 1999 / 1.09125 / 2400) * 100);
+t('goal: target above start fails', interpret('what discount gets 1000 to 1200', cfg).ok, false);
+t('goal: target below delivery fails', interpret('what price gives 100 with 200 delivery', cfg).ok, false);
+t('goal: plain questions still compute', res('what is 5 plus 5').result, 10);
+t('goal: percent answers stay out of totals', res('1000\nwhat discount gets 1000 to 800').total, 1000);
+const ge = evaluate([{ kind: 'solvePrice', target: 1091.25, delivery: 0, taxed: true }], cfg);
+t('goal: evaluate solvePrice direct', ge.result, 1000);
+
 // --- error handling (only genuinely un-computable input fails) ---
 t('divide by zero', interpret('10 / 0', cfg).ok, false);
 t('no numbers at all', interpret('banana split', cfg).ok, false);
@@ -0,0 +1,101 @@
+import { parseCatalog, diffCatalog, catalogMargin, searchProducts, findProduct, splitCsv } from '../../src/catalog.js';
+
+let pass = 0, fail = 0;
+const approx = (a, b) => Math.abs(a - b) < 0.005;
+function t(desc, got, want) {
+  const ok = (typeof want === 'number') ? approx(got, want) : got === want;
+  if (ok) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+
+// --- CSV splitting ---
+t('csv quoted comma', splitCsv('a,"b, c",d')[0][1], 'b, c');
+t('csv escaped quote', splitCsv('"10"" queen"')[0][0], '10" queen');
+t('csv CRLF rows', splitCsv('a\r\nb\r\n').length, 2);
+
+// --- parseCatalog (CSV) ---
+const csv = [
+  'SKU,Description,Tag Price,Landing Cost,Category',
+  'u123-38,"Darcy Sofa, Cobblestone","$1,299.99",412.50,Upholstery',
+  '',
+  'M900,Chime Queen Mattress,499,,Mattress',
+  ',No SKU,100,30,Dining',
+].join('\n');
+const parsed = parseCatalog(csv);
+t('csv product count', parsed.products.length, 2);
+t('csv rejected rows', parsed.errors.length, 1);
+t('csv rejection has line number', parsed.errors[0].line, 5);
+t('csv rejection labelled by line', parsed.errors[0].where, 'Line 5');
+t('csv sku uppercased', parsed.products[0].sku, 'U123-38');
+t('csv quoted name', parsed.products[0].name, 'Darcy Sofa, Cobblestone');
+t('csv money with $ and comma', parsed.products[0].tagPrice, 1299.99);
+t('csv landing', parsed.products[0].landingCost, 412.5);
+t('csv missing landing is null', parsed.products[1].landingCost, null);
+t('csv category', parsed.products[1].category, 'Mattress');
+t('header aliases', parseCatalog('Model,Name,Retail,Cost\nA1,Desk,300,90').products[0].landingCost, 90);
+
+// --- parseCatalog (JSON) ---
+t('json array', parseCatalog('[{"sku":"a1","name":"Chair","tagPrice":100,"landingCost":30}]').products[0].tagPrice, 100);
+t('json {products} wrapper', parseCatalog('{"products":[{"sku":"b2","price":"250"}]}').products[0].name, 'B2');
+const jsonErrs = parseCatalog('[{"sku":"a1","tagPrice":100},{"sku":"a2","tagPrice":"x"},{"sku":"A1","tagPrice":90}]').errors;
+t('json rejection labelled by item, not line', jsonErrs[0].where, 'Item 2');
+t('json duplicate names the first item', jsonErrs[1].message, 'A1: duplicate SKU (first on item 1)');
+
+// --- validation ---
+const errs = (text) => parseCatalog(text).errors;
+const head = 'SKU,Name,Tag,Landing\n';
+t('bad tag price', errs(head + 'A1,Sofa,abc,100')[0].message, 'A1: tag price "abc" is not a positive number');
+t('missing tag price', errs(head + 'A1,Sofa,,100')[0].message, 'A1: missing tag price');
+t('bad landing', errs(head + 'A1,Sofa,900,n/a')[0].line, 2);
+t('landing above tag rejected', errs(head + 'A1,Sofa,900,950').length, 1);
+t('duplicate sku', errs(head + 'A1,Sofa,900,300\nA2,Chair,400,100\na1,Sofa,950,300')[0].message, 'A1: duplicate SKU (first on line 2)');
+t('duplicate keeps first', parseCatalog(head + 'A1,Sofa,900,300\nA1,Sofa,950,300').products[0].tagPrice, 900);
+t('missing header column', errs('Name,Tag\nSofa,900')[0].message, 'Line 1: header is missing SKU column.');
+t('bad json', errs('[{"sku": }]')[0].line, 0);
+t('empty file', errs('SKU,Tag\n').length, 1);
+
+// --- diffCatalog ---
+const cur = [
+  { sku: 'A1', name: 'Sofa', tagPrice: 1000, landingCost: 300 },
+  { sku: 'B2', name: 'Chair', tagPrice: 500, landingCost: 150 },
+  { sku: 'C3', name: 'Lamp', tagPrice: 100, landingCost: null },
+];
+const nxt = [
+  { sku: 'A1', name: 'Sofa', tagPrice: 1100, landingCost: 300 },
+  { sku: 'B2', name: 'Chair', tagPrice: 500, landingCost: 200 },
+  { sku: 'D4', name: 'Desk', tagPrice: 800, landingCost: 400 },
+];
+const d = diffCatalog(cur, nxt, { salePercent: 30, marginFloor: 47 });
+t('diff added', d.added.map((p) => p.sku).join(), 'D4');
+t('diff removed', d.removed.map((p) => p.sku).join(), 'C3');
+t('diff price change', d.priceChanged[0].to, 1100);
+t('diff landing change', d.landingChanged[0].sku, 'B2');
+t('margin at sale %', catalogMargin(cur[1], 30), (350 - 150) / 350 * 100);
+t('diff below floor: landing push', d.belowFloor.some((x) => x.sku === 'B2'), true);
+t('diff below floor: new sku', d.belowFloor.some((x) => x.sku === 'D4'), true);
+t('diff healthy change not flagged', d.belowFloor.some((x) => x.sku === 'A1'), false);
+const byName = diffCatalog(cur, nxt, { salePercent: 30, marginFloor: (p) => (p.name === 'Chair' ? 40 : 47) });
+t('diff per-product floor: clears a lower-floor category', byName.belowFloor.some((x) => x.sku === 'B2'), false);
+t('diff per-product floor: reported', byName.belowFloor.find((x) => x.sku === 'D4').floor, 47);
+t('diff already-low unchanged not flagged', diffCatalog(nxt, nxt, { salePercent: 30 }).belowFloor.length, 0);
+
+// --- searchProducts ---
+const list = [
+  { sku: 'U123-38', name: 'Darcy Sofa', tagPrice: 1299.99 },
+  { sku: 'U123-35', name: 'Darcy Loveseat', tagPrice: 999.99 },
+  { sku: 'M900', name: 'Chime Queen Mattress', tagPrice: 499 },
+];
+t('search exact sku first', searchProducts(list, 'm900')[0].sku, 'M900');
+t('search sku prefix', searchProducts(list, 'u123').length, 2);
+t('search name words', searchProducts(list, 'darcy sofa')[0].sku, 'U123-38');
+t('search empty query', searchProducts(list, '  ').length, 0);
+t('search limit', searchProducts(list, 'darcy', 1).length, 1);
+
+// --- findProduct (scan / typed code) ---
+const tagged = parseCatalog('SKU,Name,Tag,UPC\nU123-38,Darcy Sofa,1299,0 24052 12345 6').products;
+t('barcode column read', tagged[0].barcode, '024052123456');
+t('find by sku any case', findProduct(tagged, 'u123-38')?.sku, 'U123-38');
+t('find by barcode', findProduct(tagged, '024052123456')?.sku, 'U123-38');
+t('find miss', findProduct(tagged, '999'), null);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
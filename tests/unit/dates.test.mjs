@@ -0,0 +1,22 @@
+import { localDay } from '../../src/dates.js';
+
+let pass = 0, fail = 0;
+function t(desc, got, want) {
+  if (got === want) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+
+t('local calendar date', localDay(new Date(2026, 8, 8, 23, 30)), '2026-09-08');
+t('a day string passes through', localDay('2026-09-08'), '2026-09-08');
+t('takes a timestamp', localDay(new Date(2026, 8, 8, 9).getTime()), '2026-09-08');
+
+// 6pm Pacific is already the next day in UTC; the store's day must not roll over yet.
+const tz = process.env.TZ;
+process.env.TZ = 'America/Los_Angeles';
+t('evening stays on the local day', localDay(new Date(2026, 4, 31, 18, 0)), '2026-05-31');
+t('an ISO instant reads as its local day', localDay('2026-06-01T01:00:00Z'), '2026-05-31');
+t('a day string is not shifted by UTC', localDay('2026-06-01'), '2026-06-01');
+t('midnight starts the next day', localDay(new Date(2026, 5, 1, 0, 1)), '2026-06-01');
+if (tz === undefined) delete process.env.TZ; else process.env.TZ = tz;
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
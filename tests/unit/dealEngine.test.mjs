@@ -0,0 +1,124 @@
+import {
+  computeDeal, calculateMargin, priceForMargin, parseMoney,
+} from '../../src/dealEngine.js';
+import { PLAN_TEMPLATES, validProtectionPlan } from '../../src/protectionPlans.js';
+
+let pass = 0, fail = 0;
+const approx = (a, b) => Math.abs(a - b) < 0.005;
+function t(desc, got, want) {
+  const ok = (typeof want === 'number') ? approx(got, want) : got === want;
+  if (ok) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+
+const TAX = 0.09125;
+const item = (fields) => ({ id: Math.random(), name: '', price: '', qty: 1, landingCost: '', ...fields });
+
+// --- helpers ---
+t('parseMoney strips $ and commas', parseMoney('$1,299.50'), 1299.5);
+t('parseMoney junk is 0', parseMoney('abc'), 0);
+t('margin 50%', calculateMargin(1000, 500), 50);
+t('margin zero price', calculateMargin(0, 500), 0);
+t('price for 47% margin', priceForMargin(530, 47), 1000);
+const plan = validProtectionPlan({ name: 'Budget', tiers: [{ upTo: 1000, price: 99 }, { upTo: 2000, price: 149 }], stepAfter: 25, costPercent: 40 });
+t('custom plan in computeDeal', computeDeal([item({ price: '1500' })], { noTaxPromo: false, delivery: 0, includeProtection: true, protectionPlans: [plan] }).protectionPlanCost, 149);
+
+// --- No-Tax promo ON (default): entered sale price is tax-included ---
+const noTax = computeDeal([item({ price: '1091.25', landingCost: '500' })], { delivery: '0' });
+t('no-tax: invoice backs out tax', noTax.items[0].invoicePrice, 1000);
+t('no-tax: quote is entered price', noTax.items[0].quotePrice, 1091.25);
+t('no-tax: margin on invoice', noTax.items[0].margin, 50);
+t('no-tax: customer total', noTax.customerTotal, 1091.25);
+
+// --- No-Tax OFF: entered price is pre-tax ---
+const taxed = computeDeal([item({ price: '1000', qty: 2, landingCost: '400' })], { noTaxPromo: false, delivery: '135' });
+t('taxed: subtotal', taxed.subtotal, 2000);
+t('taxed: delivery tax', taxed.deliveryTax, 135 * TAX);
+t('taxed: customer total', taxed.customerTotal, 2000 * (1 + TAX) + 135 * (1 + TAX));
+t('taxed: total profit', taxed.totalProfit, 1200);
+t('taxed: overall margin', taxed.overallMargin, 60);
+t('taxed: floor ok', taxed.marginFloorOk, true);
+
+// --- Tag (retail) price type: sale % comes off ---
+const tag = computeDeal([item({ price: '1000' })], { priceType: 'tag', salePercent: 30, noTaxPromo: false, delivery: 0 });
+t('tag: invoice is tag less sale %', tag.items[0].invoicePrice, 700);
+t('tag: regular unit is tag', tag.items[0].regularUnit, 1000);
+t('tag: no extra deal at standard sale', tag.anyDeal, false);
+
+// --- Savings ladder: margin button moved the price below standard sale ---
+const ladder = computeDeal([item({ price: '600', originalPrice: '700', marginSet: true, landingCost: '300' })], {
+  salePercent: 30, noTaxPromo: false, delivery: 0,
+});
+t('ladder: margin-set price is invoice', ladder.items[0].invoicePrice, 600);
+t('ladder: regular from original', ladder.regularTotal, 1000);
+t('ladder: standard sale', ladder.standardSaleTotal, 700);
+t('ladder: savings vs standard', ladder.savingsVsStandard, 100);
+t('ladder: has deal', ladder.anyDeal, true);
+
+// --- Quote comparison + protection ---
+const quote = computeDeal([item({ price: '1400' })], { salePercent: 30, noTaxPromo: false, delivery: '100', includeProtection: true });
+t('quote: protection on subtotal', quote.protectionPlanCost, 200);
+t('quote: regular grand total', quote.regularGrandTotal, (2000 + 100) * (1 + TAX) + 200);
+t('quote: savings', quote.quoteSavings, quote.regularGrandTotal - quote.customerTotal);
+
+// --- Protection plans: per-category pricing, eligibility and plan profit ---
+const bedroom = [
+  item({ id: 1, name: 'Sofa', price: '1500', landingCost: '750' }),
+  item({ id: 2, name: 'Mattress', price: '800', landingCost: '400' }),
+  item({ id: 3, name: 'Patio set', price: '600', landingCost: '300' }),
+];
+const furniture = validProtectionPlan({ ...plan, id: 'f', name: 'Furniture', categories: ['upholstery'] });
+const mattress = validProtectionPlan({ ...PLAN_TEMPLATES[0], costPercent: 50 });
+const categoryOf = (it) => ({ Sofa: 'upholstery', Mattress: 'mattress', 'Patio set': 'outdoor' })[it.name];
+const covered = computeDeal(bedroom, {
+  noTaxPromo: false, delivery: 0, includeProtection: true,
+  protectionPlans: [furniture, mattress], itemCategory: categoryOf,
+});
+t('plans: one line per plan', covered.protectionPlans.length, 2);
+t('plans: furniture priced on its items only', covered.protectionPlans[0].price, 149);
+t('plans: mattress plan', covered.protectionPlans[1].price, 100);
+t('plans: customer pays both', covered.protectionPlanCost, 249);
+t('plans: outdoor item not eligible', covered.uncoveredItemIds.join(), '3');
+t('plans: landed cost', covered.protectionLanded, 149 * 0.4 + 50);
+t('plans: profit in total profit', covered.totalProfit, covered.merchandiseProfit + (249 - 109.6));
+t('plans: margin stays merchandise-only', covered.overallMargin, 50);
+t('plans: off means no profit', computeDeal(bedroom, { noTaxPromo: false, protectionPlans: [furniture] }).totalProfit, 1450);
+
+// --- Below floor, empty rows, packages ---
+const low = computeDeal([item({ price: '1000', landingCost: '600' })], { noTaxPromo: false });
+t('below floor flagged', low.marginFloorOk, false);
+t('custom floor', computeDeal([item({ price: '1000', landingCost: '600' })], { noTaxPromo: false, marginFloor: 40 }).marginFloorOk, true);
+t('empty rows dropped', computeDeal([item({}), item({ price: '100' })], {}).items.length, 1);
+t('no items: zero total', computeDeal([], { delivery: 0 }).customerTotal, 0);
+
+const pkgItems = [
+  item({ id: 1, price: '1200', landingCost: '400', packageId: 'p' }),
+  item({ id: 2, price: '800', landingCost: '300', packageId: 'p' }),
+];
+const pkg = computeDeal(pkgItems, { noTaxPromo: false, delivery: 0, packages: [{ id: 'p', price: '1500' }] });
+t('package: allocated invoice', pkg.items[0].invoicePrice, 900);
+t('package: subtotal is package price', pkg.subtotal, 1500);
+t('package: member margin', pkg.items[1].margin, 50);
+t('package: ladder anchors on own price', pkg.items[0].standardSaleUnit, 1200);
+
+// --- Per-item floors (category floors) ---
+const mixed = [
+  item({ id: 1, name: 'Sofa', price: '1000', landingCost: '550' }),
+  item({ id: 2, name: 'Mattress', price: '1000', landingCost: '580' }),
+];
+const floorOf = (it) => (it.name === 'Mattress' ? 40 : 47);
+const blended = computeDeal(mixed, { noTaxPromo: false, delivery: 0, itemFloor: floorOf });
+t('item floor: carried per item', blended.items[1].floor, 40);
+t('item floor: sofa below its floor', blended.items[0].belowFloor, true);
+t('item floor: mattress above its floor', blended.items[1].belowFloor, false);
+t('deal floor: blended from item floors', blended.dealFloor,
+  calculateMargin(priceForMargin(550, 47) + priceForMargin(580, 40), 1130));
+t('deal floor: 43.5% misses the 43.6% blend', blended.marginFloorOk, false);
+t('deal floor: flat floor when no itemFloor', computeDeal(mixed, { noTaxPromo: false, marginFloor: 45 }).dealFloor, 45);
+t('deal floor: lower category floors let the deal pass',
+  computeDeal(mixed, { noTaxPromo: false, delivery: 0, itemFloor: () => 42 }).marginFloorOk, true);
+
+// --- taxRate override ---
+t('custom tax rate', computeDeal([item({ price: '1000' })], { noTaxPromo: false, delivery: 0, taxRate: 10 }).customerTotal, 1100);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,156 @@
+import {
+  exportDeal, dealFileName, parseDealFile, encodeDealLink, decodeDealLink, DEAL_FILE_FORMAT,
+  toBase32, fromBase32, crc32, isDealQr, encodeDealQr, decodeDealQr, dealQrLinkParts, dealQrFromHash,
+} from '../../src/dealTransfer.js';
+import { ENGINE_VERSION, computeDeal } from '../../src/dealEngine.js';
+import { promoPercentFor } from '../../src/promotions.js';
+import { taxSettingsOf } from '../../src/taxProfiles.js';
+
+let pass = 0, fail = 0;
+function t(desc, got, want) {
+  const ok = got === want;
+  if (ok) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+async function rejects(desc, promise, match) {
+  try { await promise; fail++; console.log(`FAIL: ${desc} (no error)`); }
+  catch (e) { t(desc, match.test(e.message), true); }
+}
+function throws(desc, fn, match) {
+  try { fn(); fail++; console.log(`FAIL: ${desc} (no error)`); }
+  catch (e) { t(desc, match.test(e.message), true); }
+}
+
+const NOW = new Date('2026-10-19T17:00:00Z');
+const entry = {
+  id: 1, ts: NOW.getTime(), dealId: 77, label: 'Sofa, Chair', delivery: '199', noTaxPromo: false, salePercent: 30,
+  items: [{ id: 1, name: 'Sofa', price: '1000', qty: 1, landingCost: '400' }, { id: 2, name: 'Chair', price: '500', qty: 2, landingCost: '200' }],
+  customer: { name: 'José Ruiz', phone: '', notes: '', status: 'open', followUp: '' },
+};
+const computed = computeDeal(entry.items, { salePercent: 30, delivery: entry.delivery, noTaxPromo: false });
+
+// --- exportDeal / dealFileName ---
+const file = exportDeal(entry, computed, NOW);
+t('export: format', file.format, DEAL_FILE_FORMAT);
+t('export: engine version', file.engineVersion, ENGINE_VERSION);
+t('export: total kept', file.totals.customerTotal, computed.customerTotal);
+t('export: only headline totals', 'items' in file.totals, false);
+t('export: file name from the customer', dealFileName(file), 'deal-jos-ruiz-2026-10-19.json');
+t('export: file name falls back to the label', dealFileName(exportDeal({ ...entry, customer: undefined }, computed, NOW)), 'deal-sofa-chair-2026-10-19.json');
+
+// --- parseDealFile ---
+const parsed = parseDealFile(JSON.stringify(file));
+t('parse: round trip items', parsed.deal.items.length, 2);
+t('parse: deal id kept', parsed.deal.dealId, 77);
+t('parse: totals kept', parsed.totals.customerTotal, computed.customerTotal);
+t('parse: same engine, no warning', parsed.warnings.length, 0);
+t('parse: BOM tolerated', parseDealFile('\uFEFF' + JSON.stringify(file)).deal.label, 'Sofa, Chair');
+t('parse: older engine warns', /older/.test(parseDealFile({ ...file, engineVersion: 0 }).warnings[0]), true);
+t('parse: junk items dropped', parseDealFile({ ...file, deal: { ...entry, items: [null, 'x', [], { name: 'Sofa' }] } }).deal.items.length, 1);
+t('parse: missing deal id gets one', typeof parseDealFile({ ...file, deal: { ...entry, dealId: 'abc' } }).deal.dealId, 'number');
+// Every other field goes through its module's validator, so a damaged file can't crash the engine
+const damaged = parseDealFile({ ...file, deal: {
+  ...entry,
+  promo: { name: 'Labor Day', salePercent: 35 },
+  appliedDiscounts: [{ kind: 'percent', value: 10, label: 'VIP 10%', code: 'VIP10' }, { kind: 'percent', value: 'lots' }, { kind: 'amount', value: -50 }, null, 'x'],
+  discounts: [{ type: 'bogus', value: 5 }, { type: 'amount', value: 25 }],
+  taxProfile: { name: 'Nowhere', rate: 'high' },
+  payment: { depositMode: 'all', tenders: [{ method: 'barter', amount: 5 }, { method: 'cash', amount: 100 }] },
+  deliveryPlan: 'zone 9',
+  customer: { name: { first: 'José' }, status: 'maybe' },
+  salePercent: 'thirty', priceType: 'retail', taxZip: 95020, label: 7,
+  noTaxPromo: 'yes', includeProtection: 'false', delivery: 'lots', taxProfileId: { id: 'ca' },
+} }).deal;
+t('damaged: promo without dates dropped', damaged.promo, null);
+t('damaged: good promo kept', parseDealFile({ ...file, deal: { ...entry, promo: { name: 'Labor Day', start: '2026-09-01', end: '2026-09-08', salePercent: 35 } } }).deal.promo.categories.length, 0);
+t('damaged: promo percent lookup safe', promoPercentFor(damaged.promo, 'upholstery'), null);
+t('damaged: bad applied discounts dropped', damaged.appliedDiscounts.length, 1);
+t('damaged: applied discount value', damaged.appliedDiscounts[0].value, 10);
+t('damaged: applied coupon label kept', damaged.appliedDiscounts[0].label, 'VIP 10%');
+t('damaged: applied coupon code kept', damaged.appliedDiscounts[0].code, 'VIP10');
+t('damaged: unknown discount types dropped', damaged.discounts.length, 1);
+t('damaged: bad tax profile dropped', damaged.taxProfile, null);
+t('damaged: deposit mode reset', damaged.payment.depositMode, 'percent');
+t('damaged: unknown tenders dropped', damaged.payment.tenders.length, 1);
+t('damaged: delivery plan reset', damaged.deliveryPlan.mode, 'zone');
+t('damaged: customer name is text', typeof damaged.customer.name, 'string');
+t('damaged: customer status reset', damaged.customer.status, 'open');
+t('damaged: sale percent reset', damaged.salePercent, 30);
+t('damaged: price type reset', damaged.priceType, 'sale');
+t('damaged: tax ZIP reset', damaged.taxZip, '');
+t('damaged: label reset', damaged.label, '');
+t('damaged: a "false" protection flag stays off', damaged.includeProtection, false);
+t('damaged: No-Tax flag must be true', damaged.noTaxPromo, false);
+t('damaged: delivery read as money', damaged.delivery, '0');
+t('damaged: tax profile id reset', damaged.taxProfileId, null);
+t('damaged: missing delivery left to the store default', parseDealFile({ ...file, deal: { items: entry.items } }).deal.delivery, null);
+t('import: good flags kept', parseDealFile({ ...file, deal: { ...entry, includeProtection: true, noTaxPromo: true } }).deal.includeProtection, true);
+t('import: delivery kept', parseDealFile(file).deal.delivery, '199');
+const damagedDeal = computeDeal(damaged.items, {
+  salePercent: damaged.salePercent, priceType: damaged.priceType, delivery: damaged.delivery, noTaxPromo: damaged.noTaxPromo,
+  ...taxSettingsOf(damaged.taxProfile), discounts: damaged.appliedDiscounts,
+  itemSalePercent: () => promoPercentFor(damaged.promo, 'upholstery'),
+});
+t('damaged: still prices', damagedDeal.discountTotal, 200);
+t('damaged: missing fields get defaults', parseDealFile({ ...file, deal: { items: entry.items } }).deal.payment.tenders.length, 0);
+
+throws('parse: not JSON', () => parseDealFile('{nope'), /not valid JSON/);
+throws('parse: wrong format', () => parseDealFile({ ...file, format: 'catalog' }), /Not a deal file/);
+throws('parse: newer file version', () => parseDealFile({ ...file, version: 2 }), /newer version/);
+throws('parse: no items', () => parseDealFile({ ...file, deal: { ...entry, items: [] } }), /no items/);
+throws('parse: too many items', () => parseDealFile({ ...file, deal: { ...entry, items: Array.from({ length: 51 }, () => ({})) } }), /51 items/);
+
+// --- share links ---
+const link = encodeDealLink(file, 'https://deals.example.com/');
+t('link: deal in the fragment', link.startsWith('https://deals.example.com/#deal='), true);
+t('link: URL-safe', /[+/=]/.test(link.split('#deal=')[1]), false);
+const fromLink = decodeDealLink(new URL(link).hash);
+t('link: round trip', fromLink.deal.customer.name, 'José Ruiz');
+t('link: totals survive', fromLink.totals.customerTotal, computed.customerTotal);
+t('link: other fragments ignored', decodeDealLink('#help'), null);
+t('link: no fragment', decodeDealLink(''), null);
+throws('link: cut off', () => decodeDealLink(new URL(link).hash.slice(0, 40)), /damaged/);
+
+// --- QR payload ---
+const bytes = (str) => new TextEncoder().encode(str);
+t('base32: RFC 4648 "f"', toBase32(bytes('f')), 'MY');
+t('base32: RFC 4648 "foob"', toBase32(bytes('foob')), 'MZXW6YQ');
+t('base32: RFC 4648 "foobar"', toBase32(bytes('foobar')), 'MZXW6YTBOI');
+t('base32: decodes', new TextDecoder().decode(fromBase32('MZXW6YTBOI')), 'foobar');
+t('base32: every byte value survives', fromBase32(toBase32(Uint8Array.from({ length: 256 }, (_, i) => i))).join(), Array.from({ length: 256 }, (_, i) => i).join());
+throws('base32: rejects junk', () => fromBase32('MZ1W'), /base32/);
+t('crc32: check value', crc32(bytes('123456789')).toString(16), 'cbf43926');
+
+const qrText = await encodeDealQr(file);
+t('qr: prefixed and versioned', isDealQr(qrText) && qrText.startsWith('DD2:'), true);
+t('qr: alphanumeric and URL-safe', /^[0-9A-Z:]+$/.test(qrText), true);
+t('qr: a SKU is not a deal', isDealQr('U1234-38'), false);
+const fromQr = await decodeDealQr(qrText);
+t('qr: round trip customer', fromQr.deal.customer.name, 'José Ruiz');
+t('qr: round trip total', fromQr.totals.customerTotal, computed.customerTotal);
+t('qr: item fields kept', fromQr.deal.items[1].qty, 2);
+t('qr: default item fields left out', 'landingAuto' in fromQr.deal.items[0], false);
+t('qr: a flag left out of the code comes back off', fromQr.deal.noTaxPromo, false);
+const [, , checksum, payload] = qrText.match(/^(DD\d+):([0-9A-F]{8}):(.+)$/);
+const flipped = (checksum[0] === '0' ? '1' : '0') + checksum.slice(1);
+await rejects('qr: checksum mismatch', decodeDealQr(`DD2:${flipped}:${payload}`), /checksum/);
+await rejects('qr: newer payload version', decodeDealQr(`DD3:${checksum}:${payload}`), /newer version/);
+await rejects('qr: damaged data', decodeDealQr(`DD2:${checksum}:${payload.slice(0, 30)}`), /didn't scan cleanly/);
+await rejects('qr: not a deal', decodeDealQr('HELLO'), /Not a deal QR/);
+await rejects('qr: only version 2 reads', decodeDealQr(`DD1:${checksum}:${payload}`), /Not a deal QR/);
+
+// --- QR as a link into the app ---
+const parts = dealQrLinkParts(qrText, 'https://deals.example.com/');
+const qrLink = parts.join('');
+t('qr link: payload in the fragment', qrLink, `https://deals.example.com/#qr=${qrText}`);
+t('qr link: payload is its own part', parts[1], qrText);
+t('qr link: a valid URL', new URL(qrLink).hash, `#qr=${qrText}`);
+t('qr link: recognised by the scanner', isDealQr(qrLink), true);
+t('qr link: some other link is not a deal', isDealQr('https://www.ashleyfurniture.com/#reviews'), false);
+t('qr link: fragment read on launch', dealQrFromHash(new URL(qrLink).hash), qrText);
+t('qr link: other fragments ignored', dealQrFromHash('#deal=abc'), null);
+t('qr link: no fragment', dealQrFromHash(''), null);
+t('qr link: scanned link round trip', (await decodeDealQr(qrLink)).deal.customer.name, 'José Ruiz');
+t('qr link: percent-encoded fragment', (await decodeDealQr(`https://deals.example.com/#qr=${qrText.replace(/:/g, '%3A')}`)).deal.dealId, 77);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
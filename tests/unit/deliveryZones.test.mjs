@@ -0,0 +1,64 @@
+import {
+  quoteDelivery, validDeliveryZone, normalizeDeliveryPlan, describeDeliveryQuote, EMPTY_DELIVERY_PLAN,
+} from '../../src/deliveryZones.js';
+import { computeDeal } from '../../src/dealEngine.js';
+
+let pass = 0, fail = 0;
+const approx = (a, b) => Math.abs(a - b) < 0.005;
+function t(desc, got, want) {
+  const ok = (typeof want === 'number') ? approx(got, want) : got === want;
+  if (ok) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+
+const local = validDeliveryZone({ name: 'Local', zips: '95020, 95046', prices: { threshold: 100, whiteGlove: 135, roomOfChoice: '$150' } });
+const outer = validDeliveryZone({ name: 'Zone B', zips: '950 951', prices: { threshold: 150, whiteGlove: 199 } });
+const model = { zones: [local, outer], haulAwayFee: 50, mileage: { freeMiles: 30, perMile: 2 } };
+
+// --- validDeliveryZone ---
+t('zone: price parsed', local.prices.roomOfChoice, 150);
+t('zone: zips parsed', local.zips.join(), '95020,95046');
+t('zone: blank level not offered', outer.prices.roomOfChoice, undefined);
+t('zone: needs a name', validDeliveryZone({ name: '', prices: { threshold: 100 } }), null);
+t('zone: needs a price', validDeliveryZone({ name: 'X', prices: {} }), null);
+
+// --- quoteDelivery ---
+t('no zones: no quote', quoteDelivery({ zones: [] }, { zip: '95020' }), null);
+const home = quoteDelivery(model, { zip: '95020', level: 'whiteGlove' });
+t('zip: exact zone', home.zone.name, 'Local');
+t('zip: level price', home.total, 135);
+t('zip: source', home.source, 'zip');
+t('prefix zone', quoteDelivery(model, { zip: '95112', level: 'threshold' }).zone.name, 'Zone B');
+t('longest prefix wins', quoteDelivery(model, { zip: '95046' }).zone.name, 'Local');
+const fallback = quoteDelivery(model, { zip: '95112', level: 'roomOfChoice' });
+t('unoffered level falls back', fallback.level, 'threshold');
+t('offered levels listed', fallback.levels.length, 2);
+const haul = quoteDelivery(model, { zip: '95020', level: 'threshold', haulAway: 2 });
+t('haul-away per piece', haul.haulAwayAmount, 100);
+t('haul-away in total', haul.total, 200);
+const far = quoteDelivery(model, { zip: '93901', level: 'whiteGlove', miles: '52' });
+t('out of zone', far.source, 'outOfZone');
+t('out of zone priced as last zone', far.base, 199);
+t('mileage past free miles', far.mileageAmount, 44);
+t('out of zone total', far.total, 243);
+t('out of zone without miles flagged', quoteDelivery(model, { zip: '93901' }).needsMiles, true);
+t('in zone ignores miles', quoteDelivery(model, { zip: '95020', miles: '80' }).mileageAmount, 0);
+const noZip = quoteDelivery(model, { zip: '' });
+t('no zip: home zone', noZip.zone.name, 'Local');
+t('no zip: flagged', noZip.source, 'noZip');
+t('describe', describeDeliveryQuote(far, { miles: '52' }), 'Out of zone (priced as Zone B) · White glove $199 + 52 mi $44');
+
+// --- normalizeDeliveryPlan ---
+t('plan: defaults to zone', normalizeDeliveryPlan(null).mode, EMPTY_DELIVERY_PLAN.mode);
+t('plan: manual kept', normalizeDeliveryPlan({ mode: 'manual' }).mode, 'manual');
+t('plan: unknown level', normalizeDeliveryPlan({ level: 'rocket' }).level, 'threshold');
+t('plan: haul-away capped', normalizeDeliveryPlan({ haulAway: 99 }).haulAway, 20);
+
+// --- feeds deliveryAmount and is taxed by jurisdiction ---
+const item = { id: 1, name: 'Sofa', price: '1000', qty: 1, landingCost: '' };
+const taxed = computeDeal([item], { noTaxPromo: false, delivery: far.total, taxRate: 10 });
+t('quote feeds delivery', taxed.deliveryAmount, 243);
+t('delivery taxed', taxed.deliveryTax, 24.3);
+t('untaxed jurisdiction', computeDeal([item], { noTaxPromo: false, delivery: far.total, taxRate: 10, taxDelivery: false }).deliveryTax, 0);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,118 @@
+import {
+  validCoupon, normalizeDiscounts, resolveDiscounts, allocateDiscounts,
+} from '../../src/discounts.js';
+import { computeDeal } from '../../src/dealEngine.js';
+
+let pass = 0, fail = 0;
+const approx = (a, b) => Math.abs(a - b) < 0.005;
+function t(desc, got, want) {
+  const ok = (typeof want === 'number') ? approx(got, want) : got === want;
+  if (ok) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+
+const NOW = new Date('2026-05-10T12:00:00Z');
+const spring = validCoupon({ code: ' spring200 ', name: 'Spring $200', kind: 'amount', value: '$200', until: '2026-05-31' });
+const vip = validCoupon({ code: 'VIP10', kind: 'percent', value: 10, stackable: false });
+const sofa = validCoupon({ code: 'SOFA15', name: 'Sofa 15%', kind: 'percent', value: 15, scope: 'item' });
+const old = validCoupon({ code: 'WINTER', kind: 'amount', value: 100, until: '2026-02-28' });
+const coupons = [spring, vip, sofa, old];
+
+// --- validCoupon ---
+t('coupon: code uppercased and trimmed', spring.code, 'SPRING200');
+t('coupon: $ amount parsed', spring.value, 200);
+t('coupon: stackable by default', spring.stackable, true);
+t('coupon: order scope by default', spring.scope, 'order');
+t('coupon: name falls back to code', vip.name, 'VIP10');
+t('coupon: short code rejected', validCoupon({ code: 'AB', value: 5 }), null);
+t('coupon: percent over 90 rejected', validCoupon({ code: 'HALF', value: 95 }), null);
+t('coupon: zero value rejected', validCoupon({ code: 'NONE', kind: 'amount', value: 0 }), null);
+t('coupon: bad date means no expiry', validCoupon({ code: 'ANY1', value: 5, until: 'soon' }).until, '');
+
+// --- normalizeDiscounts ---
+const norm = normalizeDiscounts([{ id: 1, type: 'coupon', code: 'vip10' }, { id: 2, type: 'bogus', value: 5 }, null]);
+t('normalize: unknown type dropped', norm.length, 1);
+t('normalize: code uppercased', norm[0].code, 'VIP10');
+t('normalize: order discount has null itemId', norm[0].itemId, null);
+t('normalize: nothing saved', normalizeDiscounts(undefined).length, 0);
+
+// --- resolveDiscounts ---
+const r1 = resolveDiscounts([
+  { id: 1, itemId: null, type: 'coupon', code: 'SPRING200' },
+  { id: 2, itemId: 'a', type: 'percent', value: '10' },
+  { id: 3, itemId: null, type: 'coupon', code: 'WINTER' },
+  { id: 4, itemId: null, type: 'coupon', code: 'NOPE' },
+  { id: 5, itemId: null, type: 'coupon', code: 'SOFA15' },
+  { id: 6, itemId: null, type: 'coupon', code: 'SPRING200' },
+  { id: 7, itemId: null, type: 'amount', value: 'abc' },
+], coupons, NOW);
+t('resolve: coupon and manual applied', r1.applied.map(d => d.id).join(), '1,2');
+t('resolve: coupon takes store value', r1.applied[0].value, 200);
+t('resolve: coupon label is its name', r1.applied[0].label, 'Spring $200');
+t('resolve: manual percent label', r1.applied[1].label, '10% off');
+t('resolve: expired', r1.rejected[0].reason, 'WINTER expired 2026-02-28');
+t('resolve: unknown code', r1.rejected[1].reason, 'Unknown code NOPE');
+t('resolve: item coupon on the order', r1.rejected[2].reason, 'SOFA15 is for a single item');
+t('resolve: duplicate', r1.rejected[3].reason, 'SPRING200 is already applied');
+t('resolve: bad amount', r1.rejected[4].reason, 'Enter a dollar amount');
+const springOnly = [{ id: 1, itemId: null, type: 'coupon', code: 'SPRING200' }];
+t('resolve: good until midnight on its last day', resolveDiscounts(springOnly, coupons, new Date(2026, 4, 31, 23, 59)).applied.length, 1);
+t('resolve: expired the next morning', resolveDiscounts(springOnly, coupons, new Date(2026, 5, 1, 0, 1)).rejected[0]?.reason, 'SPRING200 expired 2026-05-31');
+t('resolve: still good on its last day', resolveDiscounts([{ id: 1, itemId: null, type: 'coupon', code: 'SPRING200' }], coupons, new Date('2026-05-31T20:00:00Z')).applied.length, 1);
+
+const r2 = resolveDiscounts([
+  { id: 1, itemId: null, type: 'coupon', code: 'SPRING200' },
+  { id: 2, itemId: null, type: 'coupon', code: 'VIP10' },
+  { id: 3, itemId: 'a', type: 'coupon', code: 'SOFA15' },
+  { id: 4, itemId: null, type: 'amount', value: 50 },
+], coupons, NOW);
+t('stacking: non-stackable after another coupon', r2.rejected[0]?.reason, "VIP10 doesn't stack with SPRING200");
+t('stacking: stackable coupons stack', r2.applied.map(d => d.id).join(), '1,3,4');
+const r3 = resolveDiscounts([
+  { id: 1, itemId: null, type: 'coupon', code: 'VIP10' },
+  { id: 2, itemId: 'a', type: 'coupon', code: 'SOFA15' },
+  { id: 3, itemId: 'a', type: 'percent', value: 5 },
+], coupons, NOW);
+t('stacking: nothing after a non-stackable coupon', r3.rejected[0]?.reason, "SOFA15 doesn't stack with VIP10");
+t('stacking: manual discounts still apply', r3.applied.map(d => d.id).join(), '1,3');
+
+// --- allocateDiscounts ---
+const lines = [{ id: 'a', total: 1000 }, { id: 'b', total: 500 }];
+const split = allocateDiscounts(lines, [
+  { id: 1, itemId: null, kind: 'amount', value: 100 },
+  { id: 2, itemId: 'a', kind: 'percent', value: 10 },
+]);
+t('allocate: item discount first', split.details.find(d => d.id === 2).amount, 100);
+t('allocate: order amount', split.details.find(d => d.id === 1).amount, 100);
+t('allocate: order split by what is left (900:500)', split.byItem.a, 100 + 64.29);
+t('allocate: order split to the cent', split.byItem.b, 35.71);
+t('allocate: total', split.total, 200);
+const capped = allocateDiscounts([{ id: 'a', total: 150 }], [
+  { id: 1, itemId: 'a', kind: 'amount', value: 200 },
+  { id: 2, itemId: null, kind: 'amount', value: 50 },
+]);
+t('allocate: item capped at its line', capped.byItem.a, 150);
+t('allocate: order discount gets nothing left', capped.details[1].amount, 0);
+t('allocate: discount on a removed item skipped', allocateDiscounts(lines, [{ id: 1, itemId: 'gone', kind: 'amount', value: 5 }]).total, 0);
+const thirds = allocateDiscounts([{ id: 'a', total: 100 }, { id: 'b', total: 100 }, { id: 'c', total: 100 }], [{ id: 1, itemId: null, kind: 'amount', value: 100 }]);
+t('allocate: thirds add back to the amount', thirds.byItem.a + thirds.byItem.b + thirds.byItem.c, 100);
+
+// --- through computeDeal ---
+const sofaItem = { id: 'a', name: 'Sofa', price: '1000', qty: 1, landingCost: '500' };
+const chair = { id: 'b', name: 'Chair', price: '250', qty: 2, landingCost: '125' };
+const base = { noTaxPromo: false, delivery: 0 };
+const plain = computeDeal([sofaItem, chair], base);
+const off = computeDeal([sofaItem, chair], { ...base, discounts: [{ id: 1, itemId: 'a', kind: 'amount', value: 100, label: '$100 off' }] });
+t('deal: invoice price lowered', off.items[0].invoicePrice, 900);
+t('deal: line discount recorded', off.items[0].lineDiscount, 100);
+t('deal: other line untouched', off.items[1].invoicePrice, 250);
+t('deal: margin follows', off.items[0].margin, (400 / 900) * 100);
+t('deal: subtotal', off.subtotal, plain.subtotal - 100);
+t('deal: discount total', off.discountTotal, 100);
+t('deal: savings vs standard grow', off.savingsVsStandard - plain.savingsVsStandard, 100);
+t('deal: counts as a deal', off.anyDeal, true);
+const perUnit = computeDeal([chair], { ...base, discounts: [{ id: 1, itemId: null, kind: 'percent', value: 10, label: '10% off' }] });
+t('deal: qty 2 order percent per unit', perUnit.items[0].invoicePrice, 225);
+t('deal: no discounts, nothing recorded', plain.discountTotal, 0);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,47 @@
+import { monthlyPayment, financingOptions, validPlan } from '../../src/financing.js';
+
+let pass = 0, fail = 0;
+const approx = (a, b) => Math.abs(a - b) < 0.005;
+function t(desc, got, want) {
+  const ok = (typeof want === 'number') ? approx(got, want) : got === want;
+  if (ok) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+
+// --- monthlyPayment ---
+t('0% is a straight split', monthlyPayment(1200, 0, 12), 100);
+t('amortized 10% APR 12 mo', monthlyPayment(1000, 10, 12), 87.92);
+t('amortized 29.99% APR 60 mo', monthlyPayment(3000, 29.99, 60), 97.04);
+t('zero principal', monthlyPayment(0, 10, 12), 0);
+
+// --- validPlan ---
+t('plan default name 0%', validPlan({ months: '12', apr: '0' }).name, '0% for 12 months');
+t('plan default name APR', validPlan({ months: 60, apr: 29.99 }).name, '29.99% APR, 60 months');
+t('plan min purchase parsed', validPlan({ months: 12, apr: 0, minPurchase: '$1,499' }).minPurchase, 1499);
+t('plan keeps its id', validPlan({ id: 'promo', months: 12, apr: 0 }).id, 'promo');
+const twins = [validPlan({ name: 'Store card', months: 12, apr: 0 }), validPlan({ name: 'Holiday promo', months: 12, apr: 0 })];
+t('same terms, different ids', twins[0].id !== twins[1].id, true);
+t('plan without an id gets one', typeof twins[0].id === 'string' && twins[0].id !== '', true);
+t('plan rejects 0 months', validPlan({ months: 0, apr: 0 }), null);
+t('plan rejects bad apr', validPlan({ months: 12, apr: 'x' }), null);
+t('plan rejects 100% down', validPlan({ months: 12, apr: 0, downPercent: 100 }), null);
+
+// --- financingOptions ---
+const plans = [
+  validPlan({ id: 'a', months: 12, apr: 0, minPurchase: 1000 }),
+  validPlan({ id: 'b', months: 24, apr: 0, minPurchase: 3000, downPercent: 10 }),
+];
+const opts = financingOptions(2400, plans);
+t('eligible plan monthly', opts[0].monthly, 200);
+t('eligible plan total paid', opts[0].totalPaid, 2400);
+t('below minimum not eligible', opts[1].eligible, false);
+t('below minimum short by', opts[1].shortBy, 600);
+const withDown = financingOptions(4000, plans, { downPayment: 200 });
+t('plan minimum down wins', withDown[1].down, 400);
+t('financed after down', withDown[1].financed, 3600);
+t('monthly after down', withDown[1].monthly, 150);
+t('customer down above minimum', financingOptions(4000, plans, { downPayment: 1000 })[1].down, 1000);
+t('down capped at total', financingOptions(1200, plans, { downPayment: 5000 })[0].financed, 0);
+t('no total: ineligible', financingOptions(0, plans)[0].eligible, false);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,73 @@
+import {
+  effectivePolicy, floorFor, marginBand, marginSteps, validFloorPromo, promoActive, hashPin, pinMatches,
+} from '../../src/marginPolicy.js';
+
+let pass = 0, fail = 0;
+const approx = (a, b) => Math.abs(a - b) < 0.005;
+function t(desc, got, want) {
+  const ok = (typeof want === 'number') ? approx(got, want) : got === want;
+  if (ok) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+
+const day = (iso) => new Date(`${iso}T12:00:00Z`);
+
+// --- effectivePolicy ---
+const plain = effectivePolicy({ marginFloor: 47, marginTarget: 50, categoryFloors: {} });
+t('plain: floor', plain.floor, 47);
+t('plain: target', plain.target, 50);
+t('plain: no promo', plain.promo, null);
+t('defaults when settings missing', effectivePolicy(null).floor, 47);
+
+const cats = effectivePolicy({ marginFloor: 47, marginTarget: 50, categoryFloors: { mattress: 40 } });
+t('category floor wins for its category', floorFor(cats, 'mattress'), 40);
+t('other categories use the store floor', floorFor(cats, 'upholstery'), 47);
+t('unclassified items use the store floor', floorFor(cats, null), 47);
+
+const promo = { floor: 44, until: '2026-09-07', note: 'Labor Day' };
+const during = effectivePolicy({ marginFloor: 47, marginTarget: 50, categoryFloors: { mattress: 40, dining: 46 }, floorPromo: promo }, day('2026-09-07'));
+t('promo: active through its last day', during.promo, promo);
+t('promo: lowers the store floor', during.floor, 44);
+t('promo: lowers a higher category floor', during.categoryFloors.dining, 44);
+t('promo: never raises a lower category floor', during.categoryFloors.mattress, 40);
+const after = effectivePolicy({ marginFloor: 47, marginTarget: 50, floorPromo: promo }, day('2026-09-08'));
+t('promo: lapses after until', after.floor, 47);
+t('promo: expired promo not reported', after.promo, null);
+t('promo: does not raise the floor', effectivePolicy({ marginFloor: 45, marginTarget: 50, floorPromo: { ...promo, floor: 48 } }, day('2026-09-01')).floor, 45);
+t('target never below floor', effectivePolicy({ marginFloor: 47, marginTarget: 40 }).target, 47);
+t('promoActive: null', promoActive(null), false);
+
+t('promo: active on the last day', promoActive(promo, new Date(2026, 8, 7, 23, 59)), true);
+t('promo: lapsed the next morning', promoActive(promo, new Date(2026, 8, 8, 0, 1)), false);
+t('promo: takes the app\'s local day string', promoActive(promo, '2026-09-07'), true);
+t('promo: lapsed on the day after, as a string', effectivePolicy({ marginFloor: 47, floorPromo: promo }, '2026-09-08').floor, 47);
+
+// --- validFloorPromo ---
+t('promo: valid', validFloorPromo({ floor: '44', until: '2026-09-07', note: ' Labor Day ' }).note, 'Labor Day');
+t('promo: needs an end date', validFloorPromo({ floor: 44, until: '' }), null);
+t('promo: bad date', validFloorPromo({ floor: 44, until: '9/7/2026' }), null);
+t('promo: floor in range', validFloorPromo({ floor: 95, until: '2026-09-07' }), null);
+
+// --- marginBand / marginSteps ---
+t('band: great', marginBand(50, 47, 50), 'great');
+t('band: ok', marginBand(47, 47, 50), 'ok');
+t('band: low', marginBand(46.9, 47, 50), 'low');
+t('band: category floor', marginBand(42, 40, 50), 'ok');
+t('steps: default', marginSteps(50, 47).join('/'), '50/49/48/47');
+t('steps: fractional floor rounds up', marginSteps(50, 47.3).join('/'), '50/49/48');
+t('steps: target at floor', marginSteps(47, 47).join('/'), '47');
+t('steps: wide band thinned, ends kept', marginSteps(50, 40).join('/'), '50/47/43/40');
+t('steps: custom max', marginSteps(50, 40, 6).length, 6);
+t('steps: never empty', marginSteps(47.5, 47.6).length, 1);
+t('steps: a too-narrow band still clears the floor', marginSteps(47.5, 47.6)[0], 48);
+
+// --- PIN ---
+const hash = hashPin('4321');
+t('pin: stored hashed', hash === '4321', false);
+t('pin: stable', hashPin('4321'), hash);
+t('pin: matches', pinMatches('4321', hash), true);
+t('pin: trims', pinMatches(' 4321 ', hash), true);
+t('pin: wrong', pinMatches('1234', hash), false);
+t('pin: no lock always matches', pinMatches('', ''), true);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
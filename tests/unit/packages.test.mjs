@@ -0,0 +1,51 @@
+import { allocatePackage, allocatePackages } from '../../src/packages.js';
+
+let pass = 0, fail = 0;
+const approx = (a, b) => Math.abs(a - b) < 0.005;
+function t(desc, got, want) {
+  const ok = (typeof want === 'number') ? approx(got, want) : got === want;
+  if (ok) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+
+// --- allocatePackage ---
+const living = [
+  { id: 'sofa', weight: 1200, qty: 1 },
+  { id: 'love', weight: 1000, qty: 1 },
+  { id: 'chair', weight: 800, qty: 1 },
+];
+const a = allocatePackage(2400, living);
+t('pro-rata sofa', a.sofa, 960);
+t('pro-rata loveseat', a.love, 800);
+t('pro-rata chair', a.chair, 640);
+
+const odd = allocatePackage(1000, [{ id: 1, weight: 1, qty: 1 }, { id: 2, weight: 1, qty: 1 }, { id: 3, weight: 1, qty: 1 }]);
+t('cents add back exactly', Math.round((odd[1] + odd[2] + odd[3]) * 100), 100000);
+t('leftover cent goes to first remainder', odd[1], 333.34);
+
+const withQty = allocatePackage(1000, [{ id: 'table', weight: 600, qty: 1 }, { id: 'chairs', weight: 400, qty: 4 }]);
+t('qty: per-unit price', withQty.chairs, 100);
+t('qty: line totals sum', withQty.table + withQty.chairs * 4, 1000);
+
+const noTags = allocatePackage(900, [{ id: 'a', weight: 0, qty: 1 }, { id: 'b', weight: 0, qty: 2 }]);
+t('no tag prices: split by qty', noTags.a, 300);
+t('no tag prices: per-unit', noTags.b, 300);
+
+t('zero price allocates nothing', Object.keys(allocatePackage(0, living)).length, 0);
+t('no members allocates nothing', Object.keys(allocatePackage(500, [])).length, 0);
+
+// --- allocatePackages ---
+const items = [
+  { id: 1, packageId: 'p1', price: '1200', qty: 1 },
+  { id: 2, packageId: 'p1', price: '800', qty: 1 },
+  { id: 3, packageId: null, price: '500', qty: 1 },
+  { id: 4, packageId: 'p2', price: '300', qty: 1 },
+];
+const byPrice = (i) => parseFloat(i.price) * (parseInt(i.qty, 10) || 1);
+const all = allocatePackages([{ id: 'p1', price: '$1,500' }, { id: 'p2', price: '' }], items, byPrice);
+t('packages: member 1', all[1], 900);
+t('packages: member 2', all[2], 600);
+t('packages: non-member untouched', all[3], undefined);
+t('packages: unpriced package untouched', all[4], undefined);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,57 @@
+import { depositAmount, reconcilePayment, normalizePayment, EMPTY_PAYMENT } from '../../src/payments.js';
+
+let pass = 0, fail = 0;
+const approx = (a, b) => Math.abs(a - b) < 0.005;
+function t(desc, got, want) {
+  const ok = (typeof want === 'number') ? approx(got, want) : got === want;
+  if (ok) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+
+// --- depositAmount ---
+t('percent deposit', depositAmount(2183.33, { depositMode: 'percent', depositValue: '20' }), 436.67);
+t('fixed deposit', depositAmount(2000, { depositMode: 'amount', depositValue: '$500' }), 500);
+t('fixed deposit capped at total', depositAmount(300, { depositMode: 'amount', depositValue: '500' }), 300);
+t('percent capped at 100', depositAmount(1000, { depositMode: 'percent', depositValue: '150' }), 1000);
+t('blank deposit is 0', depositAmount(1000, EMPTY_PAYMENT), 0);
+t('no total, no deposit', depositAmount(0, { depositMode: 'amount', depositValue: '100' }), 0);
+
+// --- reconcilePayment: deposit only ---
+const plain = reconcilePayment(2000, { depositMode: 'percent', depositValue: '25', tenders: [] });
+t('deposit only: deposit', plain.deposit, 500);
+t('deposit only: collected is deposit', plain.collected, 500);
+t('deposit only: balance due', plain.balanceDue, 1500);
+t('deposit only: not short', plain.depositShort, 0);
+
+// --- split tenders ---
+const split = reconcilePayment(2000, {
+  depositMode: 'amount', depositValue: '600',
+  tenders: [{ method: 'card', amount: '400' }, { method: 'cash', amount: '100' }, { method: 'card', amount: '50.5' }],
+});
+t('split: tendered', split.tendered, 550.5);
+t('split: card summed', split.byMethod.card, 450.5);
+t('split: cash', split.byMethod.cash, 100);
+t('split: short of deposit', split.depositShort, 49.5);
+t('split: balance from tenders', split.balanceDue, 1449.5);
+t('split: reconciles', split.collected + split.balanceDue, 2000);
+
+const financed = reconcilePayment(1500, {
+  depositMode: 'percent', depositValue: '10',
+  tenders: [{ method: 'cash', amount: '150' }, { method: 'finance', amount: '1350' }],
+});
+t('finance tender: nothing due at delivery', financed.balanceDue, 0);
+t('finance tender: by method', financed.byMethod.finance, 1350);
+
+const over = reconcilePayment(100, { depositMode: 'percent', depositValue: '', tenders: [{ method: 'cash', amount: '120' }] });
+t('overpaid', over.overpaid, 20);
+t('overpaid: balance floors at 0', over.balanceDue, 0);
+t('zero and junk tenders ignored', reconcilePayment(100, { tenders: [{ method: 'cash', amount: 'x' }] }).tendered, 0);
+
+// --- normalizePayment ---
+const norm = normalizePayment({ depositMode: 'bogus', depositValue: 20, tenders: [{ method: 'iou', amount: 5 }, { method: 'cash', amount: 5 }] });
+t('normalize: mode defaults to percent', norm.depositMode, 'percent');
+t('normalize: value to string', norm.depositValue, '20');
+t('normalize: unknown tender dropped', norm.tenders.length, 1);
+t('normalize: garbage', normalizePayment(null).tenders.length, 0);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,79 @@
+import {
+  validPromotion, activePromotion, nextPromotion, dealDefaults, promoPercentFor, salePercentChoices, describePromotion,
+} from '../../src/promotions.js';
+import { computeDeal } from '../../src/dealEngine.js';
+
+let pass = 0, fail = 0;
+const approx = (a, b) => Math.abs(a - b) < 0.005;
+function t(desc, got, want) {
+  const ok = (typeof want === 'number') ? approx(got, want) : got === want;
+  if (ok) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+
+const laborDay = validPromotion({ name: 'Labor Day', start: '2026-09-01', end: '2026-09-08', salePercent: '35%', noTaxPromo: true, categories: ['upholstery'] });
+const fall = validPromotion({ name: 'Fall Sale', start: '2026-08-20', end: '2026-09-30', salePercent: 40 });
+const taxFree = validPromotion({ name: 'Tax-Free Weekend', start: '2026-10-10', end: '2026-10-11', noTaxPromo: true });
+const calendar = [fall, laborDay, taxFree];
+const store = { salePercents: [30, 35, 40], promotions: calendar };
+
+// --- validPromotion ---
+t('promo: percent parsed', laborDay.salePercent, 35);
+t('promo: id from name and start', laborDay.id, 'labor-day-2026-09-01');
+t('promo: no-tax off unless set', fall.noTaxPromo, false);
+t('promo: blank sale % is null', taxFree.salePercent, null);
+t('promo: whole store by default', fall.categories.length, 0);
+t('promo: end before start rejected', validPromotion({ name: 'X', start: '2026-09-08', end: '2026-09-01' }), null);
+t('promo: missing date rejected', validPromotion({ name: 'X', start: '2026-09-01' }), null);
+t('promo: sale % over 90 rejected', validPromotion({ name: 'X', start: '2026-09-01', end: '2026-09-02', salePercent: 95 }), null);
+t('promo: one-day promo ok', validPromotion({ name: 'X', start: '2026-09-01', end: '2026-09-01' })?.end, '2026-09-01');
+
+// --- activePromotion / nextPromotion ---
+t('active: none before', activePromotion(calendar, '2026-08-19'), null);
+t('active: first day', activePromotion(calendar, '2026-08-20')?.name, 'Fall Sale');
+t('active: overlap goes to the latest start', activePromotion(calendar, '2026-09-03')?.name, 'Labor Day');
+t('active: last day inclusive', activePromotion(calendar, '2026-09-08')?.name, 'Labor Day');
+t('active: back to the longer promo after', activePromotion(calendar, '2026-09-09')?.name, 'Fall Sale');
+t('active: takes a Date', activePromotion(calendar, new Date(2026, 9, 10, 20))?.name, 'Tax-Free Weekend');
+t('active: empty calendar', activePromotion([], '2026-09-03'), null);
+t('next: soonest upcoming', nextPromotion(calendar, '2026-08-01')?.name, 'Fall Sale');
+t('next: skips the running one', nextPromotion(calendar, '2026-09-10')?.name, 'Tax-Free Weekend');
+t('next: none left', nextPromotion(calendar, '2026-12-01'), null);
+
+// --- dealDefaults ---
+const during = dealDefaults(store, fall);
+t('defaults: whole-store promo sets the sale %', during.salePercent, 40);
+t('defaults: promo no-tax off', during.noTaxPromo, false);
+const labor = dealDefaults(store, laborDay);
+t('defaults: category promo keeps the regular %', labor.salePercent, 30);
+t('defaults: category promo no-tax on', labor.noTaxPromo, true);
+t('defaults: blank promo % keeps the regular %', dealDefaults(store, taxFree).salePercent, 30);
+t('defaults: between promos no-tax off', dealDefaults(store, null).noTaxPromo, false);
+t('defaults: no calendar keeps no-tax on', dealDefaults({ salePercents: [30], promotions: [] }, null).noTaxPromo, true);
+
+// --- promoPercentFor / salePercentChoices ---
+t('item %: covered category', promoPercentFor(laborDay, 'upholstery'), 35);
+t('item %: other category', promoPercentFor(laborDay, 'mattress'), null);
+t('item %: whole-store promo leaves it to the deal', promoPercentFor(fall, 'upholstery'), null);
+t('item %: no promo', promoPercentFor(null, 'upholstery'), null);
+t('choices: promo % added', salePercentChoices({ salePercents: [30, 35] }, fall).join(), '30,35,40');
+t('choices: already listed', salePercentChoices(store, fall).join(), '30,35,40');
+t('choices: category promo adds nothing', salePercentChoices({ salePercents: [30] }, laborDay).join(), '30');
+
+// --- describePromotion ---
+t('describe: category promo', describePromotion(laborDay, () => 'Upholstery'), 'Labor Day · 35% off upholstery · No-Tax · 9/1–9/8');
+t('describe: no-tax only', describePromotion(taxFree), 'Tax-Free Weekend · No-Tax · 10/10–10/11');
+
+// --- through computeDeal ---
+const sofa = { id: 1, name: 'Sofa', price: '1000', qty: 1, landingCost: '400' };
+const bed = { id: 2, name: 'Mattress', price: '1000', qty: 1, landingCost: '400' };
+const itemSalePercent = (item) => promoPercentFor(laborDay, item.name === 'Sofa' ? 'upholstery' : 'mattress');
+const tag = computeDeal([sofa, bed], { priceType: 'tag', salePercent: 30, noTaxPromo: false, itemSalePercent });
+t('deal: promo item priced at 35% off tag', tag.items[0].invoicePrice, 650);
+t('deal: other item at the deal %', tag.items[1].invoicePrice, 700);
+t('deal: item sale % recorded', tag.items[0].salePercent, 35);
+const sale = computeDeal([sofa], { priceType: 'sale', salePercent: 30, noTaxPromo: false, itemSalePercent });
+t('deal: regular backed out at the promo %', sale.items[0].regularUnit, 1000 / 0.65);
+t('deal: without the hook, deal % everywhere', computeDeal([sofa], { priceType: 'tag', salePercent: 30, noTaxPromo: false }).items[0].invoicePrice, 700);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,61 @@
+import {
+  DEFAULT_PROTECTION_PLAN, planPrice, describePlanTiers, parseTierList, formatTierList,
+  validProtectionPlan, planFromBands, planForCategory, priceProtection,
+} from '../../src/protectionPlans.js';
+
+let pass = 0, fail = 0;
+const approx = (a, b) => Math.abs(a - b) < 0.005;
+function t(desc, got, want) {
+  const ok = (typeof want === 'number') ? approx(got, want) : got === want;
+  if (ok) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+
+// --- planPrice (default table matches the original schedule) ---
+const f = DEFAULT_PROTECTION_PLAN;
+t('nothing covered', planPrice(f, 0), 0);
+t('$999', planPrice(f, 999), 150);
+t('$1,000 still tier 1', planPrice(f, 1000), 150);
+t('$4,500', planPrice(f, 4500), 350);
+t('$5,500', planPrice(f, 5500), 500);
+t('$6,500 one step past the table', planPrice(f, 6500), 550);
+t('$7,200', planPrice(f, 7200), 600);
+const uneven = validProtectionPlan({ name: 'Vendor B', tiers: [{ upTo: 1500, price: 129 }, { upTo: 750, price: 89 }], stepEvery: 500, stepAfter: 20 });
+t('tiers sorted', uneven.tiers[0].upTo, 750);
+t('uneven tier boundary', planPrice(uneven, 1200), 129);
+t('custom step size', planPrice(uneven, 2100), 129 + 2 * 20);
+t('describe', describePlanTiers(f).startsWith('$150 (to $1,000) · $200 (to $2,000)'), true);
+t('describe step', describePlanTiers(f).endsWith('+$50/$1,000 after'), true);
+
+// --- parsing / validation ---
+t('tier list', parseTierList('1000:150, 2000:$200').map((x) => x.price).join(), '150,200');
+t('tier list malformed', parseTierList('1000:150, 2000'), null);
+t('tier list empty', parseTierList(''), null);
+t('tier list round trip', formatTierList(parseTierList('1000:150 2000:200')), '1000:150, 2000:200');
+t('plan needs a name', validProtectionPlan({ name: ' ', tiers: f.tiers }), null);
+t('plan needs tiers', validProtectionPlan({ name: 'X', tiers: [] }), null);
+t('cost percent out of range', validProtectionPlan({ name: 'X', tiers: f.tiers, costPercent: 140 }).costPercent, 0);
+t('id from name', validProtectionPlan({ name: 'Outdoor Gold', tiers: f.tiers }).id, 'outdoor-gold');
+const legacy = planFromBands({ bands: [99, 149], stepAfter: 25 });
+t('bands: first $1k', planPrice(legacy, 800), 99);
+t('bands: past the table', planPrice(legacy, 3500), 149 + 2 * 25);
+
+// --- eligibility ---
+const mattress = validProtectionPlan({ id: 'm', name: 'Mattress', categories: ['mattress'], tiers: [{ upTo: 2000, price: 100 }] });
+const sofaOnly = validProtectionPlan({ id: 's', name: 'Sofa', categories: ['upholstery'], tiers: [{ upTo: 2000, price: 150 }] });
+t('category match', planForCategory([sofaOnly, mattress], 'mattress').id, 'm');
+t('unclassified goes to the first plan', planForCategory([sofaOnly, mattress], null).id, 's');
+t('unlisted category not eligible', planForCategory([sofaOnly, mattress], 'outdoor'), null);
+t('no plans', planForCategory([], 'mattress'), null);
+
+const priced = priceProtection([
+  { id: 1, category: 'upholstery', total: 900 },
+  { id: 2, category: 'upholstery', total: 600 },
+  { id: 3, category: 'outdoor', total: 400 },
+], [sofaOnly, mattress]);
+t('covered items pooled per plan', priced.plans[0].merchandise, 1500);
+t('plans with nothing covered left out', priced.plans.length, 1);
+t('uncovered listed', priced.uncovered.join(), '3');
+t('no landed cost by default', priced.profit, 150);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
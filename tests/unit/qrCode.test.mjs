@@ -0,0 +1,187 @@
+import { encodeQr, qrPath, rsEcc, formatBits, versionBits, dataCodewords } from '../../src/qrCode.js';
+import { exportDeal, encodeDealQr, decodeDealQr, dealQrLinkParts, dealQrFromHash } from '../../src/dealTransfer.js';
+
+let pass = 0, fail = 0;
+function t(desc, got, want) {
+  const ok = got === want;
+  if (ok) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+
+// --- Reed–Solomon: "HELLO WORLD" at 1-M (the worked example in most QR references) ---
+t('rs: HELLO WORLD 1-M', rsEcc([32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17], 10).join(' '), '196 35 39 119 235 215 231 226 93 23');
+
+// --- Format and version information (spec tables) ---
+const bin = (n, len) => n.toString(2).padStart(len, '0');
+t('format: M mask 0', bin(formatBits('M', 0), 15), '101010000010010');
+t('format: M mask 7', bin(formatBits('M', 7), 15), '100101010100000');
+t('format: L mask 0', bin(formatBits('L', 0), 15), '111011111000100');
+t('format: L mask 4', bin(formatBits('L', 4), 15), '110011000101111');
+t('version info: 7', bin(versionBits(7), 18), '000111110010010100');
+t('version info: 40', bin(versionBits(40), 18), '101000110001101001');
+
+// --- Capacities (data codewords per version) ---
+t('capacity: 1-L', dataCodewords(1, 'L'), 19);
+t('capacity: 10-M', dataCodewords(10, 'M'), 216);
+t('capacity: 20-M', dataCodewords(20, 'M'), 669);
+t('capacity: 40-L', dataCodewords(40, 'L'), 2956);
+t('capacity: 40-M', dataCodewords(40, 'M'), 2334);
+
+// --- Version choice and modes ---
+t('version: 20 alphanumeric chars fit 1-M', encodeQr('A'.repeat(20)).version, 1);
+t('version: 21 need 2-M', encodeQr('A'.repeat(21)).version, 2);
+t('version: 25 alphanumeric fit 1-L', encodeQr('A'.repeat(25), { level: 'L' }).version, 1);
+t('version: lower case goes to byte mode', encodeQr('a'.repeat(20)).version, 2);
+t('version: full 40-L alphanumeric', encodeQr('B'.repeat(4296), { level: 'L' }).version, 40);
+let tooBig = null;
+try { encodeQr('B'.repeat(4297), { level: 'L' }); } catch (e) { tooBig = e.message; }
+t('version: past 40 throws', /Too much data/.test(tooBig), true);
+
+// --- Matrix structure ---
+const q = encodeQr('HELLO WORLD');
+t('matrix: 21 modules at version 1', q.size, 21);
+t('matrix: rows', q.modules.length, 21);
+const finderRow = (row, x) => row.slice(x, x + 7).map(Number).join('');
+t('matrix: top-left finder', finderRow(q.modules[0], 0), '1111111');
+t('matrix: finder centre', finderRow(q.modules[3], 0), '1011101');
+t('matrix: top-right finder', finderRow(q.modules[2], 14), '1011101');
+t('matrix: separator light', q.modules[7].slice(0, 8).some(Boolean), false);
+t('matrix: timing row alternates', q.modules[6].slice(8, 13).map(Number).join(''), '10101');
+t('matrix: dark module', q.modules[q.size - 8][8], true);
+let formatRead = 0;
+[0, 1, 2, 3, 4, 5].forEach((i) => { if (q.modules[i][8]) formatRead |= 1 << i; });
+if (q.modules[7][8]) formatRead |= 1 << 6;
+if (q.modules[8][8]) formatRead |= 1 << 7;
+if (q.modules[8][7]) formatRead |= 1 << 8;
+for (let i = 9; i < 15; i++) if (q.modules[8][14 - i]) formatRead |= 1 << i;
+t('matrix: format info reads back as level M', [0, 1, 2, 3, 4, 5, 6, 7].some((m) => formatBits('M', m) === formatRead), true);
+const big = encodeQr('C'.repeat(500));
+t('matrix: version 7+ carries version info', big.version >= 7, true);
+t('matrix: alignment centre dark', big.modules[big.size - 7][big.size - 7], true);
+
+// --- Round trip: read the modules back the way a scanner does ---
+// Spec tables (ISO/IEC 18004 Annex E and Table 9), not the encoder's own, so
+// a wrong table there can't cancel out here.
+const ALIGN = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50],
+  [6, 30, 54], [6, 32, 58], [6, 34, 62], [6, 26, 46, 66], [6, 26, 48, 70], [6, 26, 50, 74], [6, 30, 54, 78], [6, 30, 56, 82],
+  [6, 30, 58, 86], [6, 34, 62, 90], [6, 28, 50, 72, 94], [6, 26, 50, 74, 98], [6, 30, 54, 78, 102], [6, 28, 54, 80, 106],
+  [6, 32, 58, 84, 110], [6, 30, 58, 86, 114], [6, 34, 62, 90, 118], [6, 26, 50, 74, 98, 122], [6, 30, 54, 78, 102, 126],
+  [6, 26, 52, 78, 104, 130], [6, 30, 56, 82, 108, 134], [6, 34, 60, 86, 112, 138], [6, 30, 58, 86, 114, 142],
+  [6, 34, 62, 90, 118, 146], [6, 30, 54, 78, 102, 126, 150], [6, 24, 50, 76, 102, 128, 154], [6, 28, 54, 80, 106, 132, 158],
+  [6, 32, 58, 84, 110, 136, 162], [6, 26, 54, 82, 110, 138, 166], [6, 30, 58, 86, 114, 142, 170]];
+const ECC_LEN = {
+  L: [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+};
+const NUM_BLOCKS = {
+  L: [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+};
+const READ_MASKS = [
+  (x, y) => (x + y) % 2 === 0, (x, y) => y % 2 === 0, (x) => x % 3 === 0, (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0, (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0, (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+const READ_ALNUM = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+function readQr({ modules: m, size, version: v }) {
+  let format = 0;
+  [0, 1, 2, 3, 4, 5].forEach((i) => { if (m[i][8]) format |= 1 << i; });
+  if (m[7][8]) format |= 1 << 6;
+  if (m[8][8]) format |= 1 << 7;
+  if (m[8][7]) format |= 1 << 8;
+  for (let i = 9; i < 15; i++) if (m[8][14 - i]) format |= 1 << i;
+  let level = null, mask = null;
+  ['L', 'M'].forEach((l) => { for (let k = 0; k < 8; k++) if (formatBits(l, k) === format) { level = l; mask = k; } });
+  if (!level) throw new Error('unreadable format');
+
+  // Which modules carry data: everything but finders, separators, format, timing, alignment and version info
+  const fixed = Array.from({ length: size }, () => Array(size).fill(false));
+  const mark = (x, y) => { if (x >= 0 && y >= 0 && x < size && y < size) fixed[y][x] = true; };
+  for (let i = 0; i < size; i++) { mark(6, i); mark(i, 6); }
+  for (let y = 0; y < 9; y++) for (let x = 0; x < 9; x++) { mark(x, y); if (x < 8) mark(size - 1 - x, y); if (y < 8) mark(x, size - 1 - y); }
+  const centres = ALIGN[v];
+  centres.forEach((cy) => centres.forEach((cx) => {
+    if ((cx < 9 && cy < 9) || (cx > size - 10 && cy < 9) || (cx < 9 && cy > size - 10)) return;
+    for (let dy = -2; dy <= 2; dy++) for (let dx = -2; dx <= 2; dx++) mark(cx + dx, cy + dy);
+  }));
+  if (v >= 7) for (let i = 0; i < 6; i++) for (let j = 0; j < 3; j++) { mark(size - 11 + j, i); mark(i, size - 11 + j); }
+
+  const stream = [];
+  let up = true;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let k = 0; k < size; k++) {
+      const y = up ? size - 1 - k : k;
+      [right, right - 1].forEach((x) => { if (!fixed[y][x]) stream.push(m[y][x] !== READ_MASKS[mask](x, y) ? 1 : 0); });
+    }
+    up = !up;
+  }
+  const codewords = [];
+  for (let i = 0; i + 8 <= stream.length; i += 8) codewords.push(parseInt(stream.slice(i, i + 8).join(''), 2));
+
+  // De-interleave and check each block's error correction
+  const blocks = NUM_BLOCKS[level][v], ecc = ECC_LEN[level][v];
+  const dataTotal = codewords.length - blocks * ecc;
+  const short = blocks - (dataTotal % blocks), shortLen = Math.floor(dataTotal / blocks);
+  const data = Array.from({ length: blocks }, () => []), checks = Array.from({ length: blocks }, () => []);
+  let p = 0;
+  for (let i = 0; i <= shortLen; i++) for (let b = 0; b < blocks; b++) if (i < shortLen || b >= short) data[b].push(codewords[p++]);
+  for (let i = 0; i < ecc; i++) for (let b = 0; b < blocks; b++) checks[b].push(codewords[p++]);
+  data.forEach((d, b) => { if (rsEcc(d, ecc).join() !== checks[b].join()) throw new Error(`bad error correction in block ${b}`); });
+
+  // Segments until the terminator
+  const bits = data.flat().flatMap((c) => c.toString(2).padStart(8, '0').split('').map(Number));
+  let at = 0;
+  const take = (n) => { let r = 0; for (let i = 0; i < n; i++) r = r * 2 + bits[at++]; return r; };
+  let text = '';
+  while (at + 4 <= bits.length) {
+    const mode = take(4);
+    if (mode === 0) break;
+    if (mode === 0b0010) {
+      const n = take(v <= 9 ? 9 : v <= 26 ? 11 : 13);
+      for (let i = 0; i + 1 < n; i += 2) { const pair = take(11); text += READ_ALNUM[Math.floor(pair / 45)] + READ_ALNUM[pair % 45]; }
+      if (n % 2) text += READ_ALNUM[take(6)];
+    } else if (mode === 0b0100) {
+      const n = take(v <= 9 ? 8 : 16);
+      text += new TextDecoder().decode(Uint8Array.from({ length: n }, () => take(8)));
+    } else {
+      throw new Error(`unexpected mode ${mode}`);
+    }
+  }
+  return { text, level, version: v };
+}
+
+[
+  ['HELLO WORLD', 'M'],
+  ['héllo wörld – deals', 'M'],
+  ['DD2:' + 'X9$%'.repeat(150), 'M'],
+  ['B'.repeat(4296), 'L'],
+  ['x'.repeat(2331), 'M'],
+].forEach(([text, level]) => {
+  const qr = encodeQr(text, { level });
+  t(`read back: ${text.slice(0, 12)}… (version ${qr.version}-${level})`, readQr(qr).text, text);
+});
+const mixed = encodeQr(['https://deals.example.com/#qr=', 'DD2:ABCDEF12:' + 'MZXW6YTBOI'.repeat(40)], { level: 'L' });
+t('read back: link prefix + compact payload', readQr(mixed).text, `https://deals.example.com/#qr=DD2:ABCDEF12:${'MZXW6YTBOI'.repeat(40)}`);
+t('parts: smaller than one byte-mode segment', mixed.version < encodeQr(readQr(mixed).text, { level: 'L' }).version, true);
+
+// A deal shown on one phone, scanned on another: screen -> modules -> link -> deal
+const shown = exportDeal({
+  dealId: 77, label: 'Sofa, Chair', delivery: '199', salePercent: 30,
+  items: [{ id: 1, name: 'Sofa', price: '1000', qty: 1, landingCost: '400' }, { id: 2, name: 'Chair', price: '500', qty: 2, landingCost: '200' }],
+  customer: { name: 'José Ruiz', phone: '', notes: '', status: 'open', followUp: '' },
+}, { customerTotal: 2400.5 }, new Date('2026-10-19T17:00:00Z'));
+const dealCode = encodeQr(dealQrLinkParts(await encodeDealQr(shown), 'https://deals.example.com/'), { level: 'L' });
+const scanned = readQr(dealCode).text;
+t('deal QR: scans as an app link', new URL(scanned).origin, 'https://deals.example.com');
+const opened = await decodeDealQr(dealQrFromHash(new URL(scanned).hash));
+t('deal QR: customer survives', opened.deal.customer.name, 'José Ruiz');
+t('deal QR: items survive', opened.deal.items.map((i) => `${i.name}×${i.qty ?? 1}`).join(), 'Sofa×1,Chair×2');
+t('deal QR: totals survive', opened.totals.customerTotal, 2400.5);
+t('deal QR: in-app scanner reads the same code', (await decodeDealQr(scanned)).deal.dealId, 77);
+
+// --- SVG path ---
+t('path: one run per dark stretch', qrPath({ size: 3, modules: [[true, true, false], [false, false, false], [false, true, true]] }), 'M0 0h2v1h-2zM1 2h2v1h-2z');
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,102 @@
+import {
+  normalizeCustomer, validRetention, savedDealRecord, closedAtFor, recordsFromHistory, searchDeals, dealsToPrune, followUpsDue, followUpMessage,
+  DEFAULT_RETENTION,
+} from '../../src/savedDeals.js';
+
+let pass = 0, fail = 0;
+function t(desc, got, want) {
+  const ok = got === want;
+  if (ok) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 19);
+
+// --- normalizeCustomer / validRetention ---
+t('customer: empty defaults to open', normalizeCustomer(null).status, 'open');
+t('customer: unknown status', normalizeCustomer({ status: 'maybe' }).status, 'open');
+t('customer: status kept', normalizeCustomer({ name: 'Dana', status: 'sold' }).status, 'sold');
+t('customer: long notes capped', normalizeCustomer({ notes: 'x'.repeat(900) }).notes.length, 500);
+t('customer: follow-up date kept', normalizeCustomer({ followUp: '2026-10-21' }).followUp, '2026-10-21');
+t('customer: bad follow-up dropped', normalizeCustomer({ followUp: 'Tuesday' }).followUp, '');
+t('retention: defaults', validRetention(undefined).lostDays, DEFAULT_RETENTION.lostDays);
+t('retention: zero is forever', validRetention({ soldDays: 0 }).soldDays, 0);
+t('retention: junk falls back', validRetention({ soldDays: 'soon' }).soldDays, DEFAULT_RETENTION.soldDays);
+
+// --- savedDealRecord ---
+const entry = { id: 5, ts: NOW, dealId: 42, label: 'Sofa', items: [{ id: 1, name: 'Sofa', sku: 'U1234-38' }] };
+const first = savedDealRecord(entry, { name: 'Dana Ruiz', phone: '(408) 555-0123' }, null, { total: 1299, margin: 50 });
+t('record: keyed by deal id', first.id, 42);
+t('record: created at first save', first.createdAt, NOW);
+t('record: totals kept', first.total, 1299);
+const again = savedDealRecord({ ...entry, ts: NOW + DAY }, first.customer, first);
+t('record: resave keeps the created date', again.createdAt, NOW);
+t('record: resave moves ts', again.ts, NOW + DAY);
+
+// --- recordsFromHistory ---
+const history = [
+  { id: 3, ts: 3, dealId: 7, items: [], label: 'newest' },
+  { id: 2, ts: 2, dealId: 7, items: [], label: 'older calc of the same deal' },
+  { id: 1, ts: 1, items: [], label: 'pre-dealId entry' },
+  { id: 0, ts: 0, dealId: 9, items: [] },
+  { id: -1, ts: 0, dealId: 10 },
+];
+const imported = recordsFromHistory(history, [9]);
+t('import: one record per deal', imported.length, 2);
+t('import: newest entry wins', imported[0].label, 'newest');
+t('import: old entry keyed by its id', imported[1].id, 1);
+t('import: customer blank', imported[0].customer.name, '');
+
+// --- searchDeals ---
+const deals = [
+  savedDealRecord({ ...entry, ts: NOW - DAY }, { name: 'Dana Ruiz', phone: '(408) 555-0123', notes: 'wants gray', status: 'open' }),
+  savedDealRecord({ ts: NOW, dealId: 43, label: 'Queen mattress', items: [{ name: 'Queen mattress' }], taxZip: '95020' }, { name: 'Lee Park', status: 'sold' }),
+  savedDealRecord({ ts: NOW - 2 * DAY, dealId: 44, label: 'Dining set', items: [{ name: 'Dining set' }] }, { name: 'Dana Cho', status: 'lost' }),
+];
+t('search: blank lists newest first', searchDeals(deals, '').map(d => d.id).join(), '43,42,44');
+t('search: name', searchDeals(deals, 'dana').length, 2);
+t('search: every word must match', searchDeals(deals, 'dana gray').map(d => d.id).join(), '42');
+t('search: phone digits', searchDeals(deals, '5550123')[0]?.id, 42);
+t('search: SKU', searchDeals(deals, 'u1234')[0]?.id, 42);
+t('search: item name', searchDeals(deals, 'mattress')[0]?.id, 43);
+t('search: ZIP', searchDeals(deals, '95020')[0]?.id, 43);
+t('search: status filter', searchDeals(deals, 'dana', { status: 'lost' }).map(d => d.id).join(), '44');
+t('search: no match', searchDeals(deals, 'recliner').length, 0);
+
+// --- dealsToPrune ---
+const aged = [
+  { id: 1, ts: NOW - 100 * DAY, customer: { status: 'lost' } },
+  { id: 2, ts: NOW - 80 * DAY, customer: { status: 'lost' } },
+  { id: 3, ts: NOW - 800 * DAY, customer: { status: 'sold' } },
+  { id: 4, ts: NOW - 5000 * DAY, customer: { status: 'open' } },
+];
+t('prune: lost past 90 days, sold past 730', dealsToPrune(aged, DEFAULT_RETENTION, NOW).join(), '1,3');
+t('prune: open deals are kept', dealsToPrune(aged, { soldDays: 1, lostDays: 1 }, NOW).includes(4), false);
+const lateLoss = { id: 5, ts: NOW - 100 * DAY, customer: { status: 'open' } };
+const markedLost = { ...lateLoss, customer: { status: 'lost' }, closedAt: closedAtFor('lost', lateLoss, NOW) };
+t('prune: an old quote marked lost today survives', dealsToPrune([markedLost], DEFAULT_RETENTION, NOW).length, 0);
+t('prune: ... and goes 90 days after it closed', dealsToPrune([markedLost], DEFAULT_RETENTION, NOW + 91 * DAY).join(), '5');
+t('closedAt: kept while it stays closed', closedAtFor('sold', markedLost, NOW + DAY), NOW);
+t('closedAt: cleared when it reopens', closedAtFor('open', markedLost, NOW), null);
+t('closedAt: set on a save that closes it', savedDealRecord({ ...entry, ts: NOW + 2 * DAY }, { status: 'sold' }, again).closedAt, NOW + 2 * DAY);
+t('closedAt: open on save', again.closedAt, null);
+t('prune: 0 keeps forever', dealsToPrune(aged, { soldDays: 0, lostDays: 0 }, NOW).length, 0);
+
+// --- followUpsDue / followUpMessage ---
+const followUps = [
+  { id: 1, ts: 1, customer: { status: 'open', followUp: '2026-10-19' } },
+  { id: 2, ts: 2, customer: { status: 'open', followUp: '2026-10-12' } },
+  { id: 3, ts: 3, customer: { status: 'open', followUp: '2026-10-20' } },
+  { id: 4, ts: 4, customer: { status: 'sold', followUp: '2026-10-01' } },
+  { id: 5, ts: 5, customer: { status: 'open', followUp: '' } },
+  { id: 6, ts: 6, customer: { status: 'open', followUp: '2026-10-19' } },
+];
+t('due: today and overdue, most overdue first', followUpsDue(followUps, '2026-10-19').map(d => d.id).join(), '2,6,1');
+t('due: nothing before its day', followUpsDue(followUps, '2026-10-01').length, 0);
+const msg = followUpMessage({ ...deals[0], total: 1299 });
+t('message: title names the customer', msg.title, 'Follow up: Dana Ruiz');
+t('message: items, total, phone', msg.body, 'Sofa · $1,299.00 · (408) 555-0123');
+t('message: unnamed falls back to the label', followUpMessage({ label: 'Dining set', items: [] }).title, 'Follow up: Dining set');
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,61 @@
+import { forkScenario, scenarioSettings, scenarioItems, repriceItems } from '../../src/scenarios.js';
+import { computeDeal } from '../../src/dealEngine.js';
+
+let pass = 0, fail = 0;
+const approx = (a, b) => Math.abs(a - b) < 0.005;
+function t(desc, got, want) {
+  const ok = (typeof want === 'number') ? approx(got, want) : got === want;
+  if (ok) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+
+const items = [
+  { id: 1, name: 'Sofa', price: '700', qty: 1, landingCost: '300' },
+  { id: 2, name: 'Mattress', price: '1400', qty: 1, landingCost: '600' },
+];
+const current = { salePercent: 30, noTaxPromo: false, priceType: 'sale', delivery: '135', includeProtection: false };
+const column = (col, opts = {}) =>
+  computeDeal(scenarioItems(items, current, col, opts.itemSalePercent), { ...scenarioSettings(col), ...opts });
+
+// --- forkScenario / scenarioSettings ---
+const a = forkScenario(current, []);
+t('first fork is Option A', a.name, 'Option A');
+t('fork copies sale %', a.salePercent, 30);
+t('fork copies delivery', a.delivery, '135');
+const b = forkScenario(current, [a]);
+t('second fork is Option B', b.name, 'Option B');
+t('freed name reused', forkScenario(current, [b]).name, 'Option A');
+const settings = scenarioSettings({ ...a, name: 'X', id: 9 });
+t('settings drop name', settings.name, undefined);
+t('settings drop id', settings.id, undefined);
+t('settings keep protection', settings.includeProtection, false);
+
+// --- sale-price mode: columns at different % differ ---
+const at30 = column(a);
+const at35 = column({ ...a, salePercent: 35 });
+const at40 = column({ ...a, salePercent: 40 });
+t('same % as current: prices as entered', at30.subtotal, 2100);
+t('35% re-priced from the tag', at35.subtotal, 2100 / 0.7 * 0.65);
+t('40% re-priced from the tag', at40.subtotal, 1800);
+t('deeper sale, lower margin', at40.overallMargin < at35.overallMargin && at35.overallMargin < at30.overallMargin, true);
+t('same regular price in every column', at40.items[0].regularUnit, at30.items[0].regularUnit);
+t('re-priced sofa', column({ ...a, salePercent: 40 }).items[0].invoicePrice, 600);
+
+// --- rows that keep their price ---
+const promoOnMattress = { itemSalePercent: (item) => (item.name === 'Mattress' ? 25 : null) };
+const promoCol = column({ ...a, salePercent: 40 }, promoOnMattress);
+t('category promo row stays put', promoCol.items[1].invoicePrice, 1400);
+t('other rows still re-priced', promoCol.items[0].invoicePrice, 600);
+const pinned = repriceItems([{ id: 1, price: '650', marginSet: true, originalPrice: '700' }], 30, 40);
+t('margin-button price stays put', pinned[0].price, '650');
+t('blank price stays blank', repriceItems([{ id: 1, price: '' }], 30, 40)[0].price, '');
+t('same % returns the rows untouched', repriceItems(items, 30, 30), items);
+
+// --- tag-price mode: the column's % applies to the tag as-is ---
+const tagCurrent = { ...current, priceType: 'tag' };
+const tagA = forkScenario(tagCurrent, []);
+t('tag mode: rows untouched', scenarioItems(items, tagCurrent, { ...tagA, salePercent: 40 }), items);
+const tag40 = computeDeal(items, scenarioSettings({ ...tagA, salePercent: 40 }));
+t('tag mode: 40% off the tag', tag40.subtotal, 1260);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,55 @@
+// scratchpad.js reads window.localStorage; give it an in-memory one.
+const store = new Map();
+globalThis.window = {
+  localStorage: {
+    getItem: (k) => (store.has(k) ? store.get(k) : null),
+    setItem: (k, v) => { store.set(k, String(v)); },
+    removeItem: (k) => { store.delete(k); },
+  },
+};
+
+const { loadScratchpad, saveScratchpad, clearScratchpad, SCRATCHPAD_PREFIX } = await import('../../src/scratchpad.js');
+
+let pass = 0, fail = 0;
+function t(desc, got, want) {
+  const ok = got === want;
+  if (ok) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+const index = () => JSON.parse(store.get('ashley.scratchpad.index') || '[]');
+
+// --- per-deal pads ---
+t('load: nothing saved', loadScratchpad(1), '');
+t('load: no deal', loadScratchpad(null), '');
+saveScratchpad(1, 'sofa = 1200');
+saveScratchpad(2, 'rug 300');
+t('save: own key per deal', store.get(SCRATCHPAD_PREFIX + 1), 'sofa = 1200');
+t('load: deal 1', loadScratchpad(1), 'sofa = 1200');
+t('load: deal 2 separate', loadScratchpad(2), 'rug 300');
+t('index: most recent first', index().join(), '2,1');
+saveScratchpad(1, 'sofa = 1300');
+t('index: touched pad moves to front', index().join(), '1,2');
+saveScratchpad(2, '   ');
+t('save: blank text clears the pad', loadScratchpad(2), '');
+t('save: blank text leaves the index', index().join(), '1');
+clearScratchpad(1);
+t('clear: pad gone', loadScratchpad(1), '');
+t('clear: index empty', index().length, 0);
+saveScratchpad(null, 'x');
+t('save: no deal is ignored', store.size, 1);
+
+// --- eviction past MAX_PADS (20) ---
+for (let id = 100; id < 125; id++) saveScratchpad(id, `pad ${id}`);
+t('evict: index capped at 20', index().length, 20);
+t('evict: newest kept', loadScratchpad(124), 'pad 124');
+t('evict: oldest dropped', loadScratchpad(104), '');
+t('evict: 21st newest dropped', loadScratchpad(100), '');
+t('evict: 20th newest kept', loadScratchpad(105), 'pad 105');
+t('evict: storage holds only live pads', [...store.keys()].filter((k) => k !== 'ashley.scratchpad.index').length, 20);
+
+// --- broken index ---
+store.set('ashley.scratchpad.index', '{not json');
+saveScratchpad(7, 'x 1');
+t('index: corrupt index starts over', index().join(), '7');
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
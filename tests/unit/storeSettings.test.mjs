@@ -0,0 +1,170 @@
+import {
+  normalizeSettings, normalizeStores, activeProfile, copyProfile, parseNumberList, landingCategoryFor, DEFAULT_SETTINGS,
+  validDivisor, landingRatioFor, landingDivisorFor, describeLandingRatio, DEFAULT_LANDING_DIVISOR,
+  ITEM_PRESETS, TOP_ITEM_PRESETS, MORE_ITEM_PRESETS, LANDING_CATEGORIES, isItemPreset, presetsInCategory,
+} from '../../src/storeSettings.js';
+
+let pass = 0, fail = 0;
+const approx = (a, b) => Math.abs(a - b) < 0.005;
+function t(desc, got, want) {
+  const ok = (typeof want === 'number') ? approx(got, want) : got === want;
+  if (ok) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+
+// --- defaults match the original store ---
+const d = normalizeSettings(null);
+t('default store name', d.storeName, 'Ashley HomeStore Gilroy');
+t('default manager', d.managerName, 'Frank');
+t('default sale percents', d.salePercents.join(), '30,35,40');
+t('default delivery tiers', d.deliveryOptions.join(), '0,100,135,150');
+t('default delivery', d.defaultDelivery, 135);
+t('default floor / target', `${d.marginFloor}/${d.marginTarget}`, '47/50');
+
+// --- normalization ---
+const n = normalizeSettings({
+  storeName: '  Ashley Salinas ', managerPhone: '(831) 555-0100', salePercents: [40, 'x', 30, 30],
+  deliveryOptions: [], marginFloor: 45, marginTarget: 40, protectionTiers: { bands: [100, 'oops'] },
+});
+t('name trimmed', n.storeName, 'Ashley Salinas');
+t('phone digits only', n.managerPhone, '8315550100');
+t('sale percents cleaned + sorted', n.salePercents.join(), '30,40');
+t('empty delivery list falls back', n.deliveryOptions.join(), DEFAULT_SETTINGS.deliveryOptions.join());
+t('target never below floor', n.marginTarget, 45);
+t('bad legacy protection tiers fall back', n.protectionPlans[0].tiers.length, 6);
+const legacyTiers = normalizeSettings({ protectionTiers: { bands: [99, 149], stepAfter: 25 } });
+t('legacy protection tiers become one plan', legacyTiers.protectionPlans.length, 1);
+t('legacy tiers keep their bands', legacyTiers.protectionPlans[0].tiers[1].upTo, 2000);
+t('legacy plan covers every category', legacyTiers.protectionPlans[0].categories.includes('mattress'), true);
+t('bad plans dropped', normalizeSettings({ protectionPlans: [{ name: 'X', tiers: [] }] }).protectionPlans[0].id, 'furniture');
+t('outdoor classified', landingCategoryFor('Outdoor sofa'), 'outdoor');
+t('blank manager reads "Manager"', normalizeSettings({ managerName: ' ' }).managerName, 'Manager');
+
+// --- Landing divisors ---
+t('divisor number', validDivisor(2.8), 2.8);
+t('divisor from text', validDivisor('3.25'), 3.25);
+t('divisor rounded to 3 places', validDivisor(2.87654), 2.877);
+t('divisor of exactly 1 allowed', validDivisor(1), 1);
+t('divisor below 1 rejected', validDivisor(0.9), null);
+t('divisor junk rejected', validDivisor('abc'), null);
+t('divisor blank rejected', validDivisor(''), null);
+t('default divisor', d.landingDivisor, DEFAULT_LANDING_DIVISOR);
+t('no category divisors by default', Object.keys(d.categoryDivisors).length, 0);
+const divs = normalizeSettings({
+  landingDivisor: '0.5', categoryDivisors: { mattress: '2.8', dining: 0, bogus: 2.5 },
+});
+t('bad store divisor falls back', divs.landingDivisor, DEFAULT_LANDING_DIVISOR);
+t('category divisor parsed', divs.categoryDivisors.mattress, 2.8);
+t('bad category divisor dropped', divs.categoryDivisors.dining, undefined);
+t('unknown category divisor dropped', divs.categoryDivisors.bogus, undefined);
+
+// --- Landing categories ---
+t('preset: sofa', landingCategoryFor('Sofa'), 'upholstery');
+t('preset: nightstand', landingCategoryFor('Nightstand'), 'caseGoods');
+t('preset: dining chair is dining, not upholstery', landingCategoryFor('Dining Chair'), 'dining');
+t('preset: accent chair is occasional', landingCategoryFor('Accent Chair'), 'occasional');
+t('preset name trimmed', landingCategoryFor(' Mattress '), 'mattress');
+t('typed name: queen mattress', landingCategoryFor('Queen mattress'), 'mattress');
+t('typed name: power recliner', landingCategoryFor('Power recliner'), 'upholstery');
+t('typed name: king bed', landingCategoryFor('King bed'), 'caseGoods');
+t('typed name: bar stool', landingCategoryFor('Bar stool'), 'dining');
+t('unknown item unclassified', landingCategoryFor('Rug'), null);
+t('blank item unclassified', landingCategoryFor(''), null);
+t('missing item unclassified', landingCategoryFor(undefined), null);
+
+// --- Item presets ---
+t('five top presets', TOP_ITEM_PRESETS.join(), 'Sofa,Sectional,Bed,Mattress,Dresser');
+t('every preset is top or more', TOP_ITEM_PRESETS.length + MORE_ITEM_PRESETS.length, ITEM_PRESETS.length);
+t('every preset has a landing category',
+  ITEM_PRESETS.every((p) => LANDING_CATEGORIES.some((c) => c.id === p.category)), true);
+t('preset category wins over keywords', ITEM_PRESETS.every((p) => landingCategoryFor(p.name) === p.category), true);
+t('preset recognised', isItemPreset('Bunk Bed'), true);
+t('typed name is not a preset', isItemPreset('Queen mattress'), false);
+t('presets in a category', presetsInCategory('dining').join(), 'Dining Table,Dining Chair,Buffet');
+t('no presets in outdoor', presetsInCategory('outdoor').length, 0);
+
+// --- Landing ratio per item ---
+const mattressRatio = landingRatioFor(divs, 'Queen mattress');
+t('category override used', mattressRatio.divisor, 2.8);
+t('override source', mattressRatio.source, 'category');
+t('override category', mattressRatio.category, 'mattress');
+const sofaRatio = landingRatioFor(divs, 'Sofa');
+t('no override: store divisor', sofaRatio.divisor, DEFAULT_LANDING_DIVISOR);
+t('no override source', sofaRatio.source, 'default');
+t('no override keeps category', sofaRatio.category, 'upholstery');
+t('unclassified item: store divisor', landingRatioFor({ ...d, landingDivisor: 3 }, 'Rug').divisor, 3);
+t('unclassified item: no category', landingRatioFor(d, 'Rug').category, null);
+t('no settings: default divisor', landingRatioFor(null, 'Sofa').divisor, DEFAULT_LANDING_DIVISOR);
+t('divisorFor matches ratioFor', landingDivisorFor(divs, 'Mattress'), 2.8);
+
+t('describe category ratio', describeLandingRatio(mattressRatio), '÷ 2.8 (Mattresses)');
+t('describe default ratio', describeLandingRatio(sofaRatio), '÷ 3.3 (store default)');
+t('describe unclassified ratio', describeLandingRatio(landingRatioFor(d, 'Rug')), '÷ 3.3 (store default)');
+
+// --- parseNumberList ---
+t('number list', parseNumberList('30, 35 40%').join(), '30,35,40');
+t('number list with $', parseNumberList('$0, $99').join(), '0,99');
+t('number list rejects junk', parseNumberList('30, abc'), null);
+t('number list range', parseNumberList('95', 0, 90), null);
+t('number list empty', parseNumberList(''), null);
+
+// --- profiles ---
+// --- Delivery zones ---
+const zoned = normalizeSettings({
+  deliveryZones: [{ name: 'Local', zips: '95020', prices: { threshold: 100 } }, { name: '', prices: { threshold: 1 } }],
+  haulAwayFee: 40, mileage: { freeMiles: 'x', perMile: 3 },
+});
+t('zones validated', zoned.deliveryZones.length, 1);
+t('no zones by default', d.deliveryZones.length, 0);
+t('haul-away fee', zoned.haulAwayFee, 40);
+t('bad free miles fall back', zoned.mileage.freeMiles, 30);
+t('per mile kept', zoned.mileage.perMile, 3);
+
+// --- Coupons ---
+const couponed = normalizeSettings({
+  coupons: [{ code: 'spring200', kind: 'amount', value: 200 }, { code: 'SPRING200', value: 5 }, { code: 'x', value: 5 }],
+});
+t('coupons validated and deduped', couponed.coupons.length, 1);
+t('coupon code uppercased', couponed.coupons[0].code, 'SPRING200');
+t('no coupons by default', d.coupons.length, 0);
+
+// --- Promotions calendar ---
+const promos = normalizeSettings({
+  promotions: [{ name: 'Labor Day', start: '2026-09-01', end: '2026-09-08', salePercent: 35, noTaxPromo: true }, { name: 'Bad', start: '2026-09-08', end: '2026-09-01' }],
+});
+t('promotions validated', promos.promotions.length, 1);
+t('promotion no-tax kept', promos.promotions[0].noTaxPromo, true);
+t('no promotions by default', d.promotions.length, 0);
+
+// --- Saved-deal retention ---
+t('retention defaults', d.dealRetention.lostDays, 90);
+t('retention kept', normalizeSettings({ dealRetention: { soldDays: 0, lostDays: 30 } }).dealRetention.lostDays, 30);
+
+// --- Margin policy fields ---
+const policy = normalizeSettings({
+  categoryFloors: { mattress: '40', dining: 120, bogus: 30 },
+  floorPromo: { floor: 44, until: '2026-09-07', note: 'Labor Day' },
+  policyPinHash: 'abc123',
+});
+t('category floor parsed', policy.categoryFloors.mattress, 40);
+t('out-of-range category floor dropped', policy.categoryFloors.dining, undefined);
+t('unknown category dropped', policy.categoryFloors.bogus, undefined);
+t('promo kept', policy.floorPromo.until, '2026-09-07');
+t('bad promo dropped', normalizeSettings({ floorPromo: { floor: 44 } }).floorPromo, null);
+t('pin hash kept', policy.policyPinHash, 'abc123');
+t('no pin by default', normalizeSettings(null).policyPinHash, '');
+
+const legacy = normalizeStores({ landingDivisor: 2.9 });
+t('legacy settings become one profile', legacy.profiles.length, 1);
+t('legacy settings keep values', legacy.profiles[0].landingDivisor, 2.9);
+t('legacy profile active', activeProfile(legacy).id, 'gilroy');
+const sister = copyProfile(d, 'Ashley Salinas');
+t('copy gets a new id', sister.id !== d.id, true);
+t('copy keeps settings', sister.marginFloor, 47);
+const both = normalizeStores({ activeId: sister.id, profiles: [d, sister, { ...d }] });
+t('duplicate ids dropped', both.profiles.length, 2);
+t('active profile chosen', activeProfile(both).storeName, 'Ashley Salinas');
+t('unknown active id falls back to first', normalizeStores({ activeId: 'nope', profiles: [d] }).activeId, 'gilroy');
+t('nothing saved: one default profile', normalizeStores(null).profiles.length, 1);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,65 @@
+import {
+  DEFAULT_TAX_PROFILE, parseZipList, validTaxProfile, profileForZip, resolveTaxProfile, taxSettingsOf, describeTaxProfile,
+} from '../../src/taxProfiles.js';
+import { normalizeSettings } from '../../src/storeSettings.js';
+import { computeDeal } from '../../src/dealEngine.js';
+
+let pass = 0, fail = 0;
+const approx = (a, b) => Math.abs(a - b) < 0.005;
+function t(desc, got, want) {
+  const ok = (typeof want === 'number') ? approx(got, want) : got === want;
+  if (ok) { pass++; } else { fail++; console.log(`FAIL: ${desc}\n   got:  ${got}\n   want: ${want}`); }
+}
+
+// --- parsing / validation ---
+t('zip list split and deduped', parseZipList('93650, 93651 936;93650').join(' '), '93650 93651 936');
+t('zip list drops junk', parseZipList('abc 12 936501').length, 0);
+const kings = validTaxProfile({ name: 'Kings County', rate: '7.25%', taxDelivery: false, zips: '932, 93245' });
+t('profile rate parsed', kings.rate, 7.25);
+t('profile id from name', kings.id, 'kings-county');
+t('profile delivery untaxed', kings.taxDelivery, false);
+t('profile protection untaxed by default', kings.taxProtection, false);
+t('profile needs a name', validTaxProfile({ name: ' ', rate: 8 }), null);
+t('profile rate out of range', validTaxProfile({ name: 'X', rate: 25 }), null);
+t('profile rate junk', validTaxProfile({ name: 'X', rate: 'abc' }), null);
+
+// --- ZIP lookup ---
+const tulare = validTaxProfile({ name: 'Tulare', rate: 8.25, zips: '932 93274' });
+const profiles = [DEFAULT_TAX_PROFILE, kings, tulare];
+t('exact zip wins over prefix', profileForZip(profiles, '93274').name, 'Tulare');
+t('longest prefix wins', profileForZip(profiles, '93245').name, 'Kings County');
+t('shared prefix: first listed', profileForZip(profiles, '93201').name, 'Kings County');
+t('zip+4 accepted', profileForZip(profiles, '93274-1234').name, 'Tulare');
+t('unknown zip', profileForZip(profiles, '90210'), null);
+t('bad zip', profileForZip(profiles, 'abc'), null);
+
+// --- resolve ---
+t('resolve: manual wins', resolveTaxProfile(profiles, { zip: '93274', profileId: 'store' }).source, 'manual');
+t('resolve: by zip', resolveTaxProfile(profiles, { zip: '93274' }).profile.name, 'Tulare');
+t('resolve: default is first', resolveTaxProfile(profiles, { zip: '' }).source, 'default');
+t('resolve: stale manual id falls through', resolveTaxProfile(profiles, { profileId: 'gone', zip: '93245' }).source, 'zip');
+t('resolve: empty list uses built-in', resolveTaxProfile([], {}).profile.rate, 9.125);
+t('describe', describeTaxProfile(DEFAULT_TAX_PROFILE), 'Store county 9.125% · delivery taxed');
+
+// --- store settings ---
+t('settings: default profile', normalizeSettings(null).taxProfiles[0].rate, 9.125);
+t('settings: invalid profiles dropped', normalizeSettings({ taxProfiles: [{ name: '', rate: 1 }, kings] }).taxProfiles.length, 1);
+
+// --- deal math under a profile ---
+const item = { id: 1, price: '1000', qty: 1, landingCost: '' };
+const base = { noTaxPromo: false, delivery: '100', includeProtection: true };
+const home = computeDeal([item], { ...base, ...taxSettingsOf(DEFAULT_TAX_PROFILE) });
+t('home: delivery taxed', home.deliveryTax, 9.125);
+t('home: protection untaxed', home.protectionTax, 0);
+t('home: total', home.customerTotal, 1000 + 91.25 + 100 + 9.125 + 150);
+const out = computeDeal([item], { ...base, ...taxSettingsOf(kings) });
+t('kings: merchandise at 7.25%', out.taxOnMerchandise, 72.5);
+t('kings: no delivery tax', out.deliveryTax, 0);
+t('kings: total', out.customerTotal, 1000 + 72.5 + 100 + 150);
+const prot = computeDeal([item], { ...base, taxRate: 10, taxProtection: true });
+t('protection taxed', prot.protectionTax, 15);
+t('protection tax in total tax', prot.totalTax, 100 + 10 + 15);
+t('regular card taxes protection too', prot.regularSalesTax, (1000 / 0.7 + 100) * 0.1 + 15);
+
+console.log(`\n${pass} passed, ${fail} failed`);
+process.exit(fail ? 1 : 0);